@@ -1,6 +1,10 @@
+const mongoose = require('mongoose');
 const Account = require('../models/Account');
 const Company = require('../models/Company');
+const PriceList = require('../models/PriceList');
 const XLSX = require('xlsx');
+const { buildStatement, buildAging, AGING_BUCKETS } = require('../services/accountStatementService');
+const { renderStatementPdf } = require('../services/statementPdfService');
 const { 
   validateCompanyOwnership, 
   buildCompanyQuery 
@@ -253,6 +257,11 @@ const getAccounts = async (req, res) => {
       }
     }
 
+    // Filter by credit status (active, warning, over_limit) if provided
+    if (req.query.creditStatus) {
+      query.creditStatus = req.query.creditStatus;
+    }
+
     const accounts = await Account.find(query)
       .populate('company', 'name email')
       .sort({ createdAt: -1 });
@@ -379,6 +388,18 @@ const createAccount = async (req, res) => {
       }
     }
 
+    // A price list can only be assigned from the same company
+    if (req.body.priceList) {
+      const priceList = mongoose.isValidObjectId(req.body.priceList)
+        && await PriceList.exists({ _id: req.body.priceList, company: companyId });
+      if (!priceList) {
+        return res.status(400).json({
+          success: false,
+          message: 'Price list not found or access denied'
+        });
+      }
+    }
+
     // CRITICAL: Force company to user's company (prevent cross-company creation)
     // Override any company field in request body
     const accountData = {
@@ -488,6 +509,22 @@ const updateAccount = async (req, res) => {
       }
     }
 
+    // A price list can only be assigned from the same company
+    if (req.body.priceList) {
+      const priceList = mongoose.isValidObjectId(req.body.priceList)
+        && await PriceList.exists({ _id: req.body.priceList, company: companyId });
+      if (!priceList) {
+        return res.status(400).json({
+          success: false,
+          message: 'Price list not found or access denied'
+        });
+      }
+    }
+
+    // The balance is kept by the payment ledger and credit status is derived from it
+    delete req.body.currentBalance;
+    delete req.body.creditStatus;
+
     // Update with company filter to prevent cross-company updates
     account = await Account.findOneAndUpdate(
       {
@@ -501,6 +538,12 @@ const updateAccount = async (req, res) => {
       }
     ).populate('company', 'name email');
 
+    // A new credit limit moves the account between active, warning and over_limit
+    account.applyCreditStatus();
+    if (account.isModified('creditStatus')) {
+      await account.save();
+    }
+
     res.status(200).json({
       success: true,
       message: 'Account updated successfully',
@@ -832,6 +875,164 @@ const bulkImportAccounts = async (req, res) => {
   }
 };
 
+// Safe file name part from an account name
+const fileNamePart = (name) => (name || 'account').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+
+// @desc    Get an account's statement of account for a date range
+// @route   GET /api/accounts/:id/statement?from=&to=&format=json|pdf|xlsx
+// @access  Private (Owner, Admin, Accountant)
+// @isolation STRICT - Only the company's own accounts
+const getAccountStatement = async (req, res) => {
+  try {
+    if (!req.user.company) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. User must be associated with a company.'
+      });
+    }
+
+    const companyId = req.user.company._id || req.user.company;
+
+    const account = await Account.findOne({
+      _id: req.params.id,
+      company: companyId
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found or access denied'
+      });
+    }
+
+    // Defaults to the current month; the end date is inclusive
+    const now = new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(now.getFullYear(), now.getMonth(), 1);
+    const to = req.query.to ? new Date(req.query.to) : new Date(now);
+    from.setHours(0, 0, 0, 0);
+    to.setHours(23, 59, 59, 999);
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Statement start date must be on or before the end date'
+      });
+    }
+
+    const statement = await buildStatement(companyId, account, { from, to });
+    const format = req.query.format || 'json';
+    const fileName = `statement-${fileNamePart(account.name)}-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}`;
+
+    if (format === 'pdf') {
+      const company = await Company.findById(companyId);
+      const buffer = await renderStatementPdf(statement, company);
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${fileName}.pdf"`,
+        'Content-Length': buffer.length
+      });
+      return res.send(buffer);
+    }
+
+    if (format === 'xlsx') {
+      const rows = [
+        { Date: statement.from, Type: 'opening', Reference: '', Description: 'Opening balance', Debit: '', Credit: '', Balance: statement.openingBalance },
+        ...statement.entries.map(entry => ({
+          Date: entry.date,
+          Type: entry.type,
+          Reference: entry.reference || '',
+          Description: entry.description,
+          Debit: entry.debit || '',
+          Credit: entry.credit || '',
+          Balance: entry.balance
+        })),
+        { Date: statement.to, Type: 'closing', Reference: '', Description: 'Closing balance', Debit: '', Credit: '', Balance: statement.closingBalance }
+      ];
+
+      const worksheet = XLSX.utils.json_to_sheet(rows, { cellDates: true });
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, worksheet, 'Statement');
+
+      const excelBuffer = XLSX.write(workbook, {
+        type: 'buffer',
+        bookType: 'xlsx'
+      });
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+      return res.send(excelBuffer);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    console.error('Get account statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building account statement'
+    });
+  }
+};
+
+// @desc    Get the receivables aging report for all accounts of the company
+// @route   GET /api/accounts/aging?format=json|xlsx
+// @access  Private (Owner, Admin, Accountant)
+// @isolation STRICT - Only the company's own invoices
+const getAgingReport = async (req, res) => {
+  try {
+    if (!req.user.company) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. User must be associated with a company.'
+      });
+    }
+
+    const companyId = req.user.company._id || req.user.company;
+    const aging = await buildAging(companyId);
+
+    if (req.query.format === 'xlsx') {
+      const toRow = (row) => ({
+        Account: row.name,
+        'Payment Terms': row.paymentTerms || '',
+        'Credit Limit': row.creditLimit,
+        'Not Due': row.notDue,
+        ...Object.fromEntries(AGING_BUCKETS.map(([key, label]) => [`${label} days`, row[key]])),
+        Total: row.total
+      });
+
+      const worksheet = XLSX.utils.json_to_sheet([
+        ...aging.accounts.map(toRow),
+        toRow({ ...aging.totals, name: 'Total', paymentTerms: '', creditLimit: '' })
+      ]);
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, worksheet, 'Aging');
+
+      const excelBuffer = XLSX.write(workbook, {
+        type: 'buffer',
+        bookType: 'xlsx'
+      });
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="receivables-aging-${aging.asOf.toISOString().slice(0, 10)}.xlsx"`);
+      return res.send(excelBuffer);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: aging
+    });
+  } catch (error) {
+    console.error('Get aging report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building aging report'
+    });
+  }
+};
+
 module.exports = {
   getAccounts,
   getAccount,
@@ -841,6 +1042,8 @@ module.exports = {
   toggleAccountStatus,
   getMedicalBranches,
   getSpecializations,
-  bulkImportAccounts
+  bulkImportAccounts,
+  getAccountStatement,
+  getAgingReport
 };
 
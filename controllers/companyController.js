@@ -998,6 +998,262 @@ const updateCompanyModules = async (req, res) => {
   }
 };
 
+// @desc    Get company document numbering settings
+// @route   GET /api/companies/me/numbering
+// @access  Private (Owner/Admin)
+const getDocumentNumbering = async (req, res) => {
+  try {
+    if (!req.user.company) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not associated with a company'
+      });
+    }
+
+    const company = await Company.findById(req.user.company).select('documentNumbering');
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: company.documentNumbering
+    });
+  } catch (error) {
+    console.error('Get document numbering error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching document numbering settings'
+    });
+  }
+};
+
+// @desc    Update company document numbering settings
+// @route   PUT /api/companies/me/numbering
+// @access  Private (Owner/Admin)
+// @note    Changing a prefix or reset period only affects documents created afterwards
+const updateDocumentNumbering = async (req, res) => {
+  try {
+    if (!req.user.company) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not associated with a company'
+      });
+    }
+
+    const company = await Company.findById(req.user.company);
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    const numbering = req.body.documentNumbering || {};
+    ['invoice', 'quotation', 'proforma', 'credit'].forEach(docType => {
+      if (!numbering[docType]) return;
+      const { prefix, resetPeriod } = numbering[docType];
+      if (prefix !== undefined) company.documentNumbering[docType].prefix = prefix;
+      if (resetPeriod !== undefined) company.documentNumbering[docType].resetPeriod = resetPeriod;
+    });
+
+    await company.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Document numbering updated successfully',
+      data: company.documentNumbering
+    });
+  } catch (error) {
+    console.error('Update document numbering error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating document numbering settings'
+    });
+  }
+};
+
+// @desc    Get company credit control settings
+// @route   GET /api/companies/me/credit-control
+// @access  Private (Owner/Admin/Accountant)
+const getCreditControl = async (req, res) => {
+  try {
+    if (!req.user.company) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not associated with a company'
+      });
+    }
+
+    const company = await Company.findById(req.user.company).select('creditControl');
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: company.creditControl
+    });
+  } catch (error) {
+    console.error('Get credit control error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching credit control settings'
+    });
+  }
+};
+
+// @desc    Update company credit control settings
+// @route   PUT /api/companies/me/credit-control
+// @access  Private (Owner/Admin)
+const updateCreditControl = async (req, res) => {
+  try {
+    if (!req.user.company) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not associated with a company'
+      });
+    }
+
+    const company = await Company.findById(req.user.company);
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    if (req.body.policy !== undefined) company.creditControl.policy = req.body.policy;
+
+    await company.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Credit control settings updated successfully',
+      data: company.creditControl
+    });
+  } catch (error) {
+    console.error('Update credit control error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating credit control settings'
+    });
+  }
+};
+
+// @desc    Get company stock control settings
+// @route   GET /api/companies/me/stock-control
+// @access  Private (Owner/Admin/Accountant)
+const getStockControl = async (req, res) => {
+  try {
+    if (!req.user.company) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not associated with a company'
+      });
+    }
+
+    const company = await Company.findById(req.user.company).select('stockControl');
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: company.stockControl
+    });
+  } catch (error) {
+    console.error('Get stock control error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stock control settings'
+    });
+  }
+};
+
+// @desc    Update company stock control settings
+// @route   PUT /api/companies/me/stock-control
+// @access  Private (Owner/Admin)
+const updateStockControl = async (req, res) => {
+  try {
+    if (!req.user.company) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not associated with a company'
+      });
+    }
+
+    const company = await Company.findById(req.user.company);
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    if (req.body.backorderPolicy !== undefined) company.stockControl.backorderPolicy = req.body.backorderPolicy;
+
+    await company.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Stock control settings updated successfully',
+      data: company.stockControl
+    });
+  } catch (error) {
+    console.error('Update stock control error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating stock control settings'
+    });
+  }
+};
+
 module.exports = {
   getCompanies,
   getCompany,
@@ -1014,5 +1270,11 @@ module.exports = {
   registerCompany,
   getDatabaseStatus,
   getCompanyModules,
-  updateCompanyModules
+  updateCompanyModules,
+  getDocumentNumbering,
+  updateDocumentNumbering,
+  getCreditControl,
+  updateCreditControl,
+  getStockControl,
+  updateStockControl
 };
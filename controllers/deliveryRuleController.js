@@ -0,0 +1,225 @@
+const DeliveryRule = require('../models/DeliveryRule');
+const HttpError = require('../utils/httpError');
+const { priceOrder } = require('../services/orderPricingService');
+
+// Fields a client may set on a rule; company and createdBy are always server-side
+const RULE_FIELDS = ['name', 'type', 'city', 'area', 'orderStatus', 'minWeight', 'maxWeight', 'threshold', 'amount', 'isActive'];
+
+const pickRuleFields = (body) => RULE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// @desc    Get delivery rules of the company
+// @route   GET /api/delivery-rules
+// @access  Private
+// @isolation STRICT - Only returns rules of user's company
+const getDeliveryRules = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const { type, includeInactive } = req.query;
+
+    const query = { company: companyId };
+    if (type) query.type = type;
+    if (includeInactive !== 'true') query.isActive = true;
+
+    const rules = await DeliveryRule.find(query).sort({ type: 1, city: 1, area: 1, minWeight: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Get delivery rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching delivery rules'
+    });
+  }
+};
+
+// @desc    Get single delivery rule
+// @route   GET /api/delivery-rules/:id
+// @access  Private
+// @isolation STRICT - Verifies rule belongs to user's company
+const getDeliveryRule = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    const rule = await DeliveryRule.findOne({ _id: req.params.id, company: companyId });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery rule not found or access denied'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    console.error('Get delivery rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching delivery rule'
+    });
+  }
+};
+
+// @desc    Create delivery rule
+// @route   POST /api/delivery-rules
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Rule is always created for user's company
+const createDeliveryRule = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    const rule = await DeliveryRule.create({
+      ...pickRuleFields(req.body),
+      company: companyId,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Delivery rule created successfully',
+      data: rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    console.error('Create delivery rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating delivery rule'
+    });
+  }
+};
+
+// @desc    Update delivery rule
+// @route   PUT /api/delivery-rules/:id
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Verifies rule belongs to user's company
+const updateDeliveryRule = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    const rule = await DeliveryRule.findOne({ _id: req.params.id, company: companyId });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery rule not found or access denied'
+      });
+    }
+
+    // Saved (not findOneAndUpdate) so the per-type checks in pre('validate') run
+    rule.set(pickRuleFields(req.body));
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery rule updated successfully',
+      data: rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    console.error('Update delivery rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating delivery rule'
+    });
+  }
+};
+
+// @desc    Delete delivery rule
+// @route   DELETE /api/delivery-rules/:id
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Verifies rule belongs to user's company
+const deleteDeliveryRule = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    const rule = await DeliveryRule.findOneAndDelete({ _id: req.params.id, company: companyId });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery rule not found or access denied'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete delivery rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting delivery rule'
+    });
+  }
+};
+
+// @desc    Preview the delivery charge of a prospective order
+// @route   POST /api/delivery-rules/preview
+// @access  Private
+// @isolation STRICT - Uses only the rules and products of user's company
+const previewDelivery = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const { items = [], customer, shipping = {}, orderStatus = 'Normal' } = req.body;
+
+    // Priced by the order pricing engine so the subtotal matches what an order would get
+    const quote = await priceOrder({ companyId, items, customer, shipping, orderStatus });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        subtotal: quote.pricing.subtotal,
+        ...quote.delivery
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Preview delivery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error calculating delivery charge'
+    });
+  }
+};
+
+module.exports = {
+  getDeliveryRules,
+  getDeliveryRule,
+  createDeliveryRule,
+  updateDeliveryRule,
+  deleteDeliveryRule,
+  previewDelivery
+};
@@ -0,0 +1,292 @@
+const mongoose = require('mongoose');
+const Company = require('../models/Company');
+const ExchangeRate = require('../models/ExchangeRate');
+const Order = require('../models/Order');
+const { getBaseCurrency, findRateInForce } = require('../services/exchangeRateService');
+
+// Fields a client may set on a rate; company and createdBy are always server-side
+const RATE_FIELDS = ['currency', 'rate', 'effectiveFrom', 'notes'];
+
+const pickRateFields = (body) => RATE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const duplicateRateResponse = (res) => res.status(400).json({
+  success: false,
+  message: 'A rate for this currency already takes effect on that date'
+});
+
+// @desc    Get the exchange rate table of the company
+// @route   GET /api/exchange-rates
+// @access  Private (Owner/Admin/Accountant)
+// @isolation STRICT - Only returns rates of user's company
+const getExchangeRates = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    const query = { company: companyId };
+    if (req.query.currency) query.currency = req.query.currency;
+
+    const rates = await ExchangeRate.find(query)
+      .populate('createdBy', 'name email')
+      .sort({ currency: 1, effectiveFrom: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: rates.length,
+      baseCurrency: await getBaseCurrency(companyId),
+      data: rates
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching exchange rates'
+    });
+  }
+};
+
+// @desc    Get the rates in force on a date (defaults to now)
+// @route   GET /api/exchange-rates/current?date=
+// @access  Private
+// @isolation STRICT - Only uses rates of user's company
+const getCurrentRates = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+
+    if (Number.isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+
+    const baseCurrency = await getBaseCurrency(companyId);
+    const currencies = ExchangeRate.schema.path('currency').enumValues.filter(currency => currency !== baseCurrency);
+
+    const rates = {};
+    for (const currency of currencies) {
+      const rate = await findRateInForce(companyId, currency, date);
+      rates[currency] = rate ? { rate: rate.rate, effectiveFrom: rate.effectiveFrom, _id: rate._id } : null;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        date,
+        baseCurrency,
+        rates
+      }
+    });
+  } catch (error) {
+    console.error('Get current exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching exchange rates'
+    });
+  }
+};
+
+// @desc    Create exchange rate
+// @route   POST /api/exchange-rates
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Rate is always created for user's company
+const createExchangeRate = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const fields = pickRateFields(req.body);
+
+    if (fields.currency === await getBaseCurrency(companyId)) {
+      return res.status(400).json({
+        success: false,
+        message: `${fields.currency} is the company's base currency and needs no rate`
+      });
+    }
+
+    const rate = await ExchangeRate.create({
+      ...fields,
+      company: companyId,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Exchange rate created successfully',
+      data: rate
+    });
+  } catch (error) {
+    if (error.code === 11000) return duplicateRateResponse(res);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    console.error('Create exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating exchange rate'
+    });
+  }
+};
+
+// @desc    Update exchange rate
+// @route   PUT /api/exchange-rates/:id
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Verifies rate belongs to user's company
+// Orders keep the rate stored on them, so editing a rate only affects orders priced afterwards
+const updateExchangeRate = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    const rate = await ExchangeRate.findOne({ _id: req.params.id, company: companyId });
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found or access denied'
+      });
+    }
+
+    rate.set(pickRateFields(req.body));
+
+    if (rate.currency === await getBaseCurrency(companyId)) {
+      return res.status(400).json({
+        success: false,
+        message: `${rate.currency} is the company's base currency and needs no rate`
+      });
+    }
+
+    await rate.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rate updated successfully',
+      data: rate
+    });
+  } catch (error) {
+    if (error.code === 11000) return duplicateRateResponse(res);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    console.error('Update exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating exchange rate'
+    });
+  }
+};
+
+// @desc    Delete exchange rate
+// @route   DELETE /api/exchange-rates/:id
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Verifies rate belongs to user's company
+const deleteExchangeRate = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    const rate = await ExchangeRate.findOneAndDelete({ _id: req.params.id, company: companyId });
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found or access denied'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting exchange rate'
+    });
+  }
+};
+
+// @desc    Set the company's base currency
+// @route   PUT /api/exchange-rates/base-currency
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Only updates user's company
+// Balances and order base totals are stored in the base currency, and rates are quoted
+// against it, so it can only be chosen before the company has any orders or rates
+const updateBaseCurrency = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const { baseCurrency } = req.body;
+
+    if (!Company.schema.path('baseCurrency').enumValues.includes(baseCurrency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Base currency must be BD, USD, or EUR'
+      });
+    }
+
+    const company = await Company.findById(companyId);
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    if (baseCurrency !== company.baseCurrency) {
+      const hasOrders = await Order.exists({ 'customer.company': new mongoose.Types.ObjectId(companyId.toString()) });
+      if (hasOrders) {
+        return res.status(400).json({
+          success: false,
+          message: 'The base currency cannot be changed once the company has orders'
+        });
+      }
+
+      const hasRates = await ExchangeRate.exists({ company: companyId });
+      if (hasRates) {
+        return res.status(400).json({
+          success: false,
+          message: 'Delete the exchange rates before changing the base currency; they are quoted against the current one'
+        });
+      }
+
+      company.baseCurrency = baseCurrency;
+      await company.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Base currency updated successfully',
+      data: { baseCurrency: company.baseCurrency }
+    });
+  } catch (error) {
+    console.error('Update base currency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating base currency'
+    });
+  }
+};
+
+module.exports = {
+  getExchangeRates,
+  getCurrentRates,
+  createExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate,
+  updateBaseCurrency
+};
@@ -0,0 +1,333 @@
+const Location = require('../models/Location');
+const Product = require('../models/Product');
+const StockLevel = require('../models/StockLevel');
+const StockTransfer = require('../models/StockTransfer');
+const StockMovement = require('../models/StockMovement');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const HttpError = require('../utils/httpError');
+
+// Fields a client may set on a location; company and isDefault are server-side
+const LOCATION_FIELDS = ['name', 'code', 'type', 'assignedTo', 'address', 'isActive'];
+
+const pickLocationFields = (body) => LOCATION_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+/**
+ * Check that the salesman a van is assigned to belongs to the company
+ * @throws {HttpError} 400 when they do not
+ */
+const checkAssignee = async (companyId, userId) => {
+  if (!userId) return;
+  if (!await User.exists({ _id: userId, company: companyId })) {
+    throw new HttpError(400, 'Assigned user not found or access denied');
+  }
+};
+
+// Make a location the company's only default
+const makeDefault = async (companyId, location) => {
+  await Location.updateMany(
+    { company: companyId, isDefault: true, _id: { $ne: location._id } },
+    { $set: { isDefault: false } }
+  );
+  location.isDefault = true;
+  location.isActive = true;
+};
+
+const errorResponse = (res, error, label, message) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      ...error.details
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'Location code already exists in your company'
+    });
+  }
+
+  console.error(`${label}:`, error);
+  return res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// @desc    Get stock locations of the company
+// @route   GET /api/locations?type=&includeInactive=true
+// @access  Private
+// @isolation STRICT - Only returns locations of user's company
+const getLocations = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    // Every company has a default location to hold stock that names none
+    await Location.getDefault(companyId);
+
+    const query = { company: companyId };
+    if (req.query.type) query.type = req.query.type;
+    if (req.query.includeInactive !== 'true') query.isActive = true;
+
+    const locations = await Location.find(query)
+      .populate('assignedTo', 'name email')
+      .sort({ isDefault: -1, type: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: locations.length,
+      data: locations
+    });
+  } catch (error) {
+    errorResponse(res, error, 'Get locations error', 'Error fetching locations');
+  }
+};
+
+// @desc    Get single location
+// @route   GET /api/locations/:id
+// @access  Private
+// @isolation STRICT - Verifies location belongs to user's company
+const getLocation = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    const location = await Location.findOne({ _id: req.params.id, company: companyId })
+      .populate('assignedTo', 'name email');
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found or access denied'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: location
+    });
+  } catch (error) {
+    errorResponse(res, error, 'Get location error', 'Error fetching location');
+  }
+};
+
+// @desc    Create stock location
+// @route   POST /api/locations
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Location is always created for user's company
+const createLocation = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const fields = pickLocationFields(req.body);
+
+    await checkAssignee(companyId, fields.assignedTo);
+
+    // The company's existing stock stays at its default location, created first if needed
+    await Location.getDefault(companyId);
+
+    const location = new Location({
+      ...fields,
+      company: companyId
+    });
+    if (req.body.isDefault === true) {
+      await makeDefault(companyId, location);
+    }
+    await location.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Location created successfully',
+      data: location
+    });
+  } catch (error) {
+    errorResponse(res, error, 'Create location error', 'Error creating location');
+  }
+};
+
+// @desc    Update stock location; isDefault: true makes it the default location
+// @route   PUT /api/locations/:id
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Verifies location belongs to user's company
+const updateLocation = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const fields = pickLocationFields(req.body);
+
+    const location = await Location.findOne({ _id: req.params.id, company: companyId });
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found or access denied'
+      });
+    }
+
+    if (location.isDefault && fields.isActive === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'The default location cannot be deactivated. Make another location the default first.'
+      });
+    }
+
+    await checkAssignee(companyId, fields.assignedTo);
+
+    location.set(fields);
+    if (req.body.isDefault === true && !location.isDefault) {
+      await makeDefault(companyId, location);
+    }
+    await location.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Location updated successfully',
+      data: location
+    });
+  } catch (error) {
+    errorResponse(res, error, 'Update location error', 'Error updating location');
+  }
+};
+
+// @desc    Delete a stock location that never held stock; others are deactivated instead
+// @route   DELETE /api/locations/:id
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Verifies location belongs to user's company
+const deleteLocation = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    const location = await Location.findOne({ _id: req.params.id, company: companyId });
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found or access denied'
+      });
+    }
+
+    if (location.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: 'The default location cannot be deleted'
+      });
+    }
+
+    // Orders, transfers and the stock ledger keep referring to the location
+    const inUse = await StockLevel.exists({ company: companyId, location: location._id, quantity: { $gt: 0 } }) ||
+      await StockMovement.exists({ company: companyId, location: location._id }) ||
+      await StockTransfer.exists({ company: companyId, $or: [{ from: location._id }, { to: location._id }] }) ||
+      await Order.exists({ 'customer.company': companyId, location: location._id });
+
+    if (inUse) {
+      return res.status(400).json({
+        success: false,
+        message: 'This location has stock, transfers or orders. Deactivate it instead.'
+      });
+    }
+
+    await StockLevel.deleteMany({ company: companyId, location: location._id });
+    await location.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Location deleted successfully'
+    });
+  } catch (error) {
+    errorResponse(res, error, 'Delete location error', 'Error deleting location');
+  }
+};
+
+// @desc    Get the stock held at a location
+// @route   GET /api/locations/:id/stock?lowStock=true
+// @access  Private
+// @isolation STRICT - Verifies location belongs to user's company
+const getLocationStock = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    const location = await Location.findOne({ _id: req.params.id, company: companyId });
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found or access denied'
+      });
+    }
+
+    const query = { company: companyId, location: location._id };
+    if (req.query.lowStock === 'true') {
+      query.$expr = { $lte: ['$quantity', '$minimum'] };
+    } else {
+      query.quantity = { $gt: 0 };
+    }
+
+    const levels = await StockLevel.find(query)
+      .populate('product', 'name sku brand category status')
+      .sort({ quantity: 1 });
+
+    res.status(200).json({
+      success: true,
+      location,
+      count: levels.length,
+      data: levels
+    });
+  } catch (error) {
+    errorResponse(res, error, 'Get location stock error', 'Error fetching location stock');
+  }
+};
+
+// @desc    Set the minimum and maximum stock of a product at a location
+// @route   PUT /api/locations/:id/stock/:productId
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Verifies location and product belong to user's company
+const updateLocationStockLimits = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const [location, product] = await Promise.all([
+      Location.findOne({ _id: req.params.id, company: companyId }),
+      Product.findOne({ _id: req.params.productId, company: companyId })
+    ]);
+
+    if (!location || !product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location or product not found or access denied'
+      });
+    }
+
+    const level = await StockLevel.forProduct(product, location._id);
+    if (req.body.minimum !== undefined) level.minimum = req.body.minimum;
+    if (req.body.maximum !== undefined) level.maximum = req.body.maximum;
+    await level.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Stock limits updated successfully',
+      data: level
+    });
+  } catch (error) {
+    errorResponse(res, error, 'Update location stock limits error', 'Error updating stock limits');
+  }
+};
+
+module.exports = {
+  getLocations,
+  getLocation,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+  getLocationStock,
+  updateLocationStockLimits
+};
@@ -1,11 +1,112 @@
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const Company = require('../models/Company');
+const Account = require('../models/Account');
+const OrderDraft = require('../models/OrderDraft');
+const HttpError = require('../utils/httpError');
+const { getAllowedTransitions } = require('../utils/orderStatusMachine');
+const { renderOrderPdf, storeOrderPdf, tryStoreOrderPdf } = require('../services/orderPdfService');
+const { priceOrder } = require('../services/orderPricingService');
+const { renderUblXml } = require('../services/ublInvoiceService');
+const { renderInvoiceQrPng } = require('../services/invoiceQrService');
+const { toMinor, fromMinor, roundMoney, sumMoney, percentOfMinor } = require('../utils/money');
+const { createZip } = require('../utils/zip');
+const { findAccount } = require('../services/accountService');
+const { getBaseCurrency } = require('../services/exchangeRateService');
+const { creditPosition, checkCredit } = require('../services/creditControlService');
+const { getBackorderPolicy, checkAvailability, allocateBackorders, listBackorders } = require('../services/backorderService');
+const { resolveLocation } = require('../services/locationService');
+const StockLevel = require('../models/StockLevel');
+const StockLot = require('../models/StockLot');
+const {
+  ORDER_METHOD_TO_PAYMENT_METHOD,
+  recalculateAccountBalance,
+  recordPayment,
+  transferPayments
+} = require('../services/paymentService');
+const Payment = require('../models/Payment');
 const { 
   validateCompanyOwnership, 
   buildCompanyQuery 
 } = require('../middleware/companyIsolation');
 
+// Delivery charge of a back-order invoice split off an order that already carries it
+const NO_DELIVERY = { deliveryCost: 0, totalWeight: 0, breakdown: [] };
+
+// Fields PUT /api/orders/:id may change. Status, review and payment have their own rules;
+// the document type, number, links, location, pricing and credit check are never edited
+const ORDER_UPDATE_FIELDS = ['customer', 'items', 'shipping', 'orderStatus', 'notes', 'currency'];
+
+const pickOrderUpdateFields = (body) => ORDER_UPDATE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+/**
+ * Credit limit check for a new credit invoice; other orders need none
+ * @param {Object} orderData - Order being created (priced)
+ * @param {Object} options - { companyId, override, user, alreadyPaid }
+ *   override is an optional { reason } approving a sale beyond the limit;
+ *   alreadyPaid is money received before invoicing (e.g. a proforma deposit)
+ * @param {ClientSession} session - Transaction session
+ * @returns {Promise<Object>} Order creditCheck fields
+ */
+const runCreditCheck = async (orderData, { companyId, override, user, alreadyPaid = 0 }, session) => {
+  if (orderData.orderType !== 'invoice' || orderData.payment?.method !== 'credit') {
+    return { status: 'not_required' };
+  }
+
+  const company = await Company.findById(companyId).select('creditControl').session(session);
+  const account = await findAccount(companyId, orderData.customer?.account, session);
+
+  return checkCredit({
+    account,
+    // Credit limits are in the company's base currency
+    amount: roundMoney(Math.max(0, orderData.pricing.total - alreadyPaid) * (orderData.pricing.exchangeRate || 1)),
+    policy: company?.creditControl?.policy,
+    override,
+    user
+  });
+};
+
+/**
+ * Price and create an order inside the caller's transaction
+ * @param {Object} orderData - Order body with requested items; filled in with prices
+ * @param {Object} options - { companyId, currency, creditOverride, user, delivery }
+ *   delivery is an already priced delivery charge to use instead of pricing one on the items
+ * @param {ClientSession} session - Transaction session
+ * @returns {Promise<Object>} Created Order document
+ */
+const createPricedOrder = async (orderData, { companyId, currency, creditOverride, user, delivery }, session) => {
+  // Prices, VAT and delivery come from the pricing engine, never the client
+  const quote = await priceOrder({
+    companyId,
+    items: orderData.items,
+    customer: orderData.customer,
+    shipping: orderData.shipping,
+    orderStatus: orderData.orderStatus,
+    currency,
+    delivery
+  }, session);
+
+  orderData.items = quote.items;
+  orderData.pricing = quote.pricing;
+
+  // Link the order to its account; the account name is the customer name on documents
+  if (quote.account) {
+    orderData.customer.account = quote.account._id;
+    orderData.customer.companyName = quote.account.name;
+  }
+  orderData.creditCheck = await runCreditCheck(orderData, { companyId, override: creditOverride, user }, session);
+
+  // Set created by
+  orderData.createdBy = user.id;
+
+  const [order] = await Order.create([orderData], { session });
+  return order;
+};
+
 // @desc    Get all orders
 // @route   GET /api/orders
 // @access  Private
@@ -17,6 +118,7 @@ const getOrders = async (req, res) => {
       status,
       orderType,
       company,
+      account,
       orderStatus,
       startDate,
       endDate,
@@ -33,6 +135,9 @@ const getOrders = async (req, res) => {
     }
 
     const companyId = req.user.company._id || req.user.company;
+
+    // Mark quotations past their validity date as expired before listing
+    await Order.expireQuotations(companyId);
     
     // Build query - Orders use customer.company field
     let query = { 'customer.company': companyId };
@@ -69,6 +174,17 @@ const getOrders = async (req, res) => {
       query.orderStatus = orderStatus;
     }
 
+    // Account filter (the account is matched within the company query above)
+    if (account) {
+      if (!mongoose.isValidObjectId(account)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid account ID format'
+        });
+      }
+      query['customer.account'] = account;
+    }
+
     // Date range filter
     if (startDate || endDate) {
       query.createdAt = {};
@@ -178,138 +294,298 @@ const getOrder = async (req, res) => {
   }
 };
 
+/**
+ * Apply the side effects of issuing an invoice, inside the caller's transaction:
+ * deduct stock, update the account balance of credit orders and record sales history.
+ * Lines take what is in stock at the invoice's location, lots first-expired-first-out and
+ * never expired lots; the rest is back-ordered (the stock policy has already rejected or
+ * split invoices that may not be back-ordered).
+ * @param {Object} order - Saved invoice Order document
+ * @param {ClientSession} session - Transaction session
+ */
+const bookInvoice = async (order, session) => {
+  const companyId = order.customer.company;
+  const location = await resolveLocation(companyId, order.location, session);
+  order.location = location._id;
+
+  for (let item of order.items) {
+    const product = await Product.findOne({
+      _id: item.product,
+      company: companyId
+    }).session(session);
+
+    if (!product) {
+      throw new HttpError(400, `Product "${item.productName}" not found`);
+    }
+
+    const level = await StockLevel.forProduct(product, location._id, session);
+    const allocated = Math.min(item.quantity, await StockLot.sellable(level, session));
+    item.backorderedQuantity = item.quantity - allocated;
+
+    // Saved through the product's transaction session
+    if (allocated > 0) {
+      const movement = await product.updateStock(allocated, 'subtract', {
+        location: location._id,
+        reason: 'sale',
+        order: order._id,
+        reference: order.orderNumber,
+        user: order.createdBy
+      });
+      order.addShippedLots(item, movement.lots);
+    }
+  }
+
+  if (order.isModified()) {
+    await order.save({ session });
+  }
+
+  // Credit invoices are receivables: recalculate the account balance from the ledger
+  if (order.payment?.method === 'credit') {
+    await recalculateAccountBalance(companyId, order.customer?.account, session);
+  }
+
+  // Update company sales history
+  const company = await Company.findById(companyId).session(session);
+  if (company && company.salesHistory) {
+    for (let item of order.items) {
+      company.salesHistory.push({
+        productId: item.product,
+        productName: item.productName,
+        brand: item.brand,
+        category: item.category,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        totalPrice: item.totalPrice,
+        paymentType: order.payment.method,
+        orderDate: new Date(),
+        orderId: order._id
+      });
+    }
+    await company.save();
+  }
+};
+
+/**
+ * Reverse bookInvoice for an invoice that has been cancelled or deleted: stock still with
+ * the invoice goes back into the lots it was taken from and fills waiting back-orders, its
+ * sales history is removed and a credit invoice's account balance is recalculated.
+ * Call it after the invoice is saved as cancelled (or deleted) so back-orders skip it.
+ * @param {Object} order - Invoice Order document
+ * @param {Object} options - { note, user, session }
+ */
+const unbookInvoice = async (order, { note, user, session }) => {
+  const companyId = order.customer.company;
+  const restoredProducts = [];
+
+  for (let item of order.items) {
+    // Back-ordered quantity was never taken and returned quantity is already restocked
+    const held = item.quantity - (item.backorderedQuantity || 0) - (item.returnedQuantity || 0);
+    const product = held > 0 && await Product.findOne({
+      _id: item.product,
+      company: companyId
+    }).session(session);
+
+    if (product) {
+      await product.updateStock(held, 'add', {
+        location: order.location,
+        lots: item.lots.map(lot => ({
+          lotNumber: lot.lotNumber,
+          expiryDate: lot.expiryDate,
+          quantity: lot.quantity - (lot.returnedQuantity || 0)
+        })),
+        reason: 'adjustment',
+        order: order._id,
+        reference: order.orderNumber,
+        note,
+        user
+      });
+      restoredProducts.push(product);
+    }
+  }
+
+  // Restored stock goes to other invoices waiting for it
+  for (const product of restoredProducts) {
+    await allocateBackorders(product, { location: order.location, user, session });
+  }
+
+  // The invoice no longer counts towards the account balance
+  if (order.payment?.method === 'credit') {
+    await recalculateAccountBalance(companyId, order.customer?.account, session);
+  }
+
+  const company = await Company.findById(companyId).session(session);
+  const sales = company?.salesHistory?.filter(entry => entry.orderId?.toString() === order._id.toString()) || [];
+  if (sales.length > 0) {
+    sales.forEach(entry => company.salesHistory.pull(entry._id));
+    await company.save();
+  }
+};
+
 // @desc    Create new order
 // @route   POST /api/orders
 // @access  Private
+// @atomic  Stock, order, account balance and sales history are written in one transaction
+// @note    Only invoices deduct stock; quotations and proformas are converted later
 const createOrder = async (req, res) => {
-  try {
-    const orderData = req.body;
+  // STRICT ISOLATION: User MUST have a company
+  if (!req.user || !req.user.company) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. User must be associated with a company.'
+    });
+  }
 
-    // STRICT ISOLATION: User MUST have a company
-    if (!req.user || !req.user.company) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. User must be associated with a company.'
-      });
-    }
+  const companyId = req.user.company._id || req.user.company;
+  const session = await mongoose.startSession();
 
-    const companyId = req.user.company._id || req.user.company;
+  try {
+    const orderData = req.body;
 
     // CRITICAL: Force company to user's company (prevent cross-company creation)
     // Override any company field in request body
     orderData.customer = orderData.customer || {};
     orderData.customer.company = companyId;  // Always use authenticated user's company
 
-    // Calculate totals
-    let subtotal = 0;
-    let totalVat = 0;
-
-    // Process items and calculate totals
-    for (let item of orderData.items) {
-      const product = await Product.findById(item.product)
-        .populate('brand', 'name')
-        .populate('category', 'name');
-      
-      if (!product) {
-        return res.status(400).json({
-          success: false,
-          message: `Product with ID ${item.product} not found`
-        });
-      }
-
-      // Verify product belongs to user's company (strict company filter)
-      if (!product.company) {
-        return res.status(403).json({
-          success: false,
-          message: `Access denied. Product "${product.name}" is not associated with a company.`
-        });
-      }
-      
-      if (product.company.toString() !== companyId.toString()) {
-        return res.status(403).json({
-          success: false,
-          message: `Access denied. Product "${product.name}" does not belong to your company.`
-        });
-      }
-
-      // Update product stock
-      await product.updateStock(item.quantity, 'subtract');
-
-      // Calculate item totals
-      const itemSubtotal = item.unitPrice * item.quantity;
-      const itemVat = itemSubtotal * (item.vatRate / 100);
-
-      subtotal += itemSubtotal;
-      totalVat += itemVat;
-
-      // Set item data - use provided values or from product
-      item.productName = item.productName || product.name;
-      item.brand = item.brand || (product.brand?.name || product.brand || 'Unknown');
-      item.category = item.category || (product.category?.name || product.category || 'Unknown');
-      item.vatAmount = itemVat;
-      item.totalPrice = itemSubtotal + itemVat;
+    // Credit notes must reference an invoice, so they only come from the return flow
+    if (orderData.orderType === 'credit') {
+      return res.status(400).json({
+        success: false,
+        message: 'Credit notes are created by recording a return against an invoice (POST /api/orders/:id/returns)'
+      });
     }
 
-    // Calculate delivery cost
-    const deliveryCost = subtotal >= 50 ? 0 : 2;
+    // New orders always start at the beginning of the status workflow
+    delete orderData.status;
+    delete orderData.accountantReviewStatus;
+    delete orderData.statusHistory;
+
+    // Payment status is derived from the Payment ledger; 'paid' at creation records a full payment
+    const paidUpFront = orderData.payment?.status === 'paid';
+    if (orderData.payment) {
+      delete orderData.payment.status;
+      delete orderData.payment.paidAt;
+      delete orderData.payment.amountPaid;
+      delete orderData.payment.amountRefunded;
+    }
 
-    // Set pricing
-    orderData.pricing = {
-      subtotal,
-      deliveryCost,
-      totalVat,
-      total: subtotal + deliveryCost + totalVat,
-      currency: 'BD'
-    };
+    // Credit checks are always run server-side; an override only carries the approver's reason
+    const creditOverride = orderData.creditOverride;
+    delete orderData.creditOverride;
+    delete orderData.creditCheck;
+
+    // The order currency is a pricing input; the rate applied is stored on pricing
+    const currency = orderData.currency;
+    delete orderData.currency;
+
+    // Document links are only set by conversions and back-order splits; quotations start open
+    delete orderData.sourceDocument;
+    delete orderData.convertedTo;
+    delete orderData.backorderOf;
+    orderData.quotation = orderData.orderType === 'quotation'
+      ? { validUntil: orderData.quotation?.validUntil }
+      : undefined;
+
+    const requestedItems = orderData.items;
+    const requestedLocation = orderData.location;
+    const pricingOptions = { companyId, currency, creditOverride, user: req.user };
+    let order;
+    let backorder;
+    let shortages;
+
+    // withTransaction may retry the callback on transient errors, so everything
+    // it computes is rebuilt from scratch on every attempt
+    await session.withTransaction(async () => {
+      orderData.items = requestedItems;
+      backorder = null;
+      shortages = [];
+      let backorderItems = [];
+      let delivery;
+
+      // Orders are picked from the chosen location, else the company's default location
+      const location = await resolveLocation(companyId, requestedLocation, session);
+      orderData.location = location._id;
+
+      // Invoices are checked against stock under the company's back-order policy
+      if (orderData.orderType === 'invoice') {
+        const availability = await checkAvailability(companyId, requestedItems, location, session);
+        shortages = availability.shortages;
+
+        if (shortages.length > 0) {
+          const policy = await getBackorderPolicy(companyId, session);
+          if (policy === 'reject') {
+            throw new HttpError(400, 'Not enough stock for this invoice', { shortages });
+          }
 
-    // Set created by
-    orderData.createdBy = req.user.id;
-
-    // Create order
-    const order = await Order.create(orderData);
-
-    // If payment method is Credit, deduct from account's currentBalance immediately
-    if (orderData.payment?.method === 'credit' && order.pricing?.total) {
-      try {
-        const Account = require('../models/Account');
-        const accountName = orderData.customer?.companyName;
-        
-        if (accountName) {
-          const account = await Account.findOne({ name: accountName });
-          if (account) {
-            account.currentBalance = (account.currentBalance || 0) + order.pricing.total;
-            await account.save();
+          // Split: invoice what is in stock now and the missing quantity on a back-order invoice
+          // (with nothing in stock at all there is nothing to split off)
+          if (policy === 'split' && availability.lines.some(line => line.available > 0)) {
+            const withQuantity = (key) => requestedItems
+              .map((item, index) => ({ ...item, quantity: availability.lines[index][key] }))
+              .filter(item => item.quantity > 0);
+            orderData.items = withQuantity('available');
+            backorderItems = withQuantity('missing');
+
+            // Delivery is priced once on the whole order and charged on the in-stock invoice;
+            // the back-order invoice is delivered free
+            ({ delivery } = await priceOrder({
+              companyId,
+              items: requestedItems,
+              customer: orderData.customer,
+              shipping: orderData.shipping,
+              orderStatus: orderData.orderStatus,
+              currency
+            }, session));
           }
         }
-      } catch (accountError) {
-        console.error('Error updating account balance on order creation:', accountError);
-        // Don't fail the order creation if account update fails
       }
-    }
 
-    // Update company sales history and balance
-    try {
-      const company = await Company.findById(orderData.customer.company);
-      if (company && company.salesHistory) {
-        for (let item of orderData.items) {
-          company.salesHistory.push({
-            productId: item.product,
-            productName: item.productName,
-            brand: item.brand,
-            category: item.category,
-            quantity: item.quantity,
-            unitPrice: item.unitPrice,
-            totalPrice: item.totalPrice,
-            paymentType: orderData.payment.method,
-            orderDate: new Date(),
-            orderId: order._id
-          });
+      // Create order
+      order = await createPricedOrder(orderData, { ...pricingOptions, delivery }, session);
+
+      // Orders submitted from a draft (POST /api/drafts/:id/submit) close it in the same
+      // transaction, so a draft can only become one order
+      if (req.draft) {
+        const closed = await OrderDraft.updateOne(
+          { _id: req.draft._id, status: 'open' },
+          { $set: { status: 'submitted', order: order._id, submittedAt: new Date() } },
+          { session }
+        );
+        if (closed.modifiedCount === 0) {
+          throw new HttpError(400, 'Draft has already been submitted');
         }
-        await company.save();
       }
-    } catch (companyError) {
-      console.error('Error updating company sales history:', companyError);
-      // Don't fail the order creation if company update fails
+
+      // Quotations and proformas are not sales yet - only invoices move stock and balances
+      if (order.orderType === 'invoice') {
+        await bookInvoice(order, session);
+      }
+
+      if (backorderItems.length > 0) {
+        backorder = await createPricedOrder({
+          ...orderData,
+          customer: { ...orderData.customer },
+          items: backorderItems,
+          backorderOf: order._id
+        }, { ...pricingOptions, delivery: NO_DELIVERY }, session);
+        await bookInvoice(backorder, session);
+      }
+
+      if (paidUpFront && ['invoice', 'proforma'].includes(order.orderType)) {
+        for (const paidOrder of [order, backorder].filter(Boolean)) {
+          await recordPayment(paidOrder, {
+            method: ORDER_METHOD_TO_PAYMENT_METHOD[paidOrder.payment.method],
+            amount: paidOrder.pricing.total,
+            reference: paidOrder.payment.transactionId,
+            notes: 'Paid at order creation'
+          }, req.user, session);
+        }
+      }
+    });
+
+    // Render the document PDF and fill in order.invoicePdf
+    await tryStoreOrderPdf(order);
+    if (backorder) {
+      await tryStoreOrderPdf(backorder);
     }
 
     // Populate and return order
@@ -318,31 +594,116 @@ const createOrder = async (req, res) => {
       .populate('items.product', 'name sku brand category pricing')
       .populate('createdBy', 'name email role');
 
+    // Credit sales report the account's remaining credit after booking
+    const account = order.creditCheck.status !== 'not_required'
+      ? await findAccount(companyId, order.customer.account)
+      : null;
+
+    const populatedBackorder = backorder
+      ? await Order.findById(backorder._id)
+        .populate('customer.company', 'name location')
+        .populate('items.product', 'name sku brand category pricing')
+        .populate('createdBy', 'name email role')
+      : undefined;
+
     res.status(201).json({
       success: true,
-      data: populatedOrder
+      data: populatedOrder,
+      // Stock shortfall at order time, and the invoice it was split off to under the 'split' policy
+      shortages: shortages.length > 0 ? shortages : undefined,
+      backorder: populatedBackorder,
+      credit: account ? creditPosition(account) : undefined
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
     console.error('Create order error:', error);
     res.status(500).json({
       success: false,
       message: error.message || 'Error creating order',
       error: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// @desc    Preview exactly what the server would charge for an order
+// @route   POST /api/orders/quote-preview
+// @access  Private
+// @isolation STRICT - Uses only the products, accounts and rules of user's company
+const previewOrderQuote = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const { items, customer, shipping, orderStatus = 'Normal', currency } = req.body;
+
+    const quote = await priceOrder({ companyId, items, customer, shipping, orderStatus, currency });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        items: quote.items,
+        pricing: quote.pricing,
+        delivery: {
+          totalWeight: quote.delivery.totalWeight,
+          breakdown: quote.delivery.breakdown
+        },
+        account: quote.account
+          ? { _id: quote.account._id, name: quote.account.name, priceList: quote.account.priceList }
+          : null
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Quote preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error calculating order price'
+    });
   }
 };
 
 // @desc    Update order
 // @route   PUT /api/orders/:id
 // @access  Private
+// @atomic  Every check runs before any write; status (with a cancelled invoice's restock and
+//          balance), payment and field changes are written in one transaction
 const updateOrder = async (req, res) => {
+  // STRICT ISOLATION: User MUST have a company
+  if (!req.user || !req.user.company) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. User must be associated with a company.'
+    });
+  }
+
+  const companyId = req.user.company._id || req.user.company;
+  const session = await mongoose.startSession();
+
   try {
-    const order = await Order.findById(req.params.id);
+    // Query with company filter FIRST - prevents cross-company access
+    const order = await Order.findOne({
+      _id: req.params.id,
+      'customer.company': companyId
+    });
 
     if (!order) {
       return res.status(404).json({
         success: false,
-        message: 'Order not found'
+        message: 'Order not found or access denied'
       });
     }
 
@@ -366,84 +727,182 @@ const updateOrder = async (req, res) => {
       });
     }
 
-    // Check if status is being changed to APPROVED
-    const isApproving = req.body.accountantReviewStatus === 'APPROVED' && 
-                       order.accountantReviewStatus !== 'APPROVED';
-    
-    // If accountant is updating accountantReviewStatus, sync it to status field for admin and salesman visibility
-    if (req.user.role === 'accountant' && req.body.accountantReviewStatus) {
-      // Map accountantReviewStatus to regular status
-      const statusMap = {
-        'PENDING_REVIEW': 'pending',
-        'UNDER_REVIEW': 'processing',
-        'APPROVED': 'confirmed',
-        'REJECTED': 'cancelled',
-        'CANCELLED': 'cancelled'
-      };
-      
-      // Update the regular status field to match accountantReviewStatus
-      req.body.status = statusMap[req.body.accountantReviewStatus] || order.status;
+    // Status changes go through the state machine, never through a plain update
+    const { status, accountantReviewStatus, statusReason, payment: paymentUpdate } = req.body;
+    const updates = pickOrderUpdateFields(req.body);
+
+    // Payment status is derived from the Payment ledger: only the method and transaction ID
+    // are editable here, and marking an order paid records a payment for the balance due
+    if (paymentUpdate?.method) {
+      // A credit invoice is a receivable checked against the credit limit when it is issued
+      const changesCredit = (paymentUpdate.method === 'credit') !== (order.payment.method === 'credit');
+      if (changesCredit && order.orderType === 'invoice') {
+        return res.status(400).json({
+          success: false,
+          message: 'An invoice cannot be changed to or from credit payment'
+        });
+      }
+      updates['payment.method'] = paymentUpdate.method;
+    }
+    if (paymentUpdate?.transactionId !== undefined) {
+      updates['payment.transactionId'] = paymentUpdate.transactionId;
     }
     
     // Set updated by
-    req.body.updatedBy = req.user.id;
+    updates.updatedBy = req.user.id;
+
+    const changesAccount = updates.customer?.account !== undefined
+      && String(updates.customer.account) !== String(order.customer.account);
 
-    // Recalculate totals if items changed
-    if (req.body.items) {
-      order.calculateTotals();
+    if (changesAccount && !['quotation', 'proforma'].includes(order.orderType)) {
+      return res.status(400).json({
+        success: false,
+        message: `The account of a ${order.orderType} cannot be changed`
+      });
     }
 
-    // Update with company filter to prevent cross-company updates
-    const updatedOrder = await Order.findOneAndUpdate(
-      {
-        _id: req.params.id,
+    // Customer edits are merged onto the stored customer so the account link is kept
+    if (updates.customer) {
+      updates.customer = { ...order.customer.toObject(), ...updates.customer };
+    }
+
+    const changesCurrency = updates.currency !== undefined && updates.currency !== order.pricing.currency;
+    const currency = updates.currency || order.pricing.currency;
+    delete updates.currency;
+
+    if (changesCurrency && !['quotation', 'proforma'].includes(order.orderType)) {
+      return res.status(400).json({
+        success: false,
+        message: `The currency of a ${order.orderType} cannot be changed`
+      });
+    }
+
+    const changesPricing = updates.items
+      || changesAccount
+      || changesCurrency
+      || updates.orderStatus !== undefined
+      || updates.shipping?.city !== undefined
+      || updates.shipping?.area !== undefined
+      || updates.customer?.companyName !== undefined;
+
+    if (updates.items && !['quotation', 'proforma'].includes(order.orderType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Items of a ${order.orderType} cannot be changed${order.orderType === 'invoice' ? '; record a return instead' : ''}`
+      });
+    }
+
+    // Issued invoices and credit notes keep their prices; open quotations and proformas are repriced
+    if (changesPricing && ['quotation', 'proforma'].includes(order.orderType)) {
+      if (order.convertedTo) {
+        return res.status(400).json({
+          success: false,
+          message: `This ${order.orderType} has already been converted and cannot be repriced`
+        });
+      }
+
+      const quote = await priceOrder({
+        companyId,
+        items: updates.items || order.items.map(item => ({ product: item.product, quantity: item.quantity })),
+        customer: updates.customer || order.customer.toObject(),
+        shipping: { ...order.shipping.toObject(), ...updates.shipping },
+        orderStatus: updates.orderStatus || order.orderStatus,
+        currency
+      });
+
+      if (quote.pricing.total < (order.payment.amountPaid || 0)) {
+        return res.status(400).json({
+          success: false,
+          message: `The new total of ${quote.pricing.total.toFixed(3)} is below the ${order.payment.amountPaid.toFixed(3)} already paid`
+        });
+      }
+
+      updates.items = quote.items;
+      updates.pricing = quote.pricing;
+
+      if (quote.account) {
+        updates.customer = {
+          ...(updates.customer || order.customer.toObject()),
+          account: quote.account._id,
+          companyName: quote.account.name
+        };
+      }
+    }
+
+    await session.withTransaction(async () => {
+      const current = await Order.findOne({
+        _id: order._id,
         'customer.company': companyId
-      },
-      req.body,
-      {
-        new: true,
-        runValidators: true
+      }).session(session);
+
+      // Refused transitions throw before anything is written
+      const previousStatus = current.status;
+      if (accountantReviewStatus && accountantReviewStatus !== current.accountantReviewStatus) {
+        current.applyReviewStatus(accountantReviewStatus, req.user, statusReason);
+      }
+      if (status && status !== current.status) {
+        current.transitionStatus(status, req.user, statusReason);
       }
-    )
+      if (current.isModified()) {
+        await current.save();
+      }
+      if (current.orderType === 'invoice' && current.status === 'cancelled' && previousStatus !== 'cancelled') {
+        await unbookInvoice(current, { note: 'Invoice cancelled', user: req.user._id, session });
+      }
+
+      if (paymentUpdate?.status === 'paid' && current.balanceDue > 0) {
+        await recordPayment(current, {
+          method: ORDER_METHOD_TO_PAYMENT_METHOD[paymentUpdate.method || current.payment.method],
+          amount: current.balanceDue,
+          reference: paymentUpdate.transactionId,
+          notes: 'Marked as paid'
+        }, req.user, session);
+      }
+
+      // Update with company filter to prevent cross-company updates
+      await Order.findOneAndUpdate(
+        {
+          _id: order._id,
+          'customer.company': companyId
+        },
+        updates,
+        {
+          new: true,
+          runValidators: true,
+          session
+        }
+      );
+    });
+
+    const updatedOrder = await Order.findOne({
+      _id: order._id,
+      'customer.company': companyId
+    })
       .populate('customer.company', 'name location')
       .populate('items.product', 'name sku brand category pricing')
       .populate('createdBy', 'name email role')
       .populate('updatedBy', 'name email role');
 
-    // If payment status is being changed to 'paid' for a credit order, restore credit limit
-    const isMarkingPaid = req.body.payment?.status === 'paid' && 
-                         updatedOrder.payment?.method === 'credit' &&
-                         order.payment?.status !== 'paid';
-    
-    if (isMarkingPaid && updatedOrder.pricing?.total) {
-      try {
-        const Account = require('../models/Account');
-        const accountName = updatedOrder.customer?.companyName;
-        
-        if (accountName) {
-          const account = await Account.findOne({ name: accountName });
-          if (account) {
-            // Restore credit limit by subtracting the order total
-            account.currentBalance = Math.max(0, (account.currentBalance || 0) - updatedOrder.pricing.total);
-            await account.save();
-          }
-        }
-      } catch (accountError) {
-        console.error('Error restoring account balance:', accountError);
-        // Don't fail the order update if account update fails
-      }
-    }
-
     res.status(200).json({
       success: true,
       data: updatedOrder
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
     console.error('Update order error:', error);
     res.status(500).json({
       success: false,
       message: 'Error updating order'
     });
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -451,50 +910,50 @@ const updateOrder = async (req, res) => {
 // @route   PATCH /api/orders/:id/status
 // @access  Private
 // @isolation STRICT - Verifies order belongs to user's company
+// @atomic  Status change and, for a cancelled invoice, its restock and account balance in one transaction
 const updateOrderStatus = async (req, res) => {
-  try {
-    // STRICT ISOLATION: User MUST have a company
-    if (!req.user || !req.user.company) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. User must be associated with a company.'
-      });
-    }
+  // STRICT ISOLATION: User MUST have a company
+  if (!req.user || !req.user.company) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. User must be associated with a company.'
+    });
+  }
 
-    const companyId = req.user.company._id || req.user.company;
-    const { status } = req.body;
+  const companyId = req.user.company._id || req.user.company;
+  const { status, reason } = req.body;
+  const session = await mongoose.startSession();
 
-    // Query with company filter FIRST - prevents cross-company access
-    const order = await Order.findOne({
-      _id: req.params.id,
-      'customer.company': companyId
-    });
+  try {
+    await session.withTransaction(async () => {
+      // Query with company filter FIRST - prevents cross-company access
+      const order = await Order.findOne({
+        _id: req.params.id,
+        'customer.company': companyId
+      }).session(session);
 
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found or access denied'
-      });
-    }
+      if (!order) {
+        throw new HttpError(404, 'Order not found or access denied');
+      }
 
-    // Double-check ownership (defense in depth)
-    const orderCompanyId = order.customer?.company?._id?.toString() || order.customer?.company?.toString();
-    if (orderCompanyId !== companyId.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. This order belongs to a different company.'
-      });
-    }
+      // Double-check ownership (defense in depth)
+      const orderCompanyId = order.customer?.company?._id?.toString() || order.customer?.company?.toString();
+      if (orderCompanyId !== companyId.toString()) {
+        throw new HttpError(403, 'Access denied. This order belongs to a different company.');
+      }
 
-    // For salesmen, only allow status updates to their own orders
-    if (req.user.role === 'salesman' && order.createdBy?.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You can only update your own orders.'
-      });
-    }
+      // For salesmen, only allow status updates to their own orders
+      if (req.user.role === 'salesman' && order.createdBy?.toString() !== req.user._id.toString()) {
+        throw new HttpError(403, 'Access denied. You can only update your own orders.');
+      }
 
-    await order.updateStatus(status, req.user.id);
+      // Validated against the role's transition graph and recorded in statusHistory
+      await order.updateStatus(status, req.user, reason);
+
+      if (order.orderType === 'invoice' && order.status === 'cancelled') {
+        await unbookInvoice(order, { note: 'Invoice cancelled', user: req.user._id, session });
+      }
+    });
 
     // Fetch updated order with company filter
     const updatedOrder = await Order.findOne({
@@ -511,31 +970,498 @@ const updateOrderStatus = async (req, res) => {
       data: updatedOrder
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
     console.error('Update order status error:', error);
     res.status(500).json({
       success: false,
       message: 'Error updating order status'
     });
+  } finally {
+    await session.endSession();
   }
 };
 
-// @desc    Delete order
-// @route   DELETE /api/orders/:id
-// @access  Private (Owner/Admin)
-// @isolation STRICT - Verifies order belongs to user's company before deletion
-const deleteOrder = async (req, res) => {
-  try {
-    // STRICT ISOLATION: User MUST have a company
-    if (!req.user || !req.user.company) {
-      return res.status(403).json({
+// @desc    Convert a quotation to a proforma or invoice, or a proforma to an invoice
+// @route   POST /api/orders/:id/convert
+// @access  Private
+// @isolation STRICT - Verifies order belongs to user's company
+// @atomic  New document, source link and invoice stock deduction are written in one transaction
+const convertOrder = async (req, res) => {
+  // STRICT ISOLATION: User MUST have a company
+  if (!req.user || !req.user.company) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. User must be associated with a company.'
+    });
+  }
+
+  const companyId = req.user.company._id || req.user.company;
+  const session = await mongoose.startSession();
+
+  try {
+    let converted;
+
+    await session.withTransaction(async () => {
+      // Query with company filter FIRST - prevents cross-company access
+      const source = await Order.findOne({
+        _id: req.params.id,
+        'customer.company': companyId
+      }).session(session);
+
+      if (!source) {
+        throw new HttpError(404, 'Order not found or access denied');
+      }
+
+      // For salesmen, only allow converting their own orders
+      if (req.user.role === 'salesman' && source.createdBy?.toString() !== req.user._id.toString()) {
+        throw new HttpError(403, 'Access denied. You can only convert your own orders.');
+      }
+
+      // Next step in the chain unless a target is given: quotation -> proforma -> invoice
+      const targetType = req.body.targetType || (source.orderType === 'quotation' ? 'proforma' : 'invoice');
+      const conversionError = source.checkConversion(targetType);
+      if (conversionError) {
+        throw new HttpError(400, conversionError);
+      }
+
+      const sourceData = source.toObject();
+
+      // Picked from the location given for the conversion, else the source document's
+      const location = await resolveLocation(companyId, req.body.location || sourceData.location, session);
+
+      // The invoice keeps the lines and prices the customer accepted, so missing stock is
+      // back-ordered on it under both the 'backorder' and 'split' policies
+      if (targetType === 'invoice') {
+        const { shortages } = await checkAvailability(companyId, sourceData.items, location, session);
+        if (shortages.length > 0 && await getBackorderPolicy(companyId, session) === 'reject') {
+          throw new HttpError(400, 'Not enough stock to issue this invoice', { shortages });
+        }
+      }
+
+      const convertedData = {
+        orderType: targetType,
+        customer: sourceData.customer,
+        items: sourceData.items.map(({ _id, ...item }) => item),
+        pricing: sourceData.pricing,
+        payment: {
+          method: sourceData.payment.method
+        },
+        orderStatus: sourceData.orderStatus,
+        shipping: {
+          address: sourceData.shipping.address,
+          city: sourceData.shipping.city,
+          area: sourceData.shipping.area,
+          country: sourceData.shipping.country
+        },
+        notes: sourceData.notes,
+        location: location._id,
+        sourceDocument: source._id,
+        createdBy: req.user.id
+      };
+
+      // Issuing a credit invoice is when the sale hits the account's credit
+      convertedData.creditCheck = await runCreditCheck(convertedData, {
+        companyId,
+        override: req.body.creditOverride,
+        user: req.user,
+        alreadyPaid: source.payment.amountPaid || 0
+      }, session);
+
+      [converted] = await Order.create([convertedData], { session });
+
+      source.convertedTo = converted._id;
+      source.updatedBy = req.user.id;
+      if (source.orderType === 'quotation') {
+        source.quotation.status = 'accepted';
+        source.quotation.respondedAt = source.quotation.respondedAt || new Date();
+      }
+      await source.save();
+
+      if (converted.orderType === 'invoice') {
+        await bookInvoice(converted, session);
+      }
+
+      // Deposits taken against a proforma follow it onto the invoice
+      await transferPayments(source, converted, session);
+    });
+
+    await tryStoreOrderPdf(converted);
+
+    const populatedOrder = await Order.findById(converted._id)
+      .populate('customer.company', 'name location')
+      .populate('items.product', 'name sku brand category pricing')
+      .populate('createdBy', 'name email role')
+      .populate('sourceDocument', 'orderNumber orderType');
+
+    res.status(201).json({
+      success: true,
+      data: populatedOrder
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Convert order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error converting order'
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// @desc    Record a full or partial return against an invoice and issue a credit note
+// @route   POST /api/orders/:id/returns
+// @access  Private (Owner/Admin/Accountant)
+// @isolation STRICT - Verifies invoice belongs to user's company
+// @atomic  Credit note, restock, account balance and sales history reversal in one transaction
+const createReturn = async (req, res) => {
+  // STRICT ISOLATION: User MUST have a company
+  if (!req.user || !req.user.company) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. User must be associated with a company.'
+    });
+  }
+
+  const companyId = req.user.company._id || req.user.company;
+  const session = await mongoose.startSession();
+
+  try {
+    let creditNote;
+
+    await session.withTransaction(async () => {
+      const invoice = await Order.findOne({
+        _id: req.params.id,
+        'customer.company': companyId
+      }).session(session);
+
+      if (!invoice) {
+        throw new HttpError(404, 'Order not found or access denied');
+      }
+
+      if (invoice.orderType !== 'invoice') {
+        throw new HttpError(400, 'Returns can only be recorded against an invoice');
+      }
+
+      if (invoice.status === 'cancelled' || invoice.status === 'returned') {
+        throw new HttpError(400, `Cannot record a return against a ${invoice.status} invoice`);
+      }
+
+      // Build credit lines from the invoice lines, capped at what is still returnable.
+      // Credit lines follow the invoice's rounding rules, in fils
+      const creditItems = [];
+      let subtotalMinor = 0;
+      let totalVatMinor = 0;
+
+      for (let requested of req.body.items) {
+        const line = invoice.items.id(requested.itemId);
+        if (!line) {
+          throw new HttpError(400, `Invoice line ${requested.itemId} not found`);
+        }
+
+        const returnable = invoice.returnableQuantity(line._id);
+        if (requested.quantity > returnable) {
+          throw new HttpError(400, `Cannot return ${requested.quantity} of "${line.productName}": only ${returnable} left to return`);
+        }
+
+        const lineSubtotalMinor = toMinor(line.unitPrice) * requested.quantity;
+        const lineVatMinor = percentOfMinor(lineSubtotalMinor, line.vatRate);
+
+        subtotalMinor += lineSubtotalMinor;
+        totalVatMinor += lineVatMinor;
+
+        creditItems.push({
+          product: line.product,
+          productName: line.productName,
+          brand: line.brand,
+          category: line.category,
+          quantity: requested.quantity,
+          listPrice: line.listPrice,
+          discount: line.discount,
+          unitPrice: line.unitPrice,
+          priceList: line.priceList,
+          vatRate: line.vatRate,
+          vatExempt: line.vatExempt,
+          vatAmount: fromMinor(lineVatMinor),
+          totalPrice: fromMinor(lineSubtotalMinor + lineVatMinor),
+          lots: invoice.returnLots(line, requested.quantity),
+          sourceItem: line._id,
+          returnReason: requested.reason
+        });
+
+        line.returnedQuantity = (line.returnedQuantity || 0) + requested.quantity;
+      }
+
+      [creditNote] = await Order.create([{
+        orderType: 'credit',
+        customer: invoice.toObject().customer,
+        items: creditItems,
+        pricing: {
+          subtotal: fromMinor(subtotalMinor),
+          deliveryCost: 0,
+          totalVat: fromMinor(totalVatMinor),
+          total: fromMinor(subtotalMinor + totalVatMinor),
+          // Credited at the invoice's rate so the account is credited what it was charged
+          currency: invoice.pricing.currency,
+          baseCurrency: invoice.pricing.baseCurrency,
+          exchangeRate: invoice.pricing.exchangeRate
+        },
+        payment: {
+          method: invoice.payment.method
+        },
+        shipping: {
+          address: invoice.shipping.address,
+          city: invoice.shipping.city,
+          area: invoice.shipping.area,
+          country: invoice.shipping.country
+        },
+        notes: {
+          internal: req.body.notes
+        },
+        location: invoice.location,
+        sourceDocument: invoice._id,
+        createdBy: req.user.id
+      }], { session });
+
+      // Put returned stock back at the invoice's location, into the lots it was shipped from;
+      // it goes to waiting back-orders first (expired lots stay blocked from sale)
+      for (let item of creditItems) {
+        const product = await Product.findOne({
+          _id: item.product,
+          company: companyId
+        }).session(session);
+
+        if (product) {
+          await product.updateStock(item.quantity, 'add', {
+            location: invoice.location,
+            lots: item.lots,
+            reason: 'return',
+            order: creditNote._id,
+            reference: creditNote.orderNumber,
+            user: req.user._id
+          });
+          await allocateBackorders(product, { location: invoice.location, user: req.user._id, session });
+        }
+      }
+
+      // The credit note reduces what a credit account owes
+      if (invoice.payment?.method === 'credit') {
+        await recalculateAccountBalance(companyId, invoice.customer?.account, session);
+      }
+
+      // Reverse the matching sales history entries
+      const company = await Company.findById(companyId).session(session);
+      if (company && company.salesHistory) {
+        for (let item of creditItems) {
+          let remaining = item.quantity;
+          const entries = company.salesHistory.filter(entry =>
+            entry.orderId?.toString() === invoice._id.toString() &&
+            entry.productId?.toString() === item.product.toString()
+          );
+
+          for (let entry of entries) {
+            if (remaining === 0) break;
+            const reversed = Math.min(remaining, entry.quantity);
+            const unitTotal = entry.totalPrice / entry.quantity;
+
+            if (reversed === entry.quantity) {
+              company.salesHistory.pull(entry._id);
+            } else {
+              entry.quantity -= reversed;
+              entry.totalPrice = unitTotal * entry.quantity;
+            }
+            remaining -= reversed;
+          }
+        }
+        await company.save();
+      }
+
+      // A fully returned shipped or delivered invoice moves to 'returned'
+      invoice.updatedBy = req.user.id;
+      invoice.markReturned(req.user);
+      await invoice.save();
+    });
+
+    await tryStoreOrderPdf(creditNote);
+
+    const populatedCreditNote = await Order.findById(creditNote._id)
+      .populate('customer.company', 'name location')
+      .populate('items.product', 'name sku brand category pricing')
+      .populate('createdBy', 'name email role')
+      .populate('sourceDocument', 'orderNumber orderType status');
+
+    res.status(201).json({
+      success: true,
+      data: populatedCreditNote
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Create return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording return'
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// @desc    Get open back-orders: invoice lines still waiting for stock, oldest first, with totals per account
+// @route   GET /api/orders/backorders?account=&product=
+// @access  Private (salesmen see the back-orders of their own invoices)
+// @isolation STRICT - Only invoices of user's company
+const getBackorders = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const { account, product } = req.query;
+
+    for (const [name, value] of Object.entries({ account, product })) {
+      if (value && !mongoose.isValidObjectId(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${name} ID format`
+        });
+      }
+    }
+
+    const lines = await listBackorders(companyId, {
+      account,
+      product,
+      createdBy: req.user.role === 'salesman' ? req.user._id : undefined
+    });
+
+    const byAccount = new Map();
+    lines.forEach(line => {
+      const key = line.account?.toString() || 'none';
+      const entry = byAccount.get(key) || {
+        account: line.account,
+        customerName: line.customerName,
+        invoices: new Set(),
+        lines: 0,
+        backorderedQuantity: 0
+      };
+      entry.invoices.add(line.order.toString());
+      entry.lines++;
+      entry.backorderedQuantity += line.backorderedQuantity;
+      byAccount.set(key, entry);
+    });
+
+    res.status(200).json({
+      success: true,
+      count: lines.length,
+      accounts: [...byAccount.values()].map(entry => ({ ...entry, invoices: entry.invoices.size })),
+      data: lines
+    });
+  } catch (error) {
+    console.error('Get back-orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching back-orders'
+    });
+  }
+};
+
+// @desc    Get returns summary grouped by return reason
+// @route   GET /api/orders/returns/summary
+// @access  Private (Owner/Admin/Accountant)
+const getReturnsSummary = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const { startDate, endDate } = req.query;
+
+    const match = {
+      'customer.company': new mongoose.Types.ObjectId(companyId.toString()),
+      orderType: 'credit'
+    };
+
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = new Date(startDate);
+      if (endDate) match.createdAt.$lte = new Date(endDate);
+    }
+
+    const byReason = await Order.aggregate([
+      { $match: match },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.returnReason',
+          creditNotes: { $addToSet: '$_id' },
+          quantity: { $sum: '$items.quantity' },
+          // In the company's base currency, at each credit note's rate
+          amount: { $sum: { $multiply: ['$items.totalPrice', { $ifNull: ['$pricing.exchangeRate', 1] }] } }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          reason: { $ifNull: ['$_id', 'unspecified'] },
+          creditNotes: { $size: '$creditNotes' },
+          quantity: 1,
+          amount: 1
+        }
+      },
+      { $sort: { amount: -1 } }
+    ]);
+
+    // Aggregates read the stored fils
+    byReason.forEach(row => { row.amount = roundMoney(fromMinor(row.amount)); });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        byReason,
+        totalQuantity: byReason.reduce((sum, row) => sum + row.quantity, 0),
+        totalAmount: sumMoney(byReason.map(row => row.amount))
+      }
+    });
+  } catch (error) {
+    console.error('Get returns summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching returns summary'
+    });
+  }
+};
+
+// @desc    Record the customer's response to a quotation
+// @route   PATCH /api/orders/:id/quotation-status
+// @access  Private
+// @isolation STRICT - Verifies order belongs to user's company
+const updateQuotationStatus = async (req, res) => {
+  try {
+    // STRICT ISOLATION: User MUST have a company
+    if (!req.user || !req.user.company) {
+      return res.status(403).json({
         success: false,
         message: 'Access denied. User must be associated with a company.'
       });
     }
 
     const companyId = req.user.company._id || req.user.company;
-    
-    // Query with company filter FIRST - prevents cross-company access
+    const { status, validUntil } = req.body;
+
     const order = await Order.findOne({
       _id: req.params.id,
       'customer.company': companyId
@@ -548,38 +1474,561 @@ const deleteOrder = async (req, res) => {
       });
     }
 
-    // Double-check ownership (defense in depth)
-    const orderCompanyId = order.customer?.company?._id?.toString() || order.customer?.company?.toString();
-    if (orderCompanyId !== companyId.toString()) {
+    // For salesmen, only allow updates to their own orders
+    if (req.user.role === 'salesman' && order.createdBy?.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. This order belongs to a different company.'
+        message: 'Access denied. You can only update your own orders.'
       });
     }
 
-    // Restore product stock (verify products belong to company)
-    for (let item of order.items) {
-      const product = await Product.findOne({
-        _id: item.product,
-        company: companyId
+    if (order.orderType !== 'quotation') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only quotations have a quotation status'
+      });
+    }
+
+    if (order.convertedTo) {
+      return res.status(400).json({
+        success: false,
+        message: 'This quotation has already been converted'
+      });
+    }
+
+    // Extending the validity date re-opens an expired quotation
+    if (validUntil) {
+      order.quotation.validUntil = new Date(validUntil);
+      if (order.quotation.status === 'expired' && order.quotation.validUntil > new Date()) {
+        order.quotation.status = 'open';
+      }
+    }
+
+    order.syncQuotationExpiry();
+
+    if (status) {
+      if (!['accepted', 'declined'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Quotation status must be accepted or declined'
+        });
+      }
+      if (order.quotation.status === 'expired') {
+        return res.status(400).json({
+          success: false,
+          message: 'This quotation has expired. Extend its validity date first.'
+        });
+      }
+      order.quotation.status = status;
+      order.quotation.respondedAt = new Date();
+    }
+
+    order.updatedBy = req.user.id;
+    await order.save();
+
+    res.status(200).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    console.error('Update quotation status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating quotation status'
+    });
+  }
+};
+
+// @desc    Download the order document as a PDF (rendered on the fly)
+// @route   GET /api/orders/:id/pdf
+// @access  Private
+// @isolation STRICT - Verifies order belongs to user's company
+const downloadOrderPdf = async (req, res) => {
+  try {
+    // STRICT ISOLATION: User MUST have a company
+    if (!req.user || !req.user.company) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. User must be associated with a company.'
+      });
+    }
+
+    const companyId = req.user.company._id || req.user.company;
+
+    const order = await Order.findOne({
+      _id: req.params.id,
+      'customer.company': companyId
+    }).populate('sourceDocument', 'orderNumber orderType');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found or access denied'
+      });
+    }
+
+    // For salesmen, only allow access to their own orders
+    if (req.user.role === 'salesman' && order.createdBy?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only access your own orders.'
+      });
+    }
+
+    const company = await Company.findById(companyId);
+    const buffer = await renderOrderPdf(order, company);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${order.orderNumber}.pdf"`,
+      'Content-Length': buffer.length
+    });
+    res.send(buffer);
+  } catch (error) {
+    console.error('Download order PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating order PDF'
+    });
+  }
+};
+
+// @desc    Regenerate the order document PDF and store it as order.invoicePdf
+// @route   POST /api/orders/:id/pdf
+// @access  Private (Owner/Admin/Accountant)
+// @isolation STRICT - Verifies order belongs to user's company
+const regenerateOrderPdf = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    const order = await Order.findOne({
+      _id: req.params.id,
+      'customer.company': companyId
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found or access denied'
+      });
+    }
+
+    const invoicePdf = await storeOrderPdf(order);
+
+    res.status(200).json({
+      success: true,
+      message: 'Order PDF generated successfully',
+      data: invoicePdf
+    });
+  } catch (error) {
+    console.error('Regenerate order PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating order PDF: ' + (error.message || 'Unknown error')
+    });
+  }
+};
+
+// @desc    Get the tax invoice QR code (TLV/base64 e-invoicing payload) as a PNG
+// @route   GET /api/orders/:id/qr?size=
+// @access  Private
+// @isolation STRICT - Verifies order belongs to user's company
+const getInvoiceQr = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    const order = await Order.findOne({
+      _id: req.params.id,
+      'customer.company': companyId
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found or access denied'
+      });
+    }
+
+    // For salesmen, only allow access to their own orders
+    if (req.user.role === 'salesman' && order.createdBy?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only access your own orders.'
+      });
+    }
+
+    if (order.orderType !== 'invoice') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only tax invoices carry a QR code'
+      });
+    }
+
+    const company = await Company.findById(companyId);
+
+    if (!company?.vatNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set the company VAT number before generating invoice QR codes'
+      });
+    }
+
+    const size = Math.min(Math.max(parseInt(req.query.size, 10) || 300, 100), 1000);
+    const png = await renderInvoiceQrPng(order, company, { width: size });
+
+    res.set({
+      'Content-Type': 'image/png',
+      'Content-Disposition': `inline; filename="${order.orderNumber}-qr.png"`,
+      'Content-Length': png.length
+    });
+    res.send(png);
+  } catch (error) {
+    console.error('Get invoice QR error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating invoice QR code'
+    });
+  }
+};
+
+// Document types that can be exported as UBL e-invoices
+const UBL_ORDER_TYPES = ['invoice', 'credit'];
+
+// Longest date range of a bulk UBL export
+const UBL_EXPORT_MAX_DAYS = 366;
+
+// @desc    Download an invoice or credit note as a UBL 2.1 XML e-invoice
+// @route   GET /api/orders/:id/ubl
+// @access  Private
+// @isolation STRICT - Verifies order belongs to user's company
+const downloadOrderUbl = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    const order = await Order.findOne({
+      _id: req.params.id,
+      'customer.company': companyId
+    })
+      .populate('sourceDocument', 'orderNumber orderType createdAt')
+      .populate('items.product', 'sku');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found or access denied'
+      });
+    }
+
+    // For salesmen, only allow access to their own orders
+    if (req.user.role === 'salesman' && order.createdBy?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only access your own orders.'
+      });
+    }
+
+    if (!UBL_ORDER_TYPES.includes(order.orderType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only invoices and credit notes can be exported as UBL e-invoices'
+      });
+    }
+
+    const [company, account] = await Promise.all([
+      Company.findById(companyId),
+      order.customer.account ? Account.findOne({ _id: order.customer.account, company: companyId }) : null
+    ]);
+
+    const xml = renderUblXml(order, company, account);
+
+    res.set({
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${order.orderNumber}.xml"`
+    });
+    res.send(xml);
+  } catch (error) {
+    console.error('Download order UBL error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating UBL e-invoice'
+    });
+  }
+};
+
+// @desc    Download the invoices and credit notes of a date range as a zip of UBL 2.1 XML files
+// @route   GET /api/orders/export/ubl?from=&to=&type=invoice|credit
+// @access  Private (Owner/Admin/Accountant)
+// @isolation STRICT - Only the company's own documents
+const exportOrdersUbl = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    // The end date is inclusive
+    const from = new Date(req.query.from);
+    const to = new Date(req.query.to);
+    from.setHours(0, 0, 0, 0);
+    to.setHours(23, 59, 59, 999);
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Export start date must be on or before the end date'
+      });
+    }
+
+    if (to - from > UBL_EXPORT_MAX_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `Export at most ${UBL_EXPORT_MAX_DAYS} days at a time`
+      });
+    }
+
+    const orders = await Order.find({
+      'customer.company': companyId,
+      orderType: req.query.type ? req.query.type : { $in: UBL_ORDER_TYPES },
+      status: { $ne: 'cancelled' },
+      createdAt: { $gte: from, $lte: to }
+    })
+      .populate('sourceDocument', 'orderNumber orderType createdAt')
+      .populate('items.product', 'sku')
+      .sort({ createdAt: 1 });
+
+    if (orders.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No invoices or credit notes in this date range'
+      });
+    }
+
+    const accountIds = [...new Set(orders
+      .filter(order => order.customer.account)
+      .map(order => order.customer.account.toString()))];
+
+    const [company, accounts] = await Promise.all([
+      Company.findById(companyId),
+      Account.find({ _id: { $in: accountIds }, company: companyId })
+    ]);
+    const accountsById = new Map(accounts.map(account => [account._id.toString(), account]));
+
+    const zip = createZip(orders.map(order => ({
+      name: `${order.orderNumber}.xml`,
+      content: renderUblXml(order, company, order.customer.account ? accountsById.get(order.customer.account.toString()) : null)
+    })));
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="ubl-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}.zip"`,
+      'Content-Length': zip.length
+    });
+    res.send(zip);
+  } catch (error) {
+    console.error('Export orders UBL error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting UBL e-invoices'
+    });
+  }
+};
+
+// @desc    Get order status timeline
+// @route   GET /api/orders/:id/status-history
+// @access  Private
+// @isolation STRICT - Verifies order belongs to user's company
+const getOrderStatusHistory = async (req, res) => {
+  try {
+    // STRICT ISOLATION: User MUST have a company
+    if (!req.user || !req.user.company) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. User must be associated with a company.'
       });
-      if (product) {
-        await product.updateStock(item.quantity, 'add');
+    }
+
+    const companyId = req.user.company._id || req.user.company;
+
+    const order = await Order.findOne({
+      _id: req.params.id,
+      'customer.company': companyId
+    })
+      .select('orderNumber status accountantReviewStatus orderType shipping statusHistory createdBy')
+      .populate('statusHistory.changedBy', 'name email role');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found or access denied'
+      });
+    }
+
+    // For salesmen, only allow access to their own orders
+    if (req.user.role === 'salesman' && order.createdBy?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only access your own orders.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orderNumber: order.orderNumber,
+        status: order.status,
+        accountantReviewStatus: order.accountantReviewStatus,
+        allowedTransitions: getAllowedTransitions(order, req.user.role),
+        history: order.statusHistory
       }
+    });
+  } catch (error) {
+    console.error('Get order status history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching order status history'
+    });
+  }
+};
+
+// @desc    Approve a flagged credit order beyond the account's credit limit
+// @route   POST /api/orders/:id/credit-override
+// @access  Private (Owner/Admin/Accountant)
+// @isolation STRICT - Verifies order belongs to user's company
+const approveCreditOverride = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const reason = req.body.reason?.trim();
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to approve a credit limit override'
+      });
+    }
+
+    const order = await Order.findOne({
+      _id: req.params.id,
+      'customer.company': companyId
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found or access denied'
+      });
+    }
+
+    if (order.creditCheck?.status !== 'flagged') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only orders flagged over the credit limit need an override'
+      });
     }
 
-    await order.deleteOne();
+    order.creditCheck.status = 'overridden';
+    order.creditCheck.reason = reason;
+    order.creditCheck.approvedBy = req.user.id;
+    order.creditCheck.approvedAt = new Date();
+    order.updatedBy = req.user.id;
+    await order.save();
+
+    const account = await findAccount(companyId, order.customer.account);
+
+    res.status(200).json({
+      success: true,
+      message: 'Credit limit override approved',
+      data: order.creditCheck,
+      credit: account ? creditPosition(account) : undefined
+    });
+  } catch (error) {
+    console.error('Approve credit override error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error approving credit override'
+    });
+  }
+};
+
+// @desc    Delete order
+// @route   DELETE /api/orders/:id
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Verifies order belongs to user's company before deletion
+// @atomic  Deletion, restock, source document link, back-orders and account balance in one transaction
+const deleteOrder = async (req, res) => {
+  // STRICT ISOLATION: User MUST have a company
+  if (!req.user || !req.user.company) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. User must be associated with a company.'
+    });
+  }
+
+  const companyId = req.user.company._id || req.user.company;
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      // Query with company filter FIRST - prevents cross-company access
+      const order = await Order.findOne({
+        _id: req.params.id,
+        'customer.company': companyId
+      }).session(session);
+
+      if (!order) {
+        throw new HttpError(404, 'Order not found or access denied');
+      }
+
+      // Double-check ownership (defense in depth)
+      const orderCompanyId = order.customer?.company?._id?.toString() || order.customer?.company?.toString();
+      if (orderCompanyId !== companyId.toString()) {
+        throw new HttpError(403, 'Access denied. This order belongs to a different company.');
+      }
+
+      // Credit notes and the invoices they reference are part of the ledger
+      if (order.orderType === 'credit') {
+        throw new HttpError(400, 'Credit notes cannot be deleted');
+      }
+      if (order.items.some(item => item.returnedQuantity > 0)) {
+        throw new HttpError(400, 'Invoices with recorded returns cannot be deleted');
+      }
+      if (await Payment.exists({ order: order._id }).session(session)) {
+        throw new HttpError(400, 'Orders with recorded payments cannot be deleted. Record a refund or cancel the order instead.');
+      }
+
+      // Free the source document so it can be converted again
+      if (order.sourceDocument) {
+        await Order.updateOne(
+          { _id: order.sourceDocument, 'customer.company': companyId, convertedTo: order._id },
+          { $set: { convertedTo: null } },
+          { session }
+        );
+      }
+
+      await order.deleteOne({ session });
+
+      // Only invoices took stock; a cancelled invoice has already put it back
+      if (order.orderType === 'invoice' && order.status !== 'cancelled') {
+        await unbookInvoice(order, { note: 'Invoice deleted', user: req.user._id, session });
+      }
+    });
 
     res.status(200).json({
       success: true,
       message: 'Order deleted successfully'
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
     console.error('Delete order error:', error);
     res.status(500).json({
       success: false,
       message: 'Error deleting order'
     });
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -635,7 +2084,10 @@ const getOrderStatistics = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: stats
+      data: {
+        ...stats,
+        baseCurrency: req.user.company ? await getBaseCurrency(req.user.company._id || req.user.company) : 'BD'
+      }
     });
   } catch (error) {
     console.error('Get order statistics error:', error);
@@ -650,8 +2102,21 @@ module.exports = {
   getOrders,
   getOrder,
   createOrder,
+  previewOrderQuote,
   updateOrder,
   updateOrderStatus,
+  getOrderStatusHistory,
+  convertOrder,
+  updateQuotationStatus,
+  createReturn,
+  getReturnsSummary,
+  getBackorders,
+  downloadOrderPdf,
+  regenerateOrderPdf,
+  downloadOrderUbl,
+  exportOrdersUbl,
+  getInvoiceQr,
+  approveCreditOverride,
   deleteOrder,
   getOrdersByCompany,
   getOrderStatistics
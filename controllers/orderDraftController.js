@@ -0,0 +1,370 @@
+const mongoose = require('mongoose');
+const OrderDraft = require('../models/OrderDraft');
+const User = require('../models/User');
+const HttpError = require('../utils/httpError');
+const { priceOrder } = require('../services/orderPricingService');
+const { findAccount } = require('../services/accountService');
+
+// Fields a client may set on a draft; company, createdBy, sharing, review and status are server-side
+const DRAFT_FIELDS = ['name', 'orderType', 'customer', 'items', 'shipping', 'orderStatus', 'payment', 'currency', 'quotation', 'notes'];
+
+const pickDraftFields = (body) => DRAFT_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const isCreator = (draft, user) => draft.createdBy.toString() === user._id.toString();
+const isReviewer = (draft, user) => draft.sharedWith.some(share => share.user.toString() === user._id.toString());
+
+/**
+ * Load a draft of the user's company that has not expired
+ * @param {Object} req - Request (params.id, user)
+ * @param {Object} options - { creatorOnly: only the salesman who created it, open: must not be submitted }
+ * @returns {Promise<Object>} Draft document
+ * @throws {HttpError} 404 when not found or not visible to the user, 400 when already submitted
+ */
+const loadDraft = async (req, { creatorOnly = false, open = false } = {}) => {
+  const companyId = req.user.company._id || req.user.company;
+
+  // Expired drafts can outlive expiresAt until the TTL monitor runs
+  const draft = await OrderDraft.findOne({
+    _id: req.params.id,
+    company: companyId,
+    expiresAt: { $gt: new Date() }
+  });
+
+  // Drafts are private to their creator and the reviewers they were shared with
+  if (!draft || !(isCreator(draft, req.user) || (!creatorOnly && isReviewer(draft, req.user)))) {
+    throw new HttpError(404, 'Draft not found or access denied');
+  }
+
+  if (open && draft.status !== 'open') {
+    throw new HttpError(400, 'Draft has already been submitted');
+  }
+
+  return draft;
+};
+
+/**
+ * Check that the draft's account belongs to the company
+ * @throws {HttpError} 400 when it does not
+ */
+const checkDraftAccount = async (companyId, accountId) => {
+  if (!accountId) return;
+  if (!await findAccount(companyId, accountId)) {
+    throw new HttpError(400, 'Account not found or access denied');
+  }
+};
+
+const errorResponse = (res, error, label, message) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      ...error.details
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+
+  console.error(`${label}:`, error);
+  return res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// @desc    Get the user's drafts, or the drafts shared with the user for review
+// @route   GET /api/drafts?account=&status=open|submitted&shared=true
+// @access  Private
+// @isolation STRICT - Only drafts of user's company created by or shared with the user
+const getDrafts = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    const query = {
+      company: companyId,
+      expiresAt: { $gt: new Date() },
+      status: req.query.status || 'open'
+    };
+    if (req.query.shared === 'true') {
+      query['sharedWith.user'] = req.user._id;
+    } else {
+      query.createdBy = req.user._id;
+    }
+    if (req.query.account) {
+      if (!mongoose.isValidObjectId(req.query.account)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid account ID format'
+        });
+      }
+      query['customer.account'] = req.query.account;
+    }
+
+    const drafts = await OrderDraft.find(query)
+      .populate('customer.account', 'name')
+      .populate('createdBy', 'name email')
+      .sort({ updatedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: drafts.length,
+      data: drafts
+    });
+  } catch (error) {
+    errorResponse(res, error, 'Get drafts error', 'Error fetching drafts');
+  }
+};
+
+// @desc    Get single draft
+// @route   GET /api/drafts/:id
+// @access  Private (creator or reviewer)
+// @isolation STRICT - Verifies draft belongs to user's company
+const getDraft = async (req, res) => {
+  try {
+    const draft = await loadDraft(req);
+    await draft.populate([
+      { path: 'customer.account', select: 'name priceList creditLimit currentBalance' },
+      { path: 'items.product', select: 'name sku brand category stock' },
+      { path: 'createdBy', select: 'name email' },
+      { path: 'sharedWith.user', select: 'name email role' },
+      { path: 'review.reviewedBy', select: 'name email' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: draft
+    });
+  } catch (error) {
+    errorResponse(res, error, 'Get draft error', 'Error fetching draft');
+  }
+};
+
+// @desc    Save a new draft order
+// @route   POST /api/drafts
+// @access  Private
+// @isolation STRICT - Draft is always created for user's company
+// Drafts hold no prices and reserve no stock; stock only moves when the order is submitted
+const createDraft = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const fields = pickDraftFields(req.body);
+
+    await checkDraftAccount(companyId, fields.customer?.account);
+
+    const draft = await OrderDraft.create({
+      ...fields,
+      company: companyId,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Draft saved successfully',
+      data: draft
+    });
+  } catch (error) {
+    errorResponse(res, error, 'Create draft error', 'Error saving draft');
+  }
+};
+
+// @desc    Update a draft; every save keeps it for another expiry period
+// @route   PUT /api/drafts/:id
+// @access  Private (creator)
+// @isolation STRICT - Verifies draft belongs to user's company
+const updateDraft = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const draft = await loadDraft(req, { creatorOnly: true, open: true });
+    const fields = pickDraftFields(req.body);
+
+    await checkDraftAccount(companyId, fields.customer?.account);
+
+    draft.set(fields);
+    // A draft changed after review goes back to its reviewers
+    if (draft.review.status !== 'not_requested') {
+      draft.review.status = 'pending';
+    }
+    await draft.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Draft updated successfully',
+      data: draft
+    });
+  } catch (error) {
+    errorResponse(res, error, 'Update draft error', 'Error updating draft');
+  }
+};
+
+// @desc    Delete draft
+// @route   DELETE /api/drafts/:id
+// @access  Private (creator)
+// @isolation STRICT - Verifies draft belongs to user's company
+const deleteDraft = async (req, res) => {
+  try {
+    const draft = await loadDraft(req, { creatorOnly: true });
+    await draft.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Draft deleted successfully'
+    });
+  } catch (error) {
+    errorResponse(res, error, 'Delete draft error', 'Error deleting draft');
+  }
+};
+
+// @desc    Price a draft with the order pricing engine, at today's prices and rates
+// @route   GET /api/drafts/:id/quote
+// @access  Private (creator or reviewer)
+// @isolation STRICT - Uses only the products, accounts and rules of user's company
+const getDraftQuote = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const draft = await loadDraft(req);
+
+    if (draft.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add at least one item to price the draft'
+      });
+    }
+
+    const body = draft.toOrderBody();
+    const quote = await priceOrder({
+      companyId,
+      items: body.items,
+      customer: body.customer,
+      shipping: body.shipping,
+      orderStatus: body.orderStatus,
+      currency: body.currency
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        items: quote.items,
+        pricing: quote.pricing,
+        delivery: {
+          totalWeight: quote.delivery.totalWeight,
+          breakdown: quote.delivery.breakdown
+        }
+      }
+    });
+  } catch (error) {
+    errorResponse(res, error, 'Draft quote error', 'Error pricing draft');
+  }
+};
+
+// @desc    Share a draft with an owner or admin of the company for review
+// @route   POST /api/drafts/:id/share
+// @access  Private (creator)
+// @isolation STRICT - Reviewer must belong to user's company
+const shareDraft = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const draft = await loadDraft(req, { creatorOnly: true, open: true });
+
+    const reviewer = await User.findOne({
+      _id: req.body.user,
+      company: companyId,
+      role: { $in: ['owner', 'admin'] }
+    });
+
+    if (!reviewer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reviewer not found: drafts can be shared with owners and admins of your company'
+      });
+    }
+
+    const existing = draft.sharedWith.find(share => share.user.toString() === reviewer._id.toString());
+    if (existing) {
+      existing.note = req.body.note;
+      existing.sharedAt = new Date();
+    } else {
+      draft.sharedWith.push({ user: reviewer._id, note: req.body.note });
+    }
+    draft.review.status = 'pending';
+    await draft.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Draft shared with ${reviewer.name}`,
+      data: draft
+    });
+  } catch (error) {
+    errorResponse(res, error, 'Share draft error', 'Error sharing draft');
+  }
+};
+
+// @desc    Review a draft shared with the user
+// @route   POST /api/drafts/:id/review
+// @access  Private (reviewer)
+// @isolation STRICT - Verifies draft belongs to user's company
+const reviewDraft = async (req, res) => {
+  try {
+    const draft = await loadDraft(req, { open: true });
+
+    if (!isReviewer(draft, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only reviewers the draft was shared with can review it.'
+      });
+    }
+
+    draft.review = {
+      status: req.body.status,
+      comment: req.body.comment,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date()
+    };
+    await draft.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Draft reviewed successfully',
+      data: draft
+    });
+  } catch (error) {
+    errorResponse(res, error, 'Review draft error', 'Error reviewing draft');
+  }
+};
+
+/**
+ * First step of POST /api/drafts/:id/submit: replaces the request body with the draft's
+ * order body so it goes through validateOrder and createOrder like any new order.
+ * createOrder marks the draft submitted in the same transaction (req.draft).
+ */
+const prepareDraftOrder = async (req, res, next) => {
+  try {
+    const draft = await loadDraft(req, { creatorOnly: true, open: true });
+
+    req.body = draft.toOrderBody();
+    req.draft = draft;
+    next();
+  } catch (error) {
+    errorResponse(res, error, 'Submit draft error', 'Error submitting draft');
+  }
+};
+
+module.exports = {
+  getDrafts,
+  getDraft,
+  createDraft,
+  updateDraft,
+  deleteDraft,
+  getDraftQuote,
+  shareDraft,
+  reviewDraft,
+  prepareDraftOrder
+};
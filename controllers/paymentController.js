@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const HttpError = require('../utils/httpError');
+const { recordPayment } = require('../services/paymentService');
+
+// @desc    Get the payment ledger of an order
+// @route   GET /api/orders/:id/payments
+// @access  Private
+// @isolation STRICT - Verifies order belongs to user's company
+const getOrderPayments = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    const order = await Order.findOne({
+      _id: req.params.id,
+      'customer.company': companyId
+    }).select('orderNumber pricing payment createdBy');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found or access denied'
+      });
+    }
+
+    // For salesmen, only allow access to their own orders
+    if (req.user.role === 'salesman' && order.createdBy?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only access your own orders.'
+      });
+    }
+
+    const payments = await Payment.find({ company: companyId, order: order._id })
+      .populate('recordedBy', 'name email role')
+      .sort({ paidAt: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: payments.length,
+      data: {
+        orderNumber: order.orderNumber,
+        total: order.pricing.total,
+        amountPaid: order.payment.amountPaid,
+        amountRefunded: order.payment.amountRefunded,
+        balanceDue: order.balanceDue,
+        status: order.payment.status,
+        payments
+      }
+    });
+  } catch (error) {
+    console.error('Get order payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching order payments'
+    });
+  }
+};
+
+/**
+ * Shared handler for recording ledger entries of one type
+ * @param {String} type - 'payment' or 'refund'
+ */
+const recordLedgerEntry = (type) => async (req, res) => {
+  const companyId = req.user.company._id || req.user.company;
+  const session = await mongoose.startSession();
+
+  try {
+    let payment;
+    let order;
+
+    await session.withTransaction(async () => {
+      order = await Order.findOne({
+        _id: req.params.id,
+        'customer.company': companyId
+      }).session(session);
+
+      if (!order) {
+        throw new HttpError(404, 'Order not found or access denied');
+      }
+
+      // Salesmen may record collections on their own orders only
+      if (req.user.role === 'salesman' && order.createdBy?.toString() !== req.user._id.toString()) {
+        throw new HttpError(403, 'Access denied. You can only record payments on your own orders.');
+      }
+
+      const { method, amount, reference, paidAt, notes } = req.body;
+      payment = await recordPayment(order, { type, method, amount, reference, paidAt, notes }, req.user, session);
+    });
+
+    res.status(201).json({
+      success: true,
+      message: type === 'refund' ? 'Refund recorded successfully' : 'Payment recorded successfully',
+      data: {
+        payment,
+        orderPayment: order.payment,
+        balanceDue: order.balanceDue
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    console.error(`Record ${type} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Error recording ${type}`
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// @desc    Record a (partial) payment against an order
+// @route   POST /api/orders/:id/payments
+// @access  Private (Owner/Admin/Accountant, Salesman for own orders)
+// @isolation STRICT - Verifies order belongs to user's company
+const recordOrderPayment = recordLedgerEntry('payment');
+
+// @desc    Record a refund against an order
+// @route   POST /api/orders/:id/refunds
+// @access  Private (Owner/Admin/Accountant)
+// @isolation STRICT - Verifies order belongs to user's company
+const recordOrderRefund = recordLedgerEntry('refund');
+
+module.exports = {
+  getOrderPayments,
+  recordOrderPayment,
+  recordOrderRefund
+};
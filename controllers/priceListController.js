@@ -0,0 +1,254 @@
+const mongoose = require('mongoose');
+const PriceList = require('../models/PriceList');
+const Account = require('../models/Account');
+const Product = require('../models/Product');
+const Brand = require('../models/Brand');
+
+// Fields a client may set on a price list; company and createdBy are always server-side
+const PRICE_LIST_FIELDS = ['name', 'description', 'validFrom', 'validTo', 'entries', 'isActive'];
+
+const pickPriceListFields = (body) => PRICE_LIST_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+/**
+ * Check that every product and brand an entry targets belongs to the company
+ * @returns {Promise<String|null>} Error message or null
+ */
+const checkEntryTargets = async (entries = [], companyId) => {
+  const productIds = [...new Set(entries.filter(entry => entry.product).map(entry => String(entry.product)))];
+  const brandIds = [...new Set(entries.filter(entry => entry.brand).map(entry => String(entry.brand)))];
+
+  const [productCount, brandCount] = await Promise.all([
+    Product.countDocuments({ _id: { $in: productIds }, company: companyId }),
+    Brand.countDocuments({ _id: { $in: brandIds }, company: companyId })
+  ]);
+
+  if (productCount !== productIds.length) return 'One or more products were not found or access denied';
+  if (brandCount !== brandIds.length) return 'One or more brands were not found or access denied';
+  return null;
+};
+
+const validationErrorResponse = (res, error) => {
+  const errors = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    success: false,
+    message: 'Validation error',
+    errors
+  });
+};
+
+// @desc    Get price lists of the company
+// @route   GET /api/price-lists
+// @access  Private (Owner/Admin/Accountant)
+// @isolation STRICT - Only returns price lists of user's company
+const getPriceLists = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    const query = { company: companyId };
+    if (req.query.includeInactive !== 'true') query.isActive = true;
+
+    const priceLists = await PriceList.find(query).select('-entries').sort({ name: 1 });
+
+    // Number of accounts on each list
+    const usage = await Account.aggregate([
+      { $match: { company: new mongoose.Types.ObjectId(companyId.toString()), priceList: { $in: priceLists.map(list => list._id) } } },
+      { $group: { _id: '$priceList', count: { $sum: 1 } } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: priceLists.length,
+      data: priceLists.map(list => ({
+        ...list.toObject(),
+        accountCount: usage.find(row => row._id.toString() === list._id.toString())?.count || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get price lists error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching price lists'
+    });
+  }
+};
+
+// @desc    Get single price list with its entries and accounts
+// @route   GET /api/price-lists/:id
+// @access  Private (Owner/Admin/Accountant)
+// @isolation STRICT - Verifies price list belongs to user's company
+const getPriceList = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    const priceList = await PriceList.findOne({ _id: req.params.id, company: companyId })
+      .populate('entries.product', 'name sku price')
+      .populate('entries.brand', 'name');
+
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found or access denied'
+      });
+    }
+
+    const accounts = await Account.find({ company: companyId, priceList: priceList._id }).select('name');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...priceList.toObject(),
+        accounts
+      }
+    });
+  } catch (error) {
+    console.error('Get price list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching price list'
+    });
+  }
+};
+
+// @desc    Create price list
+// @route   POST /api/price-lists
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Price list is always created for user's company
+const createPriceList = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const data = pickPriceListFields(req.body);
+
+    const targetError = await checkEntryTargets(data.entries, companyId);
+    if (targetError) {
+      return res.status(400).json({
+        success: false,
+        message: targetError
+      });
+    }
+
+    const priceList = await PriceList.create({
+      ...data,
+      company: companyId,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Price list created successfully',
+      data: priceList
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return validationErrorResponse(res, error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A price list with this name already exists'
+      });
+    }
+
+    console.error('Create price list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating price list'
+    });
+  }
+};
+
+// @desc    Update price list
+// @route   PUT /api/price-lists/:id
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Verifies price list belongs to user's company
+const updatePriceList = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    const priceList = await PriceList.findOne({ _id: req.params.id, company: companyId });
+
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found or access denied'
+      });
+    }
+
+    const data = pickPriceListFields(req.body);
+    const targetError = await checkEntryTargets(data.entries, companyId);
+    if (targetError) {
+      return res.status(400).json({
+        success: false,
+        message: targetError
+      });
+    }
+
+    priceList.set(data);
+    await priceList.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Price list updated successfully',
+      data: priceList
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return validationErrorResponse(res, error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A price list with this name already exists'
+      });
+    }
+
+    console.error('Update price list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating price list'
+    });
+  }
+};
+
+// @desc    Delete price list and unassign it from its accounts
+// @route   DELETE /api/price-lists/:id
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Verifies price list belongs to user's company
+const deletePriceList = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    const priceList = await PriceList.findOneAndDelete({ _id: req.params.id, company: companyId });
+
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found or access denied'
+      });
+    }
+
+    await Account.updateMany(
+      { company: companyId, priceList: priceList._id },
+      { $set: { priceList: null } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Price list deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete price list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting price list'
+    });
+  }
+};
+
+module.exports = {
+  getPriceLists,
+  getPriceList,
+  createPriceList,
+  updatePriceList,
+  deletePriceList
+};
@@ -1,12 +1,49 @@
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
 const Brand = require('../models/Brand');
+const StockMovement = require('../models/StockMovement');
+const StockLevel = require('../models/StockLevel');
+const StockLot = require('../models/StockLot');
 const XLSX = require('xlsx');
+const { findAccount } = require('../services/accountService');
+const { getAccountPriceList, resolveUnitPrice } = require('../services/priceListService');
+const { toMinor } = require('../utils/money');
+const HttpError = require('../utils/httpError');
+const { allocateBackorders } = require('../services/backorderService');
+const { resolveLocation } = require('../services/locationService');
 const { 
   validateCompanyOwnership, 
   buildCompanyQuery 
 } = require('../middleware/companyIsolation');
 
+// Opening stock of a new product is placed at the default location and opens its ledger
+const recordOpeningStock = async (product, details, session) => {
+  if (product.stock.current <= 0) return;
+
+  const level = await StockLevel.forProduct(product, null, session);
+  await StockMovement.record(product, product.stock.current, {
+    ...details,
+    location: level.location,
+    locationBalance: level.quantity
+  }, session);
+};
+
+// A new product, its stock level and its opening stock movement are written together
+const createWithOpeningStock = async (data, details) => {
+  const session = await mongoose.startSession();
+  try {
+    let product;
+    await session.withTransaction(async () => {
+      [product] = await Product.create([data], { session });
+      await recordOpeningStock(product, details, session);
+    });
+    return product;
+  } finally {
+    await session.endSession();
+  }
+};
+
 // @desc    Get all products
 // @route   GET /api/products
 // @access  Public
@@ -71,8 +108,9 @@ const getProducts = async (req, res) => {
     // Price range filter
     if (minPrice || maxPrice) {
       query.price = {};
-      if (minPrice) query.price.$gte = parseFloat(minPrice);
-      if (maxPrice) query.price.$lte = parseFloat(maxPrice);
+      // Query filters skip schema setters, so compare against the stored fils
+      if (minPrice) query.price.$gte = toMinor(parseFloat(minPrice));
+      if (maxPrice) query.price.$lte = toMinor(parseFloat(maxPrice));
     }
 
     // Sort options
@@ -191,6 +229,60 @@ const getProduct = async (req, res) => {
   }
 };
 
+// @desc    Get the effective unit price of a product, optionally for an account
+// @route   GET /api/products/:id/price?account=
+// @access  Private
+// @isolation STRICT - Verifies product and account belong to user's company
+const getProductPrice = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    const product = await Product.findOne({
+      _id: req.params.id,
+      company: companyId
+    }).select('name sku price brand vat');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found or access denied'
+      });
+    }
+
+    let account = null;
+    if (req.query.account) {
+      account = await findAccount(companyId, req.query.account);
+
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          message: 'Account not found or access denied'
+        });
+      }
+    }
+
+    const priceList = await getAccountPriceList(account);
+    const price = resolveUnitPrice(product, priceList);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        product: product._id,
+        name: product.name,
+        account: account?._id || null,
+        ...price,
+        priceListName: price.priceList ? priceList.name : null
+      }
+    });
+  } catch (error) {
+    console.error('Get product price error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching product price'
+    });
+  }
+};
+
 // @desc    Create new product
 // @route   POST /api/products
 // @access  Private (Owner/Admin)
@@ -289,7 +381,12 @@ const createProduct = async (req, res) => {
     // CRITICAL: Force company to user's company (prevent cross-company creation)
     req.body.company = companyId;
 
-    const product = await Product.create(req.body);
+    // Opening stock is the product's first ledger entry
+    const product = await createWithOpeningStock(req.body, {
+      reason: 'receipt',
+      note: 'Opening stock',
+      user: req.user._id
+    });
 
     // Populate before returning
     await product.populate('brand', 'name logo brandColor');
@@ -352,7 +449,11 @@ const createProduct = async (req, res) => {
 // @desc    Update product
 // @route   PUT /api/products/:id
 // @access  Private (Owner/Admin)
+// @atomic  A stock change, its ledger entry, back-order allocation and the product update
+//          are written in one transaction
 const updateProduct = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     // STRICT ISOLATION: User MUST have a company
     if (!req.user || !req.user.company) {
@@ -444,20 +545,61 @@ const updateProduct = async (req, res) => {
     }
     delete req.body.company;
 
-    // Update product with company filter to prevent cross-company updates
-    const product = await Product.findOneAndUpdate(
-      {
+    // The stock quantity only changes through updateStock; the limits are set path by path
+    // so the update never writes the quantity itself
+    const { stock, ...updates } = req.body;
+    if (stock?.minimum !== undefined) updates['stock.minimum'] = stock.minimum;
+    if (stock?.maximum !== undefined) updates['stock.maximum'] = stock.maximum;
+
+    let product;
+    await session.withTransaction(async () => {
+      const current = await Product.findOne({
         _id: req.params.id,
         company: companyId
-      },
-      req.body,
-      {
-        new: true,
-        runValidators: true
+      }).session(session);
+
+      // Stock set through the product form is an adjustment at the default location,
+      // applied (and recorded in the ledger) before the rest of the update
+      const requestedStock = stock?.current;
+      const stockChange = requestedStock !== undefined && requestedStock !== null
+        ? Number(requestedStock) - current.stock.current
+        : 0;
+      if (stockChange < 0) {
+        const level = await StockLevel.forProduct(current, null, session);
+        if (level.quantity < -stockChange) {
+          throw new HttpError(400, `Only ${level.quantity} in stock at the default location. Use PATCH /api/products/:id/stock with a location to reduce stock elsewhere.`);
+        }
       }
-    )
-      .populate('brand', 'name logo brandColor')
-      .populate('category', 'name slug brand');
+      if (stockChange !== 0) {
+        await current.updateStock(Math.abs(stockChange), stockChange > 0 ? 'add' : 'subtract', {
+          includeExpired: true,
+          reason: 'adjustment',
+          note: 'Stock edited on the product',
+          user: req.user._id
+        });
+      }
+
+      // Update product with company filter to prevent cross-company updates
+      product = await Product.findOneAndUpdate(
+        {
+          _id: req.params.id,
+          company: companyId
+        },
+        updates,
+        {
+          new: true,
+          runValidators: true,
+          session
+        }
+      );
+
+      if (stockChange > 0) {
+        await allocateBackorders(product, { user: req.user._id, session });
+      }
+    });
+
+    await product.populate('brand', 'name logo brandColor');
+    await product.populate('category', 'name slug brand');
 
     res.status(200).json({
       success: true,
@@ -465,6 +607,14 @@ const updateProduct = async (req, res) => {
       data: product
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
     console.error('Update product error:', error);
     
     // Handle custom validation errors (like price > cost)
@@ -497,6 +647,8 @@ const updateProduct = async (req, res) => {
       success: false,
       message: 'Error updating product: ' + error.message
     });
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -504,7 +656,11 @@ const updateProduct = async (req, res) => {
 // @route   DELETE /api/products/:id
 // @access  Private (Owner/Admin)
 // @isolation STRICT - Verifies product belongs to user's company before deletion
+// @atomic  The closing ledger entry and the deletion of the product, its levels and its lots
+//          are written in one transaction
 const deleteProduct = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     // STRICT ISOLATION: User MUST have a company
     if (!req.user || !req.user.company) {
@@ -538,8 +694,28 @@ const deleteProduct = async (req, res) => {
       });
     }
 
-    // Delete the product
-    await product.deleteOne();
+    await session.withTransaction(async () => {
+      const current = await Product.findOne({
+        _id: product._id,
+        company: companyId
+      }).session(session);
+
+      // Close its ledger first: the remaining stock leaves with the product
+      if (current.stock.current > 0) {
+        const remaining = current.stock.current;
+        current.stock.current = 0;
+        await StockMovement.record(current, -remaining, {
+          reason: 'adjustment',
+          note: 'Product deleted',
+          user: req.user._id
+        }, session);
+      }
+
+      // Delete the product and its stock levels and lots
+      await Product.deleteOne({ _id: product._id, company: companyId }, { session });
+      await StockLevel.deleteMany({ company: companyId, product: product._id }, { session });
+      await StockLot.deleteMany({ company: companyId, product: product._id }, { session });
+    });
 
     // Update category and brand product counts (if field exists)
     try {
@@ -573,36 +749,242 @@ const deleteProduct = async (req, res) => {
       success: false,
       message: 'Error deleting product: ' + error.message
     });
+  } finally {
+    await session.endSession();
   }
 };
 
-// @desc    Update product stock
+// @desc    Update product stock at a location (the default location when none is given).
+//          Stock added with a lotNumber is received into that lot; stock subtracted with a
+//          lotNumber comes out of that lot, otherwise lots are taken first-expired-first-out
 // @route   PATCH /api/products/:id/stock
 // @access  Private (Owner/Admin)
+// @isolation STRICT - Only products and locations of user's company; the change is recorded in the stock ledger
+// @atomic  The stock change, its ledger entry and back-order allocation are written in one transaction
 const updateStock = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const { quantity, operation = 'subtract', reason, reference, note, lotNumber, expiryDate, receivedDate } = req.body;
+    let product;
+    let movement;
+    let allocations;
+
+    await session.withTransaction(async () => {
+      const location = await resolveLocation(companyId, req.body.location, session);
+
+      product = await Product.findOne({
+        _id: req.params.id,
+        company: companyId
+      }).session(session);
+
+      if (!product) {
+        throw new HttpError(404, 'Product not found or access denied');
+      }
+
+      // Stock received from a supplier is a receipt; anything else entered by hand is an adjustment.
+      // Adjustments may write off expired lots
+      movement = await product.updateStock(quantity, operation, {
+        location: location._id,
+        lot: lotNumber ? { lotNumber, expiryDate, receivedDate } : null,
+        includeExpired: true,
+        reason: reason || (operation === 'add' ? 'receipt' : 'adjustment'),
+        reference,
+        note,
+        user: req.user._id
+      });
+
+      // Stock coming in fills waiting back-orders first
+      allocations = operation === 'add'
+        ? await allocateBackorders(product, { location: location._id, user: req.user._id, session })
+        : [];
+    });
+
+    res.status(200).json({
+      success: true,
+      data: product,
+      lots: movement.lots,
+      allocations
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Update stock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating product stock'
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// @desc    Get a product's stock at each location
+// @route   GET /api/products/:id/stock-levels
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Verifies product belongs to user's company
+const getStockLevels = async (req, res) => {
   try {
-    const { quantity, operation = 'subtract' } = req.body;
+    const companyId = req.user.company._id || req.user.company;
 
-    const product = await Product.findById(req.params.id);
+    const product = await Product.findOne({ _id: req.params.id, company: companyId })
+      .select('company name sku stock');
 
     if (!product) {
       return res.status(404).json({
         success: false,
-        message: 'Product not found'
+        message: 'Product not found or access denied'
       });
     }
 
-    await product.updateStock(quantity, operation);
+    // Places the stock of a product from before locations existed at the default location
+    if (product.stock.current > 0) {
+      await StockLevel.forProduct(product);
+    }
+
+    const levels = await StockLevel.find({ company: companyId, product: product._id })
+      .populate('location', 'name code type isDefault isActive assignedTo')
+      .sort({ quantity: -1 });
 
     res.status(200).json({
       success: true,
-      data: product
+      product,
+      count: levels.length,
+      data: levels
     });
   } catch (error) {
-    console.error('Update stock error:', error);
+    console.error('Get stock levels error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error updating product stock'
+      message: 'Error fetching stock levels'
+    });
+  }
+};
+
+// @desc    Get the lots of a product with their expiry dates, first-expired first
+// @route   GET /api/products/:id/lots?location=&includeEmpty=true
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Verifies product belongs to user's company
+const getProductLots = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    const product = await Product.findOne({ _id: req.params.id, company: companyId })
+      .select('name sku stock');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found or access denied'
+      });
+    }
+
+    const query = { company: companyId, product: product._id };
+    if (req.query.location) {
+      query.location = (await resolveLocation(companyId, req.query.location))._id;
+    }
+    if (req.query.includeEmpty !== 'true') query.quantity = { $gt: 0 };
+
+    const lots = await StockLot.find(query)
+      .populate('location', 'name code type')
+      .sort({ receivedDate: 1 });
+    // Lots without an expiry date last
+    lots.sort((a, b) => (a.expiryDate?.getTime() ?? Infinity) - (b.expiryDate?.getTime() ?? Infinity));
+
+    res.status(200).json({
+      success: true,
+      product,
+      count: lots.length,
+      data: lots.map(lot => ({ ...lot.toObject(), isExpired: lot.isExpired }))
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get product lots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching product lots'
+    });
+  }
+};
+
+// @desc    Get the stock movement history of a product, newest first
+// @route   GET /api/products/:id/stock-movements?location=&reason=&from=&to=&page=&limit=
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Only movements of user's company; deleted products keep their history
+const getStockMovements = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const { page = 1, limit = 50, location, reason, from, to } = req.query;
+
+    const query = {
+      company: companyId,
+      product: req.params.id
+    };
+    if (location) query.location = location;
+    if (reason) query.reason = reason;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) {
+        const end = new Date(to);
+        end.setHours(23, 59, 59, 999);
+        query.createdAt.$lte = end;
+      }
+    }
+
+    const product = await Product.findOne({ _id: req.params.id, company: companyId })
+      .select('name sku stock');
+
+    if (!product && !await StockMovement.exists(query)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found or access denied'
+      });
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [movements, total] = await Promise.all([
+      StockMovement.find(query)
+        .populate('location', 'name code type')
+        .populate('order', 'orderNumber orderType')
+        .populate('transfer', 'transferNumber status')
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      StockMovement.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: movements.length,
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      },
+      product,
+      data: movements
+    });
+  } catch (error) {
+    console.error('Get stock movements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stock movements'
     });
   }
 };
@@ -646,8 +1028,8 @@ const getFeaturedProducts = async (req, res) => {
   }
 };
 
-// @desc    Get low stock products
-// @route   GET /api/products/low-stock
+// @desc    Get low stock products, company-wide or at one location
+// @route   GET /api/products/low-stock?location=
 // @access  Private (Owner/Admin)
 const getLowStockProducts = async (req, res) => {
   try {
@@ -659,6 +1041,36 @@ const getLowStockProducts = async (req, res) => {
       });
     }
 
+    // Per location: stock levels at or below the location's own minimum
+    if (req.query.location) {
+      const companyId = req.user.company._id || req.user.company;
+      const location = await resolveLocation(companyId, req.query.location);
+
+      const levels = await StockLevel.find({
+        company: companyId,
+        location: location._id,
+        $expr: {
+          $lte: ['$quantity', '$minimum']
+        }
+      })
+        .populate({
+          path: 'product',
+          match: { status: { $nin: ['inactive', 'discontinued'] } },
+          select: 'name sku brand category stock status',
+          populate: [{ path: 'brand', select: 'name' }, { path: 'category', select: 'name' }]
+        })
+        .sort({ quantity: 1 });
+
+      const lowStock = levels.filter(level => level.product);
+
+      return res.status(200).json({
+        success: true,
+        count: lowStock.length,
+        location,
+        data: lowStock
+      });
+    }
+
     const products = await Product.find({
       $expr: {
         $lte: ['$stock.current', '$stock.minimum']
@@ -676,6 +1088,13 @@ const getLowStockProducts = async (req, res) => {
       data: products
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Get low stock products error:', error);
     res.status(500).json({
       success: false,
@@ -915,7 +1334,12 @@ const bulkImportProducts = async (req, res) => {
           company: req.user.company
         };
 
-        await Product.create(productData);
+        await createWithOpeningStock(productData, {
+          reason: 'import',
+          reference: req.file.originalname,
+          note: `Row ${rowNumber}`,
+          user: req.user._id
+        });
         results.success++;
 
       } catch (error) {
@@ -945,10 +1369,14 @@ const bulkImportProducts = async (req, res) => {
 module.exports = {
   getProducts,
   getProduct,
+  getProductPrice,
   createProduct,
   updateProduct,
   deleteProduct,
   updateStock,
+  getStockLevels,
+  getProductLots,
+  getStockMovements,
   getFeaturedProducts,
   getLowStockProducts,
   bulkImportProducts
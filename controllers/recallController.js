@@ -0,0 +1,466 @@
+const mongoose = require('mongoose');
+const Recall = require('../models/Recall');
+const Product = require('../models/Product');
+const Company = require('../models/Company');
+const XLSX = require('xlsx');
+const emailService = require('../services/emailService');
+const { traceRecall, recalledStock, buildMailingList } = require('../services/recallService');
+const { renderRecallNoticePdf } = require('../services/recallNoticePdfService');
+
+// Timestamp set when a recipient reaches each status
+const RECIPIENT_STATUS_DATES = {
+  notified: 'notifiedAt',
+  acknowledged: 'acknowledgedAt',
+  resolved: 'resolvedAt'
+};
+
+const findRecall = (req) => {
+  const companyId = req.user.company._id || req.user.company;
+  return Recall.findOne({ _id: req.params.id, company: companyId });
+};
+
+// @desc    Get product recalls
+// @route   GET /api/recalls?status=&product=
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Only returns recalls of user's company
+const getRecalls = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const { status, product } = req.query;
+
+    if (product && !mongoose.isValidObjectId(product)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+
+    const query = { company: companyId };
+    if (status) query.status = status;
+    if (product) query.product = product;
+
+    const recalls = await Recall.find(query)
+      .select('-recipients.deliveries -recipients.contacts')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: recalls.length,
+      data: recalls
+    });
+  } catch (error) {
+    console.error('Get recalls error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching recalls'
+    });
+  }
+};
+
+// @desc    Get a recall with every account that received the lots and the recalled stock still held
+// @route   GET /api/recalls/:id
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Verifies recall belongs to user's company
+const getRecall = async (req, res) => {
+  try {
+    const recall = await findRecall(req)
+      .populate('createdBy', 'name email')
+      .populate('closedBy', 'name email')
+      .populate('recipients.deliveries.salesman', 'name email');
+
+    if (!recall) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recall not found or access denied'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: recall,
+      stock: await recalledStock(recall)
+    });
+  } catch (error) {
+    console.error('Get recall error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching recall'
+    });
+  }
+};
+
+// @desc    Raise a recall of lots of a product: traces every invoice, account and contact that received them
+// @route   POST /api/recalls
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Product must belong to user's company
+const createRecall = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const { product: productId, reason, instructions, manufacturerReference } = req.body;
+
+    const product = await Product.findOne({ _id: productId, company: companyId }).select('name sku');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found or access denied'
+      });
+    }
+
+    const lotNumbers = [...new Set(req.body.lotNumbers.map(lot => String(lot).trim().toUpperCase()))];
+    const recipients = await traceRecall(companyId, product._id, lotNumbers);
+
+    const recall = await Recall.create({
+      company: companyId,
+      product: product._id,
+      productName: product.name,
+      sku: product.sku,
+      lotNumbers,
+      reason,
+      instructions,
+      manufacturerReference,
+      recipients,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Recall raised: ${recipients.length} account(s) received these lots`,
+      data: recall,
+      stock: await recalledStock(recall)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    console.error('Create recall error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating recall'
+    });
+  }
+};
+
+// @desc    Update an account's progress on a recall: status, quantity recovered and a note
+// @route   PUT /api/recalls/:id/recipients/:recipientId
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Verifies recall belongs to user's company
+const updateRecallRecipient = async (req, res) => {
+  try {
+    const recall = await findRecall(req);
+
+    if (!recall) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recall not found or access denied'
+      });
+    }
+
+    if (recall.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'This recall is closed'
+      });
+    }
+
+    const recipient = recall.recipients.id(req.params.recipientId);
+    if (!recipient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipient not found on this recall'
+      });
+    }
+
+    const { status, recoveredQuantity, note } = req.body;
+    if (status && status !== recipient.status) {
+      recipient.status = status;
+      if (RECIPIENT_STATUS_DATES[status]) {
+        recipient[RECIPIENT_STATUS_DATES[status]] = new Date();
+      }
+    }
+    if (recoveredQuantity !== undefined) recipient.recoveredQuantity = recoveredQuantity;
+    if (note !== undefined) recipient.note = note;
+
+    await recall.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Recall recipient updated',
+      data: recipient
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    console.error('Update recall recipient error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating recall recipient'
+    });
+  }
+};
+
+// @desc    Email the recall notice, with each account's notice PDF, to the mailing list.
+//          Accounts already notified are skipped unless resend is true
+// @route   POST /api/recalls/:id/notify
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Verifies recall belongs to user's company
+const notifyRecall = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const recall = await findRecall(req);
+
+    if (!recall) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recall not found or access denied'
+      });
+    }
+
+    if (recall.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'This recall is closed'
+      });
+    }
+
+    const company = await Company.findById(companyId);
+    const resend = req.body.resend === true;
+    const mailingList = buildMailingList(recall);
+    const results = [];
+
+    for (const recipient of recall.recipients) {
+      if (!resend && recipient.notifiedAt) continue;
+
+      const contacts = mailingList.filter(entry => entry.recipient.toString() === recipient._id.toString());
+      if (contacts.length === 0) {
+        results.push({ recipient: recipient._id, accountName: recipient.accountName, email: null, sent: false, message: 'No email address on file' });
+        continue;
+      }
+
+      const pdfBuffer = await renderRecallNoticePdf(recall, company, recipient);
+      let sent = false;
+
+      for (const contact of contacts) {
+        const result = await emailService.sendRecallNotice({
+          contactName: contact.name,
+          contactEmail: contact.email,
+          accountName: recipient.accountName,
+          companyName: company.name,
+          companyEmail: company.email,
+          recallNumber: recall.recallNumber,
+          productName: recall.productName,
+          lotNumbers: recall.lotNumbers,
+          reason: recall.reason,
+          pdfBuffer
+        });
+        sent = sent || result.success;
+        results.push({
+          recipient: recipient._id,
+          accountName: recipient.accountName,
+          email: contact.email,
+          sent: result.success,
+          message: result.success ? undefined : result.message
+        });
+      }
+
+      if (sent) {
+        recipient.notifiedAt = new Date();
+        if (recipient.status === 'pending') recipient.status = 'notified';
+      }
+    }
+
+    const sentCount = results.filter(result => result.sent).length;
+    if (sentCount > 0) {
+      recall.notifiedAt = recall.notifiedAt || new Date();
+      if (recall.status === 'open') recall.status = 'notified';
+      await recall.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Recall notice sent to ${sentCount} of ${results.length} address(es)`,
+      data: results
+    });
+  } catch (error) {
+    console.error('Notify recall error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending recall notices'
+    });
+  }
+};
+
+// @desc    Download the recall notice PDF, for one account (recipient) or listing every account
+// @route   GET /api/recalls/:id/pdf?recipient=
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Verifies recall belongs to user's company
+const getRecallPdf = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const recall = await findRecall(req);
+
+    if (!recall) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recall not found or access denied'
+      });
+    }
+
+    let recipient = null;
+    if (req.query.recipient) {
+      recipient = recall.recipients.find(entry => entry._id.toString() === String(req.query.recipient));
+      if (!recipient) {
+        return res.status(404).json({
+          success: false,
+          message: 'Recipient not found on this recall'
+        });
+      }
+    }
+
+    const company = await Company.findById(companyId);
+    const buffer = await renderRecallNoticePdf(recall, company, recipient);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${recall.recallNumber}.pdf"`,
+      'Content-Length': buffer.length
+    });
+    res.send(buffer);
+  } catch (error) {
+    console.error('Get recall PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating recall notice'
+    });
+  }
+};
+
+// @desc    Mailing list of a recall: one row per email address of the affected accounts
+// @route   GET /api/recalls/:id/mailing-list?format=json|xlsx
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Verifies recall belongs to user's company
+const getRecallMailingList = async (req, res) => {
+  try {
+    const recall = await findRecall(req);
+
+    if (!recall) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recall not found or access denied'
+      });
+    }
+
+    const mailingList = buildMailingList(recall);
+
+    if (req.query.format === 'xlsx') {
+      const worksheet = XLSX.utils.json_to_sheet(mailingList.map(entry => ({
+        Account: entry.accountName,
+        Name: entry.name || '',
+        Role: entry.role || '',
+        Email: entry.email
+      })));
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, worksheet, 'Mailing List');
+
+      const excelBuffer = XLSX.write(workbook, {
+        type: 'buffer',
+        bookType: 'xlsx'
+      });
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${recall.recallNumber}-mailing-list.xlsx"`);
+      return res.send(excelBuffer);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: mailingList.length,
+      data: mailingList
+    });
+  } catch (error) {
+    console.error('Get recall mailing list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching recall mailing list'
+    });
+  }
+};
+
+// @desc    Close a recall once every account has been resolved
+// @route   POST /api/recalls/:id/close
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Verifies recall belongs to user's company
+const closeRecall = async (req, res) => {
+  try {
+    const recall = await findRecall(req);
+
+    if (!recall) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recall not found or access denied'
+      });
+    }
+
+    if (recall.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'This recall is already closed'
+      });
+    }
+
+    const unresolved = recall.recipients.filter(recipient => recipient.status !== 'resolved');
+    if (unresolved.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${unresolved.length} account(s) are not resolved yet`,
+        unresolved: unresolved.map(recipient => ({
+          recipient: recipient._id,
+          accountName: recipient.accountName,
+          status: recipient.status
+        }))
+      });
+    }
+
+    recall.status = 'closed';
+    recall.closedBy = req.user._id;
+    recall.closedAt = new Date();
+    recall.closingNote = req.body.note;
+    await recall.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Recall closed',
+      data: recall
+    });
+  } catch (error) {
+    console.error('Close recall error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error closing recall'
+    });
+  }
+};
+
+module.exports = {
+  getRecalls,
+  getRecall,
+  createRecall,
+  updateRecallRecipient,
+  notifyRecall,
+  getRecallPdf,
+  getRecallMailingList,
+  closeRecall
+};
@@ -6,25 +6,14 @@ const {
   validateCompanyOwnership, 
   buildCompanyQuery 
 } = require('../middleware/companyIsolation');
-
-// Import jsPDF - try different import methods for v3 and v4 compatibility
-let jsPDF;
-try {
-  // Try default export first
-  jsPDF = require('jspdf');
-  // Handle different export formats (v3 vs v4)
-  if (jsPDF.jsPDF) {
-    // v3 format: { jsPDF: class }
-    jsPDF = jsPDF.jsPDF;
-  } else if (jsPDF.default) {
-    // v4 format: { default: class }
-    jsPDF = jsPDF.default;
-  }
-  // If jsPDF is already the class (direct export), use it as is
-} catch (error) {
-  console.error('Failed to import jsPDF:', error);
-  throw new Error('jsPDF library is not properly installed. Please run: npm install jspdf');
-}
+const { jsPDF } = require('../utils/pdf');
+const XLSX = require('xlsx');
+const { buildVatReturn } = require('../services/vatReturnService');
+const { renderVatReturnPdf } = require('../services/vatReturnPdfService');
+const { reconcileStock } = require('../services/stockLedgerService');
+const { listExpiringLots } = require('../services/lotService');
+const { resolveLocation } = require('../services/locationService');
+const HttpError = require('../utils/httpError');
 
 // @desc    Upload report file
 // @route   POST /api/reports/upload
@@ -532,11 +521,234 @@ const deleteReport = async (req, res) => {
   }
 };
 
+// @desc    Get the VAT return summary for a period
+// @route   GET /api/reports/vat-return?from=&to=&format=json|pdf|xlsx
+// @access  Private (Owner, Admin, Accountant)
+// @isolation STRICT - Only the company's own invoices and credit notes
+const getVatReturn = async (req, res) => {
+  try {
+    if (!req.user.company) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. User must be associated with a company.'
+      });
+    }
+
+    const companyId = req.user.company._id || req.user.company;
+
+    // Defaults to the current month; the end date is inclusive
+    const now = new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(now.getFullYear(), now.getMonth(), 1);
+    const to = req.query.to ? new Date(req.query.to) : new Date(now);
+    from.setHours(0, 0, 0, 0);
+    to.setHours(23, 59, 59, 999);
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Period start date must be on or before the end date'
+      });
+    }
+
+    const report = await buildVatReturn(companyId, { from, to });
+    const format = req.query.format || 'json';
+    const fileName = `vat-return-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}`;
+
+    if (format === 'pdf') {
+      const company = await Company.findById(companyId);
+      const buffer = await renderVatReturnPdf(report, company);
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${fileName}.pdf"`,
+        'Content-Length': buffer.length
+      });
+      return res.send(buffer);
+    }
+
+    if (format === 'xlsx') {
+      const toRow = (label, row) => ({
+        Supplies: label,
+        'VAT Rate': row.rate ?? '',
+        Sales: row.salesNet,
+        'Sales VAT': row.salesVat,
+        'Credit Notes': row.creditNet,
+        'Credit Note VAT': row.creditVat,
+        'Net Supplies': row.net,
+        'Net VAT': row.vat
+      });
+
+      const summary = XLSX.utils.json_to_sheet([
+        ...report.rows.map(row => toRow(row.label, row)),
+        toRow('Total', { ...report.totals, rate: '' })
+      ]);
+      const details = XLSX.utils.json_to_sheet([
+        { Field: 'Company', Value: report.company.name },
+        { Field: 'VAT Number', Value: report.company.vatNumber || '' },
+        { Field: 'From', Value: from.toISOString().slice(0, 10) },
+        { Field: 'To', Value: to.toISOString().slice(0, 10) },
+        { Field: 'Currency', Value: report.currency },
+        { Field: 'Invoices', Value: report.documents.invoices },
+        { Field: 'Credit Notes', Value: report.documents.creditNotes },
+        { Field: 'Delivery Charges (no VAT charged)', Value: report.deliveryCharges },
+        { Field: 'Output VAT', Value: report.outputVat },
+        { Field: 'VAT on Credit Notes', Value: report.creditNoteVat },
+        { Field: 'Net VAT Payable', Value: report.netVatPayable }
+      ]);
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, details, 'VAT Return');
+      XLSX.utils.book_append_sheet(workbook, summary, 'By Rate');
+
+      const excelBuffer = XLSX.write(workbook, {
+        type: 'buffer',
+        bookType: 'xlsx'
+      });
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+      return res.send(excelBuffer);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Get VAT return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building VAT return'
+    });
+  }
+};
+
+// @desc    Reconcile the stock movement ledger against each product's current stock
+// @route   GET /api/reports/stock-reconciliation?mismatches=true&format=json|xlsx
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Only products and movements of user's company
+const getStockReconciliation = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const report = await reconcileStock(companyId, {
+      mismatchesOnly: req.query.mismatches === 'true'
+    });
+
+    if (req.query.format === 'xlsx') {
+      const worksheet = XLSX.utils.json_to_sheet(report.rows.map(row => ({
+        SKU: row.sku,
+        Product: row.deleted ? '(deleted)' : row.name,
+        'Current Stock': row.stock,
+        'Ledger Balance': row.ledgerBalance,
+        'Last Recorded Balance': row.lastBalance,
+        'Stock At Locations': row.locationStock,
+        Difference: row.difference,
+        Movements: row.movements,
+        'Last Movement': row.lastMovementAt ? new Date(row.lastMovementAt).toISOString().slice(0, 10) : '',
+        Reconciled: row.reconciled ? 'Yes' : 'No'
+      })));
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, worksheet, 'Stock Reconciliation');
+
+      const excelBuffer = XLSX.write(workbook, {
+        type: 'buffer',
+        bookType: 'xlsx'
+      });
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="stock-reconciliation-${new Date().toISOString().slice(0, 10)}.xlsx"`);
+      return res.send(excelBuffer);
+    }
+
+    res.status(200).json({
+      success: true,
+      totals: report.totals,
+      data: report.rows
+    });
+  } catch (error) {
+    console.error('Get stock reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reconciling stock'
+    });
+  }
+};
+
+// @desc    Lots in stock that have expired or expire within the next N days
+// @route   GET /api/reports/expiring-lots?days=30&location=&format=json|xlsx
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Only lots of user's company
+const getExpiringLots = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const days = req.query.days === undefined ? 30 : Number(req.query.days);
+
+    if (!Number.isInteger(days) || days < 0 || days > 3650) {
+      return res.status(400).json({
+        success: false,
+        message: 'days must be a whole number from 0 to 3650'
+      });
+    }
+
+    const location = req.query.location
+      ? await resolveLocation(companyId, req.query.location)
+      : null;
+
+    const report = await listExpiringLots(companyId, { days, location: location?._id });
+
+    if (req.query.format === 'xlsx') {
+      const worksheet = XLSX.utils.json_to_sheet(report.rows.map(row => ({
+        SKU: row.sku,
+        Product: row.name,
+        Location: row.location?.name || '',
+        'Lot Number': row.lotNumber,
+        'Expiry Date': row.expiryDate.toISOString().slice(0, 10),
+        'Days To Expiry': row.daysToExpiry,
+        Expired: row.expired ? 'Yes' : 'No',
+        Quantity: row.quantity
+      })));
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, worksheet, 'Expiring Lots');
+
+      const excelBuffer = XLSX.write(workbook, {
+        type: 'buffer',
+        bookType: 'xlsx'
+      });
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="expiring-lots-${new Date().toISOString().slice(0, 10)}.xlsx"`);
+      return res.send(excelBuffer);
+    }
+
+    res.status(200).json({
+      success: true,
+      days,
+      totals: report.totals,
+      data: report.rows
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get expiring lots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching expiring lots'
+    });
+  }
+};
+
 module.exports = {
   uploadReport,
   createPdfReport,
   getReports,
   getReport,
-  deleteReport
+  deleteReport,
+  getVatReturn,
+  getStockReconciliation,
+  getExpiringLots
 };
 
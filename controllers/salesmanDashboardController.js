@@ -23,6 +23,7 @@ const getSalesmanDashboard = async (req, res) => {
     })
       .populate('items.product', 'name sku mainCategory')
       .populate('customer.company', 'name')
+      .populate('customer.account', 'name')
       .sort({ createdAt: -1 })
 
     // Filter orders from last 6 months
@@ -34,7 +35,7 @@ const getSalesmanDashboard = async (req, res) => {
     // Calculate total statistics
     const totalOrders = allOrders.length
     const totalSales = allOrders.reduce((sum, order) => {
-      const orderTotal = order.pricing?.total || order.totalAmount || order.total || 0
+      const orderTotal = order.pricing?.baseTotal || order.pricing?.total || order.totalAmount || order.total || 0
       return sum + (parseFloat(orderTotal) || 0)
     }, 0)
 
@@ -46,7 +47,7 @@ const getSalesmanDashboard = async (req, res) => {
       return orderDate >= startOfMonth
     })
     const thisMonthSales = thisMonthOrders.reduce((sum, order) => {
-      const orderTotal = order.pricing?.total || order.totalAmount || order.total || 0
+      const orderTotal = order.pricing?.baseTotal || order.pricing?.total || order.totalAmount || order.total || 0
       return sum + (parseFloat(orderTotal) || 0)
     }, 0)
 
@@ -71,7 +72,7 @@ const getSalesmanDashboard = async (req, res) => {
       })
 
       const monthSales = monthOrders.reduce((sum, order) => {
-        const orderTotal = order.pricing?.total || order.totalAmount || order.total || 0
+        const orderTotal = order.pricing?.baseTotal || order.pricing?.total || order.totalAmount || order.total || 0
         return sum + (parseFloat(orderTotal) || 0)
       }, 0)
 
@@ -112,6 +113,29 @@ const getSalesmanDashboard = async (req, res) => {
       .sort((a, b) => b.quantity - a.quantity)
       .slice(0, 10)
 
+    // Top accounts (by sales), grouped by the order's account reference
+    const accountSales = {}
+    allOrders.forEach(order => {
+      const account = order.customer?.account
+      if (!account?._id) return
+
+      const accountId = account._id.toString()
+      if (!accountSales[accountId]) {
+        accountSales[accountId] = {
+          id: accountId,
+          name: account.name,
+          orders: 0,
+          sales: 0
+        }
+      }
+      accountSales[accountId].orders += 1
+      accountSales[accountId].sales += parseFloat(order.pricing?.baseTotal || order.pricing?.total) || 0
+    })
+
+    const topAccounts = Object.values(accountSales)
+      .sort((a, b) => b.sales - a.sales)
+      .slice(0, 10)
+
     // Calendar events count
     const totalEvents = await Calendar.countDocuments({
       createdBy: userId,
@@ -160,9 +184,11 @@ const getSalesmanDashboard = async (req, res) => {
       id: order._id,
       orderNumber: order.orderNumber || `ORD-${order._id.toString().slice(-6)}`,
       totalAmount: order.pricing?.total || order.totalAmount || order.total || 0,
+      currency: order.pricing?.currency || 'BD',
       status: order.accountantReviewStatus || order.status || order.orderStatus || 'pending', // Priority: accountantReviewStatus > status > orderStatus
       createdAt: order.createdAt,
-      customerName: order.customer?.companyName || order.customer?.accountName || 'N/A'
+      account: order.customer?.account?._id || null,
+      customerName: order.customer?.account?.name || order.customer?.companyName || order.customer?.accountName || 'N/A'
     }))
 
     // Calculate completion percentage if target exists
@@ -197,7 +223,8 @@ const getSalesmanDashboard = async (req, res) => {
             status: status.replace(/_/g, ' '), // Replace underscores with spaces for display
             count
           })),
-          topProducts
+          topProducts,
+          topAccounts
         },
         // Recent orders
         recentOrders: recentOrdersList
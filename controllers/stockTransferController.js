@@ -0,0 +1,346 @@
+const mongoose = require('mongoose');
+const StockTransfer = require('../models/StockTransfer');
+const Location = require('../models/Location');
+const Product = require('../models/Product');
+const HttpError = require('../utils/httpError');
+const { resolveLocation } = require('../services/locationService');
+const { checkAvailability, allocateBackorders } = require('../services/backorderService');
+
+const populateTransfer = (query) => query
+  .populate('from', 'name code type')
+  .populate('to', 'name code type assignedTo')
+  .populate('dispatchedBy', 'name email')
+  .populate('receivedBy', 'name email')
+  .populate('cancelledBy', 'name email');
+
+/**
+ * Put the stock of an in-transit transfer at a location and fill waiting back-orders there
+ * @param {Object} transfer - StockTransfer document (loaded with the session)
+ * @param {ObjectId} locationId - Destination, or the source when the transfer is cancelled
+ * @param {Object} options - { note, user, session }
+ */
+const landTransfer = async (transfer, locationId, { note, user, session }) => {
+  for (const item of transfer.items) {
+    const product = await Product.findOne({ _id: item.product, company: transfer.company }).session(session);
+    // Stock of a product deleted while in transit is written off with it
+    if (!product) continue;
+
+    await product.updateStock(item.quantity, 'add', {
+      location: locationId,
+      lots: item.lots,
+      reason: 'transfer',
+      transfer: transfer._id,
+      reference: transfer.transferNumber,
+      note,
+      user
+    });
+    await allocateBackorders(product, { location: locationId, user, session });
+  }
+};
+
+// @desc    Get stock transfers
+// @route   GET /api/stock-transfers?status=&location=
+// @access  Private
+// @isolation STRICT - Only returns transfers of user's company
+const getTransfers = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+    const { status, location } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const query = { company: companyId };
+    if (status) query.status = status;
+    if (location) {
+      if (!mongoose.isValidObjectId(location)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid location ID format'
+        });
+      }
+      query.$or = [{ from: location }, { to: location }];
+    }
+
+    const [transfers, total] = await Promise.all([
+      populateTransfer(StockTransfer.find(query))
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      StockTransfer.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: transfers.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: transfers
+    });
+  } catch (error) {
+    console.error('Get stock transfers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stock transfers'
+    });
+  }
+};
+
+// @desc    Get single stock transfer
+// @route   GET /api/stock-transfers/:id
+// @access  Private
+// @isolation STRICT - Verifies transfer belongs to user's company
+const getTransfer = async (req, res) => {
+  try {
+    const companyId = req.user.company._id || req.user.company;
+
+    const transfer = await populateTransfer(StockTransfer.findOne({ _id: req.params.id, company: companyId }))
+      .populate('items.product', 'name sku');
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock transfer not found or access denied'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: transfer
+    });
+  } catch (error) {
+    console.error('Get stock transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stock transfer'
+    });
+  }
+};
+
+// @desc    Dispatch stock from one location to another; it is in transit until received
+// @route   POST /api/stock-transfers
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Locations and products must belong to user's company
+// @atomic  Transfer and stock taken from the source location in one transaction
+const createTransfer = async (req, res) => {
+  const companyId = req.user.company._id || req.user.company;
+  const session = await mongoose.startSession();
+
+  try {
+    let transfer;
+
+    await session.withTransaction(async () => {
+      const from = await resolveLocation(companyId, req.body.from, session);
+      const to = await resolveLocation(companyId, req.body.to, session);
+
+      if (from._id.equals(to._id)) {
+        throw new HttpError(400, 'Source and destination locations must differ');
+      }
+
+      const productIds = [...new Set(req.body.items.map(item => String(item.product)))];
+      const products = await Product.find({ _id: { $in: productIds }, company: companyId }).session(session);
+      if (products.length !== productIds.length) {
+        throw new HttpError(400, 'One or more products not found or access denied');
+      }
+
+      const { shortages } = await checkAvailability(companyId, req.body.items, from, session);
+      if (shortages.length > 0) {
+        throw new HttpError(400, `Not enough stock at ${from.name} for this transfer`, { shortages });
+      }
+
+      const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+      [transfer] = await StockTransfer.create([{
+        company: companyId,
+        from: from._id,
+        to: to._id,
+        items: req.body.items.map(item => {
+          const product = byId.get(String(item.product));
+          return {
+            product: product._id,
+            productName: product.name,
+            sku: product.sku,
+            quantity: item.quantity
+          };
+        }),
+        note: req.body.note,
+        dispatchedBy: req.user._id,
+        dispatchedAt: new Date()
+      }], { session });
+
+      // Expired lots stay at the source; they are not counted as available above
+      for (const item of transfer.items) {
+        const movement = await byId.get(item.product.toString()).updateStock(item.quantity, 'subtract', {
+          location: from._id,
+          reason: 'transfer',
+          transfer: transfer._id,
+          reference: transfer.transferNumber,
+          note: `Dispatched to ${to.name}`,
+          user: req.user._id
+        });
+        item.lots = movement.lots.map(lot => lot.toObject());
+      }
+      await transfer.save({ session });
+    });
+
+    const populatedTransfer = await populateTransfer(StockTransfer.findById(transfer._id));
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock transfer dispatched',
+      data: populatedTransfer
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Create stock transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating stock transfer'
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// @desc    Receive an in-transit transfer at its destination
+// @route   POST /api/stock-transfers/:id/receive
+// @access  Private (Owner/Admin, or the user the destination location is assigned to)
+// @isolation STRICT - Verifies transfer belongs to user's company
+// @atomic  Status and stock added at the destination in one transaction
+const receiveTransfer = async (req, res) => {
+  const companyId = req.user.company._id || req.user.company;
+  const session = await mongoose.startSession();
+
+  try {
+    let transfer;
+
+    await session.withTransaction(async () => {
+      transfer = await StockTransfer.findOne({ _id: req.params.id, company: companyId }).session(session);
+
+      if (!transfer) {
+        throw new HttpError(404, 'Stock transfer not found or access denied');
+      }
+
+      const to = await Location.findOne({ _id: transfer.to, company: companyId }).session(session);
+      const isAssignee = to?.assignedTo && to.assignedTo.toString() === req.user._id.toString();
+      if (!['owner', 'admin'].includes(req.user.role) && !isAssignee) {
+        throw new HttpError(403, 'Only the owner, an admin or the user of the destination location can receive this transfer');
+      }
+
+      if (transfer.status !== 'in_transit') {
+        throw new HttpError(400, `Cannot receive a ${transfer.status} transfer`);
+      }
+
+      await landTransfer(transfer, transfer.to, {
+        note: 'Received',
+        user: req.user._id,
+        session
+      });
+
+      transfer.status = 'received';
+      transfer.receivedBy = req.user._id;
+      transfer.receivedAt = new Date();
+      await transfer.save();
+    });
+
+    const populatedTransfer = await populateTransfer(StockTransfer.findById(transfer._id));
+
+    res.status(200).json({
+      success: true,
+      message: 'Stock transfer received',
+      data: populatedTransfer
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Receive stock transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error receiving stock transfer'
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// @desc    Cancel an in-transit transfer; its stock goes back to the source location
+// @route   POST /api/stock-transfers/:id/cancel
+// @access  Private (Owner/Admin)
+// @isolation STRICT - Verifies transfer belongs to user's company
+// @atomic  Status and stock returned to the source in one transaction
+const cancelTransfer = async (req, res) => {
+  const companyId = req.user.company._id || req.user.company;
+  const session = await mongoose.startSession();
+
+  try {
+    let transfer;
+
+    await session.withTransaction(async () => {
+      transfer = await StockTransfer.findOne({ _id: req.params.id, company: companyId }).session(session);
+
+      if (!transfer) {
+        throw new HttpError(404, 'Stock transfer not found or access denied');
+      }
+
+      if (transfer.status !== 'in_transit') {
+        throw new HttpError(400, `Cannot cancel a ${transfer.status} transfer`);
+      }
+
+      await landTransfer(transfer, transfer.from, {
+        note: 'Transfer cancelled',
+        user: req.user._id,
+        session
+      });
+
+      transfer.status = 'cancelled';
+      transfer.cancelledBy = req.user._id;
+      transfer.cancelledAt = new Date();
+      await transfer.save();
+    });
+
+    const populatedTransfer = await populateTransfer(StockTransfer.findById(transfer._id));
+
+    res.status(200).json({
+      success: true,
+      message: 'Stock transfer cancelled',
+      data: populatedTransfer
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Cancel stock transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling stock transfer'
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  getTransfers,
+  getTransfer,
+  createTransfer,
+  receiveTransfer,
+  cancelTransfer
+};
@@ -12,5 +12,7 @@ module.exports = {
   coverageDirectory: 'coverage',
   verbose: true,
   testTimeout: 30000, // 30 seconds for integration tests
+  globalSetup: '<rootDir>/tests/helpers/globalSetup.js',
+  globalTeardown: '<rootDir>/tests/helpers/globalTeardown.js',
   setupFilesAfterEnv: ['<rootDir>/tests/setup.js']
 };
@@ -0,0 +1,158 @@
+/**
+ * IDEMPOTENCY-KEY MIDDLEWARE
+ *
+ * Makes retried writes safe: when a request carries an Idempotency-Key header, the first
+ * response is stored (per user and company) and returned again for any retry with the
+ * same key, instead of running the handler twice.
+ * 1. Same key, same request: the stored status and body are replayed (Idempotent-Replayed: true)
+ * 2. Same key, different method, path or body: 409 Conflict
+ * 3. Same key while the first request is still running: 409 Conflict
+ * 4. Server errors (5xx) are not stored, so the request can be retried with the same key
+ * 5. A client that disconnects does not release the key; its retry is refused (3) until the
+ *    first request has responded, then replayed (1)
+ * 6. Keys expire after IDEMPOTENCY_TTL_HOURS and are never replayed after that
+ *
+ * MUST be used after protect() and enforceCompanyContext()
+ */
+
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+const MAX_CLAIM_ATTEMPTS = 3;
+
+/**
+ * JSON with object keys sorted, so equal bodies hash equally whatever their key order
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body || {})}`)
+  .digest('hex');
+
+/**
+ * Claim a key for a request. A key past its expiry is not replayed: MongoDB's TTL monitor
+ * only removes expired keys about once a minute, so one may still be stored and is
+ * replaced instead.
+ * @param {Object} scope - { company, user, key }
+ * @param {Object} fields - { method, path, requestHash } of the request
+ * @returns {Promise<Object|null>} null when the key was claimed, else the stored key
+ */
+const claimKey = async (scope, fields) => {
+  for (let attempt = 0; attempt < MAX_CLAIM_ATTEMPTS; attempt++) {
+    try {
+      await IdempotencyKey.create({ ...scope, ...fields });
+      return null;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    const now = new Date();
+    const existing = await IdempotencyKey.findOne({ ...scope, expiresAt: { $gt: now } });
+    if (existing) return existing;
+
+    // Expired, or released by a failed request since the insert: claim it again
+    await IdempotencyKey.deleteOne({ ...scope, expiresAt: { $lte: now } });
+  }
+
+  throw new Error(`${HEADER} could not be claimed`);
+};
+
+/**
+ * Middleware honouring the Idempotency-Key header; requests without it pass through
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get(HEADER);
+  if (key === undefined) return next();
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `${HEADER} must be between 1 and ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const scope = {
+    company: req.user.company._id || req.user.company,
+    user: req.user._id,
+    key
+  };
+  const requestHash = hashRequest(req);
+
+  let existing;
+  try {
+    existing = await claimKey(scope, {
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestHash
+    });
+  } catch (error) {
+    console.error('Idempotency key error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error checking idempotency key'
+    });
+  }
+
+  // The key was used before: replay, or refuse a different request
+  if (existing) {
+    if (existing.requestHash !== requestHash) {
+      return res.status(409).json({
+        success: false,
+        message: `${HEADER} was already used for a different request`
+      });
+    }
+
+    if (existing.state !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: `A request with this ${HEADER} is still being processed`
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // Store the response before sending it, so a retry after the client has it is replayed
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    const store = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne(scope)
+      : IdempotencyKey.updateOne(scope, {
+        $set: {
+          state: 'completed',
+          responseStatus: res.statusCode,
+          responseBody: JSON.parse(JSON.stringify(body))
+        }
+      });
+
+    store
+      .catch(error => console.error('Idempotency key store error:', error))
+      .finally(() => sendJson(body));
+    return res;
+  };
+
+  // A response sent without res.json has nothing to replay, so its key is released once it
+  // is sent. A dropped connection keeps the key: the handler is still running, and a retry
+  // must not run it a second time
+  res.on('finish', () => {
+    IdempotencyKey.deleteOne({ ...scope, state: 'processing' })
+      .catch(error => console.error('Idempotency key release error:', error));
+  });
+
+  next();
+};
+
+module.exports = {
+  IDEMPOTENCY_HEADER: HEADER,
+  idempotent
+};
@@ -250,7 +250,14 @@ const validateOrder = [
     .isMongoId()
     .withMessage('Valid company ID is required'),
   
+  body('customer.account')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Valid account ID is required'),
+  
+  // Taken from the account when customer.account is given
   body('customer.companyName')
+    .if(body('customer.account').not().exists({ values: 'null' }))
     .trim()
     .notEmpty()
     .withMessage('Company name is required'),
@@ -282,7 +289,9 @@ const validateOrder = [
     .isInt({ min: 1 })
     .withMessage('Quantity must be at least 1 for each item'),
   
+  // Ignored: unit prices are resolved server-side from the product and the account's price list
   body('items.*.unitPrice')
+    .optional()
     .isFloat({ min: 0 })
     .withMessage('Unit price must be a positive number for each item'),
   
@@ -295,6 +304,625 @@ const validateOrder = [
     .isIn(['Normal', 'Urgent', 'Rush', 'Emergency'])
     .withMessage('Invalid order status'),
   
+  // Order currency; defaults to the company's base currency
+  body('currency')
+    .optional()
+    .isIn(['BD', 'USD', 'EUR'])
+    .withMessage('Currency must be BD, USD, or EUR'),
+  
+  // Location the order is picked from; defaults to the company's default location
+  body('location')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid location ID format'),
+  
+  body('creditOverride.reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Credit override reason cannot exceed 500 characters'),
+  
+  body('quotation.validUntil')
+    .optional()
+    .isISO8601()
+    .withMessage('Quotation validity date must be a valid date'),
+  
+  handleValidationErrors
+];
+
+// Order update validation rules: only what is given is checked
+const validateOrderUpdate = [
+  body('customer.account')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Valid account ID is required'),
+
+  body('customer.companyName')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Company name cannot be empty'),
+
+  body('customer.contactInfo.email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid customer email is required'),
+
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('At least one item is required'),
+
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Valid product ID is required for each item'),
+
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1 for each item'),
+
+  body('shipping.address')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Shipping address cannot be empty'),
+
+  body('shipping.city')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Shipping city cannot be empty'),
+
+  body('orderStatus')
+    .optional()
+    .isIn(['Normal', 'Urgent', 'Rush', 'Emergency'])
+    .withMessage('Invalid order status'),
+
+  body('currency')
+    .optional()
+    .isIn(['BD', 'USD', 'EUR'])
+    .withMessage('Currency must be BD, USD, or EUR'),
+
+  body('notes.customer')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Customer notes cannot exceed 1000 characters'),
+
+  body('notes.internal')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Internal notes cannot exceed 1000 characters'),
+
+  body('payment.method')
+    .optional()
+    .isIn(['cash', 'visa', 'benefit', 'floos', 'credit'])
+    .withMessage('Invalid payment method'),
+
+  body('status')
+    .optional()
+    .isIn(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'])
+    .withMessage('Invalid status'),
+
+  body('accountantReviewStatus')
+    .optional()
+    .isIn(['PENDING_REVIEW', 'UNDER_REVIEW', 'APPROVED', 'REJECTED', 'CANCELLED'])
+    .withMessage('Invalid accountant review status'),
+
+  body('statusReason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Status reason cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+// Draft order validation rules: drafts may be incomplete, so only what is given is checked
+const validateDraft = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Draft name cannot exceed 100 characters'),
+
+  body('orderType')
+    .optional()
+    .isIn(['invoice', 'quotation', 'proforma'])
+    .withMessage('Order type must be invoice, quotation or proforma'),
+
+  body('customer.account')
+    .if((value, { req }) => req.method === 'POST' || req.body.customer !== undefined)
+    .isMongoId()
+    .withMessage('Valid account ID is required'),
+
+  body('customer.contactInfo.email')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .withMessage('Valid customer email is required'),
+
+  body('items')
+    .optional()
+    .isArray()
+    .withMessage('Items must be an array'),
+
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Valid product ID is required for each item'),
+
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1 for each item'),
+
+  body('payment.method')
+    .optional()
+    .isIn(['cash', 'visa', 'benefit', 'floos', 'credit'])
+    .withMessage('Invalid payment method'),
+
+  body('orderStatus')
+    .optional()
+    .isIn(['Normal', 'Urgent', 'Rush', 'Emergency'])
+    .withMessage('Invalid order status'),
+
+  body('currency')
+    .optional()
+    .isIn(['BD', 'USD', 'EUR'])
+    .withMessage('Currency must be BD, USD, or EUR'),
+
+  body('quotation.validUntil')
+    .optional()
+    .isISO8601()
+    .withMessage('Quotation validity date must be a valid date'),
+
+  handleValidationErrors
+];
+
+// Draft share and review validation rules
+const validateDraftShare = [
+  body('user')
+    .isMongoId()
+    .withMessage('Valid reviewer user ID is required'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Share note cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+const validateDraftReview = [
+  body('status')
+    .isIn(['approved', 'changes_requested'])
+    .withMessage('Review status must be approved or changes_requested'),
+
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Review comment cannot exceed 1000 characters'),
+
+  handleValidationErrors
+];
+
+// Quotation response / validity validation rules: a status, a new validity date or both
+const validateQuotationStatus = [
+  body('status')
+    .optional()
+    .isIn(['accepted', 'declined'])
+    .withMessage('Quotation status must be accepted or declined'),
+
+  body('validUntil')
+    .optional()
+    .isISO8601()
+    .withMessage('Quotation validity date must be a valid date'),
+
+  body()
+    .custom(value => value?.status !== undefined || value?.validUntil !== undefined)
+    .withMessage('Provide a quotation status, a validUntil date or both'),
+
+  handleValidationErrors
+];
+
+// Return (credit note) validation rules
+const validateReturn = [
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('At least one item to return is required'),
+  
+  body('items.*.itemId')
+    .isMongoId()
+    .withMessage('Valid invoice line ID is required for each returned item'),
+  
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Returned quantity must be at least 1 for each item'),
+  
+  body('items.*.reason')
+    .isIn(['damaged', 'defective', 'expired', 'wrong_item', 'not_needed', 'recalled', 'other'])
+    .withMessage('Invalid return reason'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Return notes cannot exceed 1000 characters'),
+  
+  handleValidationErrors
+];
+
+// Payment / refund ledger entry validation rules
+const validatePayment = [
+  body('method')
+    .isIn(['cash', 'visa', 'benefit', 'floos', 'bank_transfer', 'cheque', 'other'])
+    .withMessage('Invalid payment method'),
+  
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than zero'),
+  
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reference cannot exceed 200 characters'),
+  
+  body('paidAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Payment date must be a valid date'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters'),
+  
+  handleValidationErrors
+];
+
+// Delivery rule validation rules
+const validateDeliveryRule = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Rule name must be between 1 and 100 characters'),
+  
+  body('type')
+    .isIn(['base_fee', 'area_fee', 'free_threshold', 'urgency_surcharge', 'weight_tier'])
+    .withMessage('Invalid delivery rule type'),
+  
+  body('orderStatus')
+    .optional()
+    .isIn(['Urgent', 'Rush', 'Emergency'])
+    .withMessage('Order status must be Urgent, Rush or Emergency'),
+  
+  body(['amount', 'threshold', 'minWeight', 'maxWeight'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Amounts, thresholds and weights must be non-negative numbers'),
+  
+  handleValidationErrors
+];
+
+// Price and delivery preview validation rules
+const validatePricePreview = [
+  body('items')
+    .isArray()
+    .withMessage('Items must be an array'),
+  
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1'),
+  
+  body('orderStatus')
+    .optional()
+    .isIn(['Normal', 'Urgent', 'Rush', 'Emergency'])
+    .withMessage('Invalid order status'),
+  
+  body('currency')
+    .optional()
+    .isIn(['BD', 'USD', 'EUR'])
+    .withMessage('Currency must be BD, USD, or EUR'),
+  
+  handleValidationErrors
+];
+
+// Exchange rate validation rules
+const validateExchangeRate = [
+  body('currency')
+    .isIn(['BD', 'USD', 'EUR'])
+    .withMessage('Currency must be BD, USD, or EUR'),
+  
+  body('rate')
+    .isFloat({ gt: 0 })
+    .withMessage('Rate must be greater than zero'),
+  
+  body('effectiveFrom')
+    .isISO8601()
+    .withMessage('Effective date must be a valid date'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Exchange rate update validation rules (every field optional)
+const validateExchangeRateUpdate = [
+  body('currency')
+    .optional()
+    .isIn(['BD', 'USD', 'EUR'])
+    .withMessage('Currency must be BD, USD, or EUR'),
+  
+  body('rate')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Rate must be greater than zero'),
+  
+  body('effectiveFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Effective date must be a valid date'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Price list validation rules
+const validatePriceList = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Price list name must be between 1 and 100 characters'),
+  
+  body(['validFrom', 'validTo'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Validity dates must be valid dates'),
+  
+  body('entries')
+    .optional()
+    .isArray()
+    .withMessage('Entries must be an array'),
+  
+  body(['entries.*.product', 'entries.*.brand'])
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid product or brand ID in entries'),
+  
+  body('entries.*.price')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Entry price must be a non-negative number'),
+  
+  body('entries.*.discount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Entry discount must be between 0 and 100'),
+  
+  handleValidationErrors
+];
+
+// Statement of account and report period query validation
+const validateStatement = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+
+  query('format')
+    .optional()
+    .isIn(['json', 'pdf', 'xlsx'])
+    .withMessage('Format must be json, pdf or xlsx'),
+
+  handleValidationErrors
+];
+
+// Bulk UBL e-invoice export query validation
+const validateUblExport = [
+  query('from')
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+
+  query('to')
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+
+  query('type')
+    .optional()
+    .isIn(['invoice', 'credit'])
+    .withMessage('Type must be invoice or credit'),
+
+  handleValidationErrors
+];
+
+// Manual stock change validation (sales and returns are recorded by their documents)
+const validateStockUpdate = [
+  body('quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive whole number'),
+
+  body('operation')
+    .optional()
+    .isIn(['add', 'subtract'])
+    .withMessage('Operation must be add or subtract'),
+
+  body('location')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid location ID format'),
+
+  body('reason')
+    .optional()
+    .isIn(['adjustment', 'receipt'])
+    .withMessage('Reason must be adjustment or receipt'),
+
+  body('lotNumber')
+    .optional()
+    .trim()
+    .notEmpty()
+    .isLength({ max: 50 })
+    .withMessage('Lot number must be 1 to 50 characters'),
+
+  body('expiryDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry date must be a valid date'),
+
+  body('receivedDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Received date must be a valid date'),
+
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reference cannot exceed 200 characters'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+// Stock location validation rules
+const validateLocation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Location name is required')
+    .isLength({ max: 100 })
+    .withMessage('Location name cannot exceed 100 characters'),
+
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Location code is required')
+    .isLength({ max: 20 })
+    .withMessage('Location code cannot exceed 20 characters'),
+
+  body('type')
+    .optional()
+    .isIn(['warehouse', 'showroom', 'van'])
+    .withMessage('Location type must be warehouse, showroom or van'),
+
+  body('assignedTo')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+
+  handleValidationErrors
+];
+
+// Stock transfer validation rules
+const validateStockTransfer = [
+  body('from')
+    .isMongoId()
+    .withMessage('Valid source location is required'),
+
+  body('to')
+    .isMongoId()
+    .withMessage('Valid destination location is required'),
+
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('At least one item is required'),
+
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Valid product ID is required for each item'),
+
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1 for each item'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+// Product recall validation rules
+const validateRecall = [
+  body('product')
+    .isMongoId()
+    .withMessage('Valid product ID is required'),
+
+  body('lotNumbers')
+    .isArray({ min: 1 })
+    .withMessage('At least one lot number is required'),
+
+  body('lotNumbers.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Lot numbers must be 1 to 50 characters'),
+
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Recall reason is required and cannot exceed 1000 characters'),
+
+  body('instructions')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Instructions cannot exceed 2000 characters'),
+
+  body('manufacturerReference')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Manufacturer reference cannot exceed 200 characters'),
+
+  handleValidationErrors
+];
+
+// Recall recipient progress validation rules
+const validateRecallRecipient = [
+  body('status')
+    .optional()
+    .isIn(['pending', 'notified', 'acknowledged', 'resolved'])
+    .withMessage('Status must be pending, notified, acknowledged or resolved'),
+
+  body('recoveredQuantity')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Recovered quantity must be a whole number of at least 0'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+
   handleValidationErrors
 ];
 
@@ -363,6 +991,25 @@ module.exports = {
   validateBrand,
   validateCompany,
   validateOrder,
+  validateOrderUpdate,
+  validateQuotationStatus,
+  validateReturn,
+  validatePayment,
+  validateDeliveryRule,
+  validatePricePreview,
+  validatePriceList,
+  validateExchangeRate,
+  validateExchangeRateUpdate,
+  validateStatement,
+  validateUblExport,
+  validateDraft,
+  validateDraftShare,
+  validateDraftReview,
+  validateStockUpdate,
+  validateLocation,
+  validateStockTransfer,
+  validateRecall,
+  validateRecallRecipient,
   validateObjectId,
   validatePagination,
   validateSearch
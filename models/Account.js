@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { moneyField, moneyUnitsField, roundMoney, MONEY_SCHEMA_OPTIONS } = require('../utils/money');
 
 const accountSchema = new mongoose.Schema({
   company: {
@@ -124,23 +125,42 @@ const accountSchema = new mongoose.Schema({
     required: [true, 'CR number is required'],
     trim: true
   },
-  creditLimit: {
-    type: Number,
+  creditLimit: moneyField({
     required: [true, 'Credit limit is required'],
     min: [0, 'Credit limit cannot be negative'],
     default: 0
-  },
-  currentBalance: {
-    type: Number,
+  }),
+  currentBalance: moneyField({
     default: 0,
     min: [0, 'Current balance cannot be negative']
+  }),
+  // Days the account has to settle a credit invoice; drives the due dates in the aging report
+  paymentTerms: {
+    type: String,
+    enum: ['cash', 'credit_30', 'credit_60', 'credit_90'],
+    default: 'credit_30'
+  },
+  // Derived from currentBalance against creditLimit on every save - see applyCreditStatus()
+  creditStatus: {
+    type: String,
+    enum: ['active', 'warning', 'over_limit'],
+    default: 'active'
+  },
+  // Negotiated prices applied to this account's orders
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList',
+    default: null
   },
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+  // Money paths are stored in fils - see utils/money.js
+  moneyUnits: moneyUnitsField
 }, {
-  timestamps: true
+  timestamps: true,
+  ...MONEY_SCHEMA_OPTIONS
 });
 
 // Index for better performance
@@ -148,5 +168,36 @@ accountSchema.index({ company: 1 });
 accountSchema.index({ company: 1, isActive: 1 });
 accountSchema.index({ name: 1, company: 1 });
 
+// Share of the credit limit in use from which an account is in 'warning'
+const CREDIT_WARNING_RATIO = 0.8;
+
+// Virtual for the credit still available
+accountSchema.virtual('availableCredit').get(function() {
+  return Math.max(0, roundMoney((this.creditLimit || 0) - (this.currentBalance || 0)));
+});
+
+// Method to recalculate the credit status from the balance and limit
+accountSchema.methods.applyCreditStatus = function() {
+  const creditLimit = this.creditLimit || 0;
+  const currentBalance = this.currentBalance || 0;
+
+  if (currentBalance > creditLimit) {
+    this.creditStatus = 'over_limit';
+  } else if (currentBalance > 0 && currentBalance >= creditLimit * CREDIT_WARNING_RATIO) {
+    this.creditStatus = 'warning';
+  } else {
+    this.creditStatus = 'active';
+  }
+
+  return this;
+};
+
+accountSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('currentBalance') || this.isModified('creditLimit')) {
+    this.applyCreditStatus();
+  }
+  next();
+});
+
 module.exports = mongoose.model('Account', accountSchema);
 
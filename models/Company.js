@@ -1,4 +1,22 @@
 const mongoose = require('mongoose');
+const { moneyField, moneyUnitsField, MONEY_SCHEMA_OPTIONS } = require('../utils/money');
+
+// Numbering settings for one document type (see models/Counter.js)
+const numberingSchema = (defaultPrefix) => ({
+  prefix: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: defaultPrefix,
+    maxlength: [10, 'Document number prefix cannot exceed 10 characters'],
+    match: [/^[A-Z0-9]+$/, 'Document number prefix must contain only letters and numbers']
+  },
+  resetPeriod: {
+    type: String,
+    enum: ['yearly', 'monthly', 'never'],
+    default: 'yearly'
+  }
+});
 
 const companySchema = new mongoose.Schema({
   // Basic Company Information
@@ -210,16 +228,14 @@ const companySchema = new mongoose.Schema({
     }
   },
   paymentInfo: {
-    creditLimit: {
-      type: Number,
+    creditLimit: moneyField({
       default: 5000,
       min: [0, 'Credit limit cannot be negative']
-    },
-    currentBalance: {
-      type: Number,
+    }),
+    currentBalance: moneyField({
       default: 0,
       min: [0, 'Current balance cannot be negative']
-    },
+    }),
     paymentTerms: {
       type: String,
       enum: ['cash', 'credit_30', 'credit_60', 'credit_90'],
@@ -269,19 +285,18 @@ const companySchema = new mongoose.Schema({
       required: true,
       min: [1, 'Quantity must be at least 1']
     },
-    unitPrice: {
-      type: Number,
+    unitPrice: moneyField({
       required: true,
       min: [0, 'Unit price cannot be negative']
-    },
-    totalPrice: {
-      type: Number,
+    }),
+    totalPrice: moneyField({
       required: true,
       min: [0, 'Total price cannot be negative']
-    },
+    }),
     paymentType: {
       type: String,
-      enum: ['cash', 'cards', 'BenefitPay'],
+      // Legacy values plus the Order payment methods recorded at order creation
+      enum: ['cash', 'cards', 'BenefitPay', 'visa', 'benefit', 'floos', 'credit'],
       required: true
     },
     orderDate: {
@@ -302,6 +317,38 @@ const companySchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Notes cannot exceed 1000 characters']
   },
+  // Per document type numbering (prefix and sequence reset period)
+  documentNumbering: {
+    invoice: numberingSchema('INV'),
+    quotation: numberingSchema('QUO'),
+    proforma: numberingSchema('PRO'),
+    credit: numberingSchema('CRN')
+  },
+  // What happens when a credit order exceeds the account's available credit:
+  // 'block' rejects it, 'flag' books it but holds shipping until an override is approved
+  // Currency balances, credit limits and reports are kept in; order currencies convert to it
+  baseCurrency: {
+    type: String,
+    enum: ['BD', 'USD', 'EUR'],
+    default: 'BD'
+  },
+  creditControl: {
+    policy: {
+      type: String,
+      enum: ['block', 'flag'],
+      default: 'block'
+    }
+  },
+  // What happens when an invoice asks for more than is in stock: 'reject' refuses it,
+  // 'backorder' books it and back-orders the missing quantity, 'split' invoices what is
+  // in stock and moves the missing quantity to a separate back-order invoice
+  stockControl: {
+    backorderPolicy: {
+      type: String,
+      enum: ['reject', 'backorder', 'split'],
+      default: 'backorder'
+    }
+  },
   // Company modules/features support
   modules: {
     dashboard: {
@@ -348,9 +395,12 @@ const companySchema = new mongoose.Schema({
       type: Boolean,
       default: true
     }
-  }
+  },
+  // Money paths are stored in fils - see utils/money.js
+  moneyUnits: moneyUnitsField
 }, {
-  timestamps: true
+  timestamps: true,
+  ...MONEY_SCHEMA_OPTIONS
 });
 
 // Index for better performance
@@ -358,6 +408,24 @@ companySchema.index({ name: 1 });
 companySchema.index({ 'contactInfo.email': 1 });
 companySchema.index({ 'paymentInfo.status': 1 });
 
+// Each document type needs its own prefix: counters are kept per type, so two types sharing
+// a prefix would generate the same order numbers
+companySchema.pre('validate', function(next) {
+  if (!this.isModified('documentNumbering')) return next();
+
+  const seen = {};
+  ['invoice', 'quotation', 'proforma', 'credit'].forEach(docType => {
+    const prefix = this.documentNumbering?.[docType]?.prefix;
+    if (!prefix) return;
+    if (seen[prefix]) {
+      this.invalidate(`documentNumbering.${docType}.prefix`, `Prefix ${prefix} is already used for ${seen[prefix]} numbers`);
+    } else {
+      seen[prefix] = docType;
+    }
+  });
+  next();
+});
+
 // Virtual for payment status
 companySchema.virtual('paymentStatus').get(function() {
   const { creditLimit, currentBalance } = this.paymentInfo;
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company is required']
+  },
+  docType: {
+    type: String,
+    enum: ['invoice', 'quotation', 'proforma', 'credit', 'transfer', 'recall'],
+    required: [true, 'Document type is required']
+  },
+  // Period key the sequence belongs to: 'YYYY' (yearly), 'YYYYMM' (monthly) or 'all' (never resets)
+  period: {
+    type: String,
+    required: [true, 'Period is required']
+  },
+  seq: {
+    type: Number,
+    default: 0,
+    min: [0, 'Sequence cannot be negative']
+  }
+}, {
+  timestamps: true
+});
+
+// One sequence per company, document type and period
+counterSchema.index({ company: 1, docType: 1, period: 1 }, { unique: true });
+
+/**
+ * Build the period key for a reset period
+ * @param {String} resetPeriod - 'yearly', 'monthly' or 'never'
+ * @param {Date} date - Date the document is issued
+ * @returns {String} Period key
+ */
+counterSchema.statics.periodKey = function(resetPeriod, date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+
+  if (resetPeriod === 'monthly') {
+    return `${year}${month}`;
+  }
+  if (resetPeriod === 'never') {
+    return 'all';
+  }
+  return String(year);
+};
+
+/**
+ * Atomically increment and return the next sequence value
+ * @param {ObjectId} companyId - Company the sequence belongs to
+ * @param {String} docType - Document type
+ * @param {String} period - Period key from periodKey()
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Number>} Next sequence value
+ */
+counterSchema.statics.nextSequence = async function(companyId, docType, period, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { company: companyId, docType, period },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
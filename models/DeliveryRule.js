@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// One delivery pricing rule of a company. The company's active rules are evaluated
+// together by services/deliveryPricingService.js
+const deliveryRuleSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  // base_fee:          fee charged when no area rule matches
+  // area_fee:          flat fee for a city, optionally narrowed to one area
+  // free_threshold:    base and weight fees are waived when the subtotal reaches threshold
+  // urgency_surcharge: added when the order's orderStatus matches
+  // weight_tier:       added when the total weight (kg) falls in [minWeight, maxWeight)
+  type: {
+    type: String,
+    enum: ['base_fee', 'area_fee', 'free_threshold', 'urgency_surcharge', 'weight_tier'],
+    required: [true, 'Rule type is required']
+  },
+  city: {
+    type: String,
+    trim: true
+  },
+  area: {
+    type: String,
+    trim: true
+  },
+  orderStatus: {
+    type: String,
+    enum: ['Urgent', 'Rush', 'Emergency']
+  },
+  minWeight: {
+    type: Number,
+    min: [0, 'Minimum weight cannot be negative'],
+    default: 0
+  },
+  maxWeight: {
+    type: Number,
+    min: [0, 'Maximum weight cannot be negative'],
+    default: null
+  },
+  threshold: {
+    type: Number,
+    min: [0, 'Threshold cannot be negative']
+  },
+  amount: {
+    type: Number,
+    min: [0, 'Amount cannot be negative'],
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+deliveryRuleSchema.index({ company: 1, isActive: 1, type: 1 });
+
+// Each rule type needs its own fields
+deliveryRuleSchema.pre('validate', function(next) {
+  if (this.type === 'area_fee' && !this.city) {
+    this.invalidate('city', 'City is required for an area fee rule');
+  }
+  if (this.type === 'urgency_surcharge' && !this.orderStatus) {
+    this.invalidate('orderStatus', 'Order status is required for an urgency surcharge rule');
+  }
+  if (this.type === 'free_threshold' && (this.threshold === undefined || this.threshold === null)) {
+    this.invalidate('threshold', 'Threshold is required for a free delivery rule');
+  }
+  if (this.type === 'weight_tier' && this.maxWeight !== null && this.maxWeight <= this.minWeight) {
+    this.invalidate('maxWeight', 'Maximum weight must be greater than minimum weight');
+  }
+  next();
+});
+
+module.exports = mongoose.model('DeliveryRule', deliveryRuleSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Rate of one currency against the company's base currency from a given date.
+// The rate in force on a date is the one with the latest effectiveFrom on or before it;
+// see services/exchangeRateService.js
+const exchangeRateSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company is required']
+  },
+  currency: {
+    type: String,
+    enum: ['BD', 'USD', 'EUR'],
+    required: [true, 'Currency is required']
+  },
+  // Units of the base currency for one unit of currency
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be greater than zero']
+  },
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective date is required']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One rate per currency and effective date
+exchangeRateSchema.index({ company: 1, currency: 1, effectiveFrom: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// How long a stored response can be replayed
+const IDEMPOTENCY_TTL_HOURS = 24;
+
+const idempotencyKeySchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    maxlength: [255, 'Idempotency key cannot exceed 255 characters']
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of method, path and body: a key may only be replayed for the same request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  // processing until the first request has responded
+  state: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  // The JSON sent to the client, stored as serialized (decimal money amounts)
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// One key per user and company
+idempotencyKeySchema.index({ company: 1, user: 1, key: 1 }, { unique: true });
+// Expired keys are removed by MongoDB's TTL monitor
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// A place a company holds stock: a warehouse, a showroom or a salesman's van.
+// Every company has one default location; stock without a location (orders and
+// adjustments that name none, products from before locations existed) is kept there.
+const locationSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Location name is required'],
+    trim: true,
+    maxlength: [100, 'Location name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Location code is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Location code cannot exceed 20 characters']
+  },
+  type: {
+    type: String,
+    enum: ['warehouse', 'showroom', 'van'],
+    default: 'warehouse'
+  },
+  // Salesman driving a van location
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Address cannot exceed 300 characters']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+locationSchema.index({ company: 1, code: 1 }, { unique: true });
+// At most one default location per company
+locationSchema.index(
+  { company: 1, isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+/**
+ * The company's default location, created as "Main Warehouse" the first time it is needed
+ * @param {ObjectId} companyId - Tenant company
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Object>} Location document
+ */
+locationSchema.statics.getDefault = async function(companyId, session = null) {
+  const existing = await this.findOne({ company: companyId, isDefault: true }).session(session);
+  if (existing) return existing;
+
+  const [location] = await this.create([{
+    company: companyId,
+    name: 'Main Warehouse',
+    code: 'MAIN',
+    type: 'warehouse',
+    isDefault: true
+  }], { session });
+  return location;
+};
+
+module.exports = mongoose.model('Location', locationSchema);
@@ -1,4 +1,35 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const HttpError = require('../utils/httpError');
+const { REVIEW_STATUS_MAP, RETURNABLE_STATUSES, checkTransition } = require('../utils/orderStatusMachine');
+const { moneyField, moneyUnitsField, fromMinor, roundMoney, MONEY_SCHEMA_OPTIONS } = require('../utils/money');
+
+// Lot of an order line: shipped on an invoice line, or returned on a credit note line
+const orderLotSchema = new mongoose.Schema({
+  lot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockLot'
+  },
+  lotNumber: {
+    type: String,
+    required: true
+  },
+  expiryDate: {
+    type: Date,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Lot quantity must be at least 1']
+  },
+  // Invoice lines: quantity of the lot credited back through returns
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Returned quantity cannot be negative']
+  }
+}, { _id: false });
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -23,10 +54,25 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     min: [1, 'Quantity must be at least 1']
   },
-  unitPrice: {
-    type: Number,
+  unitPrice: moneyField({
     required: true,
     min: [0, 'Unit price cannot be negative']
+  }),
+  // Product.price when the order was placed, and the price list that set unitPrice (if any)
+  listPrice: moneyField({
+    min: [0, 'List price cannot be negative']
+  }),
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList',
+    default: null
+  },
+  // Percentage off listPrice (product discount or price list discount)
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100%']
   },
   vatRate: {
     type: Number,
@@ -34,23 +80,79 @@ const orderItemSchema = new mongoose.Schema({
     min: [0, 'VAT rate cannot be negative'],
     max: [100, 'VAT rate cannot exceed 100%']
   },
-  vatAmount: {
-    type: Number,
+  // VAT-exempt supply (as opposed to zero-rated)
+  vatExempt: {
+    type: Boolean,
+    default: false
+  },
+  vatAmount: moneyField({
     default: 0,
     min: [0, 'VAT amount cannot be negative']
-  },
-  totalPrice: {
-    type: Number,
+  }),
+  totalPrice: moneyField({
     required: true,
     min: [0, 'Total price cannot be negative']
+  }),
+  // Invoice lines: quantity already credited back through returns
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Returned quantity cannot be negative']
+  },
+  // Invoice lines: quantity still waiting for stock; it is deducted when allocated
+  backorderedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Back-ordered quantity cannot be negative']
+  },
+  // Lots picked first-expired-first-out for the line (stock shipped without a lot is not listed)
+  lots: [orderLotSchema],
+  // Credit note lines: the invoice line being returned and why
+  sourceItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  returnReason: {
+    type: String,
+    enum: ['damaged', 'defective', 'expired', 'wrong_item', 'not_needed', 'recalled', 'other', null],
+    default: null
   }
-});
+}, MONEY_SCHEMA_OPTIONS);
+
+// Append-only record of every status change
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Status change reason cannot exceed 500 characters']
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
-    required: false, // Will be auto-generated by pre-save middleware
-    unique: true
+    required: false // Will be auto-generated by pre-save middleware (unique per company)
   },
   orderType: {
     type: String,
@@ -68,6 +170,12 @@ const orderSchema = new mongoose.Schema({
       ref: 'Company',
       required: true
     },
+    // The customer Account (validated against the tenant); companyName is its name at order time
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      default: null
+    },
     companyName: {
       type: String,
       required: true
@@ -102,30 +210,49 @@ const orderSchema = new mongoose.Schema({
   },
   items: [orderItemSchema],
   pricing: {
-    subtotal: {
-      type: Number,
+    subtotal: moneyField({
       required: true,
       min: [0, 'Subtotal cannot be negative']
-    },
-    deliveryCost: {
-      type: Number,
+    }),
+    // Savings against list prices, already reflected in subtotal
+    discountTotal: moneyField({
+      default: 0,
+      min: [0, 'Discount total cannot be negative']
+    }),
+    deliveryCost: moneyField({
       default: 0,
       min: [0, 'Delivery cost cannot be negative']
-    },
-    totalVat: {
-      type: Number,
+    }),
+    totalVat: moneyField({
       default: 0,
       min: [0, 'Total VAT cannot be negative']
-    },
-    total: {
-      type: Number,
+    }),
+    total: moneyField({
       required: true,
       min: [0, 'Total cannot be negative']
-    },
+    }),
     currency: {
       type: String,
+      enum: ['BD', 'USD', 'EUR'],
       default: 'BD'
-    }
+    },
+    // Company base currency and the rate in force when the order was priced:
+    // units of baseCurrency for one unit of currency (1 when they are the same)
+    baseCurrency: {
+      type: String,
+      enum: ['BD', 'USD', 'EUR'],
+      default: 'BD'
+    },
+    exchangeRate: {
+      type: Number,
+      default: 1,
+      min: [0.000001, 'Exchange rate must be greater than zero']
+    },
+    // total converted to baseCurrency - see pre('validate')
+    baseTotal: moneyField({
+      default: 0,
+      min: [0, 'Base total cannot be negative']
+    })
   },
   payment: {
     method: {
@@ -133,11 +260,19 @@ const orderSchema = new mongoose.Schema({
       enum: ['cash', 'visa', 'benefit', 'floos', 'credit'],
       required: true
     },
+    // Derived from the Payment ledger - see applyPaymentSummary()
     status: {
       type: String,
-      enum: ['pending', 'paid', 'failed', 'refunded'],
+      enum: ['pending', 'partially_paid', 'paid', 'failed', 'refunded'],
       default: 'pending'
     },
+    amountPaid: moneyField({
+      default: 0
+    }),
+    amountRefunded: moneyField({
+      default: 0,
+      min: [0, 'Refunded amount cannot be negative']
+    }),
     paidAt: {
       type: Date,
       default: null
@@ -157,6 +292,68 @@ const orderSchema = new mongoose.Schema({
     enum: ['PENDING_REVIEW', 'UNDER_REVIEW', 'APPROVED', 'REJECTED', 'CANCELLED'],
     default: 'PENDING_REVIEW'
   },
+  statusHistory: [statusHistorySchema],
+  // Credit limit check of credit invoices - see services/creditControlService.js
+  creditCheck: {
+    status: {
+      type: String,
+      enum: ['not_required', 'within_limit', 'flagged', 'overridden'],
+      default: 'not_required'
+    },
+    amount: moneyField(),
+    availableCredit: moneyField(),
+    creditLimit: moneyField(),
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Override reason cannot exceed 500 characters']
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    approvedAt: Date
+  },
+  // Quotation lifecycle (only used when orderType is 'quotation')
+  quotation: {
+    validUntil: {
+      type: Date,
+      default: null
+    },
+    status: {
+      type: String,
+      enum: ['open', 'accepted', 'declined', 'expired'],
+      default: 'open'
+    },
+    respondedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Document chain: quotation -> proforma -> invoice
+  sourceDocument: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  convertedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  // Location the invoice is picked from (its stock is deducted and returned there);
+  // orders from before locations existed use the company's default location
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  // Invoices split off under the 'split' stock policy: the invoice whose missing stock this one back-orders
+  backorderOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
   invoicePdf: {
     url: {
       type: String,
@@ -176,6 +373,10 @@ const orderSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    area: {
+      type: String,
+      trim: true
+    },
     country: {
       type: String,
       default: 'Bahrain'
@@ -214,71 +415,94 @@ const orderSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     default: null
-  }
+  },
+  // Money paths are stored in fils - see utils/money.js
+  moneyUnits: moneyUnitsField
 }, {
-  timestamps: true
+  timestamps: true,
+  ...MONEY_SCHEMA_OPTIONS
 });
 
 // Index for better performance
-orderSchema.index({ orderNumber: 1 });
+// Order numbers come from per-company sequences, so they are only unique within a company
+orderSchema.index({ 'customer.company': 1, orderNumber: 1 }, { unique: true });
+orderSchema.index({ 'customer.company': 1, 'customer.account': 1, createdAt: -1 });
 orderSchema.index({ 'customer.company': 1 });
-
-// Pre-save hook to sync accountantReviewStatus to status field
-// This ensures admin and salesman roles see the updated status when accountant updates it
-orderSchema.pre('save', function(next) {
-  // Only sync if accountantReviewStatus is being modified and status is not explicitly set
-  if (this.isModified('accountantReviewStatus') && this.accountantReviewStatus) {
-    // Map accountantReviewStatus to regular status
-    const statusMap = {
-      'PENDING_REVIEW': 'pending',
-      'UNDER_REVIEW': 'processing',
-      'APPROVED': 'confirmed',
-      'REJECTED': 'cancelled',
-      'CANCELLED': 'cancelled'
-    };
-    
-    // Update status field to match accountantReviewStatus (unless status was explicitly modified)
-    if (!this.isModified('status') || this.status === this.constructor.schema.paths.status.defaultValue) {
-      this.status = statusMap[this.accountantReviewStatus] || this.status;
-    }
-  }
-  next();
-});
 orderSchema.index({ status: 1 });
 orderSchema.index({ orderType: 1 });
 orderSchema.index({ 'payment.method': 1 });
 orderSchema.index({ orderStatus: 1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ sourceDocument: 1 });
+orderSchema.index({ 'customer.company': 1, 'items.product': 1, 'items.backorderedQuantity': 1 });
+// Recall tracing of invoice lines by lot
+orderSchema.index({ 'customer.company': 1, 'items.lots.lotNumber': 1 });
+orderSchema.index({ 'customer.company': 1, orderType: 1, 'quotation.status': 1, 'quotation.validUntil': 1 });
+
+// Days a quotation stays valid when no validUntil is given
+const QUOTATION_VALIDITY_DAYS = 30;
+
+// Document types each type may be converted into
+const CONVERSION_TARGETS = {
+  quotation: ['proforma', 'invoice'],
+  proforma: ['invoice'],
+  invoice: [],
+  credit: []
+};
+
+// Fallback prefixes for companies saved before documentNumbering existed
+const DEFAULT_NUMBER_PREFIXES = {
+  invoice: 'INV',
+  quotation: 'QUO',
+  proforma: 'PRO',
+  credit: 'CRN'
+};
+
+// Keep the base currency total in step with the document total and its rate
+orderSchema.pre('validate', function(next) {
+  if (this.pricing) {
+    this.pricing.baseTotal = roundMoney((this.pricing.total || 0) * (this.pricing.exchangeRate || 1));
+  }
+  next();
+});
 
-// Pre-save middleware to generate order number and sync accountantReviewStatus to status
+// Pre-save middleware to generate order number and start the status history
 orderSchema.pre('save', async function(next) {
-  // Generate order number for new orders
+  // Generate order number for new orders from the company's sequence for this document type
   if (this.isNew && !this.orderNumber) {
-    const count = await this.constructor.countDocuments();
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    this.orderNumber = `ORD-${year}${month}${day}-${String(count + 1).padStart(4, '0')}`;
+    try {
+      const Company = mongoose.model('Company');
+      const session = this.$session();
+      const company = await Company.findById(this.customer.company)
+        .select('documentNumbering')
+        .session(session);
+      const settings = company?.documentNumbering?.[this.orderType] || {};
+      const prefix = settings.prefix || DEFAULT_NUMBER_PREFIXES[this.orderType];
+      const resetPeriod = settings.resetPeriod || 'yearly';
+
+      const period = Counter.periodKey(resetPeriod);
+      const seq = await Counter.nextSequence(this.customer.company, this.orderType, period, session);
+
+      this.orderNumber = resetPeriod === 'never'
+        ? `${prefix}-${String(seq).padStart(5, '0')}`
+        : `${prefix}-${period}-${String(seq).padStart(4, '0')}`;
+    } catch (error) {
+      return next(error);
+    }
   }
   
-  // Sync accountantReviewStatus to status field when accountantReviewStatus is modified
-  // This ensures admin and salesman roles see the updated status when accountant updates it
-  if (this.isModified('accountantReviewStatus') && this.accountantReviewStatus) {
-    // Map accountantReviewStatus to regular status
-    const statusMap = {
-      'PENDING_REVIEW': 'pending',
-      'UNDER_REVIEW': 'processing',
-      'APPROVED': 'confirmed',
-      'REJECTED': 'cancelled',
-      'CANCELLED': 'cancelled'
-    };
-    
-    // Update status field to match accountantReviewStatus (unless status was explicitly modified in the same operation)
-    const mappedStatus = statusMap[this.accountantReviewStatus];
-    if (mappedStatus && (!this.isModified('status') || this.status === 'pending')) {
-      this.status = mappedStatus;
-    }
+  // Quotations always carry an expiry date
+  if (this.isNew && this.orderType === 'quotation' && !this.quotation.validUntil) {
+    this.quotation.validUntil = new Date(Date.now() + QUOTATION_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+  }
+  
+  // Record the initial status as the first history entry
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      from: null,
+      to: this.status,
+      changedBy: this.createdBy
+    });
   }
   
   next();
@@ -296,41 +520,220 @@ orderSchema.virtual('summary').get(function() {
   };
 });
 
-// Method to calculate totals
-orderSchema.methods.calculateTotals = function() {
-  let subtotal = 0;
-  let totalVat = 0;
-  
-  this.items.forEach(item => {
-    const itemSubtotal = item.unitPrice * item.quantity;
-    const itemVat = itemSubtotal * (item.vatRate / 100);
-    
-    subtotal += itemSubtotal;
-    totalVat += itemVat;
-    
-    item.vatAmount = itemVat;
-    item.totalPrice = itemSubtotal + itemVat;
+// Status history is append-only: query updates may $push to it but never rewrite it
+orderSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+  const touchesHistory = Object.keys(update).some(key => {
+    if (key === '$push') return false;
+    if (key === 'statusHistory' || key.startsWith('statusHistory.')) return true;
+    return key.startsWith('$') && update[key] && Object.keys(update[key]).some(
+      path => path === 'statusHistory' || path.startsWith('statusHistory.')
+    );
   });
-  
-  this.pricing.subtotal = subtotal;
-  this.pricing.totalVat = totalVat;
-  this.pricing.total = subtotal + this.pricing.deliveryCost + totalVat;
-  
-  return this;
+
+  if (touchesHistory) {
+    return next(new HttpError(400, 'Order status history cannot be modified'));
+  }
+  next();
+});
+
+// Method to change status through the state machine and record it in the history
+// Throws HttpError when the transition is not allowed for the user's role
+orderSchema.methods.transitionStatus = function(newStatus, user, reason) {
+  const refusal = checkTransition(this, newStatus, user.role, reason);
+  if (refusal) {
+    throw new HttpError(refusal.status, refusal.message);
+  }
+
+  return this.recordStatus(newStatus, user, reason);
+};
+
+// Method to mark a shipped or delivered invoice 'returned' once every line has been credited.
+// Only recording a return calls this; it is not a transition users can request
+orderSchema.methods.markReturned = function(user) {
+  if (this.orderType !== 'invoice' || !this.isFullyReturned || !RETURNABLE_STATUSES.includes(this.status)) {
+    return this;
+  }
+  return this.recordStatus('returned', user, 'All items returned');
 };
 
-// Method to update status
-orderSchema.methods.updateStatus = function(newStatus, updatedBy) {
+// Set the status and append it to the history; callers check the transition first
+orderSchema.methods.recordStatus = function(newStatus, user, reason) {
+  this.statusHistory.push({
+    from: this.status,
+    to: newStatus,
+    changedBy: user._id || user.id,
+    role: user.role,
+    reason
+  });
   this.status = newStatus;
-  this.updatedBy = updatedBy;
-  
+  this.updatedBy = user._id || user.id;
+
   if (newStatus === 'delivered') {
     this.shipping.deliveredAt = new Date();
   }
-  
+
+  return this;
+};
+
+// Method to set the accountant review status and move the order status to match it
+orderSchema.methods.applyReviewStatus = function(reviewStatus, user, reason) {
+  const mappedStatus = REVIEW_STATUS_MAP[reviewStatus];
+  if (!mappedStatus) {
+    throw new HttpError(400, `Invalid accountant review status "${reviewStatus}"`);
+  }
+
+  if (mappedStatus !== this.status) {
+    this.transitionStatus(mappedStatus, user, reason);
+  }
+  this.accountantReviewStatus = reviewStatus;
+  this.updatedBy = user._id || user.id;
+
+  return this;
+};
+
+// Method to update status (validated by the state machine) and save
+orderSchema.methods.updateStatus = function(newStatus, user, reason) {
+  this.transitionStatus(newStatus, user, reason);
   return this.save();
 };
 
+// Method to derive payment status and amounts from a Payment.summarizeOrder() result
+orderSchema.methods.applyPaymentSummary = function(summary) {
+  const total = this.pricing?.total || 0;
+  // Half a fils of tolerance for floating point totals
+  const tolerance = 0.0005;
+
+  this.payment.amountPaid = summary.net;
+  this.payment.amountRefunded = summary.refunded;
+
+  if (total > 0 && summary.net >= total - tolerance) {
+    this.payment.status = 'paid';
+    this.payment.paidAt = summary.lastPaidAt;
+  } else if (summary.net > tolerance) {
+    this.payment.status = 'partially_paid';
+    this.payment.paidAt = null;
+  } else if (summary.refunded > 0) {
+    this.payment.status = 'refunded';
+    this.payment.paidAt = null;
+  } else {
+    this.payment.status = 'pending';
+    this.payment.paidAt = null;
+  }
+
+  return this;
+};
+
+// Amount still owed on this order
+orderSchema.virtual('balanceDue').get(function() {
+  return Math.max(0, roundMoney((this.pricing?.total || 0) - (this.payment?.amountPaid || 0)));
+});
+
+// Quantity of an invoice line that can still be returned
+orderSchema.methods.returnableQuantity = function(itemId) {
+  const item = this.items.id(itemId);
+  if (!item) return 0;
+  // Back-ordered quantity has not been supplied yet
+  return item.quantity - (item.returnedQuantity || 0) - (item.backorderedQuantity || 0);
+};
+
+// Add lots taken from stock (StockMovement lots) to an invoice line
+orderSchema.methods.addShippedLots = function(item, lots = []) {
+  for (const shipped of lots) {
+    const existing = item.lots.find(entry => entry.lot?.toString() === shipped.lot?.toString());
+    if (existing) {
+      existing.quantity += shipped.quantity;
+    } else {
+      item.lots.push({
+        lot: shipped.lot,
+        lotNumber: shipped.lotNumber,
+        expiryDate: shipped.expiryDate,
+        quantity: shipped.quantity
+      });
+    }
+  }
+};
+
+// Lots a return of an invoice line goes back into, latest-expiring first; marks them
+// returned. Quantity beyond what is left in the line's lots goes back unlotted
+orderSchema.methods.returnLots = function(item, quantity) {
+  const returned = [];
+  let remaining = quantity;
+
+  for (const entry of [...item.lots].reverse()) {
+    if (remaining <= 0) break;
+    const fromLot = Math.min(remaining, entry.quantity - (entry.returnedQuantity || 0));
+    if (fromLot <= 0) continue;
+    entry.returnedQuantity = (entry.returnedQuantity || 0) + fromLot;
+    returned.push({
+      lot: entry.lot,
+      lotNumber: entry.lotNumber,
+      expiryDate: entry.expiryDate,
+      quantity: fromLot
+    });
+    remaining -= fromLot;
+  }
+
+  return returned;
+};
+
+// Whether any invoice line is still waiting for stock
+orderSchema.virtual('hasBackorder').get(function() {
+  return this.items.some(item => item.backorderedQuantity > 0);
+});
+
+// Whether every invoice line has been returned in full
+orderSchema.virtual('isFullyReturned').get(function() {
+  return this.items.length > 0 && this.items.every(item => (item.returnedQuantity || 0) >= item.quantity);
+});
+
+// Method to mark an open quotation as expired once its validity date has passed
+orderSchema.methods.syncQuotationExpiry = function() {
+  if (
+    this.orderType === 'quotation' &&
+    this.quotation.status === 'open' &&
+    this.quotation.validUntil &&
+    this.quotation.validUntil < new Date()
+  ) {
+    this.quotation.status = 'expired';
+  }
+  return this;
+};
+
+// Method to check whether this document can be converted into targetType
+// Returns an error message, or null when the conversion is allowed
+orderSchema.methods.checkConversion = function(targetType) {
+  if (!CONVERSION_TARGETS[this.orderType]?.includes(targetType)) {
+    return `Cannot convert from "${this.orderType}" to "${targetType}"`;
+  }
+  if (this.convertedTo) {
+    return `This ${this.orderType} has already been converted`;
+  }
+  if (this.status === 'cancelled') {
+    return `This ${this.orderType} is cancelled and cannot be converted`;
+  }
+  if (this.orderType === 'quotation') {
+    this.syncQuotationExpiry();
+    if (this.quotation.status !== 'open' && this.quotation.status !== 'accepted') {
+      return `This quotation is ${this.quotation.status} and cannot be converted`;
+    }
+  }
+  return null;
+};
+
+// Static method to expire a company's open quotations whose validity date has passed
+orderSchema.statics.expireQuotations = function(companyId) {
+  return this.updateMany(
+    {
+      'customer.company': companyId,
+      orderType: 'quotation',
+      'quotation.status': 'open',
+      'quotation.validUntil': { $lt: new Date() }
+    },
+    { $set: { 'quotation.status': 'expired' } }
+  );
+};
+
 // Static method to get orders by company
 orderSchema.statics.getByCompany = function(companyId, limit = 10, skip = 0) {
   return this.find({ 'customer.company': companyId })
@@ -346,17 +749,34 @@ orderSchema.statics.getStatistics = async function(query = {}) {
   // Build match stage for filtering
   const matchStage = Object.keys(query).length > 0 ? [{ $match: query }] : [];
   
+  // Revenue is totalled in the company's base currency; orders priced before
+  // multi-currency support have no baseTotal and were in the base currency
+  const baseTotal = { $ifNull: ['$pricing.baseTotal', '$pricing.total'] };
+
   const stats = await this.aggregate([
     ...matchStage,
     {
       $group: {
         _id: null,
         totalOrders: { $sum: 1 },
-        totalRevenue: { $sum: '$pricing.total' },
-        averageOrderValue: { $avg: '$pricing.total' }
+        totalRevenue: { $sum: baseTotal },
+        averageOrderValue: { $avg: baseTotal }
       }
     }
   ]);
+
+  const currencyStats = await this.aggregate([
+    ...matchStage,
+    {
+      $group: {
+        _id: { $ifNull: ['$pricing.currency', 'BD'] },
+        count: { $sum: 1 },
+        total: { $sum: '$pricing.total' },
+        baseTotal: { $sum: baseTotal }
+      }
+    },
+    { $sort: { baseTotal: -1 } }
+  ]);
   
   const statusStats = await this.aggregate([
     ...matchStage,
@@ -368,9 +788,19 @@ orderSchema.statics.getStatistics = async function(query = {}) {
     }
   ]);
   
+  // Aggregates read the stored fils
+  const overview = stats[0]
+    ? { ...stats[0], totalRevenue: roundMoney(fromMinor(stats[0].totalRevenue)), averageOrderValue: roundMoney(fromMinor(stats[0].averageOrderValue)) }
+    : { totalOrders: 0, totalRevenue: 0, averageOrderValue: 0 };
+  currencyStats.forEach(row => {
+    row.total = roundMoney(fromMinor(row.total));
+    row.baseTotal = roundMoney(fromMinor(row.baseTotal));
+  });
+
   return {
-    overview: stats[0] || { totalOrders: 0, totalRevenue: 0, averageOrderValue: 0 },
-    statusBreakdown: statusStats
+    overview,
+    statusBreakdown: statusStats,
+    currencyBreakdown: currencyStats
   };
 };
 
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+
+// Days a draft is kept after its last change; drafts are then removed by the TTL index
+const DRAFT_EXPIRY_DAYS = 30;
+
+const draftExpiry = () => new Date(Date.now() + DRAFT_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+// Drafts mirror the order body sent to POST /api/orders, without its required fields:
+// they are completed over several visits and validated only when submitted.
+// Prices are never stored; a draft is priced on demand by the pricing engine.
+const draftItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  }
+}, { _id: false });
+
+const orderDraftSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by is required']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Draft name cannot exceed 100 characters']
+  },
+  orderType: {
+    type: String,
+    enum: ['invoice', 'quotation', 'proforma'],
+    default: 'invoice'
+  },
+  customer: {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      required: [true, 'Account is required']
+    },
+    employee: {
+      type: String,
+      trim: true
+    },
+    contactInfo: {
+      name: { type: String, trim: true },
+      email: { type: String, trim: true, lowercase: true },
+      phone: { type: String, trim: true },
+      address: { type: String, trim: true },
+      city: { type: String, trim: true }
+    }
+  },
+  items: [draftItemSchema],
+  shipping: {
+    address: { type: String, trim: true },
+    city: { type: String, trim: true },
+    area: { type: String, trim: true },
+    country: { type: String, trim: true, default: 'Bahrain' }
+  },
+  orderStatus: {
+    type: String,
+    enum: ['Normal', 'Urgent', 'Rush', 'Emergency'],
+    default: 'Normal'
+  },
+  payment: {
+    method: {
+      type: String,
+      enum: ['cash', 'visa', 'benefit', 'floos', 'credit']
+    }
+  },
+  currency: {
+    type: String,
+    enum: ['BD', 'USD', 'EUR']
+  },
+  quotation: {
+    validUntil: {
+      type: Date
+    }
+  },
+  notes: {
+    customer: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Customer notes cannot exceed 1000 characters']
+    },
+    internal: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Internal notes cannot exceed 1000 characters']
+    }
+  },
+  // Users (owners/admins) the draft was shared with for review; they can view and price it
+  sharedWith: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Share note cannot exceed 500 characters']
+    },
+    sharedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  review: {
+    status: {
+      type: String,
+      enum: ['not_requested', 'pending', 'approved', 'changes_requested'],
+      default: 'not_requested'
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Review comment cannot exceed 1000 characters']
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  status: {
+    type: String,
+    enum: ['open', 'submitted'],
+    default: 'open'
+  },
+  // The order created when the draft was submitted
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: draftExpiry
+  }
+}, {
+  timestamps: true
+});
+
+orderDraftSchema.index({ company: 1, createdBy: 1, 'customer.account': 1, status: 1 });
+orderDraftSchema.index({ company: 1, 'sharedWith.user': 1 });
+// Expired drafts are removed by MongoDB's TTL monitor
+orderDraftSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Every change keeps the draft for another DRAFT_EXPIRY_DAYS
+orderDraftSchema.pre('save', function(next) {
+  if (this.status === 'open' && this.isModified() && !this.isModified('expiresAt')) {
+    this.expiresAt = draftExpiry();
+  }
+  next();
+});
+
+/**
+ * Order body for POST /api/orders built from the draft, as plain JSON like a client would send
+ * @returns {Object} Order request body
+ */
+orderDraftSchema.methods.toOrderBody = function() {
+  const draft = this.toObject();
+  return JSON.parse(JSON.stringify({
+    orderType: draft.orderType,
+    customer: {
+      company: draft.company,
+      account: draft.customer?.account,
+      employee: draft.customer?.employee,
+      contactInfo: draft.customer?.contactInfo || {}
+    },
+    items: (draft.items || []).map(item => ({ product: item.product, quantity: item.quantity })),
+    shipping: draft.shipping,
+    orderStatus: draft.orderStatus,
+    payment: { method: draft.payment?.method },
+    currency: draft.currency,
+    quotation: draft.quotation,
+    notes: draft.notes
+  }));
+};
+
+module.exports = mongoose.model('OrderDraft', orderDraftSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const { moneyField, moneyUnitsField, fromMinor, MONEY_SCHEMA_OPTIONS } = require('../utils/money');
+
+const paymentSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company is required']
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  // 'payment' brings money in, 'refund' gives it back
+  type: {
+    type: String,
+    enum: ['payment', 'refund'],
+    default: 'payment'
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'visa', 'benefit', 'floos', 'bank_transfer', 'cheque', 'other'],
+    required: [true, 'Payment method is required']
+  },
+  amount: moneyField({
+    required: [true, 'Amount is required'],
+    // Checked against the stored fils: at least 1 fils
+    min: [1, 'Amount must be greater than zero']
+  }),
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reference cannot exceed 200 characters']
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recorded by is required']
+  },
+  // Money paths are stored in fils - see utils/money.js
+  moneyUnits: moneyUnitsField
+}, {
+  timestamps: true,
+  ...MONEY_SCHEMA_OPTIONS
+});
+
+// Index for better performance
+paymentSchema.index({ company: 1, order: 1 });
+paymentSchema.index({ company: 1, paidAt: -1 });
+
+/**
+ * Net amount received for an order (payments minus refunds)
+ * @param {ObjectId} orderId - Order ID
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Object>} { paid, refunded, net, lastPaidAt }
+ */
+paymentSchema.statics.summarizeOrder = async function(orderId, session = null) {
+  const rows = await this.aggregate([
+    { $match: { order: new mongoose.Types.ObjectId(orderId.toString()) } },
+    {
+      $group: {
+        _id: '$type',
+        amount: { $sum: '$amount' },
+        lastPaidAt: { $max: '$paidAt' }
+      }
+    }
+  ]).session(session);
+
+  const paymentRow = rows.find(row => row._id === 'payment');
+  const refundRow = rows.find(row => row._id === 'refund');
+  // Aggregates read the stored fils, so the sums are exact
+  const paid = paymentRow?.amount || 0;
+  const refunded = refundRow?.amount || 0;
+
+  return {
+    paid: fromMinor(paid),
+    refunded: fromMinor(refunded),
+    net: fromMinor(paid - refunded),
+    lastPaidAt: paymentRow?.lastPaidAt || null
+  };
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
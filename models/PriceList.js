@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// A contract price for one product, or a discount for every product of one brand
+const priceListEntrySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null
+  },
+  brand: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand',
+    default: null
+  },
+  // Fixed unit price (before VAT)
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative'],
+    default: null
+  },
+  // Percentage off the product's list price
+  discount: {
+    type: Number,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100%'],
+    default: null
+  }
+});
+
+const priceListSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Price list name is required'],
+    trim: true,
+    maxlength: [100, 'Price list name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  validTo: {
+    type: Date,
+    default: null
+  },
+  entries: [priceListEntrySchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+priceListSchema.index({ company: 1, isActive: 1 });
+priceListSchema.index({ company: 1, name: 1 }, { unique: true });
+
+priceListSchema.pre('validate', function(next) {
+  if (this.validFrom && this.validTo && this.validTo < this.validFrom) {
+    this.invalidate('validTo', 'Valid to must be after valid from');
+  }
+
+  this.entries.forEach((entry, i) => {
+    if (!entry.product === !entry.brand) {
+      this.invalidate(`entries.${i}`, `Entry ${i + 1} must target either a product or a brand`);
+    }
+    const hasPrice = entry.price !== null && entry.price !== undefined;
+    const hasDiscount = entry.discount !== null && entry.discount !== undefined;
+    if (hasPrice === hasDiscount) {
+      this.invalidate(`entries.${i}`, `Entry ${i + 1} must set either a price or a discount`);
+    }
+    if (entry.brand && hasPrice) {
+      this.invalidate(`entries.${i}`, `Entry ${i + 1}: brand entries can only set a discount`);
+    }
+  });
+
+  next();
+});
+
+// Method to check whether the list applies on a date
+priceListSchema.methods.isValidOn = function(date = new Date()) {
+  if (!this.isActive) return false;
+  if (this.validFrom && date < this.validFrom) return false;
+  if (this.validTo && date > this.validTo) return false;
+  return true;
+};
+
+// Method to find the entry for a product: a product entry wins over a brand entry
+priceListSchema.methods.findEntry = function(product) {
+  const productId = product._id.toString();
+  const brandId = (product.brand?._id || product.brand)?.toString();
+
+  return this.entries.find(entry => entry.product?.toString() === productId)
+    || this.entries.find(entry => brandId && entry.brand?.toString() === brandId)
+    || null;
+};
+
+module.exports = mongoose.model('PriceList', priceListSchema);
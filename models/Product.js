@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { moneyField, moneyUnitsField, MONEY_SCHEMA_OPTIONS } = require('../utils/money');
+const StockMovement = require('./StockMovement');
+const StockLevel = require('./StockLevel');
+const StockLot = require('./StockLot');
+const HttpError = require('../utils/httpError');
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -35,11 +40,10 @@ const productSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
-  price: {
-    type: Number,
+  price: moneyField({
     required: [true, 'Price is required'],
     min: [0, 'Price cannot be negative']
-  },
+  }),
   currency: {
     type: String,
     default: 'BD',
@@ -90,11 +94,10 @@ const productSchema = new mongoose.Schema({
     expiryDate: Date
   },
   pricing: {
-    cost: {
-      type: Number,
+    cost: moneyField({
       required: [true, 'Cost price is required'],
       min: [0, 'Cost cannot be negative']
-    },
+    }),
     margin: {
       type: Number,
       min: [0, 'Margin cannot be negative'],
@@ -165,9 +168,12 @@ const productSchema = new mongoose.Schema({
     ref: 'Company',
     required: [true, 'Company is required'],
     index: true
-  }
+  },
+  // Money paths are stored in fils - see utils/money.js
+  moneyUnits: moneyUnitsField
 }, {
-  timestamps: true
+  timestamps: true,
+  ...MONEY_SCHEMA_OPTIONS
 });
 
 // Index for better performance
@@ -197,31 +203,78 @@ productSchema.virtual('stockStatus').get(function() {
 
 // Virtual for final price with discount
 productSchema.virtual('finalPrice').get(function() {
-  const { price, discount } = this.pricing;
+  const price = this.price;
+  const discount = this.pricing?.discount || 0;
   if (discount > 0) {
     return price * (1 - discount / 100);
   }
   return price;
 });
 
-// Method to update stock
-productSchema.methods.updateStock = function(quantity, operation = 'subtract') {
+/**
+ * Update stock at a location and record the change in the StockMovement ledger. Writes
+ * through the document's session, so a product loaded with .session() records everything
+ * in the transaction. Quantities are incremented in place, never saved from the loaded
+ * values, so a concurrent change is not overwritten.
+ * Subtracting takes lots first-expired-first-out, then unlotted stock; expired lots are
+ * only taken with includeExpired (write-offs). Adding puts the quantity into the given lots
+ * and the rest into unlotted stock.
+ * @param {Number} quantity - Quantity to add or subtract
+ * @param {String} operation - 'add' or 'subtract'
+ * @param {Object} movement - { location, reason, order, transfer, reference, note, user,
+ *   lot: { lotNumber, expiryDate, receivedDate } to receive into or take from one lot,
+ *   lots: [{ lotNumber, expiryDate, quantity }] to put back, includeExpired }; the
+ *   company's default location is used when no location is given
+ * @returns {Promise<Object>} Recorded StockMovement, with the lots taken or filled
+ * @throws {HttpError} 400 when subtracting more than is available at the location or in total
+ */
+productSchema.methods.updateStock = async function(quantity, operation = 'subtract', movement = {}) {
+  const session = this.$session();
+  const level = await StockLevel.forProduct(this, movement.location, session);
+
+  let change = 0;
+  let lots = [];
   if (operation === 'subtract') {
-    this.stock.current = Math.max(0, this.stock.current - quantity);
+    const taken = await StockLot.take(level, quantity, movement, session);
+    change = -taken.quantity;
+    lots = taken.lots;
   } else if (operation === 'add') {
-    this.stock.current += quantity;
+    lots = await StockLot.put(level, movement.lots || (movement.lot ? [{ ...movement.lot, quantity }] : []), session);
+    change = quantity;
   }
-  
-  // Update status based on stock
-  if (this.stock.current === 0) {
-    this.status = 'out_of_stock';
-  } else if (this.stock.current <= this.stock.minimum) {
-    this.status = 'active'; // Keep active but low stock
-  } else {
-    this.status = 'active';
+
+  const updatedLevel = await StockLevel.findOneAndUpdate(
+    { _id: level._id },
+    { $inc: { quantity: change } },
+    { new: true, session }
+  );
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'stock.current': { $gte: -change } },
+    { $inc: { 'stock.current': change } },
+    { new: true, session, projection: { stock: 1, status: 1 } }
+  );
+  if (!updated) {
+    throw new HttpError(400, `Only ${this.stock.current} in stock`, { available: this.stock.current });
   }
-  
-  return this.save();
+
+  // Out of stock at zero, otherwise active (low stock stays active)
+  const status = updated.stock.current === 0 ? 'out_of_stock' : 'active';
+  if (updated.status !== status) {
+    await this.constructor.updateOne({ _id: this._id }, { $set: { status } }, { session });
+  }
+
+  // Keep the loaded document in step without marking the stock for a later save
+  this.stock.current = updated.stock.current;
+  this.status = status;
+  this.unmarkModified('stock.current');
+  this.unmarkModified('status');
+
+  return StockMovement.record(this, change, {
+    ...movement,
+    location: updatedLevel.location,
+    locationBalance: updatedLevel.quantity,
+    lots
+  }, session);
 };
 
 // Method to record sale
@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// A delivery of a recalled lot to the account: one invoice line lot
+const recallDeliverySchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: String,
+  orderDate: Date,
+  orderStatus: String,
+  lotNumber: String,
+  expiryDate: Date,
+  quantity: Number,
+  // Already credited back through returns before the recall
+  returnedQuantity: {
+    type: Number,
+    default: 0
+  },
+  // Salesman who took the order
+  salesman: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { _id: false });
+
+// A contact at the account to notify: the account itself, its staff or the order contact
+const recallContactSchema = new mongoose.Schema({
+  name: String,
+  role: String,
+  email: String,
+  phone: String
+}, { _id: false });
+
+// An account (clinic) that received recalled lots, and how far its recall has got
+const recallRecipientSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
+  accountName: {
+    type: String,
+    required: true
+  },
+  deliveries: [recallDeliverySchema],
+  contacts: [recallContactSchema],
+  // Net quantity still with the account when the recall was raised
+  quantity: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'notified', 'acknowledged', 'resolved'],
+    default: 'pending'
+  },
+  // Quantity collected back from the account under the recall
+  recoveredQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Recovered quantity cannot be negative']
+  },
+  notifiedAt: {
+    type: Date,
+    default: null
+  },
+  acknowledgedAt: {
+    type: Date,
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+});
+
+// Manufacturer recall of lots of a product. Raising it traces every invoice that shipped
+// the lots and stores the receiving accounts with their contacts; each account is then
+// tracked from pending to resolved until the recall is closed.
+const recallSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company is required']
+  },
+  // RCL-YYYY-0001, from the company's yearly recall sequence
+  recallNumber: {
+    type: String
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  productName: String,
+  sku: String,
+  lotNumbers: {
+    type: [{
+      type: String,
+      trim: true,
+      uppercase: true
+    }],
+    validate: [lots => lots.length > 0, 'At least one lot number is required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Recall reason is required'],
+    trim: true,
+    maxlength: [1000, 'Reason cannot exceed 1000 characters']
+  },
+  // What customers must do, printed on the notice
+  instructions: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Instructions cannot exceed 2000 characters']
+  },
+  manufacturerReference: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Manufacturer reference cannot exceed 200 characters']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'notified', 'closed'],
+    default: 'open'
+  },
+  recipients: [recallRecipientSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notifiedAt: {
+    type: Date,
+    default: null
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  closingNote: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Closing note cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+recallSchema.index({ company: 1, recallNumber: 1 }, { unique: true });
+recallSchema.index({ company: 1, status: 1, createdAt: -1 });
+recallSchema.index({ company: 1, product: 1 });
+
+// Quantity shipped to customers and not returned, and how much of it has been recovered
+recallSchema.virtual('totals').get(function() {
+  const recipients = this.recipients || [];
+  return {
+    accounts: recipients.length,
+    quantity: recipients.reduce((sum, recipient) => sum + recipient.quantity, 0),
+    recoveredQuantity: recipients.reduce((sum, recipient) => sum + recipient.recoveredQuantity, 0),
+    resolved: recipients.filter(recipient => recipient.status === 'resolved').length
+  };
+});
+
+// Number new recalls from the company's sequence
+recallSchema.pre('save', async function(next) {
+  if (!this.isNew || this.recallNumber) return next();
+
+  try {
+    const period = Counter.periodKey('yearly');
+    const seq = await Counter.nextSequence(this.company, 'recall', period, this.$session());
+    this.recallNumber = `RCL-${period}-${String(seq).padStart(4, '0')}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model('Recall', recallSchema);
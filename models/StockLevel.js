@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Location = require('./Location');
+
+// Stock of one product at one location. Product.stock.current is the sum of a product's
+// levels (stock in transit between locations is on the StockTransfer, not on any level);
+// minimum and maximum drive the low stock list of the location.
+const stockLevelSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company is required']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: [true, 'Location is required']
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative']
+  },
+  minimum: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum stock cannot be negative']
+  },
+  maximum: {
+    type: Number,
+    default: null,
+    min: [0, 'Maximum stock cannot be negative']
+  }
+}, {
+  timestamps: true
+});
+
+stockLevelSchema.index({ company: 1, product: 1, location: 1 }, { unique: true });
+stockLevelSchema.index({ company: 1, location: 1, quantity: 1 });
+
+/**
+ * Stock level of a product at a location (the default location when none is given),
+ * created when missing. A product without any level yet - one from before locations
+ * existed - starts with all its stock.current at the default location.
+ * @param {Object} product - Product document
+ * @param {ObjectId} locationId - Location, or null for the company's default location
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Object>} StockLevel document
+ */
+stockLevelSchema.statics.forProduct = async function(product, locationId = null, session = null) {
+  const defaultLocation = await Location.getDefault(product.company, session);
+  const location = locationId || defaultLocation._id;
+
+  const existing = await this.findOne({ company: product.company, product: product._id, location }).session(session);
+  if (existing) return existing;
+
+  if (!await this.exists({ company: product.company, product: product._id }).session(session)) {
+    await this.create([{
+      company: product.company,
+      product: product._id,
+      location: defaultLocation._id,
+      quantity: product.stock.current,
+      minimum: product.stock.minimum,
+      maximum: product.stock.maximum
+    }], { session });
+    if (location.toString() === defaultLocation._id.toString()) {
+      return this.findOne({ company: product.company, product: product._id, location }).session(session);
+    }
+  }
+
+  const [level] = await this.create([{
+    company: product.company,
+    product: product._id,
+    location
+  }], { session });
+  return level;
+};
+
+module.exports = mongoose.model('StockLevel', stockLevelSchema);
@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const HttpError = require('../utils/httpError');
+
+// A lot (batch) of a product at a location, with its expiry date. The lots at a location
+// hold part or all of its StockLevel; stock received without a lot number is unlotted and
+// has no known expiry. Sales pick lots first-expired-first-out and never take expired lots.
+const stockLotSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company is required']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: [true, 'Location is required']
+  },
+  lotNumber: {
+    type: String,
+    required: [true, 'Lot number is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'Lot number cannot exceed 50 characters']
+  },
+  // Last day the lot may be sold; null when the lot does not expire
+  expiryDate: {
+    type: Date,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Lot quantity cannot be negative']
+  },
+  receivedDate: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+stockLotSchema.index({ company: 1, product: 1, location: 1, lotNumber: 1 }, { unique: true });
+stockLotSchema.index({ company: 1, expiryDate: 1, quantity: 1 });
+stockLotSchema.index({ company: 1, lotNumber: 1 });
+
+/**
+ * Start of today: lots with an earlier expiry date are expired
+ * @returns {Date}
+ */
+stockLotSchema.statics.expiryCutoff = function() {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+stockLotSchema.virtual('isExpired').get(function() {
+  return Boolean(this.expiryDate) && this.expiryDate < this.constructor.expiryCutoff();
+});
+
+// First-expired-first-out: earliest expiry first, lots without expiry last, then oldest receipt
+const fefo = (a, b) => {
+  if (a.expiryDate?.getTime() !== b.expiryDate?.getTime()) {
+    if (!a.expiryDate) return 1;
+    if (!b.expiryDate) return -1;
+    return a.expiryDate - b.expiryDate;
+  }
+  return a.receivedDate - b.receivedDate;
+};
+
+const toShipped = (lot, quantity) => ({
+  lot: lot._id,
+  lotNumber: lot.lotNumber,
+  expiryDate: lot.expiryDate,
+  quantity
+});
+
+/**
+ * Stock of a level that may be sold: its quantity less the quantity in expired lots
+ * @param {Object} level - StockLevel document
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Number>}
+ */
+stockLotSchema.statics.sellable = async function(level, session = null) {
+  const expired = await this.find({
+    company: level.company,
+    product: level.product,
+    location: level.location,
+    quantity: { $gt: 0 },
+    expiryDate: { $lt: this.expiryCutoff() }
+  }).select('quantity').session(session);
+
+  return Math.max(0, level.quantity - expired.reduce((sum, lot) => sum + lot.quantity, 0));
+};
+
+/**
+ * Take stock out of the lots of a level, first-expired-first-out, then from unlotted
+ * stock. Does not change the level itself.
+ * @param {Object} level - StockLevel document
+ * @param {Number} quantity - Quantity wanted
+ * @param {Object} options - { lot: { lotNumber } to take from that lot only, includeExpired }
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Object>} { quantity taken, lots: [{ lot, lotNumber, expiryDate, quantity }] };
+ *   what is not taken from lots comes out of unlotted stock
+ * @throws {HttpError} 400 when the named lot has no stock at the location, or when more is
+ *   wanted than is available (details carry the available quantity)
+ */
+stockLotSchema.statics.take = async function(level, quantity, { lot = null, includeExpired = false } = {}, session = null) {
+  const lots = await this.find({
+    company: level.company,
+    product: level.product,
+    location: level.location,
+    quantity: { $gt: 0 }
+  }).session(session);
+
+  const unlotted = Math.max(0, level.quantity - lots.reduce((sum, entry) => sum + entry.quantity, 0));
+  const lotNumber = lot?.lotNumber?.trim().toUpperCase();
+
+  const candidates = lots
+    .filter(entry => !lotNumber || entry.lotNumber === lotNumber)
+    .filter(entry => includeExpired || !entry.isExpired)
+    .sort(fefo);
+
+  if (lotNumber && candidates.length === 0) {
+    throw new HttpError(400, `Lot ${lotNumber} has no ${includeExpired ? '' : 'unexpired '}stock at this location`);
+  }
+
+  // Checked before any lot is touched, so a refused take changes nothing
+  const available = candidates.reduce((sum, entry) => sum + entry.quantity, 0) + (lotNumber ? 0 : unlotted);
+  if (quantity > available) {
+    throw new HttpError(400, `Only ${available} available ${lotNumber ? `in lot ${lotNumber} ` : ''}at this location`, { available });
+  }
+
+  let remaining = quantity;
+  const taken = [];
+  for (const entry of candidates) {
+    if (remaining <= 0) break;
+    const fromLot = Math.min(remaining, entry.quantity);
+    await this.updateOne({ _id: entry._id }, { $inc: { quantity: -fromLot } }, { session });
+    entry.quantity -= fromLot;
+    taken.push(toShipped(entry, fromLot));
+    remaining -= fromLot;
+  }
+
+  return { quantity, lots: taken };
+};
+
+/**
+ * Put stock into lots of a level, creating lots that are not there yet (a receipt, or
+ * lots coming back or arriving by transfer). Does not change the level itself.
+ * @param {Object} level - StockLevel document
+ * @param {Array} lots - [{ lotNumber, expiryDate, receivedDate, quantity }]
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Array>} [{ lot, lotNumber, expiryDate, quantity }]
+ * @throws {HttpError} 400 when an existing lot has a different expiry date
+ */
+stockLotSchema.statics.put = async function(level, lots = [], session = null) {
+  const stored = [];
+
+  for (const entry of lots) {
+    if (!(entry.quantity > 0)) continue;
+    const lotNumber = entry.lotNumber.trim().toUpperCase();
+    const expiryDate = entry.expiryDate ? new Date(entry.expiryDate) : null;
+
+    let lot = await this.findOne({
+      company: level.company,
+      product: level.product,
+      location: level.location,
+      lotNumber
+    }).session(session);
+
+    if (lot) {
+      if (expiryDate && lot.expiryDate && lot.expiryDate.getTime() !== expiryDate.getTime()) {
+        throw new HttpError(400, `Lot ${lotNumber} expires on ${lot.expiryDate.toISOString().slice(0, 10)}`);
+      }
+      const update = { $inc: { quantity: entry.quantity } };
+      if (!lot.expiryDate && expiryDate) update.$set = { expiryDate };
+      lot = await this.findOneAndUpdate({ _id: lot._id }, update, { new: true, session });
+    } else {
+      [lot] = await this.create([{
+        company: level.company,
+        product: level.product,
+        location: level.location,
+        lotNumber,
+        expiryDate,
+        quantity: entry.quantity,
+        receivedDate: entry.receivedDate || Date.now()
+      }], { session });
+    }
+
+    stored.push(toShipped(lot, entry.quantity));
+  }
+
+  return stored;
+};
+
+module.exports = mongoose.model('StockLot', stockLotSchema);
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+// Append-only ledger of stock changes: every change of Product.stock.current records one
+// movement with the quantity change and the resulting balance. Movements are never edited
+// or removed; a mistake is corrected by a new adjustment.
+const stockMovementSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company is required']
+  },
+  // Kept when the product is deleted, so its history stays readable
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  sku: {
+    type: String,
+    trim: true
+  },
+  // Location whose stock changed (null for changes to the product as a whole, e.g. deletion)
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  // Signed quantity actually applied (a sale of more than the stock only takes it to 0)
+  change: {
+    type: Number,
+    required: [true, 'Quantity change is required']
+  },
+  balanceAfter: {
+    type: Number,
+    required: [true, 'Resulting balance is required'],
+    min: [0, 'Stock balance cannot be negative']
+  },
+  // Stock left at the location after the change
+  locationBalanceAfter: {
+    type: Number,
+    default: null
+  },
+  reason: {
+    type: String,
+    enum: ['sale', 'return', 'adjustment', 'receipt', 'import', 'transfer'],
+    required: [true, 'Reason is required']
+  },
+  // Source document: the invoice, credit note or stock transfer, or a reference such as the import file name
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  transfer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockTransfer',
+    default: null
+  },
+  // Lots the change was taken from or put into; the rest of the change was unlotted stock
+  lots: [{
+    _id: false,
+    lot: { type: mongoose.Schema.Types.ObjectId, ref: 'StockLot' },
+    lotNumber: String,
+    expiryDate: Date,
+    quantity: Number
+  }],
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reference cannot exceed 200 characters']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ company: 1, product: 1, createdAt: -1 });
+stockMovementSchema.index({ company: 1, order: 1 });
+stockMovementSchema.index({ company: 1, location: 1, createdAt: -1 });
+
+const appendOnly = function(next) {
+  next(new Error('Stock movements are append-only and cannot be changed or removed'));
+};
+
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+stockMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  appendOnly
+);
+
+/**
+ * Record a change already applied to a product's stock
+ * @param {Object} product - Product document, saved with its new stock.current
+ * @param {Number} change - Signed quantity applied
+ * @param {Object} details - { location, locationBalance, lots, reason, order, transfer, reference, note, user }
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Object>} StockMovement document
+ */
+stockMovementSchema.statics.record = async function(product, change, details = {}, session = null) {
+  const [movement] = await this.create([{
+    company: product.company,
+    product: product._id,
+    sku: product.sku,
+    location: details.location || null,
+    change,
+    balanceAfter: product.stock.current,
+    locationBalanceAfter: details.locationBalance ?? null,
+    reason: details.reason || 'adjustment',
+    order: details.order || null,
+    transfer: details.transfer || null,
+    lots: details.lots || [],
+    reference: details.reference,
+    note: details.note,
+    createdBy: details.user || null
+  }], { session });
+  return movement;
+};
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// Stock moved between two locations of a company. Dispatching takes the stock off the
+// source location; until it is received it is in transit and counts at no location.
+const transferItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  productName: {
+    type: String,
+    trim: true
+  },
+  sku: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  // Lots taken from the source, first-expired-first-out; they arrive as the same lots
+  lots: [{
+    _id: false,
+    lot: { type: mongoose.Schema.Types.ObjectId, ref: 'StockLot' },
+    lotNumber: String,
+    expiryDate: Date,
+    quantity: Number
+  }]
+}, { _id: false });
+
+const stockTransferSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company is required']
+  },
+  // TRF-YYYY-0001, from the company's yearly transfer sequence
+  transferNumber: {
+    type: String
+  },
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: [true, 'Source location is required']
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: [true, 'Destination location is required']
+  },
+  items: {
+    type: [transferItemSchema],
+    validate: [items => items.length > 0, 'A transfer needs at least one item']
+  },
+  status: {
+    type: String,
+    enum: ['in_transit', 'received', 'cancelled'],
+    default: 'in_transit'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  dispatchedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dispatchedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  receivedAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+stockTransferSchema.index({ company: 1, transferNumber: 1 }, { unique: true });
+stockTransferSchema.index({ company: 1, status: 1, createdAt: -1 });
+
+stockTransferSchema.pre('validate', function(next) {
+  if (this.from && this.to && this.from.toString() === this.to.toString()) {
+    this.invalidate('to', 'Source and destination locations must be different');
+  }
+  next();
+});
+
+// Number new transfers from the company's sequence
+stockTransferSchema.pre('save', async function(next) {
+  if (!this.isNew || this.transferNumber) return next();
+
+  try {
+    const period = Counter.periodKey('yearly');
+    const seq = await Counter.nextSequence(this.company, 'transfer', period, this.$session());
+    this.transferNumber = `TRF-${period}-${String(seq).padStart(4, '0')}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model('StockTransfer', stockTransferSchema);
@@ -9,10 +9,13 @@ const {
   toggleAccountStatus,
   getMedicalBranches,
   getSpecializations,
-  bulkImportAccounts
+  bulkImportAccounts,
+  getAccountStatement,
+  getAgingReport
 } = require('../controllers/accountController');
 const { protect, authorize } = require('../middleware/auth');
 const { enforceCompanyContext } = require('../middleware/companyIsolation');
+const { validateObjectId, validateStatement } = require('../middleware/validation');
 
 // Configure multer for Excel file uploads
 const storage = multer.memoryStorage();
@@ -44,6 +47,9 @@ const router = express.Router();
 router.get('/branches', protect, getMedicalBranches);
 router.get('/specializations/:branch', protect, getSpecializations);
 
+// Receivables aging report (must be before /:id route)
+router.get('/aging', protect, enforceCompanyContext, authorize('owner', 'admin', 'accountant'), getAgingReport);
+
 // Account CRUD routes - STRICT COMPANY ISOLATION
 // enforceCompanyContext ensures all operations are scoped to user's company
 router.route('/')
@@ -55,6 +61,8 @@ router.route('/:id')
   .put(protect, enforceCompanyContext, authorize('owner', 'admin'), updateAccount)
   .delete(protect, enforceCompanyContext, authorize('owner', 'admin'), deleteAccount);
 
+router.get('/:id/statement', protect, enforceCompanyContext, authorize('owner', 'admin', 'accountant'), validateObjectId('id'), validateStatement, getAccountStatement);
+
 router.patch('/:id/toggle-status', protect, enforceCompanyContext, authorize('owner', 'admin'), toggleAccountStatus);
 
 // Bulk import route (must be before /:id route)
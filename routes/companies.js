@@ -15,7 +15,13 @@ const {
   registerCompany,
   getDatabaseStatus,
   getCompanyModules,
-  updateCompanyModules
+  updateCompanyModules,
+  getDocumentNumbering,
+  updateDocumentNumbering,
+  getCreditControl,
+  updateCreditControl,
+  getStockControl,
+  updateStockControl
 } = require('../controllers/companyController');
 const { protect, authorize, hasPermission } = require('../middleware/auth');
 const { validateCompany, validateObjectId, validatePagination } = require('../middleware/validation');
@@ -34,6 +40,12 @@ router.get('/me', getMyCompany);
 router.put('/me', authorize('owner', 'admin'), updateMyCompany);
 router.get('/me/modules', getCompanyModules);
 router.put('/me/modules', authorize('owner', 'admin'), updateCompanyModules);
+router.get('/me/numbering', authorize('owner', 'admin'), getDocumentNumbering);
+router.put('/me/numbering', authorize('owner', 'admin'), updateDocumentNumbering);
+router.get('/me/credit-control', authorize('owner', 'admin', 'accountant'), getCreditControl);
+router.put('/me/credit-control', authorize('owner', 'admin'), updateCreditControl);
+router.get('/me/stock-control', authorize('owner', 'admin', 'accountant'), getStockControl);
+router.put('/me/stock-control', authorize('owner', 'admin'), updateStockControl);
 
 // General company routes
 router.get('/', validatePagination, getCompanies);
@@ -0,0 +1,33 @@
+const express = require('express');
+const {
+  getDeliveryRules,
+  getDeliveryRule,
+  createDeliveryRule,
+  updateDeliveryRule,
+  deleteDeliveryRule,
+  previewDelivery
+} = require('../controllers/deliveryRuleController');
+const { protect, authorize } = require('../middleware/auth');
+const { enforceCompanyContext } = require('../middleware/companyIsolation');
+const {
+  validateDeliveryRule,
+  validatePricePreview,
+  validateObjectId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes require authentication (delivery rules are company-specific)
+router.use(protect);
+
+// Authenticated routes (all users with company can access) - STRICT COMPANY ISOLATION
+router.get('/', enforceCompanyContext, getDeliveryRules);
+router.post('/preview', enforceCompanyContext, validatePricePreview, previewDelivery);
+router.get('/:id', enforceCompanyContext, validateObjectId('id'), getDeliveryRule);
+
+// Owner/Admin only routes - STRICT COMPANY ISOLATION
+router.post('/', enforceCompanyContext, authorize('owner', 'admin'), validateDeliveryRule, createDeliveryRule);
+router.put('/:id', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), updateDeliveryRule);
+router.delete('/:id', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), deleteDeliveryRule);
+
+module.exports = router;
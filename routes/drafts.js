@@ -0,0 +1,43 @@
+const express = require('express');
+const {
+  getDrafts,
+  getDraft,
+  createDraft,
+  updateDraft,
+  deleteDraft,
+  getDraftQuote,
+  shareDraft,
+  reviewDraft,
+  prepareDraftOrder
+} = require('../controllers/orderDraftController');
+const { createOrder } = require('../controllers/orderController');
+const { protect } = require('../middleware/auth');
+const { enforceCompanyContext } = require('../middleware/companyIsolation');
+const { idempotent } = require('../middleware/idempotency');
+const {
+  validateDraft,
+  validateDraftShare,
+  validateDraftReview,
+  validateOrder,
+  validateObjectId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes require authentication (drafts are private to their creator and reviewers)
+router.use(protect);
+
+// Draft routes - STRICT COMPANY ISOLATION
+router.get('/', enforceCompanyContext, getDrafts);
+router.get('/:id', enforceCompanyContext, validateObjectId('id'), getDraft);
+router.get('/:id/quote', enforceCompanyContext, validateObjectId('id'), getDraftQuote);
+router.post('/', enforceCompanyContext, validateDraft, createDraft);
+router.put('/:id', enforceCompanyContext, validateObjectId('id'), validateDraft, updateDraft);
+router.delete('/:id', enforceCompanyContext, validateObjectId('id'), deleteDraft);
+router.post('/:id/share', enforceCompanyContext, validateObjectId('id'), validateDraftShare, shareDraft);
+router.post('/:id/review', enforceCompanyContext, validateObjectId('id'), validateDraftReview, reviewDraft);
+
+// Submitting creates the order through the normal order validation and creation path
+router.post('/:id/submit', enforceCompanyContext, validateObjectId('id'), idempotent, prepareDraftOrder, validateOrder, createOrder);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const {
+  getExchangeRates,
+  getCurrentRates,
+  createExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate,
+  updateBaseCurrency
+} = require('../controllers/exchangeRateController');
+const { protect, authorize } = require('../middleware/auth');
+const { enforceCompanyContext } = require('../middleware/companyIsolation');
+const {
+  validateExchangeRate,
+  validateExchangeRateUpdate,
+  validateObjectId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes require authentication (exchange rates are company-specific)
+router.use(protect);
+
+// Authenticated routes (all users with company can access) - STRICT COMPANY ISOLATION
+router.get('/current', enforceCompanyContext, getCurrentRates);
+
+// Owner/Admin/Accountant routes - STRICT COMPANY ISOLATION
+router.get('/', enforceCompanyContext, authorize('owner', 'admin', 'accountant'), getExchangeRates);
+
+// Owner/Admin only routes - STRICT COMPANY ISOLATION
+router.put('/base-currency', enforceCompanyContext, authorize('owner', 'admin'), updateBaseCurrency);
+router.post('/', enforceCompanyContext, authorize('owner', 'admin'), validateExchangeRate, createExchangeRate);
+router.put('/:id', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), validateExchangeRateUpdate, updateExchangeRate);
+router.delete('/:id', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), deleteExchangeRate);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const {
+  getLocations,
+  getLocation,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+  getLocationStock,
+  updateLocationStockLimits
+} = require('../controllers/locationController');
+const { protect, authorize } = require('../middleware/auth');
+const { enforceCompanyContext } = require('../middleware/companyIsolation');
+const {
+  validateLocation,
+  validateObjectId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes require authentication (locations are company-specific)
+router.use(protect);
+
+// Authenticated routes (all users with company can access) - STRICT COMPANY ISOLATION
+router.get('/', enforceCompanyContext, getLocations);
+router.get('/:id', enforceCompanyContext, validateObjectId('id'), getLocation);
+router.get('/:id/stock', enforceCompanyContext, validateObjectId('id'), getLocationStock);
+
+// Owner/Admin only routes - STRICT COMPANY ISOLATION
+router.post('/', enforceCompanyContext, authorize('owner', 'admin'), validateLocation, createLocation);
+router.put('/:id', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), updateLocation);
+router.delete('/:id', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), deleteLocation);
+router.put('/:id/stock/:productId', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), validateObjectId('productId'), updateLocationStockLimits);
+
+module.exports = router;
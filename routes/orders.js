@@ -3,15 +3,44 @@ const {
   getOrders,
   getOrder,
   createOrder,
+  previewOrderQuote,
   updateOrder,
   updateOrderStatus,
+  getOrderStatusHistory,
+  convertOrder,
+  updateQuotationStatus,
+  createReturn,
+  getReturnsSummary,
+  getBackorders,
+  downloadOrderPdf,
+  regenerateOrderPdf,
+  downloadOrderUbl,
+  exportOrdersUbl,
+  getInvoiceQr,
+  approveCreditOverride,
   deleteOrder,
   getOrdersByCompany,
   getOrderStatistics
 } = require('../controllers/orderController');
+const {
+  getOrderPayments,
+  recordOrderPayment,
+  recordOrderRefund
+} = require('../controllers/paymentController');
 const { protect, authorize, hasPermission } = require('../middleware/auth');
 const { enforceCompanyContext } = require('../middleware/companyIsolation');
-const { validateOrder, validateObjectId, validatePagination } = require('../middleware/validation');
+const { idempotent } = require('../middleware/idempotency');
+const {
+  validateOrder,
+  validateOrderUpdate,
+  validateQuotationStatus,
+  validateReturn,
+  validatePayment,
+  validatePricePreview,
+  validateUblExport,
+  validateObjectId,
+  validatePagination
+} = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -19,13 +48,32 @@ const router = express.Router();
 router.use(protect);
 
 // General order routes - STRICT COMPANY ISOLATION
+// Creating and updating orders and recording payments honour the Idempotency-Key header
 router.get('/', enforceCompanyContext, validatePagination, getOrders);
 router.get('/statistics', enforceCompanyContext, authorize('owner', 'admin', 'accountant'), getOrderStatistics);
+router.get('/backorders', enforceCompanyContext, getBackorders);
+router.get('/returns/summary', enforceCompanyContext, authorize('owner', 'admin', 'accountant'), getReturnsSummary);
+router.get('/export/ubl', enforceCompanyContext, authorize('owner', 'admin', 'accountant'), validateUblExport, exportOrdersUbl);
 router.get('/company/:companyId', enforceCompanyContext, validateObjectId('companyId'), getOrdersByCompany);
 router.get('/:id', enforceCompanyContext, validateObjectId('id'), getOrder);
-router.post('/', enforceCompanyContext, validateOrder, createOrder);
-router.put('/:id', enforceCompanyContext, validateObjectId('id'), updateOrder);
+router.get('/:id/status-history', enforceCompanyContext, validateObjectId('id'), getOrderStatusHistory);
+router.get('/:id/pdf', enforceCompanyContext, validateObjectId('id'), downloadOrderPdf);
+router.get('/:id/qr', enforceCompanyContext, validateObjectId('id'), getInvoiceQr);
+router.get('/:id/ubl', enforceCompanyContext, validateObjectId('id'), downloadOrderUbl);
+router.post('/:id/pdf', enforceCompanyContext, authorize('owner', 'admin', 'accountant'), validateObjectId('id'), regenerateOrderPdf);
+router.post('/', enforceCompanyContext, idempotent, validateOrder, createOrder);
+router.post('/quote-preview', enforceCompanyContext, validatePricePreview, previewOrderQuote);
+router.put('/:id', enforceCompanyContext, validateObjectId('id'), idempotent, validateOrderUpdate, updateOrder);
 router.patch('/:id/status', enforceCompanyContext, validateObjectId('id'), updateOrderStatus);
+router.post('/:id/convert', enforceCompanyContext, validateObjectId('id'), idempotent, convertOrder);
+router.patch('/:id/quotation-status', enforceCompanyContext, validateObjectId('id'), validateQuotationStatus, updateQuotationStatus);
+router.post('/:id/returns', enforceCompanyContext, authorize('owner', 'admin', 'accountant'), validateObjectId('id'), validateReturn, createReturn);
+router.post('/:id/credit-override', enforceCompanyContext, authorize('owner', 'admin', 'accountant'), validateObjectId('id'), approveCreditOverride);
+
+// Payment ledger - STRICT COMPANY ISOLATION
+router.get('/:id/payments', enforceCompanyContext, validateObjectId('id'), getOrderPayments);
+router.post('/:id/payments', enforceCompanyContext, validateObjectId('id'), idempotent, validatePayment, recordOrderPayment);
+router.post('/:id/refunds', enforceCompanyContext, authorize('owner', 'admin', 'accountant'), validateObjectId('id'), idempotent, validatePayment, recordOrderRefund);
 
 // Owner/Admin only routes - STRICT COMPANY ISOLATION
 router.delete('/:id', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), deleteOrder);
@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  getPriceLists,
+  getPriceList,
+  createPriceList,
+  updatePriceList,
+  deletePriceList
+} = require('../controllers/priceListController');
+const { protect, authorize } = require('../middleware/auth');
+const { enforceCompanyContext } = require('../middleware/companyIsolation');
+const { validatePriceList, validateObjectId } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes require authentication (price lists are company-specific)
+router.use(protect);
+
+// Owner/Admin/Accountant can view contract pricing - STRICT COMPANY ISOLATION
+router.get('/', enforceCompanyContext, authorize('owner', 'admin', 'accountant'), getPriceLists);
+router.get('/:id', enforceCompanyContext, authorize('owner', 'admin', 'accountant'), validateObjectId('id'), getPriceList);
+
+// Owner/Admin only routes - STRICT COMPANY ISOLATION
+router.post('/', enforceCompanyContext, authorize('owner', 'admin'), validatePriceList, createPriceList);
+router.put('/:id', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), validatePriceList, updatePriceList);
+router.delete('/:id', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), deletePriceList);
+
+module.exports = router;
@@ -3,17 +3,21 @@ const multer = require('multer');
 const {
   getProducts,
   getProduct,
+  getProductPrice,
   createProduct,
   updateProduct,
   deleteProduct,
   updateStock,
+  getStockLevels,
+  getProductLots,
+  getStockMovements,
   getFeaturedProducts,
   getLowStockProducts,
   bulkImportProducts
 } = require('../controllers/productController');
 const { protect, authorize, hasPermission } = require('../middleware/auth');
 const { enforceCompanyContext } = require('../middleware/companyIsolation');
-const { validateProduct, validateObjectId, validatePagination, validateSearch } = require('../middleware/validation');
+const { validateProduct, validateStockUpdate, validateStatement, validateObjectId, validatePagination, validateSearch } = require('../middleware/validation');
 
 // Configure multer for Excel file upload
 const storage = multer.memoryStorage();
@@ -51,14 +55,19 @@ router.use(protect);
 // Public authenticated routes (all users with company can access) - STRICT COMPANY ISOLATION
 router.get('/featured', enforceCompanyContext, getFeaturedProducts);
 router.get('/', enforceCompanyContext, validatePagination, validateSearch, getProducts);
+// Declared before /:id so "low-stock" is not read as a product id
+router.get('/low-stock', enforceCompanyContext, authorize('owner', 'admin'), getLowStockProducts);
 router.get('/:id', enforceCompanyContext, validateObjectId('id'), getProduct);
+router.get('/:id/price', enforceCompanyContext, validateObjectId('id'), getProductPrice);
 
 // Owner/Admin only routes - STRICT COMPANY ISOLATION
-router.get('/low-stock', enforceCompanyContext, authorize('owner', 'admin'), getLowStockProducts);
 router.post('/', enforceCompanyContext, authorize('owner', 'admin'), validateProduct, createProduct);
 router.post('/bulk-import', enforceCompanyContext, authorize('owner', 'admin'), uploadExcel, bulkImportProducts);
 router.put('/:id', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), updateProduct);
-router.patch('/:id/stock', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), updateStock);
+router.patch('/:id/stock', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), validateStockUpdate, updateStock);
+router.get('/:id/lots', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), getProductLots);
+router.get('/:id/stock-levels', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), getStockLevels);
+router.get('/:id/stock-movements', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), validatePagination, validateStatement, getStockMovements);
 router.delete('/:id', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), deleteProduct);
 
 module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const {
+  getRecalls,
+  getRecall,
+  createRecall,
+  updateRecallRecipient,
+  notifyRecall,
+  getRecallPdf,
+  getRecallMailingList,
+  closeRecall
+} = require('../controllers/recallController');
+const { protect, authorize } = require('../middleware/auth');
+const { enforceCompanyContext } = require('../middleware/companyIsolation');
+const {
+  validateRecall,
+  validateRecallRecipient,
+  validateObjectId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes require authentication (recalls are company-specific)
+router.use(protect);
+
+// Owner/Admin only routes - STRICT COMPANY ISOLATION
+router.get('/', enforceCompanyContext, authorize('owner', 'admin'), getRecalls);
+router.post('/', enforceCompanyContext, authorize('owner', 'admin'), validateRecall, createRecall);
+router.get('/:id', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), getRecall);
+router.get('/:id/pdf', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), getRecallPdf);
+router.get('/:id/mailing-list', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), getRecallMailingList);
+router.post('/:id/notify', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), notifyRecall);
+router.put('/:id/recipients/:recipientId', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), validateObjectId('recipientId'), validateRecallRecipient, updateRecallRecipient);
+router.post('/:id/close', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), closeRecall);
+
+module.exports = router;
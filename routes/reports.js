@@ -6,11 +6,14 @@ const {
   createPdfReport,
   getReports,
   getReport,
-  deleteReport
+  deleteReport,
+  getVatReturn,
+  getStockReconciliation,
+  getExpiringLots
 } = require('../controllers/reportController');
 const { protect, authorize } = require('../middleware/auth');
 const { enforceCompanyContext } = require('../middleware/companyIsolation');
-const { validateObjectId } = require('../middleware/validation');
+const { validateObjectId, validateStatement } = require('../middleware/validation');
 
 // Configure multer for file uploads (store in memory)
 const storage = multer.memoryStorage();
@@ -46,6 +49,16 @@ router.post('/upload', enforceCompanyContext, authorize('salesman'), upload.sing
 // Create PDF report - Salesman only - STRICT COMPANY ISOLATION
 router.post('/pdf', enforceCompanyContext, authorize('salesman'), createPdfReport);
 
+// VAT return summary - Owner, Admin and Accountant - STRICT COMPANY ISOLATION
+// (declared before /:id so "vat-return" is not read as a report id)
+router.get('/vat-return', enforceCompanyContext, authorize('owner', 'admin', 'accountant'), validateStatement, getVatReturn);
+
+// Stock ledger reconciliation - Owner and Admin - STRICT COMPANY ISOLATION
+router.get('/stock-reconciliation', enforceCompanyContext, authorize('owner', 'admin'), getStockReconciliation);
+
+// Lots expired or expiring within N days - Owner and Admin - STRICT COMPANY ISOLATION
+router.get('/expiring-lots', enforceCompanyContext, authorize('owner', 'admin'), getExpiringLots);
+
 // Get all reports - Owner and Admin - STRICT COMPANY ISOLATION
 router.get('/', enforceCompanyContext, authorize('owner', 'admin'), getReports);
 
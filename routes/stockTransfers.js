@@ -0,0 +1,32 @@
+const express = require('express');
+const {
+  getTransfers,
+  getTransfer,
+  createTransfer,
+  receiveTransfer,
+  cancelTransfer
+} = require('../controllers/stockTransferController');
+const { protect, authorize } = require('../middleware/auth');
+const { enforceCompanyContext } = require('../middleware/companyIsolation');
+const {
+  validateStockTransfer,
+  validateObjectId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes require authentication (stock transfers are company-specific)
+router.use(protect);
+
+// Authenticated routes (all users with company can access) - STRICT COMPANY ISOLATION
+router.get('/', enforceCompanyContext, getTransfers);
+router.get('/:id', enforceCompanyContext, validateObjectId('id'), getTransfer);
+
+// The user a destination van is assigned to may receive it; the controller checks
+router.post('/:id/receive', enforceCompanyContext, validateObjectId('id'), receiveTransfer);
+
+// Owner/Admin only routes - STRICT COMPANY ISOLATION
+router.post('/', enforceCompanyContext, authorize('owner', 'admin'), validateStockTransfer, createTransfer);
+router.post('/:id/cancel', enforceCompanyContext, authorize('owner', 'admin'), validateObjectId('id'), cancelTransfer);
+
+module.exports = router;
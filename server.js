@@ -33,6 +33,13 @@ const reportRoutes = require('./routes/reports');
 const userActivityRoutes = require('./routes/userActivity');
 const dashboardRoutes = require('./routes/dashboard');
 const marketingRoutes = require('./routes/marketing');
+const deliveryRuleRoutes = require('./routes/deliveryRules');
+const priceListRoutes = require('./routes/priceLists');
+const exchangeRateRoutes = require('./routes/exchangeRates');
+const draftRoutes = require('./routes/drafts');
+const locationRoutes = require('./routes/locations');
+const stockTransferRoutes = require('./routes/stockTransfers');
+const recallRoutes = require('./routes/recalls');
 
 const app = express();
 
@@ -89,8 +96,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['X-Total-Count'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['X-Total-Count', 'Idempotent-Replayed'],
   maxAge: 86400 // 24 hours
 }));
 
@@ -135,7 +142,7 @@ app.options('*', cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key']
 }));
 
 // Security middleware
@@ -337,6 +344,13 @@ app.use('/api/reports', reportRoutes);
 app.use('/api/marketing', marketingRoutes);
 app.use('/api/user-activity', userActivityRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/delivery-rules', deliveryRuleRoutes);
+app.use('/api/price-lists', priceListRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/drafts', draftRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/stock-transfers', stockTransferRoutes);
+app.use('/api/recalls', recallRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -0,0 +1,46 @@
+// Account lookups for orders: always by ObjectId and always within the tenant
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const HttpError = require('../utils/httpError');
+
+/**
+ * Find an account of the company by id
+ * @param {ObjectId} companyId - Tenant company
+ * @param {ObjectId} accountId - Account ID (may be null)
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Object|null>} Account or null
+ */
+const findAccount = async (companyId, accountId, session = null) => {
+  if (!accountId || !mongoose.isValidObjectId(accountId)) return null;
+  return Account.findOne({ _id: accountId._id || accountId, company: companyId }).session(session);
+};
+
+/**
+ * Resolve the account an order is placed for. customer.account must be an account of
+ * the company; orders from clients that only send a name are linked when it matches.
+ * @param {ObjectId} companyId - Tenant company
+ * @param {Object} customer - Order customer { account, companyName }
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Object|null>} Account or null when the order is not for a known account
+ * @throws {HttpError} 400 when customer.account is not an account of the company
+ */
+const resolveOrderAccount = async (companyId, customer = {}, session = null) => {
+  if (customer.account) {
+    const account = await findAccount(companyId, customer.account, session);
+    if (!account) {
+      throw new HttpError(400, 'Account not found or access denied');
+    }
+    return account;
+  }
+
+  if (customer.companyName) {
+    return Account.findOne({ company: companyId, name: customer.companyName.trim() }).session(session);
+  }
+
+  return null;
+};
+
+module.exports = {
+  findAccount,
+  resolveOrderAccount
+};
@@ -0,0 +1,291 @@
+// Receivables: statement of account per account and the company-wide aging report.
+// Both work from the same credit invoice ledger as recalculateAccountBalance(), in the
+// company's base currency: order amounts are converted at the rate stored on the order.
+// Queries load documents rather than .lean() objects so money paths read as decimal amounts.
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { roundMoney, fromMinor } = require('../utils/money');
+const { getBaseCurrency } = require('./exchangeRateService');
+
+// Half a fils of tolerance for floating point comparisons
+const TOLERANCE = 0.0005;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Account paymentTerms -> days to settle a credit invoice
+const PAYMENT_TERM_DAYS = {
+  cash: 0,
+  credit_30: 30,
+  credit_60: 60,
+  credit_90: 90
+};
+
+// Aging buckets by days past due: [key, label, max days (inclusive)]
+const AGING_BUCKETS = [
+  ['days0to30', '0-30', 30],
+  ['days31to60', '31-60', 60],
+  ['days61to90', '61-90', 90],
+  ['days90plus', '90+', Infinity]
+];
+
+/**
+ * Due date of a credit invoice under the given payment terms
+ * @param {Date} invoiceDate - Invoice date
+ * @param {String} paymentTerms - cash, credit_30, credit_60 or credit_90
+ * @returns {Date} Due date
+ */
+const dueDateFor = (invoiceDate, paymentTerms) => {
+  const days = PAYMENT_TERM_DAYS[paymentTerms] ?? PAYMENT_TERM_DAYS.credit_30;
+  return new Date(new Date(invoiceDate).getTime() + days * DAY_MS);
+};
+
+/**
+ * Build the statement of account for a date range
+ * @param {ObjectId} companyId - Tenant company
+ * @param {Object} account - Account document (already checked to belong to the company)
+ * @param {Object} range - { from, to } Dates; to is inclusive
+ * @returns {Promise<Object>} { account, currency, from, to, openingBalance, entries, totals, closingBalance }
+ *   Each entry is { date, type, reference, order, description, debit, credit, balance }
+ */
+const buildStatement = async (companyId, account, { from, to }) => {
+  const invoices = await Order.find({
+    'customer.company': companyId,
+    'customer.account': account._id,
+    orderType: 'invoice',
+    'payment.method': 'credit',
+    status: { $ne: 'cancelled' },
+    createdAt: { $lte: to }
+  })
+    .select('orderNumber createdAt pricing.total pricing.currency pricing.exchangeRate');
+
+  const invoiceIds = invoices.map(invoice => invoice._id);
+  const invoicesById = new Map(invoices.map(invoice => [invoice._id.toString(), invoice]));
+  const invoiceNumber = (orderId) => invoicesById.get(orderId.toString())?.orderNumber || '-';
+
+  const [creditNotes, payments] = await Promise.all([
+    Order.find({
+      'customer.company': companyId,
+      orderType: 'credit',
+      sourceDocument: { $in: invoiceIds },
+      createdAt: { $lte: to }
+    })
+      .select('orderNumber createdAt sourceDocument pricing.total pricing.currency pricing.exchangeRate'),
+    Payment.find({
+      company: companyId,
+      order: { $in: invoiceIds },
+      paidAt: { $lte: to }
+    })
+      .select('order type method amount reference paidAt')
+  ]);
+
+  // Base currency amount of an order amount, noting the original when it was foreign
+  const inBase = (amount, pricing = {}) => ({
+    amount: roundMoney(amount * (pricing.exchangeRate || 1)),
+    note: pricing.exchangeRate && pricing.exchangeRate !== 1
+      ? ` (${pricing.currency} ${Number(amount).toFixed(3)})`
+      : ''
+  });
+
+  // Debits raise what the account owes, credits reduce it
+  const movements = [
+    ...invoices.map(invoice => {
+      const total = inBase(invoice.pricing?.total || 0, invoice.pricing);
+      return {
+        date: invoice.createdAt,
+        type: 'invoice',
+        reference: invoice.orderNumber,
+        order: invoice._id,
+        description: `Invoice${total.note}`,
+        debit: total.amount,
+        credit: 0
+      };
+    }),
+    ...creditNotes.map(note => {
+      const total = inBase(note.pricing?.total || 0, note.pricing);
+      return {
+        date: note.createdAt,
+        type: 'credit_note',
+        reference: note.orderNumber,
+        order: note._id,
+        description: `Credit note against ${invoiceNumber(note.sourceDocument)}${total.note}`,
+        debit: 0,
+        credit: total.amount
+      };
+    }),
+    ...payments.map(payment => {
+      const isRefund = payment.type === 'refund';
+      // Payments are taken in the invoice's currency
+      const amount = inBase(payment.amount, invoicesById.get(payment.order.toString())?.pricing);
+      return {
+        date: payment.paidAt,
+        type: payment.type,
+        reference: payment.reference || invoiceNumber(payment.order),
+        order: payment.order,
+        description: `${isRefund ? 'Refund' : 'Payment'} (${payment.method}) for ${invoiceNumber(payment.order)}${amount.note}`,
+        debit: isRefund ? amount.amount : 0,
+        credit: isRefund ? 0 : amount.amount
+      };
+    })
+  ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  let openingBalance = 0;
+  const entries = [];
+  const totals = { invoiced: 0, credited: 0, paid: 0, refunded: 0 };
+
+  movements.forEach(movement => {
+    if (movement.date < from) {
+      openingBalance += movement.debit - movement.credit;
+      return;
+    }
+
+    if (movement.type === 'invoice') totals.invoiced += movement.debit;
+    if (movement.type === 'credit_note') totals.credited += movement.credit;
+    if (movement.type === 'payment') totals.paid += movement.credit;
+    if (movement.type === 'refund') totals.refunded += movement.debit;
+    entries.push(movement);
+  });
+
+  openingBalance = roundMoney(openingBalance);
+  let balance = openingBalance;
+  entries.forEach(entry => {
+    balance = roundMoney(balance + entry.debit - entry.credit);
+    entry.balance = balance;
+  });
+
+  Object.keys(totals).forEach(key => { totals[key] = roundMoney(totals[key]); });
+
+  return {
+    account: {
+      _id: account._id,
+      name: account.name,
+      vat: account.vat,
+      crNumber: account.crNumber,
+      paymentTerms: account.paymentTerms,
+      creditLimit: account.creditLimit,
+      currentBalance: account.currentBalance
+    },
+    currency: await getBaseCurrency(companyId),
+    from,
+    to,
+    openingBalance,
+    entries,
+    totals,
+    closingBalance: balance
+  };
+};
+
+/**
+ * Age the outstanding credit invoices of a company by days past their due date
+ * @param {ObjectId} companyId - Tenant company
+ * @param {Date} asOf - Date to age against (defaults to now)
+ * @returns {Promise<Object>} { asOf, currency, buckets, accounts, totals }
+ *   Each account row is { account, name, paymentTerms, creditLimit, notDue, <bucket keys>, total, invoices }
+ */
+const buildAging = async (companyId, asOf = new Date()) => {
+  const tenantId = new mongoose.Types.ObjectId(companyId.toString());
+
+  const invoices = await Order.find({
+    'customer.company': tenantId,
+    orderType: 'invoice',
+    'payment.method': 'credit',
+    status: { $ne: 'cancelled' },
+    'payment.status': { $ne: 'paid' }
+  })
+    .select('orderNumber createdAt customer.account customer.companyName pricing.total pricing.exchangeRate payment.amountPaid');
+
+  const credits = await Order.aggregate([
+    { $match: { orderType: 'credit', sourceDocument: { $in: invoices.map(invoice => invoice._id) } } },
+    {
+      $group: {
+        _id: '$sourceDocument',
+        total: { $sum: { $multiply: ['$pricing.total', { $ifNull: ['$pricing.exchangeRate', 1] }] } }
+      }
+    }
+  ]);
+  // Aggregates read the stored fils
+  const creditedByInvoice = new Map(credits.map(row => [row._id.toString(), fromMinor(row.total)]));
+
+  const accountIds = [...new Set(invoices
+    .filter(invoice => invoice.customer?.account)
+    .map(invoice => invoice.customer.account.toString()))];
+  const accounts = await Account.find({ _id: { $in: accountIds }, company: tenantId })
+    .select('name paymentTerms creditLimit');
+  const accountsById = new Map(accounts.map(account => [account._id.toString(), account]));
+
+  const emptyRow = () => ({
+    notDue: 0,
+    ...Object.fromEntries(AGING_BUCKETS.map(([key]) => [key, 0])),
+    total: 0
+  });
+
+  const rows = new Map();
+  const totals = emptyRow();
+
+  invoices.forEach(invoice => {
+    const rate = invoice.pricing?.exchangeRate || 1;
+    const outstanding = ((invoice.pricing?.total || 0) - (invoice.payment?.amountPaid || 0)) * rate
+      - (creditedByInvoice.get(invoice._id.toString()) || 0);
+    if (outstanding <= TOLERANCE) return;
+
+    // Invoices not yet linked to an account are grouped by customer name
+    const account = invoice.customer?.account ? accountsById.get(invoice.customer.account.toString()) : null;
+    const rowKey = account ? account._id.toString() : `name:${invoice.customer?.companyName || '-'}`;
+
+    if (!rows.has(rowKey)) {
+      rows.set(rowKey, {
+        account: account?._id || null,
+        name: account?.name || invoice.customer?.companyName || '-',
+        paymentTerms: account?.paymentTerms || null,
+        creditLimit: account?.creditLimit || 0,
+        ...emptyRow(),
+        invoices: []
+      });
+    }
+    const row = rows.get(rowKey);
+
+    const dueDate = dueDateFor(invoice.createdAt, account?.paymentTerms);
+    const daysPastDue = Math.floor((asOf - dueDate) / DAY_MS);
+    const bucket = daysPastDue < 0
+      ? 'notDue'
+      : AGING_BUCKETS.find(([, , maxDays]) => daysPastDue <= maxDays)[0];
+
+    row[bucket] += outstanding;
+    row.total += outstanding;
+    totals[bucket] += outstanding;
+    totals.total += outstanding;
+    row.invoices.push({
+      order: invoice._id,
+      orderNumber: invoice.orderNumber,
+      invoiceDate: invoice.createdAt,
+      dueDate,
+      daysPastDue: Math.max(0, daysPastDue),
+      bucket,
+      outstanding: roundMoney(outstanding)
+    });
+  });
+
+  const roundRow = (row) => {
+    ['notDue', ...AGING_BUCKETS.map(([key]) => key), 'total'].forEach(key => {
+      row[key] = roundMoney(row[key]);
+    });
+    return row;
+  };
+
+  return {
+    asOf,
+    currency: await getBaseCurrency(tenantId),
+    buckets: AGING_BUCKETS.map(([key, label]) => ({ key, label })),
+    accounts: [...rows.values()].map(roundRow).sort((a, b) => b.total - a.total),
+    totals: roundRow(totals)
+  };
+};
+
+module.exports = {
+  PAYMENT_TERM_DAYS,
+  AGING_BUCKETS,
+  dueDateFor,
+  buildStatement,
+  buildAging
+};
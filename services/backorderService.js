@@ -0,0 +1,190 @@
+// Stock availability for invoices and back-order allocation.
+// An invoice line takes what is in stock at the invoice's location when it is booked
+// (expired lots are not in stock for sale);
+// under the 'backorder' and 'split' policies the rest is kept on the line as
+// backorderedQuantity and filled, oldest invoice first, whenever stock of the product
+// comes in at that location.
+const Company = require('../models/Company');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Location = require('../models/Location');
+const StockLevel = require('../models/StockLevel');
+const StockLot = require('../models/StockLot');
+const { stockAtLocation } = require('./locationService');
+
+/**
+ * Company back-order policy
+ * @param {ObjectId} companyId - Tenant company
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<String>} 'reject', 'backorder' or 'split'
+ */
+const getBackorderPolicy = async (companyId, session = null) => {
+  const company = await Company.findById(companyId).select('stockControl').session(session);
+  return company?.stockControl?.backorderPolicy || 'backorder';
+};
+
+/**
+ * Check order lines against the stock at a location. Lines of the same product share its stock in order.
+ * @param {ObjectId} companyId - Tenant company
+ * @param {Array} items - Order lines [{ product, quantity }]
+ * @param {Object} location - Location document the order is picked from
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Object>} { lines: [{ available, missing }] per item, shortages: [{ product, productName, sku, requested, available, missing }] }
+ */
+const checkAvailability = async (companyId, items, location, session = null) => {
+  const productIds = [...new Set(items.map(item => String(item.product?._id || item.product)))];
+  const products = await Product.find({ _id: { $in: productIds }, company: companyId })
+    .select('company name sku stock.current')
+    .session(session);
+
+  const inStock = await stockAtLocation(products, location, session);
+  const remaining = new Map(inStock);
+  const shortages = new Map();
+
+  const lines = items.map(item => {
+    const productId = String(item.product?._id || item.product);
+    // Unknown products are left to the pricing engine to reject
+    if (!remaining.has(productId)) {
+      return { available: item.quantity, missing: 0 };
+    }
+
+    const available = Math.min(item.quantity, remaining.get(productId));
+    const missing = item.quantity - available;
+    remaining.set(productId, remaining.get(productId) - available);
+
+    if (missing > 0) {
+      const product = products.find(p => p._id.toString() === productId);
+      const shortage = shortages.get(productId) || {
+        product: product._id,
+        productName: product.name,
+        sku: product.sku,
+        requested: 0,
+        available: inStock.get(productId),
+        missing: 0
+      };
+      shortage.missing += missing;
+      shortages.set(productId, shortage);
+    }
+    return { available, missing };
+  });
+
+  // Requested is the product's total over all lines
+  items.forEach(item => {
+    const shortage = shortages.get(String(item.product?._id || item.product));
+    if (shortage) shortage.requested += item.quantity;
+  });
+
+  return { lines, shortages: [...shortages.values()] };
+};
+
+/**
+ * Fill back-ordered invoice lines of a product from its stock at a location, oldest
+ * invoice first. Call after stock of the product has come in at the location.
+ * @param {Object} product - Product document (loaded with the session, if any)
+ * @param {Object} options - { location (default location when not given), user, session }
+ * @returns {Promise<Array>} Allocations [{ order, orderNumber, quantity }]
+ */
+const allocateBackorders = async (product, { location = null, user = null, session = null } = {}) => {
+  if (product.stock.current <= 0) return [];
+
+  // Stock can come back to a location that has since been deactivated
+  const pickLocation = location
+    ? await Location.findOne({ _id: location, company: product.company }).session(session)
+    : await Location.getDefault(product.company, session);
+  if (!pickLocation) return [];
+
+  const level = await StockLevel.forProduct(product, pickLocation._id, session);
+  let available = await StockLot.sellable(level, session);
+  if (available <= 0) return [];
+
+  // Invoices from before locations existed are picked from the default location
+  const orders = await Order.find({
+    'customer.company': product.company,
+    orderType: 'invoice',
+    status: { $nin: ['cancelled', 'returned'] },
+    location: pickLocation.isDefault ? { $in: [pickLocation._id, null] } : pickLocation._id,
+    items: { $elemMatch: { product: product._id, backorderedQuantity: { $gt: 0 } } }
+  })
+    .sort({ createdAt: 1, _id: 1 })
+    .session(session);
+
+  const allocations = [];
+
+  for (const order of orders) {
+    for (const item of order.items) {
+      if (available <= 0) break;
+      if (item.product.toString() !== product._id.toString() || !(item.backorderedQuantity > 0)) continue;
+
+      const quantity = Math.min(item.backorderedQuantity, available);
+      const movement = await product.updateStock(quantity, 'subtract', {
+        location: pickLocation._id,
+        reason: 'sale',
+        order: order._id,
+        reference: order.orderNumber,
+        note: 'Back-order allocated',
+        user
+      });
+      available -= quantity;
+      item.backorderedQuantity -= quantity;
+      order.addShippedLots(item, movement.lots);
+      allocations.push({ order: order._id, orderNumber: order.orderNumber, quantity });
+    }
+
+    if (order.isModified()) {
+      await order.save();
+    }
+    if (available <= 0) break;
+  }
+
+  return allocations;
+};
+
+/**
+ * Open back-orders of a company: invoice lines still waiting for stock
+ * @param {ObjectId} companyId - Tenant company
+ * @param {Object} filters - { account, product, createdBy }
+ * @returns {Promise<Array>} [{ order, orderNumber, account, customerName, createdAt, createdBy, status, location, item, product, productName, quantity, backorderedQuantity }]
+ */
+const listBackorders = async (companyId, { account, product, createdBy } = {}) => {
+  const lineMatch = { backorderedQuantity: { $gt: 0 } };
+  if (product) lineMatch.product = product;
+
+  const query = {
+    'customer.company': companyId,
+    orderType: 'invoice',
+    status: { $nin: ['cancelled', 'returned'] },
+    items: { $elemMatch: lineMatch }
+  };
+  if (account) query['customer.account'] = account;
+  if (createdBy) query.createdBy = createdBy;
+
+  const orders = await Order.find(query)
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: 1 });
+
+  return orders.flatMap(order => order.items
+    .filter(item => item.backorderedQuantity > 0 && (!product || item.product.toString() === product.toString()))
+    .map(item => ({
+      order: order._id,
+      orderNumber: order.orderNumber,
+      backorderOf: order.backorderOf,
+      account: order.customer.account,
+      customerName: order.customer.companyName,
+      createdAt: order.createdAt,
+      createdBy: order.createdBy,
+      status: order.status,
+      location: order.location,
+      item: item._id,
+      product: item.product,
+      productName: item.productName,
+      quantity: item.quantity,
+      backorderedQuantity: item.backorderedQuantity
+    })));
+};
+
+module.exports = {
+  getBackorderPolicy,
+  checkAvailability,
+  allocateBackorders,
+  listBackorders
+};
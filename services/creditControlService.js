@@ -0,0 +1,72 @@
+// Credit control: checks credit sales against the account's credit limit
+const HttpError = require('../utils/httpError');
+
+// Roles that may approve a sale beyond the credit limit
+const CREDIT_OVERRIDE_ROLES = ['owner', 'admin', 'accountant'];
+
+/**
+ * Credit position of an account
+ * @param {Object} account - Account document
+ * @returns {Object} { creditLimit, currentBalance, availableCredit, creditStatus }
+ */
+const creditPosition = (account) => ({
+  creditLimit: account.creditLimit || 0,
+  currentBalance: account.currentBalance || 0,
+  availableCredit: account.availableCredit,
+  creditStatus: account.creditStatus
+});
+
+/**
+ * Check a credit sale against the account's available credit
+ * @param {Object} params
+ * @param {Object} params.account - Account document the sale is booked to
+ * @param {Number} params.amount - Amount the sale adds to the balance
+ * @param {String} params.policy - Company policy when the limit is exceeded: 'block' or 'flag'
+ * @param {Object} params.override - Optional { reason } approving the sale beyond the limit
+ * @param {Object} params.user - User placing the order
+ * @returns {Object} Order creditCheck fields
+ * @throws {HttpError} 400 when the limit is exceeded under the 'block' policy without a valid override
+ */
+const checkCredit = ({ account, amount, policy = 'block', override, user }) => {
+  if (!account) {
+    throw new HttpError(400, 'Credit orders must be placed for an existing account');
+  }
+
+  const position = creditPosition(account);
+  const check = {
+    availableCredit: position.availableCredit,
+    creditLimit: position.creditLimit,
+    amount
+  };
+
+  if (amount <= position.availableCredit) {
+    return { ...check, status: 'within_limit' };
+  }
+
+  if (override?.reason?.trim()) {
+    if (!CREDIT_OVERRIDE_ROLES.includes(user.role)) {
+      throw new HttpError(403, 'Only owners, admins and accountants can approve a credit limit override');
+    }
+    return {
+      ...check,
+      status: 'overridden',
+      reason: override.reason.trim(),
+      approvedBy: user._id || user.id,
+      approvedAt: new Date()
+    };
+  }
+
+  if (policy === 'flag') {
+    return { ...check, status: 'flagged' };
+  }
+
+  throw new HttpError(400, `Credit limit exceeded: ${amount.toFixed(3)} requested, ${position.availableCredit.toFixed(3)} available`, {
+    credit: { ...position, requested: amount }
+  });
+};
+
+module.exports = {
+  CREDIT_OVERRIDE_ROLES,
+  creditPosition,
+  checkCredit
+};
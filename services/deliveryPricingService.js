@@ -0,0 +1,107 @@
+// Delivery pricing: evaluates a company's DeliveryRule set for an order
+const DeliveryRule = require('../models/DeliveryRule');
+
+// Used when a company has not configured any delivery rules
+const LEGACY_FREE_THRESHOLD = 50;
+const LEGACY_FEE = 2;
+
+const WEIGHT_UNITS_IN_KG = {
+  kg: 1,
+  kgs: 1,
+  g: 0.001,
+  gr: 0.001,
+  gram: 0.001,
+  grams: 0.001,
+  lb: 0.453592,
+  lbs: 0.453592,
+  oz: 0.0283495
+};
+
+/**
+ * Parse a free-text weight such as "250g", "1.5 kg" or "2 lbs" into kilograms
+ * @param {String} weight - Product.specifications.weight
+ * @returns {Number} Weight in kg (0 when missing or unreadable; plain numbers are taken as kg)
+ */
+const parseWeightKg = (weight) => {
+  if (weight === undefined || weight === null) return 0;
+  const match = String(weight).trim().toLowerCase().match(/^([\d.]+)\s*([a-z]*)/);
+  if (!match) return 0;
+
+  const value = parseFloat(match[1]);
+  const factor = match[2] ? WEIGHT_UNITS_IN_KG[match[2]] : 1;
+  if (Number.isNaN(value) || factor === undefined) return 0;
+
+  return value * factor;
+};
+
+const sameText = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+
+/**
+ * Calculate the delivery cost of an order from the company's active rules
+ * @param {Object} params
+ * @param {ObjectId} params.companyId - Tenant company
+ * @param {Number} params.subtotal - Order subtotal before VAT
+ * @param {String} params.city - Shipping city
+ * @param {String} params.area - Optional shipping area
+ * @param {String} params.orderStatus - Normal, Urgent, Rush or Emergency
+ * @param {Array} params.items - [{ product: Product document, quantity }]
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Object>} { deliveryCost, totalWeight, breakdown: [{ rule, name, type, amount }] }
+ */
+const calculateDelivery = async ({ companyId, subtotal, city, area, orderStatus, items = [] }, session = null) => {
+  const rules = await DeliveryRule.find({ company: companyId, isActive: true }).session(session);
+
+  const totalWeight = items.reduce(
+    (sum, item) => sum + parseWeightKg(item.product?.specifications?.weight) * (item.quantity || 0),
+    0
+  );
+
+  if (rules.length === 0) {
+    const deliveryCost = subtotal >= LEGACY_FREE_THRESHOLD ? 0 : LEGACY_FEE;
+    return {
+      deliveryCost,
+      totalWeight,
+      breakdown: [{ rule: null, name: 'Standard delivery', type: 'base_fee', amount: deliveryCost }]
+    };
+  }
+
+  const entry = (rule, amount = rule.amount) => ({ rule: rule._id, name: rule.name, type: rule.type, amount });
+  const breakdown = [];
+
+  // Base fee: the most specific matching area rule, else the company base fee
+  const areaRules = rules.filter(rule => rule.type === 'area_fee' && sameText(rule.city, city));
+  const baseRule = areaRules.find(rule => rule.area && sameText(rule.area, area))
+    || areaRules.find(rule => !rule.area)
+    || rules.find(rule => rule.type === 'base_fee');
+  if (baseRule) breakdown.push(entry(baseRule));
+
+  // Weight tier: the highest tier the total weight reaches
+  const weightRule = rules
+    .filter(rule => rule.type === 'weight_tier'
+      && totalWeight >= (rule.minWeight || 0)
+      && (rule.maxWeight === null || rule.maxWeight === undefined || totalWeight < rule.maxWeight))
+    .sort((a, b) => (b.minWeight || 0) - (a.minWeight || 0))[0];
+  if (weightRule) breakdown.push(entry(weightRule));
+
+  // Free delivery waives the base and weight fees, not urgency surcharges
+  const freeRule = rules
+    .filter(rule => rule.type === 'free_threshold' && subtotal >= rule.threshold)
+    .sort((a, b) => a.threshold - b.threshold)[0];
+  if (freeRule && breakdown.length > 0) {
+    const waived = breakdown.reduce((sum, line) => sum + line.amount, 0);
+    breakdown.push(entry(freeRule, -waived));
+  }
+
+  rules
+    .filter(rule => rule.type === 'urgency_surcharge' && rule.orderStatus === orderStatus)
+    .forEach(rule => breakdown.push(entry(rule)));
+
+  const deliveryCost = Math.max(0, breakdown.reduce((sum, line) => sum + line.amount, 0));
+
+  return { deliveryCost, totalWeight, breakdown };
+};
+
+module.exports = {
+  parseWeightKg,
+  calculateDelivery
+};
@@ -3,6 +3,15 @@ const nodemailer = require('nodemailer');
 const fs = require('fs');
 const path = require('path');
 
+// Escape user-entered text before it is placed in an HTML body
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+})[char]);
+
 class EmailService {
   constructor() {
     // Check if Gmail credentials are provided
@@ -1054,6 +1063,77 @@ Thank you for your interest in our platform. We encourage you to reapply when yo
       };
     }
   }
+
+  /**
+   * Send a product recall notice with the account's notice PDF attached
+   */
+  async sendRecallNotice({ contactName, contactEmail, accountName, companyName, companyEmail, recallNumber, productName, lotNumbers, reason, pdfBuffer }) {
+    try {
+      const mailOptions = {
+        from: `"${companyName}" <${process.env.GMAIL_USER}>`,
+        to: contactEmail,
+        replyTo: companyEmail || undefined,
+        subject: `Product Recall ${recallNumber} - ${productName}`,
+        text: `Dear ${contactName || accountName},\n\n${companyName} is recalling ${productName}, lot(s) ${lotNumbers.join(', ')}, supplied to ${accountName}.\n\nReason: ${reason}\n\nPlease stop using these lots immediately. The attached notice lists the deliveries concerned and what to do. Reply to this email quoting ${recallNumber} to arrange their return.\n\nBest regards,\n${companyName}`,
+        html: `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+              .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+              .header { background: linear-gradient(135deg, #e53935 0%, #b71c1c 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+              .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+              .recall-box { background: white; border-left: 4px solid #e53935; padding: 20px; margin: 20px 0; }
+              .label { font-weight: bold; color: #b71c1c; margin-right: 10px; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <h1>⚠️ Product Recall</h1>
+                <p style="margin: 10px 0 0 0;">${escapeHtml(recallNumber)}</p>
+              </div>
+              <div class="content">
+                <p>Dear <strong>${escapeHtml(contactName || accountName)}</strong>,</p>
+                <p>${escapeHtml(companyName)} is recalling a product supplied to <strong>${escapeHtml(accountName)}</strong>.</p>
+
+                <div class="recall-box">
+                  <p><span class="label">Product:</span> ${escapeHtml(productName)}</p>
+                  <p><span class="label">Lots:</span> ${lotNumbers.map(escapeHtml).join(', ')}</p>
+                  <p><span class="label">Reason:</span> ${escapeHtml(reason)}</p>
+                </div>
+
+                <p>Please stop using these lots immediately. The attached notice lists the deliveries concerned and what to do.</p>
+                <p>Reply to this email quoting <strong>${escapeHtml(recallNumber)}</strong> to arrange their return.</p>
+
+                <p>Best regards,<br>${escapeHtml(companyName)}</p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `,
+        attachments: pdfBuffer ? [{
+          filename: `${recallNumber}.pdf`,
+          content: pdfBuffer,
+          contentType: 'application/pdf'
+        }] : []
+      };
+
+      if (this.transporter) {
+        const info = await this.transporter.sendMail(mailOptions);
+        return { success: true, messageId: info.messageId };
+      } else {
+        console.log('📧 Email Preview (Recall Notice):');
+        console.log('To:', contactEmail);
+        console.log('Subject:', mailOptions.subject);
+        return { success: false, message: 'Email service not configured', fallback: true };
+      }
+    } catch (error) {
+      console.error('Email Error:', error);
+      return { success: false, message: error.message };
+    }
+  }
 }
 
 module.exports = new EmailService();
@@ -0,0 +1,78 @@
+// Exchange rates: converts amounts between an order's currency, product currencies
+// and the company's base currency at the rates in force on a date
+const Company = require('../models/Company');
+const ExchangeRate = require('../models/ExchangeRate');
+const HttpError = require('../utils/httpError');
+
+/**
+ * Get the company's base currency
+ * @param {ObjectId} companyId - Tenant company
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<String>} Currency code
+ */
+const getBaseCurrency = async (companyId, session = null) => {
+  const company = await Company.findById(companyId).select('baseCurrency').session(session);
+  return company?.baseCurrency || 'BD';
+};
+
+/**
+ * Find the rate of a currency in force on a date
+ * @param {ObjectId} companyId - Tenant company
+ * @param {String} currency - Currency to convert from
+ * @param {Date} date - Date the rate must be in force on
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Object|null>} ExchangeRate or null
+ */
+const findRateInForce = (companyId, currency, date, session = null) => ExchangeRate.findOne({
+  company: companyId,
+  currency,
+  effectiveFrom: { $lte: date }
+})
+  .sort({ effectiveFrom: -1 })
+  .session(session);
+
+/**
+ * Load the rates needed to convert between a set of currencies
+ * @param {ObjectId} companyId - Tenant company
+ * @param {Array<String>} currencies - Currencies that will be converted
+ * @param {Date} date - Pricing date (defaults to now)
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Object>} { baseCurrency, rates: { currency: units of base per unit } }
+ * @throws {HttpError} 400 when a currency has no rate in force
+ */
+const loadRates = async (companyId, currencies, date = new Date(), session = null) => {
+  const baseCurrency = await getBaseCurrency(companyId, session);
+  const rates = { [baseCurrency]: 1 };
+
+  for (const currency of new Set(currencies.filter(Boolean))) {
+    if (rates[currency]) continue;
+
+    const rate = await findRateInForce(companyId, currency, date, session);
+    if (!rate) {
+      throw new HttpError(400, `No exchange rate from ${currency} to ${baseCurrency} is in force on ${date.toISOString().slice(0, 10)}`);
+    }
+    rates[currency] = rate.rate;
+  }
+
+  return { baseCurrency, rates };
+};
+
+/**
+ * Convert an amount between two currencies of a loaded rate table (unrounded)
+ * @param {Number} amount - Amount in from
+ * @param {String} from - Currency of amount
+ * @param {String} to - Currency wanted
+ * @param {Object} table - Result of loadRates()
+ * @returns {Number} Amount in to
+ */
+const convert = (amount, from, to, { rates }) => {
+  if (from === to) return amount;
+  return amount * rates[from] / rates[to];
+};
+
+module.exports = {
+  getBaseCurrency,
+  findRateInForce,
+  loadRates,
+  convert
+};
@@ -0,0 +1,113 @@
+// Tax invoice QR code in the TLV/base64 format of Gulf e-invoicing regimes: each field is
+// a one-byte tag, a one-byte length and the UTF-8 value, and the concatenated bytes are
+// base64 encoded. Fields: 1 seller name, 2 seller VAT number, 3 invoice timestamp
+// (ISO 8601), 4 invoice total including VAT, 5 VAT total.
+const QRCode = require('qrcode');
+
+const QR_TAGS = {
+  sellerName: 1,
+  vatNumber: 2,
+  timestamp: 3,
+  invoiceTotal: 4,
+  vatTotal: 5
+};
+
+// Printed size of the QR code on invoice PDFs, in mm
+const QR_SIZE = 32;
+
+/**
+ * Encode fields as TLV and base64
+ * @param {Array<Array>} fields - [[tag, value]] pairs
+ * @returns {String} Base64 payload
+ */
+const encodeTlv = (fields) => Buffer.concat(fields.map(([tag, value]) => {
+  const bytes = Buffer.from(String(value ?? ''), 'utf8');
+  if (bytes.length > 255) {
+    throw new Error(`QR field ${tag} is longer than 255 bytes`);
+  }
+  return Buffer.concat([Buffer.from([tag, bytes.length]), bytes]);
+})).toString('base64');
+
+/**
+ * Decode a base64 TLV payload (used to check what a QR code carries)
+ * @param {String} payload - Base64 payload
+ * @returns {Object} { [tag]: value }
+ */
+const decodeTlv = (payload) => {
+  const bytes = Buffer.from(payload, 'base64');
+  const fields = {};
+  let offset = 0;
+  while (offset + 2 <= bytes.length) {
+    const tag = bytes[offset];
+    const length = bytes[offset + 1];
+    fields[tag] = bytes.subarray(offset + 2, offset + 2 + length).toString('utf8');
+    offset += 2 + length;
+  }
+  return fields;
+};
+
+/**
+ * QR payload of a tax invoice, from the order's pricing and the seller company
+ * @param {Object} order - Order document (orderType invoice)
+ * @param {Object} company - Seller Company document
+ * @returns {String} Base64 TLV payload
+ */
+const buildInvoiceQrPayload = (order, company) => encodeTlv([
+  [QR_TAGS.sellerName, company.name],
+  [QR_TAGS.vatNumber, company.vatNumber],
+  // Second precision, e.g. 2024-06-03T09:30:00Z
+  [QR_TAGS.timestamp, new Date(order.createdAt).toISOString().replace(/\.\d{3}Z$/, 'Z')],
+  [QR_TAGS.invoiceTotal, Number(order.pricing?.total || 0).toFixed(3)],
+  [QR_TAGS.vatTotal, Number(order.pricing?.totalVat || 0).toFixed(3)]
+]);
+
+/**
+ * Render the invoice QR code as a PNG
+ * @param {Object} order - Order document (orderType invoice)
+ * @param {Object} company - Seller Company document
+ * @param {Object} options - { width } in pixels
+ * @returns {Promise<Buffer>} PNG bytes
+ */
+const renderInvoiceQrPng = (order, company, { width = 300 } = {}) => QRCode.toBuffer(
+  buildInvoiceQrPayload(order, company),
+  { type: 'png', errorCorrectionLevel: 'M', margin: 1, width }
+);
+
+/**
+ * Draw the invoice QR code on a jsPDF document, on a new page when it does not fit
+ * @param {jsPDF} doc - Document being rendered
+ * @param {Object} order - Order document (orderType invoice)
+ * @param {Object} company - Seller Company document
+ * @param {Object} layout - { y, left, pageBottom }
+ * @returns {Promise<Number>} y position below the QR code
+ */
+const drawInvoiceQr = async (doc, order, company, { y, left, pageBottom }) => {
+  if (!company.vatNumber) {
+    console.warn(`No QR code on invoice ${order.orderNumber}: the company has no VAT number`);
+    return y;
+  }
+
+  if (y + QR_SIZE + 5 > pageBottom) {
+    doc.addPage();
+    y = 20;
+  }
+
+  const png = await renderInvoiceQrPng(order, company);
+  doc.addImage(new Uint8Array(png), 'PNG', left, y, QR_SIZE, QR_SIZE, undefined, 'FAST');
+  doc.setFontSize(7);
+  doc.setTextColor(120, 120, 120);
+  doc.text('Scan to verify this tax invoice', left, y + QR_SIZE + 3);
+  doc.setFontSize(9);
+  doc.setTextColor(60, 60, 60);
+
+  return y + QR_SIZE + 8;
+};
+
+module.exports = {
+  QR_TAGS,
+  encodeTlv,
+  decodeTlv,
+  buildInvoiceQrPayload,
+  renderInvoiceQrPng,
+  drawInvoiceQr
+};
@@ -0,0 +1,78 @@
+// Stock locations: lookups within the tenant and stock of products at a location
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+const StockLevel = require('../models/StockLevel');
+const StockLot = require('../models/StockLot');
+const HttpError = require('../utils/httpError');
+
+/**
+ * Active location of the company, or its default location when none is given
+ * @param {ObjectId} companyId - Tenant company
+ * @param {ObjectId} locationId - Location ID (may be null)
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Object>} Location document
+ * @throws {HttpError} 400 when the location is not an active location of the company
+ */
+const resolveLocation = async (companyId, locationId, session = null) => {
+  if (!locationId) {
+    return Location.getDefault(companyId, session);
+  }
+
+  const location = mongoose.isValidObjectId(locationId)
+    ? await Location.findOne({ _id: locationId._id || locationId, company: companyId, isActive: true }).session(session)
+    : null;
+
+  if (!location) {
+    throw new HttpError(400, 'Location not found or inactive');
+  }
+  return location;
+};
+
+/**
+ * Stock of products at a location that may be sold, i.e. not in expired lots. Products
+ * without any stock level yet (from before locations existed) have all their stock at the
+ * default location.
+ * @param {Array} products - Product documents of one company (with stock.current)
+ * @param {Object} location - Location document
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Map>} productId -> quantity
+ */
+const stockAtLocation = async (products, location, session = null) => {
+  const productIds = products.map(product => product._id);
+
+  // Run one after another: a transaction session does not support parallel operations
+  const levels = await StockLevel.find({ company: location.company, location: location._id, product: { $in: productIds } })
+    .select('product quantity')
+    .session(session);
+  const stocked = await StockLevel.distinct('product', { company: location.company, product: { $in: productIds } })
+    .session(session);
+  const expiredLots = await StockLot.find({
+    company: location.company,
+    location: location._id,
+    product: { $in: productIds },
+    quantity: { $gt: 0 },
+    expiryDate: { $lt: StockLot.expiryCutoff() }
+  })
+    .select('product quantity')
+    .session(session);
+
+  const withLevels = new Set(stocked.map(id => id.toString()));
+  const quantities = new Map(levels.map(level => [level.product.toString(), level.quantity]));
+  expiredLots.forEach(lot => {
+    const id = lot.product.toString();
+    quantities.set(id, Math.max(0, (quantities.get(id) || 0) - lot.quantity));
+  });
+
+  return new Map(products.map(product => {
+    const id = product._id.toString();
+    if (!withLevels.has(id)) {
+      return [id, location.isDefault ? product.stock.current : 0];
+    }
+    return [id, quantities.get(id) || 0];
+  }));
+};
+
+module.exports = {
+  resolveLocation,
+  stockAtLocation
+};
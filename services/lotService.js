@@ -0,0 +1,56 @@
+// Stock lots: expiry reporting across a company's locations
+const StockLot = require('../models/StockLot');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lots in stock that have expired or expire within the next days, first-expired first
+ * @param {ObjectId} companyId - Tenant company
+ * @param {Object} options - { days, location }
+ * @returns {Promise<Object>} { rows: [{ lot, product, name, sku, location, lotNumber, expiryDate, daysToExpiry, expired, quantity }], totals }
+ */
+const listExpiringLots = async (companyId, { days = 30, location = null } = {}) => {
+  const today = StockLot.expiryCutoff();
+  const until = new Date(today.getTime() + days * DAY_MS);
+
+  const query = {
+    company: companyId,
+    quantity: { $gt: 0 },
+    expiryDate: { $ne: null, $lte: until }
+  };
+  if (location) query.location = location;
+
+  const lots = await StockLot.find(query)
+    .populate('product', 'name sku')
+    .populate('location', 'name code type')
+    .sort({ expiryDate: 1, lotNumber: 1 });
+
+  const rows = lots.map(lot => ({
+    lot: lot._id,
+    product: lot.product?._id || lot.product,
+    name: lot.product?.name || null,
+    sku: lot.product?.sku || null,
+    location: lot.location,
+    lotNumber: lot.lotNumber,
+    expiryDate: lot.expiryDate,
+    daysToExpiry: Math.round((lot.expiryDate - today) / DAY_MS),
+    expired: lot.isExpired,
+    quantity: lot.quantity
+  }));
+
+  const expired = rows.filter(row => row.expired);
+
+  return {
+    rows,
+    totals: {
+      lots: rows.length,
+      quantity: rows.reduce((sum, row) => sum + row.quantity, 0),
+      expiredLots: expired.length,
+      expiredQuantity: expired.reduce((sum, row) => sum + row.quantity, 0)
+    }
+  };
+};
+
+module.exports = {
+  listExpiringLots
+};
@@ -0,0 +1,253 @@
+// Order document PDFs (tax invoice, proforma, quotation, credit note) rendered with jsPDF
+const Company = require('../models/Company');
+const { jsPDF, pdfToBuffer, loadImage } = require('../utils/pdf');
+const { uploadPdf } = require('../utils/supabase');
+const { drawInvoiceQr } = require('./invoiceQrService');
+
+const DOCUMENT_TITLES = {
+  invoice: 'TAX INVOICE',
+  proforma: 'PROFORMA INVOICE',
+  quotation: 'QUOTATION',
+  credit: 'CREDIT NOTE'
+};
+
+const PAGE_BOTTOM = 270;
+const LEFT = 15;
+const RIGHT = 195;
+
+// Line item table columns: [label, x, align]
+const COLUMNS = [
+  ['#', LEFT, 'left'],
+  ['Description', LEFT + 8, 'left'],
+  ['Qty', 110, 'right'],
+  ['Unit Price', 135, 'right'],
+  ['VAT %', 150, 'right'],
+  ['VAT', 170, 'right'],
+  ['Total', RIGHT, 'right']
+];
+
+const formatMoney = (amount, currency = 'BD') => `${currency} ${Number(amount || 0).toFixed(3)}`;
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-GB', { year: 'numeric', month: 'short', day: '2-digit' })
+  : '-');
+
+/**
+ * Draw the line item table header at y
+ * @returns {Number} y position below the header
+ */
+const drawTableHeader = (doc, y) => {
+  doc.setFillColor(240, 240, 240);
+  doc.rect(LEFT - 2, y - 5, RIGHT - LEFT + 4, 8, 'F');
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(9);
+  COLUMNS.forEach(([label, x, align]) => doc.text(label, x, y, { align }));
+  doc.setFont('helvetica', 'normal');
+  return y + 8;
+};
+
+/**
+ * Render an order document to a PDF buffer
+ * @param {Object} order - Order document (populated or not)
+ * @param {Object} company - Issuing Company document
+ * @returns {Promise<Buffer>} PDF bytes; tax invoices get the e-invoicing QR code under the totals
+ */
+const renderOrderPdf = async (order, company) => {
+  const doc = new jsPDF();
+  const currency = order.pricing?.currency || 'BD';
+  doc.setFont('helvetica');
+
+  // Header: logo and seller details on the left, document title on the right
+  const logo = await loadImage(company.logo?.url);
+  let sellerX = LEFT;
+  if (logo) {
+    try {
+      doc.addImage(logo.data, logo.format, LEFT, 10, 28, 28);
+      sellerX = LEFT + 33;
+    } catch (error) {
+      console.warn('Could not draw company logo on PDF:', error.message);
+    }
+  }
+
+  doc.setFontSize(14);
+  doc.setFont('helvetica', 'bold');
+  doc.setTextColor(40, 40, 40);
+  doc.text(company.name, sellerX, 16);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(60, 60, 60);
+  [
+    company.address,
+    [company.city, company.country].filter(Boolean).join(', '),
+    [company.phone, company.email].filter(Boolean).join(' | '),
+    `VAT No: ${company.vatNumber || '-'}    CR No: ${company.crNumber || '-'}`
+  ].forEach((line, i) => doc.text(line || '', sellerX, 22 + i * 5));
+
+  doc.setFontSize(16);
+  doc.setFont('helvetica', 'bold');
+  doc.setTextColor(40, 40, 40);
+  doc.text(DOCUMENT_TITLES[order.orderType] || 'DOCUMENT', RIGHT, 16, { align: 'right' });
+
+  // Document details
+  doc.setFontSize(9);
+  doc.setFont('helvetica', 'normal');
+  const details = [
+    ['Number', order.orderNumber || '-'],
+    ['Date', formatDate(order.createdAt)]
+  ];
+  if (order.orderType === 'quotation' && order.quotation?.validUntil) {
+    details.push(['Valid until', formatDate(order.quotation.validUntil)]);
+  }
+  if (order.sourceDocument) {
+    const sourceNumber = order.sourceDocument.orderNumber || order.sourceDocument.toString();
+    details.push([order.orderType === 'credit' ? 'Against invoice' : 'Source document', sourceNumber]);
+  }
+  details.push(['Payment', order.payment?.method || '-']);
+  details.forEach(([label, value], i) => {
+    doc.text(`${label}: ${value}`, RIGHT, 22 + i * 5, { align: 'right' });
+  });
+
+  // Bill to
+  let y = 55;
+  doc.setDrawColor(200, 200, 200);
+  doc.line(LEFT, y - 5, RIGHT, y - 5);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(10);
+  doc.text('Bill To', LEFT, y);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  const customer = order.customer || {};
+  [
+    customer.companyName,
+    customer.contactInfo?.name,
+    [customer.contactInfo?.address, customer.contactInfo?.city].filter(Boolean).join(', '),
+    [customer.contactInfo?.phone, customer.contactInfo?.email].filter(Boolean).join(' | ')
+  ].filter(Boolean).forEach((line, i) => doc.text(line, LEFT, y + 6 + i * 5));
+
+  // Line items
+  y = drawTableHeader(doc, y + 32);
+  (order.items || []).forEach((item, index) => {
+    const description = doc.splitTextToSize(
+      `${item.productName}${item.brand ? ` (${item.brand})` : ''}`,
+      110 - (LEFT + 8) - 12
+    );
+    const rowHeight = Math.max(description.length * 4.5, 6);
+
+    if (y + rowHeight > PAGE_BOTTOM) {
+      doc.addPage();
+      y = drawTableHeader(doc, 20);
+    }
+
+    const lineSubtotal = item.unitPrice * item.quantity;
+    doc.text(String(index + 1), COLUMNS[0][1], y);
+    doc.text(description, COLUMNS[1][1], y);
+    doc.text(String(item.quantity), COLUMNS[2][1], y, { align: 'right' });
+    doc.text(Number(item.unitPrice).toFixed(3), COLUMNS[3][1], y, { align: 'right' });
+    doc.text(`${item.vatRate ?? 0}%`, COLUMNS[4][1], y, { align: 'right' });
+    doc.text(Number(item.vatAmount || 0).toFixed(3), COLUMNS[5][1], y, { align: 'right' });
+    doc.text(Number(item.totalPrice ?? lineSubtotal).toFixed(3), COLUMNS[6][1], y, { align: 'right' });
+    y += rowHeight;
+  });
+
+  // Totals
+  if (y + 40 > PAGE_BOTTOM) {
+    doc.addPage();
+    y = 20;
+  }
+  doc.line(LEFT, y, RIGHT, y);
+  y += 7;
+  const totals = [
+    ['Subtotal', order.pricing?.subtotal],
+    ['Delivery', order.pricing?.deliveryCost],
+    ['VAT', order.pricing?.totalVat]
+  ];
+  totals.forEach(([label, amount]) => {
+    doc.text(label, 150, y, { align: 'right' });
+    doc.text(formatMoney(amount, currency), RIGHT, y, { align: 'right' });
+    y += 5;
+  });
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(11);
+  doc.text(order.orderType === 'credit' ? 'Total Credit' : 'Total', 150, y + 1, { align: 'right' });
+  doc.text(formatMoney(order.pricing?.total, currency), RIGHT, y + 1, { align: 'right' });
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+
+  // Bank details
+  const bankY = y - 15;
+  doc.setFont('helvetica', 'bold');
+  doc.text('Bank Details', LEFT, bankY);
+  doc.setFont('helvetica', 'normal');
+  doc.text(`Bank: ${company.bankName || '-'}`, LEFT, bankY + 5);
+  doc.text(`IBAN: ${company.ibanNumber || '-'}`, LEFT, bankY + 10);
+
+  if (order.orderType === 'invoice') {
+    await drawInvoiceQr(doc, order, company, { y: y + 10, left: LEFT, pageBottom: PAGE_BOTTOM });
+  }
+
+  // Footer
+  const pageCount = doc.internal.getNumberOfPages();
+  for (let i = 1; i <= pageCount; i++) {
+    doc.setPage(i);
+    doc.setFontSize(8);
+    doc.setTextColor(150, 150, 150);
+    doc.text(
+      `${order.orderNumber || ''} - Generated by OnePlace PMS - Page ${i} of ${pageCount}`,
+      105,
+      285,
+      { align: 'center' }
+    );
+  }
+
+  return pdfToBuffer(doc);
+};
+
+/**
+ * Render an order's PDF, upload it to Supabase and record it on the order's invoicePdf
+ * @param {Object} order - Order document (saved)
+ * @returns {Promise<Object>} invoicePdf { url, public_id }
+ */
+const storeOrderPdf = async (order) => {
+  const company = await Company.findById(order.customer.company);
+  if (!company) {
+    throw new Error('Company not found for order PDF');
+  }
+
+  if (order.sourceDocument && !order.populated('sourceDocument')) {
+    await order.populate('sourceDocument', 'orderNumber orderType');
+  }
+
+  const buffer = await renderOrderPdf(order, company);
+  const upload = await uploadPdf(buffer, `${order.orderNumber}.pdf`, `orders/${company._id}`);
+
+  order.invoicePdf = {
+    url: upload.url,
+    public_id: upload.path
+  };
+  // Save only the PDF reference so a populated sourceDocument is not written back
+  await order.constructor.updateOne(
+    { _id: order._id },
+    { $set: { invoicePdf: order.invoicePdf } }
+  );
+
+  return order.invoicePdf;
+};
+
+/**
+ * storeOrderPdf() for use right after an order is created: failures are logged, never thrown,
+ * so a storage outage does not fail the order itself
+ * @param {Object} order - Order document (saved)
+ */
+const tryStoreOrderPdf = async (order) => {
+  try {
+    await storeOrderPdf(order);
+  } catch (error) {
+    console.error(`Error generating PDF for order ${order.orderNumber}:`, error.message);
+  }
+};
+
+module.exports = {
+  renderOrderPdf,
+  storeOrderPdf,
+  tryStoreOrderPdf
+};
@@ -0,0 +1,160 @@
+// Order pricing engine: the single place that decides what an order costs.
+// Used by order creation, order updates and the quote preview so they always agree.
+const Product = require('../models/Product');
+const HttpError = require('../utils/httpError');
+const { calculateDelivery } = require('./deliveryPricingService');
+const { resolveOrderAccount } = require('./accountService');
+const { getAccountPriceList, resolveUnitPrice } = require('./priceListService');
+const { loadRates, convert } = require('./exchangeRateService');
+const { toMinor, fromMinor, roundMoney, percentOfMinor } = require('../utils/money');
+
+/**
+ * Load the products of an order, checking every one belongs to the company
+ * @param {ObjectId} companyId - Tenant company
+ * @param {Array} items - [{ product, quantity }]
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Array>} Product documents, in item order
+ */
+const loadOrderProducts = async (companyId, items, session = null) => {
+  const products = [];
+
+  for (const item of items) {
+    const product = await Product.findById(item.product)
+      .populate('brand', 'name')
+      .populate('category', 'name')
+      .session(session);
+
+    if (!product) {
+      throw new HttpError(400, `Product with ID ${item.product} not found`);
+    }
+
+    // Verify product belongs to user's company (strict company filter)
+    if (!product.company) {
+      throw new HttpError(403, `Access denied. Product "${product.name}" is not associated with a company.`);
+    }
+
+    if (product.company.toString() !== companyId.toString()) {
+      throw new HttpError(403, `Access denied. Product "${product.name}" does not belong to your company.`);
+    }
+
+    products.push(product);
+  }
+
+  return products;
+};
+
+/**
+ * Price one order line. A price list entry replaces the product's own discount.
+ * Arithmetic is in fils with the line rounding rules of utils/money.js.
+ * @param {Object} product - Product document (brand and category populated)
+ * @param {Number} quantity - Quantity ordered
+ * @param {Object} priceList - The account's PriceList (or null)
+ * @param {Number} rate - Order currency units per unit of the product's currency (defaults to 1)
+ * @returns {Object} Order item fields, in the order currency
+ */
+const priceLine = (product, quantity, priceList, rate = 1) => {
+  const contract = resolveUnitPrice(product, priceList);
+  const usesPriceList = contract.source !== 'list';
+
+  const discount = usesPriceList ? contract.discount : (product.pricing?.discount || 0);
+  const unitMinor = toMinor((usesPriceList ? contract.unitPrice : product.finalPrice) * rate);
+  const vatExempt = Boolean(product.vat?.isExempt);
+  const vatRate = vatExempt ? 0 : (product.vat?.rate ?? 10);
+
+  const subtotalMinor = unitMinor * quantity;
+  const vatMinor = percentOfMinor(subtotalMinor, vatRate);
+
+  return {
+    product: product._id,
+    productName: product.name,
+    brand: product.brand?.name || 'Unknown',
+    category: product.category?.name || 'Unknown',
+    quantity,
+    listPrice: fromMinor(toMinor(contract.listPrice * rate)),
+    discount,
+    unitPrice: fromMinor(unitMinor),
+    priceList: contract.priceList,
+    vatRate,
+    vatExempt,
+    vatAmount: fromMinor(vatMinor),
+    totalPrice: fromMinor(subtotalMinor + vatMinor)
+  };
+};
+
+/**
+ * Price a whole order from the server's own data
+ * @param {Object} params
+ * @param {ObjectId} params.companyId - Tenant company
+ * @param {Array} params.items - [{ product, quantity }]; any client prices are ignored
+ * @param {Object} params.customer - Order customer ({ account } or, failing that, { companyName })
+ * @param {Object} params.shipping - { city, area }
+ * @param {String} params.orderStatus - Normal, Urgent, Rush or Emergency
+ * @param {String} params.currency - Order currency (defaults to the company's base currency)
+ * @param {Object} params.delivery - Delivery already priced (a calculateDelivery result) to charge
+ *   instead, for an order invoiced in parts; by default delivery is priced on these items
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Object>} { items, pricing, delivery, account, products } (account is the Account document or null)
+ *   Product prices are converted into the order currency at the rates in force; delivery rules are in the base currency
+ * @throws {HttpError} 400 when a currency involved has no exchange rate in force
+ */
+const priceOrder = async ({ companyId, items, customer = {}, shipping = {}, orderStatus, currency, delivery: pricedDelivery }, session = null) => {
+  const products = await loadOrderProducts(companyId, items, session);
+
+  const account = await resolveOrderAccount(companyId, customer, session);
+  const priceList = await getAccountPriceList(account, session);
+
+  const table = await loadRates(companyId, [currency, ...products.map(product => product.currency)], new Date(), session);
+  const orderCurrency = currency || table.baseCurrency;
+  const exchangeRate = convert(1, orderCurrency, table.baseCurrency, table);
+
+  const lines = items.map((item, i) => priceLine(
+    products[i],
+    Number(item.quantity),
+    priceList,
+    convert(1, products[i].currency || 'BD', orderCurrency, table)
+  ));
+
+  // Document totals are exact sums of the rounded lines, in fils
+  const subtotalMinor = lines.reduce((sum, line) => sum + toMinor(line.totalPrice) - toMinor(line.vatAmount), 0);
+  const totalVatMinor = lines.reduce((sum, line) => sum + toMinor(line.vatAmount), 0);
+  const discountTotalMinor = lines.reduce(
+    (sum, line) => sum + Math.max(0, toMinor(line.listPrice) - toMinor(line.unitPrice)) * line.quantity,
+    0
+  );
+  const subtotal = fromMinor(subtotalMinor);
+
+  const delivery = pricedDelivery || await calculateDelivery({
+    companyId,
+    subtotal: convert(subtotal, orderCurrency, table.baseCurrency, table),
+    city: shipping.city,
+    area: shipping.area,
+    orderStatus,
+    items: items.map((item, i) => ({ product: products[i], quantity: Number(item.quantity) }))
+  }, session);
+  const deliveryMinor = toMinor(convert(delivery.deliveryCost, table.baseCurrency, orderCurrency, table));
+  const totalMinor = subtotalMinor + deliveryMinor + totalVatMinor;
+
+  return {
+    items: lines,
+    pricing: {
+      subtotal,
+      discountTotal: fromMinor(discountTotalMinor),
+      deliveryCost: fromMinor(deliveryMinor),
+      totalVat: fromMinor(totalVatMinor),
+      total: fromMinor(totalMinor),
+      currency: orderCurrency,
+      baseCurrency: table.baseCurrency,
+      exchangeRate,
+      baseTotal: roundMoney(fromMinor(totalMinor) * exchangeRate)
+    },
+    delivery,
+    account,
+    products
+  };
+};
+
+module.exports = {
+  loadOrderProducts,
+  priceLine,
+  priceOrder
+};
@@ -0,0 +1,168 @@
+// Payment ledger: records payments and refunds against orders and keeps the
+// derived order payment status and account balances in step with it
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const HttpError = require('../utils/httpError');
+const { fromMinor } = require('../utils/money');
+const { findAccount } = require('./accountService');
+
+// Half a fils of tolerance for floating point comparisons
+const TOLERANCE = 0.0005;
+
+// Order payment method -> ledger payment method, for payments taken at order time
+const ORDER_METHOD_TO_PAYMENT_METHOD = {
+  cash: 'cash',
+  visa: 'visa',
+  benefit: 'benefit',
+  floos: 'floos',
+  credit: 'other'
+};
+
+// Order amounts are in the order currency; balances are in the company's base currency
+const toBase = (field) => ({ $multiply: [field, { $ifNull: ['$pricing.exchangeRate', 1] }] });
+
+/**
+ * Recalculate an account's outstanding balance from its credit invoices:
+ * invoiced total, minus credit notes against them, minus net payments received
+ * @param {ObjectId} companyId - Tenant company
+ * @param {ObjectId} accountId - Account the orders were placed for (order.customer.account)
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Object|null>} Updated Account, or null if there is no matching account
+ */
+const recalculateAccountBalance = async (companyId, accountId, session = null) => {
+  const account = await findAccount(companyId, accountId, session);
+  if (!account) return null;
+
+  const [invoiced] = await Order.aggregate([
+    {
+      $match: {
+        'customer.company': new mongoose.Types.ObjectId(companyId.toString()),
+        'customer.account': account._id,
+        orderType: 'invoice',
+        'payment.method': 'credit',
+        status: { $ne: 'cancelled' }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: toBase('$pricing.total') },
+        paid: { $sum: toBase('$payment.amountPaid') },
+        invoiceIds: { $push: '$_id' }
+      }
+    }
+  ]).session(session);
+
+  let credited = 0;
+  if (invoiced) {
+    const [credits] = await Order.aggregate([
+      { $match: { orderType: 'credit', sourceDocument: { $in: invoiced.invoiceIds } } },
+      { $group: { _id: null, total: { $sum: toBase('$pricing.total') } } }
+    ]).session(session);
+    credited = credits?.total || 0;
+  }
+
+  // Aggregates read the stored fils; the account balance setter rounds back to the fils
+  const outstanding = invoiced ? fromMinor(invoiced.total - credited - invoiced.paid) : 0;
+  account.currentBalance = Math.max(0, outstanding);
+  await account.save({ session });
+
+  return account;
+};
+
+/**
+ * Recompute an order's payment fields from the ledger and save it
+ * @param {Object} order - Order document
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Object>} The order
+ */
+const refreshOrderPayment = async (order, session = null) => {
+  const summary = await Payment.summarizeOrder(order._id, session);
+  order.applyPaymentSummary(summary);
+  await order.save({ session });
+
+  if (order.payment.method === 'credit') {
+    await recalculateAccountBalance(order.customer.company, order.customer.account, session);
+  }
+
+  return order;
+};
+
+/**
+ * Record a payment or refund against an order
+ * @param {Object} order - Order document, loaded within the session
+ * @param {Object} data - { type, method, amount, reference, paidAt, notes }
+ * @param {Object} user - User recording the entry
+ * @param {ClientSession} session - Transaction session
+ * @returns {Promise<Object>} Created Payment
+ */
+const recordPayment = async (order, data, user, session = null) => {
+  const type = data.type || 'payment';
+  const amount = Number(data.amount);
+
+  if (!['invoice', 'proforma'].includes(order.orderType)) {
+    throw new HttpError(400, 'Payments can only be recorded against invoices and proformas');
+  }
+
+  if (!(amount > 0)) {
+    throw new HttpError(400, 'Amount must be greater than zero');
+  }
+
+  if (type === 'payment') {
+    if (order.status === 'cancelled') {
+      throw new HttpError(400, 'Cannot record a payment against a cancelled order');
+    }
+    if (amount > order.balanceDue + TOLERANCE) {
+      throw new HttpError(400, `Payment of ${amount.toFixed(3)} exceeds the balance due of ${order.balanceDue.toFixed(3)}`, {
+        balanceDue: order.balanceDue
+      });
+    }
+  } else if (amount > (order.payment.amountPaid || 0) + TOLERANCE) {
+    throw new HttpError(400, `Refund of ${amount.toFixed(3)} exceeds the net amount paid of ${(order.payment.amountPaid || 0).toFixed(3)}`);
+  }
+
+  const [payment] = await Payment.create([{
+    company: order.customer.company,
+    order: order._id,
+    type,
+    method: data.method,
+    amount,
+    reference: data.reference,
+    paidAt: data.paidAt || new Date(),
+    notes: data.notes,
+    recordedBy: user._id || user.id
+  }], { session });
+
+  order.updatedBy = user._id || user.id;
+  await refreshOrderPayment(order, session);
+
+  return payment;
+};
+
+/**
+ * Move ledger entries from one order to another (e.g. a proforma deposit onto its invoice)
+ * @param {Object} fromOrder - Source order
+ * @param {Object} toOrder - Destination order
+ * @param {ClientSession} session - Transaction session
+ */
+const transferPayments = async (fromOrder, toOrder, session = null) => {
+  const result = await Payment.updateMany(
+    { order: fromOrder._id },
+    { $set: { order: toOrder._id } },
+    { session }
+  );
+
+  if (result.modifiedCount > 0) {
+    await refreshOrderPayment(fromOrder, session);
+    await refreshOrderPayment(toOrder, session);
+  }
+};
+
+module.exports = {
+  ORDER_METHOD_TO_PAYMENT_METHOD,
+  recalculateAccountBalance,
+  refreshOrderPayment,
+  recordPayment,
+  transferPayments
+};
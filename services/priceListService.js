@@ -0,0 +1,54 @@
+// Contract pricing: resolves the unit price an account pays for a product
+const PriceList = require('../models/PriceList');
+const { roundMoney } = require('../utils/money');
+
+/**
+ * Load the price list assigned to an account, if it belongs to the same company
+ * @param {Object} account - Account document (or null)
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Object|null>} PriceList or null
+ */
+const getAccountPriceList = async (account, session = null) => {
+  if (!account?.priceList) return null;
+
+  return PriceList.findOne({
+    _id: account.priceList._id || account.priceList,
+    company: account.company
+  }).session(session);
+};
+
+/**
+ * Resolve the unit price of a product from a price list
+ * @param {Object} product - Product document
+ * @param {Object} priceList - PriceList document (or null)
+ * @param {Date} date - Pricing date (defaults to now)
+ * @returns {Object} { listPrice, unitPrice, discount, source, priceList }
+ *   source is 'list' (Product.price), 'contract_price' or 'brand_discount' / 'product_discount'
+ */
+const resolveUnitPrice = (product, priceList, date = new Date()) => {
+  const listPrice = product.price;
+  const result = { listPrice, unitPrice: listPrice, discount: 0, source: 'list', priceList: null };
+
+  if (!priceList || !priceList.isValidOn(date)) return result;
+
+  const entry = priceList.findEntry(product);
+  if (!entry) return result;
+
+  result.priceList = priceList._id;
+
+  if (entry.price !== null && entry.price !== undefined) {
+    result.unitPrice = roundMoney(entry.price);
+    result.source = 'contract_price';
+  } else {
+    result.discount = entry.discount;
+    result.unitPrice = roundMoney(listPrice * (1 - entry.discount / 100));
+    result.source = entry.product ? 'product_discount' : 'brand_discount';
+  }
+
+  return result;
+};
+
+module.exports = {
+  getAccountPriceList,
+  resolveUnitPrice
+};
@@ -0,0 +1,201 @@
+// Product recall notice PDF rendered with jsPDF, laid out like the statement of account
+const { jsPDF, pdfToBuffer, loadImage } = require('../utils/pdf');
+
+const PAGE_BOTTOM = 270;
+const LEFT = 15;
+const RIGHT = 195;
+
+// Deliveries table of an account's notice: [label, x, align]
+const DELIVERY_COLUMNS = [
+  ['Date', LEFT, 'left'],
+  ['Invoice', LEFT + 28, 'left'],
+  ['Lot', LEFT + 68, 'left'],
+  ['Expiry', LEFT + 108, 'left'],
+  ['Supplied', 170, 'right'],
+  ['Returned', RIGHT, 'right']
+];
+
+// Accounts table of the full notice
+const ACCOUNT_COLUMNS = [
+  ['Account', LEFT, 'left'],
+  ['Deliveries', 120, 'right'],
+  ['Quantity', 150, 'right'],
+  ['Status', RIGHT, 'right']
+];
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-GB', { year: 'numeric', month: 'short', day: '2-digit' })
+  : '-');
+
+/**
+ * Draw a table header at y
+ * @returns {Number} y position below the header
+ */
+const drawTableHeader = (doc, y, columns) => {
+  doc.setFillColor(240, 240, 240);
+  doc.rect(LEFT - 2, y - 5, RIGHT - LEFT + 4, 8, 'F');
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(9);
+  columns.forEach(([label, x, align]) => doc.text(label, x, y, { align }));
+  doc.setFont('helvetica', 'normal');
+  return y + 8;
+};
+
+/**
+ * Draw a titled paragraph, wrapped to the page width
+ * @returns {Number} y position below the paragraph
+ */
+const drawParagraph = (doc, y, title, text) => {
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(10);
+  doc.text(title, LEFT, y);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  const lines = doc.splitTextToSize(text, RIGHT - LEFT);
+  doc.text(lines, LEFT, y + 6);
+  return y + 6 + lines.length * 4.5 + 4;
+};
+
+/**
+ * Render a recall notice to a PDF buffer: for one account with the deliveries it received,
+ * or for the whole recall with every affected account
+ * @param {Object} recall - Recall document
+ * @param {Object} company - Issuing Company document
+ * @param {Object} recipient - Recall recipient to address the notice to (optional)
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const renderRecallNoticePdf = async (recall, company, recipient = null) => {
+  const doc = new jsPDF();
+  doc.setFont('helvetica');
+
+  // Header: logo and company details on the left, title and recall number on the right
+  const logo = await loadImage(company.logo?.url);
+  let sellerX = LEFT;
+  if (logo) {
+    try {
+      doc.addImage(logo.data, logo.format, LEFT, 10, 28, 28);
+      sellerX = LEFT + 33;
+    } catch (error) {
+      console.warn('Could not draw company logo on PDF:', error.message);
+    }
+  }
+
+  doc.setFontSize(14);
+  doc.setFont('helvetica', 'bold');
+  doc.setTextColor(40, 40, 40);
+  doc.text(company.name, sellerX, 16);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(60, 60, 60);
+  [
+    company.address,
+    [company.city, company.country].filter(Boolean).join(', '),
+    [company.phone, company.email].filter(Boolean).join(' | ')
+  ].forEach((line, i) => doc.text(line || '', sellerX, 22 + i * 5));
+
+  doc.setFontSize(16);
+  doc.setFont('helvetica', 'bold');
+  doc.setTextColor(180, 30, 30);
+  doc.text('PRODUCT RECALL NOTICE', RIGHT, 16, { align: 'right' });
+  doc.setTextColor(40, 40, 40);
+  doc.setFontSize(9);
+  doc.setFont('helvetica', 'normal');
+  [
+    ['Recall No', recall.recallNumber],
+    ['Date', formatDate(recall.createdAt)],
+    ['Manufacturer ref', recall.manufacturerReference || '-']
+  ].forEach(([label, value], i) => {
+    doc.text(`${label}: ${value}`, RIGHT, 22 + i * 5, { align: 'right' });
+  });
+
+  // Addressee and recalled product
+  let y = 55;
+  doc.setDrawColor(200, 200, 200);
+  doc.line(LEFT, y - 5, RIGHT, y - 5);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(10);
+  doc.text('To', LEFT, y);
+  doc.text('Recalled product', 110, y);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.text(recipient ? recipient.accountName : 'All affected customers', LEFT, y + 6);
+  const productLines = [
+    recall.productName,
+    `SKU: ${recall.sku || '-'}`,
+    ...doc.splitTextToSize(`Lots: ${recall.lotNumbers.join(', ')}`, RIGHT - 110)
+  ];
+  productLines.forEach((line, i) => doc.text(line || '', 110, y + 6 + i * 5));
+  y += 12 + productLines.length * 5;
+
+  y = drawParagraph(doc, y, 'Reason for recall', recall.reason);
+  if (recall.instructions) {
+    y = drawParagraph(doc, y, 'What to do', recall.instructions);
+  }
+
+  // What the account received, or every account that received the lots
+  if (recipient) {
+    y = drawTableHeader(doc, y + 4, DELIVERY_COLUMNS);
+    recipient.deliveries.forEach(delivery => {
+      if (y + 6 > PAGE_BOTTOM) {
+        doc.addPage();
+        y = drawTableHeader(doc, 20, DELIVERY_COLUMNS);
+      }
+      doc.text(formatDate(delivery.orderDate), DELIVERY_COLUMNS[0][1], y);
+      doc.text(String(delivery.orderNumber || '-'), DELIVERY_COLUMNS[1][1], y);
+      doc.text(String(delivery.lotNumber), DELIVERY_COLUMNS[2][1], y);
+      doc.text(formatDate(delivery.expiryDate), DELIVERY_COLUMNS[3][1], y);
+      doc.text(String(delivery.quantity), DELIVERY_COLUMNS[4][1], y, { align: 'right' });
+      doc.text(String(delivery.returnedQuantity || 0), DELIVERY_COLUMNS[5][1], y, { align: 'right' });
+      y += 6;
+    });
+  } else {
+    y = drawTableHeader(doc, y + 4, ACCOUNT_COLUMNS);
+    if (recall.recipients.length === 0) {
+      doc.text('No customer has received these lots', LEFT, y);
+      y += 6;
+    }
+    recall.recipients.forEach(entry => {
+      if (y + 6 > PAGE_BOTTOM) {
+        doc.addPage();
+        y = drawTableHeader(doc, 20, ACCOUNT_COLUMNS);
+      }
+      doc.text(doc.splitTextToSize(entry.accountName, 95)[0], ACCOUNT_COLUMNS[0][1], y);
+      doc.text(String(entry.deliveries.length), ACCOUNT_COLUMNS[1][1], y, { align: 'right' });
+      doc.text(String(entry.quantity), ACCOUNT_COLUMNS[2][1], y, { align: 'right' });
+      doc.text(entry.status, ACCOUNT_COLUMNS[3][1], y, { align: 'right' });
+      y += 6;
+    });
+  }
+
+  // Contact line
+  if (y + 20 > PAGE_BOTTOM) {
+    doc.addPage();
+    y = 20;
+  }
+  doc.line(LEFT, y, RIGHT, y);
+  doc.setFontSize(9);
+  doc.text(
+    doc.splitTextToSize(
+      `Please stop using the recalled lots and contact ${company.name}${company.phone ? ` on ${company.phone}` : ''}${company.email ? ` or ${company.email}` : ''} quoting ${recall.recallNumber} to arrange their return.`,
+      RIGHT - LEFT
+    ),
+    LEFT,
+    y + 7
+  );
+
+  // Footer
+  doc.setFontSize(8);
+  doc.setTextColor(150, 150, 150);
+  doc.text(
+    `${company.name} - Recall ${recall.recallNumber} - Generated by OnePlace PMS`,
+    105,
+    285,
+    { align: 'center' }
+  );
+
+  return pdfToBuffer(doc);
+};
+
+module.exports = {
+  renderRecallNoticePdf
+};
@@ -0,0 +1,151 @@
+// Product recalls: trace the invoices, accounts and contacts that received recalled lots
+const Order = require('../models/Order');
+const Account = require('../models/Account');
+const StockLot = require('../models/StockLot');
+
+const contactKey = (contact) => (contact.email || contact.phone || contact.name || '').toLowerCase();
+
+// Add contacts to a list, skipping ones already there (same email, else phone, else name)
+const addContacts = (contacts, candidates) => {
+  const seen = new Set(contacts.map(contactKey));
+  candidates.forEach(contact => {
+    const key = contactKey(contact);
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    contacts.push(contact);
+  });
+};
+
+/**
+ * Every invoice line lot of the recalled lots, grouped by the account that received it.
+ * Accounts are listed with their own email and phone and their staff; invoices without an
+ * account are grouped by customer name. Each invoice adds its order contact.
+ * @param {ObjectId} companyId - Tenant company
+ * @param {ObjectId} productId - Recalled product
+ * @param {Array} lotNumbers - Recalled lot numbers (upper case)
+ * @returns {Promise<Array>} Recipients [{ account, accountName, deliveries, contacts, quantity }], largest quantity first
+ */
+const traceRecall = async (companyId, productId, lotNumbers) => {
+  const orders = await Order.find({
+    'customer.company': companyId,
+    orderType: 'invoice',
+    // Cancelled invoices put their stock back and never reached the customer
+    status: { $ne: 'cancelled' },
+    items: { $elemMatch: { product: productId, 'lots.lotNumber': { $in: lotNumbers } } }
+  }).sort({ createdAt: 1 });
+
+  const accountIds = [...new Set(orders
+    .map(order => order.customer.account?.toString())
+    .filter(Boolean))];
+  const accounts = await Account.find({ _id: { $in: accountIds }, company: companyId })
+    .select('name email phone staff');
+  const accountsById = new Map(accounts.map(account => [account._id.toString(), account]));
+
+  const recipients = new Map();
+
+  for (const order of orders) {
+    const accountId = order.customer.account?.toString() || null;
+    const key = accountId || `name:${order.customer.companyName}`;
+
+    if (!recipients.has(key)) {
+      const account = accountId ? accountsById.get(accountId) : null;
+      const recipient = {
+        account: accountId,
+        accountName: account?.name || order.customer.companyName,
+        deliveries: [],
+        contacts: [],
+        quantity: 0
+      };
+      if (account) {
+        addContacts(recipient.contacts, [
+          { name: account.name, role: 'Account', email: account.email, phone: account.phone },
+          ...account.staff.map(member => ({
+            name: [member.title, member.name].filter(Boolean).join(' '),
+            role: member.medicalBranch,
+            email: member.email,
+            phone: member.phone
+          }))
+        ]);
+      }
+      recipients.set(key, recipient);
+    }
+
+    const recipient = recipients.get(key);
+    const contactInfo = order.customer.contactInfo || {};
+    addContacts(recipient.contacts, [{
+      name: contactInfo.name,
+      role: 'Order contact',
+      email: contactInfo.email,
+      phone: contactInfo.phone !== 'N/A' ? contactInfo.phone : undefined
+    }]);
+
+    order.items
+      .filter(item => item.product.toString() === productId.toString())
+      .forEach(item => item.lots
+        .filter(lot => lotNumbers.includes(lot.lotNumber))
+        .forEach(lot => {
+          recipient.deliveries.push({
+            order: order._id,
+            orderNumber: order.orderNumber,
+            orderDate: order.createdAt,
+            orderStatus: order.status,
+            lotNumber: lot.lotNumber,
+            expiryDate: lot.expiryDate,
+            quantity: lot.quantity,
+            returnedQuantity: lot.returnedQuantity || 0,
+            salesman: order.createdBy
+          });
+          recipient.quantity += lot.quantity - (lot.returnedQuantity || 0);
+        }));
+  }
+
+  return [...recipients.values()].sort((a, b) => b.quantity - a.quantity);
+};
+
+/**
+ * Recalled lots still held at the company's locations
+ * @param {Object} recall - Recall document
+ * @returns {Promise<Array>} StockLot documents with their location
+ */
+const recalledStock = (recall) => StockLot.find({
+  company: recall.company,
+  product: recall.product,
+  lotNumber: { $in: recall.lotNumbers },
+  quantity: { $gt: 0 }
+})
+  .populate('location', 'name code type')
+  .sort({ lotNumber: 1 });
+
+/**
+ * Email addresses to send the recall notice to, one row per address
+ * @param {Object} recall - Recall document
+ * @returns {Array} [{ recipient, account, accountName, name, role, email }]
+ */
+const buildMailingList = (recall) => {
+  const seen = new Set();
+  const list = [];
+
+  recall.recipients.forEach(recipient => {
+    recipient.contacts.forEach(contact => {
+      const email = contact.email?.toLowerCase();
+      if (!email || seen.has(email)) return;
+      seen.add(email);
+      list.push({
+        recipient: recipient._id,
+        account: recipient.account,
+        accountName: recipient.accountName,
+        name: contact.name,
+        role: contact.role,
+        email
+      });
+    });
+  });
+
+  return list;
+};
+
+module.exports = {
+  traceRecall,
+  recalledStock,
+  buildMailingList
+};
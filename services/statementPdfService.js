@@ -0,0 +1,171 @@
+// Statement of account PDF rendered with jsPDF, laid out like the order documents
+const { jsPDF, pdfToBuffer, loadImage } = require('../utils/pdf');
+
+const PAGE_BOTTOM = 270;
+const LEFT = 15;
+const RIGHT = 195;
+
+// Statement table columns: [label, x, align]
+const COLUMNS = [
+  ['Date', LEFT, 'left'],
+  ['Reference', LEFT + 24, 'left'],
+  ['Description', LEFT + 58, 'left'],
+  ['Debit', 145, 'right'],
+  ['Credit', 170, 'right'],
+  ['Balance', RIGHT, 'right']
+];
+
+const formatMoney = (amount, currency = 'BD') => `${currency} ${Number(amount || 0).toFixed(3)}`;
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-GB', { year: 'numeric', month: 'short', day: '2-digit' })
+  : '-');
+
+/**
+ * Draw the statement table header at y
+ * @returns {Number} y position below the header
+ */
+const drawTableHeader = (doc, y) => {
+  doc.setFillColor(240, 240, 240);
+  doc.rect(LEFT - 2, y - 5, RIGHT - LEFT + 4, 8, 'F');
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(9);
+  COLUMNS.forEach(([label, x, align]) => doc.text(label, x, y, { align }));
+  doc.setFont('helvetica', 'normal');
+  return y + 8;
+};
+
+/**
+ * Render a statement of account to a PDF buffer
+ * @param {Object} statement - Result of buildStatement()
+ * @param {Object} company - Issuing Company document
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const renderStatementPdf = async (statement, company) => {
+  const doc = new jsPDF();
+  doc.setFont('helvetica');
+
+  // Header: logo and seller details on the left, title and period on the right
+  const logo = await loadImage(company.logo?.url);
+  let sellerX = LEFT;
+  if (logo) {
+    try {
+      doc.addImage(logo.data, logo.format, LEFT, 10, 28, 28);
+      sellerX = LEFT + 33;
+    } catch (error) {
+      console.warn('Could not draw company logo on PDF:', error.message);
+    }
+  }
+
+  doc.setFontSize(14);
+  doc.setFont('helvetica', 'bold');
+  doc.setTextColor(40, 40, 40);
+  doc.text(company.name, sellerX, 16);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(60, 60, 60);
+  [
+    company.address,
+    [company.city, company.country].filter(Boolean).join(', '),
+    [company.phone, company.email].filter(Boolean).join(' | '),
+    `VAT No: ${company.vatNumber || '-'}    CR No: ${company.crNumber || '-'}`
+  ].forEach((line, i) => doc.text(line || '', sellerX, 22 + i * 5));
+
+  doc.setFontSize(16);
+  doc.setFont('helvetica', 'bold');
+  doc.setTextColor(40, 40, 40);
+  doc.text('STATEMENT OF ACCOUNT', RIGHT, 16, { align: 'right' });
+  doc.setFontSize(9);
+  doc.setFont('helvetica', 'normal');
+  [
+    ['From', formatDate(statement.from)],
+    ['To', formatDate(statement.to)],
+    ['Payment terms', (statement.account.paymentTerms || '-').replace('_', ' ')]
+  ].forEach(([label, value], i) => {
+    doc.text(`${label}: ${value}`, RIGHT, 22 + i * 5, { align: 'right' });
+  });
+
+  // Account
+  let y = 55;
+  doc.setDrawColor(200, 200, 200);
+  doc.line(LEFT, y - 5, RIGHT, y - 5);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(10);
+  doc.text('Account', LEFT, y);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  [
+    statement.account.name,
+    `VAT No: ${statement.account.vat || '-'}    CR No: ${statement.account.crNumber || '-'}`,
+    `Credit limit: ${formatMoney(statement.account.creditLimit, statement.currency)}`
+  ].forEach((line, i) => doc.text(line, LEFT, y + 6 + i * 5));
+
+  // Entries, starting with the brought-forward balance
+  y = drawTableHeader(doc, y + 28);
+  doc.text(formatDate(statement.from), COLUMNS[0][1], y);
+  doc.text('Opening balance', COLUMNS[2][1], y);
+  doc.text(Number(statement.openingBalance).toFixed(3), COLUMNS[5][1], y, { align: 'right' });
+  y += 6;
+
+  statement.entries.forEach(entry => {
+    const description = doc.splitTextToSize(entry.description, COLUMNS[3][1] - COLUMNS[2][1] - 20);
+    const rowHeight = Math.max(description.length * 4.5, 6);
+
+    if (y + rowHeight > PAGE_BOTTOM) {
+      doc.addPage();
+      y = drawTableHeader(doc, 20);
+    }
+
+    doc.text(formatDate(entry.date), COLUMNS[0][1], y);
+    doc.text(String(entry.reference || '-'), COLUMNS[1][1], y);
+    doc.text(description, COLUMNS[2][1], y);
+    doc.text(entry.debit ? Number(entry.debit).toFixed(3) : '', COLUMNS[3][1], y, { align: 'right' });
+    doc.text(entry.credit ? Number(entry.credit).toFixed(3) : '', COLUMNS[4][1], y, { align: 'right' });
+    doc.text(Number(entry.balance).toFixed(3), COLUMNS[5][1], y, { align: 'right' });
+    y += rowHeight;
+  });
+
+  // Summary
+  if (y + 40 > PAGE_BOTTOM) {
+    doc.addPage();
+    y = 20;
+  }
+  doc.line(LEFT, y, RIGHT, y);
+  y += 7;
+  [
+    ['Opening balance', statement.openingBalance],
+    ['Invoiced', statement.totals.invoiced],
+    ['Credit notes', -statement.totals.credited],
+    ['Payments received', -statement.totals.paid],
+    ['Refunds', statement.totals.refunded]
+  ].forEach(([label, amount]) => {
+    doc.text(label, 150, y, { align: 'right' });
+    doc.text(formatMoney(amount, statement.currency), RIGHT, y, { align: 'right' });
+    y += 5;
+  });
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(11);
+  doc.text('Closing balance', 150, y + 1, { align: 'right' });
+  doc.text(formatMoney(statement.closingBalance, statement.currency), RIGHT, y + 1, { align: 'right' });
+
+  // Footer
+  const pageCount = doc.internal.getNumberOfPages();
+  for (let i = 1; i <= pageCount; i++) {
+    doc.setPage(i);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(150, 150, 150);
+    doc.text(
+      `${statement.account.name} - Statement - Generated by OnePlace PMS - Page ${i} of ${pageCount}`,
+      105,
+      285,
+      { align: 'center' }
+    );
+  }
+
+  return pdfToBuffer(doc);
+};
+
+module.exports = {
+  renderStatementPdf
+};
@@ -0,0 +1,93 @@
+// Stock reconciliation: the StockMovement ledger and the per-location stock levels against each product's stock.current
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const StockLevel = require('../models/StockLevel');
+
+/**
+ * Compare the ledger with the stock on every product of a company. A product reconciles
+ * when the sum of its movements and the balance after its last movement both equal
+ * stock.current, and its stock levels (when it has any) add up to stock.current.
+ * Deleted products are included while their ledger balance is not zero.
+ * @param {ObjectId} companyId - Tenant company
+ * @param {Object} options - { mismatchesOnly }
+ * @returns {Promise<Object>} { rows, totals }
+ */
+const reconcileStock = async (companyId, { mismatchesOnly = false } = {}) => {
+  const company = new mongoose.Types.ObjectId(String(companyId));
+  const [products, ledger, levels] = await Promise.all([
+    Product.find({ company: companyId }).select('name sku stock.current').sort({ sku: 1 }).lean(),
+    StockMovement.aggregate([
+      { $match: { company } },
+      { $sort: { createdAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: '$product',
+          sku: { $last: '$sku' },
+          ledgerBalance: { $sum: '$change' },
+          lastBalance: { $last: '$balanceAfter' },
+          movements: { $sum: 1 },
+          lastMovementAt: { $last: '$createdAt' }
+        }
+      }
+    ]),
+    StockLevel.aggregate([
+      { $match: { company } },
+      { $group: { _id: '$product', quantity: { $sum: '$quantity' } } }
+    ])
+  ]);
+
+  const ledgerByProduct = new Map(ledger.map(entry => [entry._id.toString(), entry]));
+  const levelsByProduct = new Map(levels.map(entry => [entry._id.toString(), entry.quantity]));
+
+  const toRow = (product, entry, deleted = false) => {
+    const stock = deleted ? 0 : (product.stock?.current || 0);
+    const ledgerBalance = entry?.ledgerBalance || 0;
+    const lastBalance = entry ? entry.lastBalance : 0;
+    // Products without levels yet hold all their stock at the default location
+    const locationStock = levelsByProduct.get(product._id.toString()) ?? stock;
+
+    return {
+      product: product._id,
+      name: product.name || null,
+      sku: product.sku,
+      deleted,
+      stock,
+      ledgerBalance,
+      lastBalance,
+      locationStock,
+      difference: stock - ledgerBalance,
+      movements: entry?.movements || 0,
+      lastMovementAt: entry?.lastMovementAt || null,
+      reconciled: stock === ledgerBalance && stock === lastBalance && stock === locationStock
+    };
+  };
+
+  const rows = products.map(product => {
+    const entry = ledgerByProduct.get(product._id.toString());
+    ledgerByProduct.delete(product._id.toString());
+    return toRow(product, entry);
+  });
+
+  // What is left in the ledger belongs to deleted products
+  ledgerByProduct.forEach(entry => {
+    if (entry.ledgerBalance !== 0 || entry.lastBalance !== 0) {
+      rows.push(toRow({ _id: entry._id, sku: entry.sku }, entry, true));
+    }
+  });
+
+  const mismatched = rows.filter(row => !row.reconciled).length;
+
+  return {
+    rows: mismatchesOnly ? rows.filter(row => !row.reconciled) : rows,
+    totals: {
+      products: rows.length,
+      reconciled: rows.length - mismatched,
+      mismatched
+    }
+  };
+};
+
+module.exports = {
+  reconcileStock
+};
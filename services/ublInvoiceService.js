@@ -0,0 +1,339 @@
+// UBL 2.1 e-invoice export. Invoices become <Invoice> documents and credit notes
+// <CreditNote> documents; the supplier party is the tenant Company, the customer party the
+// order's Account (falling back to the contact details on the order) and the lines come
+// from order.items. Documents are built as an element tree in UBL schema order and then
+// serialized, so the same tree can be checked against the schema sequence in tests.
+const { toMinor, fromMinor } = require('../utils/money');
+const { dueDateFor } = require('./accountStatementService');
+
+const NAMESPACES = {
+  Invoice: 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
+  CreditNote: 'urn:oasis:names:specification:ubl:schema:xsd:CreditNote-2',
+  cac: 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+  cbc: 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2'
+};
+
+// Order currencies -> ISO 4217 codes
+const CURRENCY_CODES = {
+  BD: 'BHD',
+  USD: 'USD',
+  EUR: 'EUR'
+};
+
+// Country names used on companies -> ISO 3166-1 alpha-2 codes
+const COUNTRY_CODES = {
+  bahrain: 'BH',
+  'saudi arabia': 'SA',
+  'united arab emirates': 'AE',
+  uae: 'AE',
+  kuwait: 'KW',
+  qatar: 'QA',
+  oman: 'OM'
+};
+
+// UNCL 1001 document type codes and UNCL 4461 payment means codes
+const INVOICE_TYPE_CODE = '380';
+const CREDIT_NOTE_TYPE_CODE = '381';
+const PAYMENT_MEANS_CODES = {
+  cash: '10',
+  card: '48',
+  bank_transfer: '30',
+  credit: '30',
+  cheque: '20'
+};
+
+// UNCL 5305 tax categories: standard rated, zero rated, exempt, outside the scope of VAT
+const TAX_CATEGORY = {
+  standard: 'S',
+  zero_rated: 'Z',
+  exempt: 'E',
+  outside: 'O'
+};
+
+const isEmpty = (node) => (node.children ? node.children.length === 0 : node.text === '');
+
+/**
+ * Element node; empty content (null, undefined, '' or no children) is dropped on serialization
+ * @param {String} name - Qualified element name (e.g. 'cbc:ID')
+ * @param {String|Number|Array} content - Text or child elements
+ * @param {Object} attributes - Attribute map
+ * @returns {Object} { name, attributes, text } or { name, attributes, children }
+ */
+const el = (name, content, attributes = {}) => (Array.isArray(content)
+  ? { name, attributes, children: content.filter(child => child && !isEmpty(child)) }
+  : { name, attributes, text: content === null || content === undefined ? '' : String(content) });
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Serialize an element tree to an XML string
+ * @param {Object} node - Root element
+ * @returns {String} XML document
+ */
+const serializeXml = (node) => {
+  const write = (current, depth) => {
+    const indent = '  '.repeat(depth);
+    const attributes = Object.entries(current.attributes || {})
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+      .join('');
+
+    if (current.children) {
+      const children = current.children.map(child => write(child, depth + 1)).join('\n');
+      return `${indent}<${current.name}${attributes}>\n${children}\n${indent}</${current.name}>`;
+    }
+    return `${indent}<${current.name}${attributes}>${escapeXml(current.text)}</${current.name}>`;
+  };
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${write(node, 0)}\n`;
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const countryCode = (country) => {
+  if (!country) return null;
+  if (/^[A-Za-z]{2}$/.test(country.trim())) return country.trim().toUpperCase();
+  return COUNTRY_CODES[country.trim().toLowerCase()] || null;
+};
+
+/**
+ * Tax category of an order line
+ * @param {Object} item - Order line
+ * @returns {Object} { id, percent }
+ */
+const lineTaxCategory = (item) => {
+  if (item.vatExempt) return { id: TAX_CATEGORY.exempt, percent: 0 };
+  if (!item.vatRate) return { id: TAX_CATEGORY.zero_rated, percent: 0 };
+  return { id: TAX_CATEGORY.standard, percent: item.vatRate };
+};
+
+const taxCategoryNode = (name, { id, percent }) => el(name, [
+  el('cbc:ID', id),
+  el('cbc:Percent', percent),
+  id === TAX_CATEGORY.exempt ? el('cbc:TaxExemptionReason', 'Exempt supply') : null,
+  id === TAX_CATEGORY.outside ? el('cbc:TaxExemptionReason', 'Not subject to VAT') : null,
+  el('cac:TaxScheme', [el('cbc:ID', 'VAT')])
+]);
+
+const taxExchangeRate = (currency, baseCurrency, rate) => el('cac:TaxExchangeRate', [
+  el('cbc:SourceCurrencyCode', currency),
+  el('cbc:TargetCurrencyCode', baseCurrency),
+  el('cbc:CalculationRate', rate),
+  el('cbc:MathematicOperatorCode', 'Multiply')
+]);
+
+const supplierParty = (company) => el('cac:AccountingSupplierParty', [
+  el('cac:Party', [
+    el('cac:PartyIdentification', [el('cbc:ID', company.crNumber, { schemeID: 'CRN' })]),
+    el('cac:PartyName', [el('cbc:Name', company.name)]),
+    el('cac:PostalAddress', [
+      el('cbc:StreetName', company.address),
+      el('cbc:CityName', company.city),
+      el('cbc:PostalZone', company.postalCode),
+      el('cac:Country', [el('cbc:IdentificationCode', countryCode(company.country))])
+    ]),
+    company.vatNumber ? el('cac:PartyTaxScheme', [
+      el('cbc:CompanyID', company.vatNumber),
+      el('cac:TaxScheme', [el('cbc:ID', 'VAT')])
+    ]) : null,
+    el('cac:PartyLegalEntity', [
+      el('cbc:RegistrationName', company.name),
+      el('cbc:CompanyID', company.crNumber)
+    ]),
+    el('cac:Contact', [
+      el('cbc:Telephone', company.phone),
+      el('cbc:ElectronicMail', company.email)
+    ])
+  ])
+]);
+
+const customerParty = (order, account) => {
+  const contact = order.customer?.contactInfo || {};
+  const address = account?.address || {};
+  const street = account
+    ? [address.flatShopNo, address.building, address.road].filter(Boolean).join(', ')
+    : contact.address;
+
+  return el('cac:AccountingCustomerParty', [
+    el('cac:Party', [
+      account?.crNumber
+        ? el('cac:PartyIdentification', [el('cbc:ID', account.crNumber, { schemeID: 'CRN' })])
+        : null,
+      el('cac:PartyName', [el('cbc:Name', account?.name || order.customer?.companyName)]),
+      el('cac:PostalAddress', [
+        el('cbc:StreetName', street),
+        el('cbc:BlockName', address.block),
+        el('cbc:CitySubdivisionName', address.area),
+        el('cbc:CityName', contact.city),
+        el('cac:Country', [el('cbc:IdentificationCode', countryCode(contact.country) || 'BH')])
+      ]),
+      account?.vat ? el('cac:PartyTaxScheme', [
+        el('cbc:CompanyID', account.vat),
+        el('cac:TaxScheme', [el('cbc:ID', 'VAT')])
+      ]) : null,
+      el('cac:PartyLegalEntity', [
+        el('cbc:RegistrationName', account?.name || order.customer?.companyName),
+        el('cbc:CompanyID', account?.crNumber)
+      ]),
+      el('cac:Contact', [
+        el('cbc:Name', contact.name),
+        el('cbc:Telephone', contact.phone !== 'N/A' ? contact.phone : null),
+        el('cbc:ElectronicMail', account?.email || contact.email)
+      ])
+    ])
+  ]);
+};
+
+/**
+ * Build the UBL 2.1 element tree of an invoice or credit note
+ * @param {Object} order - Order document (orderType invoice or credit); sourceDocument populated for credit notes
+ * @param {Object} company - Supplier Company document
+ * @param {Object} account - Customer Account document, or null when the order has none
+ * @returns {Object} Root element
+ */
+const buildUblDocument = (order, company, account = null) => {
+  const isCredit = order.orderType === 'credit';
+  const root = isCredit ? 'CreditNote' : 'Invoice';
+  const currency = CURRENCY_CODES[order.pricing?.currency] || CURRENCY_CODES.BD;
+  const amount = (name, minor) => el(name, fromMinor(minor).toFixed(3), { currencyID: currency });
+
+  // Lines and tax subtotals are summed in fils from the stored line amounts
+  const subtotals = new Map();
+  const addSubtotal = (category, taxableMinor, taxMinor) => {
+    const key = `${category.id}:${category.percent}`;
+    const subtotal = subtotals.get(key) || { category, taxableMinor: 0, taxMinor: 0 };
+    subtotal.taxableMinor += taxableMinor;
+    subtotal.taxMinor += taxMinor;
+    subtotals.set(key, subtotal);
+  };
+
+  let lineExtensionMinor = 0;
+  const lines = (order.items || []).map((item, index) => {
+    const category = lineTaxCategory(item);
+    const vatMinor = toMinor(item.vatAmount || 0);
+    const netMinor = toMinor(item.totalPrice || 0) - vatMinor;
+    lineExtensionMinor += netMinor;
+    addSubtotal(category, netMinor, vatMinor);
+
+    return el(isCredit ? 'cac:CreditNoteLine' : 'cac:InvoiceLine', [
+      el('cbc:ID', index + 1),
+      el(isCredit ? 'cbc:CreditedQuantity' : 'cbc:InvoicedQuantity', item.quantity, { unitCode: 'C62' }),
+      amount('cbc:LineExtensionAmount', netMinor),
+      el('cac:TaxTotal', [amount('cbc:TaxAmount', vatMinor)]),
+      el('cac:Item', [
+        el('cbc:Name', item.productName),
+        el('cbc:BrandName', item.brand !== 'Unknown' ? item.brand : null),
+        el('cac:SellersItemIdentification', [el('cbc:ID', item.product?.sku || item.product?._id || item.product)]),
+        taxCategoryNode('cac:ClassifiedTaxCategory', category)
+      ]),
+      el('cac:Price', [amount('cbc:PriceAmount', toMinor(item.unitPrice || 0))])
+    ]);
+  });
+
+  // Delivery is charged without VAT, as a document level charge outside the scope of VAT
+  const deliveryMinor = toMinor(order.pricing?.deliveryCost || 0);
+  const outside = { id: TAX_CATEGORY.outside, percent: 0 };
+  if (deliveryMinor > 0) addSubtotal(outside, deliveryMinor, 0);
+
+  const taxMinor = [...subtotals.values()].reduce((sum, subtotal) => sum + subtotal.taxMinor, 0);
+  const taxExclusiveMinor = lineExtensionMinor + deliveryMinor;
+  const taxInclusiveMinor = taxExclusiveMinor + taxMinor;
+  const prepaidMinor = isCredit ? 0 : toMinor(order.payment?.amountPaid || 0);
+
+  const dueDate = !isCredit && order.payment?.method === 'credit'
+    ? dueDateFor(order.createdAt, account?.paymentTerms)
+    : null;
+
+  const baseCurrency = CURRENCY_CODES[order.pricing?.baseCurrency];
+  const foreign = baseCurrency && baseCurrency !== currency;
+
+  const source = isCredit && order.sourceDocument?.orderNumber ? order.sourceDocument : null;
+
+  return el(root, [
+    el('cbc:UBLVersionID', '2.1'),
+    el('cbc:ID', order.orderNumber),
+    el('cbc:IssueDate', formatDate(order.createdAt)),
+    isCredit ? null : el('cbc:DueDate', dueDate ? formatDate(dueDate) : null),
+    isCredit ? null : el('cbc:InvoiceTypeCode', INVOICE_TYPE_CODE),
+    isCredit ? el('cbc:CreditNoteTypeCode', CREDIT_NOTE_TYPE_CODE) : null,
+    el('cbc:Note', order.notes?.customer),
+    el('cbc:DocumentCurrencyCode', currency),
+    el('cbc:TaxCurrencyCode', foreign ? baseCurrency : null),
+    source ? el('cac:DiscrepancyResponse', [
+      el('cbc:ReferenceID', source.orderNumber),
+      el('cbc:Description', 'Goods returned')
+    ]) : null,
+    source ? el('cac:BillingReference', [
+      el('cac:InvoiceDocumentReference', [
+        el('cbc:ID', source.orderNumber),
+        el('cbc:IssueDate', source.createdAt ? formatDate(source.createdAt) : null)
+      ])
+    ]) : null,
+    supplierParty(company),
+    customerParty(order, account),
+    el('cac:PaymentMeans', [
+      el('cbc:PaymentMeansCode', PAYMENT_MEANS_CODES[order.payment?.method] || '1'),
+      el('cbc:PaymentDueDate', dueDate ? formatDate(dueDate) : null),
+      company.ibanNumber ? el('cac:PayeeFinancialAccount', [
+        el('cbc:ID', company.ibanNumber, { schemeID: 'IBAN' }),
+        el('cbc:Name', company.bankName)
+      ]) : null
+    ]),
+    account?.paymentTerms
+      ? el('cac:PaymentTerms', [el('cbc:Note', account.paymentTerms.replace('_', ' '))])
+      : null,
+    // UBL orders TaxExchangeRate before AllowanceCharge on credit notes and after it on invoices
+    isCredit && foreign ? taxExchangeRate(currency, baseCurrency, order.pricing.exchangeRate) : null,
+    deliveryMinor > 0 ? el('cac:AllowanceCharge', [
+      el('cbc:ChargeIndicator', 'true'),
+      el('cbc:AllowanceChargeReason', 'Delivery'),
+      amount('cbc:Amount', deliveryMinor),
+      taxCategoryNode('cac:TaxCategory', outside)
+    ]) : null,
+    !isCredit && foreign ? taxExchangeRate(currency, baseCurrency, order.pricing.exchangeRate) : null,
+    el('cac:TaxTotal', [
+      amount('cbc:TaxAmount', taxMinor),
+      ...[...subtotals.values()].map(subtotal => el('cac:TaxSubtotal', [
+        amount('cbc:TaxableAmount', subtotal.taxableMinor),
+        amount('cbc:TaxAmount', subtotal.taxMinor),
+        taxCategoryNode('cac:TaxCategory', subtotal.category)
+      ]))
+    ]),
+    el('cac:LegalMonetaryTotal', [
+      amount('cbc:LineExtensionAmount', lineExtensionMinor),
+      amount('cbc:TaxExclusiveAmount', taxExclusiveMinor),
+      amount('cbc:TaxInclusiveAmount', taxInclusiveMinor),
+      amount('cbc:ChargeTotalAmount', deliveryMinor),
+      prepaidMinor > 0 ? amount('cbc:PrepaidAmount', prepaidMinor) : null,
+      amount('cbc:PayableAmount', taxInclusiveMinor - prepaidMinor)
+    ]),
+    ...lines
+  ], {
+    xmlns: NAMESPACES[root],
+    'xmlns:cac': NAMESPACES.cac,
+    'xmlns:cbc': NAMESPACES.cbc
+  });
+};
+
+/**
+ * Render an invoice or credit note as a UBL 2.1 XML string
+ * @param {Object} order - Order document (orderType invoice or credit)
+ * @param {Object} company - Supplier Company document
+ * @param {Object} account - Customer Account document, or null
+ * @returns {String} XML document
+ */
+const renderUblXml = (order, company, account = null) => serializeXml(buildUblDocument(order, company, account));
+
+module.exports = {
+  NAMESPACES,
+  CURRENCY_CODES,
+  TAX_CATEGORY,
+  buildUblDocument,
+  serializeXml,
+  renderUblXml
+};
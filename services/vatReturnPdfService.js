@@ -0,0 +1,144 @@
+// VAT return summary PDF rendered with jsPDF, laid out like the statement of account
+const { jsPDF, pdfToBuffer, loadImage } = require('../utils/pdf');
+
+const LEFT = 15;
+const RIGHT = 195;
+
+// Summary table columns: [label, x, align]
+const COLUMNS = [
+  ['Supplies', LEFT, 'left'],
+  ['Sales', 85, 'right'],
+  ['Sales VAT', 112, 'right'],
+  ['Credit notes', 141, 'right'],
+  ['Credit VAT', 168, 'right'],
+  ['Net VAT', RIGHT, 'right']
+];
+
+const formatMoney = (amount, currency = 'BD') => `${currency} ${Number(amount || 0).toFixed(3)}`;
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-GB', { year: 'numeric', month: 'short', day: '2-digit' })
+  : '-');
+
+const rowLabel = (row) => (row.category === 'standard' ? `${row.label} (${row.rate}%)` : row.label);
+
+/**
+ * Draw one table row at y
+ */
+const drawRow = (doc, y, label, row) => {
+  doc.text(label, COLUMNS[0][1], y);
+  ['salesNet', 'salesVat', 'creditNet', 'creditVat', 'vat'].forEach((key, i) => {
+    const [, x, align] = COLUMNS[i + 1];
+    doc.text(Number(row[key] || 0).toFixed(3), x, y, { align });
+  });
+};
+
+/**
+ * Render a VAT return summary to a PDF buffer
+ * @param {Object} report - Result of buildVatReturn()
+ * @param {Object} company - Reporting Company document
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const renderVatReturnPdf = async (report, company) => {
+  const doc = new jsPDF();
+  doc.setFont('helvetica');
+
+  // Header: logo and company details on the left, title and period on the right
+  const logo = await loadImage(company.logo?.url);
+  let sellerX = LEFT;
+  if (logo) {
+    try {
+      doc.addImage(logo.data, logo.format, LEFT, 10, 28, 28);
+      sellerX = LEFT + 33;
+    } catch (error) {
+      console.warn('Could not draw company logo on PDF:', error.message);
+    }
+  }
+
+  doc.setFontSize(14);
+  doc.setFont('helvetica', 'bold');
+  doc.setTextColor(40, 40, 40);
+  doc.text(company.name, sellerX, 16);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(60, 60, 60);
+  [
+    company.address,
+    [company.city, company.country].filter(Boolean).join(', '),
+    `VAT No: ${report.company.vatNumber || '-'}    CR No: ${report.company.crNumber || '-'}`
+  ].forEach((line, i) => doc.text(line || '', sellerX, 22 + i * 5));
+
+  doc.setFontSize(16);
+  doc.setFont('helvetica', 'bold');
+  doc.setTextColor(40, 40, 40);
+  doc.text('VAT RETURN SUMMARY', RIGHT, 16, { align: 'right' });
+  doc.setFontSize(9);
+  doc.setFont('helvetica', 'normal');
+  [
+    ['From', formatDate(report.from)],
+    ['To', formatDate(report.to)],
+    ['Currency', report.currency]
+  ].forEach(([label, value], i) => {
+    doc.text(`${label}: ${value}`, RIGHT, 22 + i * 5, { align: 'right' });
+  });
+
+  // Supplies by VAT treatment
+  let y = 55;
+  doc.setDrawColor(200, 200, 200);
+  doc.line(LEFT, y - 5, RIGHT, y - 5);
+  doc.setFillColor(240, 240, 240);
+  doc.rect(LEFT - 2, y - 5, RIGHT - LEFT + 4, 8, 'F');
+  doc.setFont('helvetica', 'bold');
+  COLUMNS.forEach(([label, x, align]) => doc.text(label, x, y, { align }));
+  doc.setFont('helvetica', 'normal');
+  y += 8;
+
+  if (report.rows.length === 0) {
+    doc.text('No invoices or credit notes in this period', LEFT, y);
+    y += 6;
+  }
+  report.rows.forEach(row => {
+    drawRow(doc, y, rowLabel(row), row);
+    y += 6;
+  });
+
+  doc.line(LEFT, y - 3, RIGHT, y - 3);
+  doc.setFont('helvetica', 'bold');
+  drawRow(doc, y + 2, 'Total', report.totals);
+  doc.setFont('helvetica', 'normal');
+  y += 14;
+
+  // Return figures
+  [
+    ['Invoices', report.documents.invoices],
+    ['Credit notes', report.documents.creditNotes],
+    ['Delivery charges (no VAT charged)', formatMoney(report.deliveryCharges, report.currency)],
+    ['Output VAT on sales', formatMoney(report.outputVat, report.currency)],
+    ['Less VAT on credit notes', formatMoney(-report.creditNoteVat, report.currency)]
+  ].forEach(([label, value]) => {
+    doc.text(label, 150, y, { align: 'right' });
+    doc.text(String(value), RIGHT, y, { align: 'right' });
+    y += 5;
+  });
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(11);
+  doc.text('Net VAT payable', 150, y + 1, { align: 'right' });
+  doc.text(formatMoney(report.netVatPayable, report.currency), RIGHT, y + 1, { align: 'right' });
+
+  // Footer
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(8);
+  doc.setTextColor(150, 150, 150);
+  doc.text(
+    `${company.name} - VAT return summary - Generated by OnePlace PMS`,
+    105,
+    285,
+    { align: 'center' }
+  );
+
+  return pdfToBuffer(doc);
+};
+
+module.exports = {
+  renderVatReturnPdf
+};
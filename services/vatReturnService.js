@@ -0,0 +1,129 @@
+// VAT return summary for a period: output VAT on invoices less VAT given back on credit
+// notes, split into standard-rated supplies (per rate), zero-rated and exempt supplies.
+// Lines are classified by the vatExempt/vatRate snapshot taken from Product.vat when the
+// line was priced, and amounts are reported in the company's base currency.
+const mongoose = require('mongoose');
+const Company = require('../models/Company');
+const Order = require('../models/Order');
+const { toMinor, fromMinor, roundHalfUp } = require('../utils/money');
+const { getBaseCurrency } = require('./exchangeRateService');
+
+// Supply categories in report order
+const VAT_CATEGORIES = {
+  standard: 'Standard rated',
+  zero_rated: 'Zero rated',
+  exempt: 'Exempt'
+};
+
+const AMOUNT_KEYS = ['salesNet', 'salesVat', 'creditNet', 'creditVat', 'net', 'vat'];
+
+const emptyAmounts = () => Object.fromEntries(AMOUNT_KEYS.map(key => [key, 0]));
+
+/**
+ * Category and row key of an order line. Lines priced before the vatExempt snapshot
+ * existed are backfilled from the product by npm run migrate:vat-exempt
+ * @param {Object} item - Order line
+ * @returns {Object} { category, rate, key }
+ */
+const classifyLine = (item) => {
+  if (item.vatExempt) return { category: 'exempt', rate: 0, key: 'exempt' };
+  if (!item.vatRate) return { category: 'zero_rated', rate: 0, key: 'zero_rated' };
+  return { category: 'standard', rate: item.vatRate, key: `standard:${item.vatRate}` };
+};
+
+/**
+ * Build the VAT return summary of a company for a period
+ * @param {ObjectId} companyId - Tenant company
+ * @param {Object} range - { from, to } Dates; to is inclusive
+ * @returns {Promise<Object>} { company, currency, from, to, rows, totals, documents, outputVat, creditNoteVat, netVatPayable }
+ *   Each row is { category, label, rate, salesNet, salesVat, creditNet, creditVat, net, vat }
+ */
+const buildVatReturn = async (companyId, { from, to }) => {
+  const tenantId = new mongoose.Types.ObjectId(companyId.toString());
+
+  const [company, documents] = await Promise.all([
+    Company.findById(tenantId).select('name vatNumber crNumber'),
+    Order.find({
+      'customer.company': tenantId,
+      orderType: { $in: ['invoice', 'credit'] },
+      status: { $ne: 'cancelled' },
+      createdAt: { $gte: from, $lte: to }
+    })
+      .select('orderType items.vatRate items.vatExempt items.vatAmount items.totalPrice pricing.deliveryCost pricing.exchangeRate')
+  ]);
+
+  // Totals are kept in fils; each line is converted to the base currency and rounded once
+  const rows = new Map();
+  let deliveryMinor = 0;
+  let invoiceCount = 0;
+  let creditNoteCount = 0;
+
+  documents.forEach(document => {
+    const rate = document.pricing?.exchangeRate || 1;
+    const isCredit = document.orderType === 'credit';
+    if (isCredit) creditNoteCount += 1;
+    else invoiceCount += 1;
+
+    // Delivery is charged without VAT; it is reported for reconciliation only
+    if (!isCredit) deliveryMinor += roundHalfUp(toMinor(document.pricing?.deliveryCost || 0) * rate);
+
+    document.items.forEach(item => {
+      const { category, rate: vatRate, key } = classifyLine(item);
+      if (!rows.has(key)) {
+        rows.set(key, { category, label: VAT_CATEGORIES[category], rate: vatRate, ...emptyAmounts() });
+      }
+      const row = rows.get(key);
+
+      const vatMinor = roundHalfUp(toMinor(item.vatAmount || 0) * rate);
+      const netMinor = roundHalfUp(toMinor(item.totalPrice || 0) * rate) - vatMinor;
+
+      row[isCredit ? 'creditNet' : 'salesNet'] += netMinor;
+      row[isCredit ? 'creditVat' : 'salesVat'] += vatMinor;
+    });
+  });
+
+  const categoryOrder = Object.keys(VAT_CATEGORIES);
+  const sortedRows = [...rows.values()].sort((a, b) => (
+    categoryOrder.indexOf(a.category) - categoryOrder.indexOf(b.category) || b.rate - a.rate
+  ));
+
+  const totals = emptyAmounts();
+  sortedRows.forEach(row => {
+    row.net = row.salesNet - row.creditNet;
+    row.vat = row.salesVat - row.creditVat;
+    AMOUNT_KEYS.forEach(key => { totals[key] += row[key]; });
+  });
+
+  const toAmounts = (row) => {
+    AMOUNT_KEYS.forEach(key => { row[key] = fromMinor(row[key]); });
+    return row;
+  };
+
+  return {
+    company: {
+      _id: tenantId,
+      name: company?.name,
+      vatNumber: company?.vatNumber || null,
+      crNumber: company?.crNumber || null
+    },
+    currency: await getBaseCurrency(tenantId),
+    from,
+    to,
+    rows: sortedRows.map(toAmounts),
+    totals: toAmounts(totals),
+    deliveryCharges: fromMinor(deliveryMinor),
+    documents: {
+      invoices: invoiceCount,
+      creditNotes: creditNoteCount
+    },
+    outputVat: totals.salesVat,
+    creditNoteVat: totals.creditVat,
+    netVatPayable: totals.vat
+  };
+};
+
+module.exports = {
+  VAT_CATEGORIES,
+  classifyLine,
+  buildVatReturn
+};
@@ -0,0 +1,183 @@
+/**
+ * Back-order Allocation Tests
+ *
+ * Covers services/backorderService.allocateBackorders:
+ * - Incoming stock fills back-ordered invoice lines, oldest invoice first
+ * - Only the sellable stock at the pick location is allocated
+ * - Each allocation is a sale movement that records the shipped lots on the line
+ * - Nothing is allocated without stock or without an active location
+ *
+ * Model reads and stock movements are stubbed with jest.spyOn, so no database records are needed.
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Location = require('../models/Location');
+const StockLevel = require('../models/StockLevel');
+const StockLot = require('../models/StockLot');
+const { allocateBackorders } = require('../services/backorderService');
+
+const companyId = new mongoose.Types.ObjectId();
+const user = { _id: new mongoose.Types.ObjectId(), role: 'owner' };
+const defaultLocation = { _id: new mongoose.Types.ObjectId(), company: companyId, isDefault: true };
+const branch = { _id: new mongoose.Types.ObjectId(), company: companyId, isDefault: false };
+
+const buildProduct = (current = 10) => {
+  const product = { _id: new mongoose.Types.ObjectId(), company: companyId, stock: { current } };
+  product.updateStock = jest.fn().mockImplementation(async (quantity) => ({
+    lots: [{ lot: new mongoose.Types.ObjectId(), lotNumber: `L-${quantity}`, expiryDate: new Date('2027-06-30'), quantity }]
+  }));
+  return product;
+};
+
+const line = (product, quantity, backorderedQuantity) => ({
+  product: product._id,
+  productName: 'Test Product',
+  brand: 'Test Brand',
+  category: 'Test Category',
+  quantity,
+  unitPrice: 10,
+  totalPrice: quantity * 10,
+  backorderedQuantity
+});
+
+const buildInvoice = (orderNumber, items) => {
+  const order = new Order({
+    orderNumber,
+    orderType: 'invoice',
+    status: 'confirmed',
+    customer: { company: companyId, companyName: 'Test Clinic' },
+    items
+  });
+  order.save = jest.fn().mockResolvedValue(order);
+  return order;
+};
+
+const withStock = ({ sellable, orders = [] }) => {
+  jest.spyOn(Location, 'getDefault').mockResolvedValue(defaultLocation);
+  jest.spyOn(Location, 'findOne').mockReturnValue({ session: jest.fn().mockResolvedValue(branch) });
+  jest.spyOn(StockLevel, 'forProduct').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+  jest.spyOn(StockLot, 'sellable').mockResolvedValue(sellable);
+  const session = jest.fn().mockResolvedValue(orders);
+  jest.spyOn(Order, 'find').mockReturnValue({ sort: jest.fn().mockReturnValue({ session }) });
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('allocateBackorders', () => {
+  test('fills back-ordered lines oldest invoice first until the stock runs out', async () => {
+    const product = buildProduct();
+    const first = buildInvoice('INV-0001', [line(product, 5, 4)]);
+    const second = buildInvoice('INV-0002', [line(product, 6, 6)]);
+    const third = buildInvoice('INV-0003', [line(product, 2, 2)]);
+    withStock({ sellable: 7, orders: [first, second, third] });
+
+    const allocations = await allocateBackorders(product, { user });
+
+    expect(allocations).toEqual([
+      { order: first._id, orderNumber: 'INV-0001', quantity: 4 },
+      { order: second._id, orderNumber: 'INV-0002', quantity: 3 }
+    ]);
+    expect(first.items[0].backorderedQuantity).toBe(0);
+    expect(second.items[0].backorderedQuantity).toBe(3);
+    expect(third.items[0].backorderedQuantity).toBe(2);
+    expect(first.save).toHaveBeenCalled();
+    expect(second.save).toHaveBeenCalled();
+    expect(third.save).not.toHaveBeenCalled();
+  });
+
+  test('records each allocation as a sale from the pick location', async () => {
+    const product = buildProduct();
+    const invoice = buildInvoice('INV-0001', [line(product, 3, 3)]);
+    withStock({ sellable: 5, orders: [invoice] });
+
+    await allocateBackorders(product, { user });
+
+    expect(product.updateStock).toHaveBeenCalledWith(3, 'subtract', {
+      location: defaultLocation._id,
+      reason: 'sale',
+      order: invoice._id,
+      reference: 'INV-0001',
+      note: 'Back-order allocated',
+      user
+    });
+    expect(invoice.items[0].lots).toHaveLength(1);
+    expect(invoice.items[0].lots[0]).toMatchObject({ lotNumber: 'L-3', quantity: 3 });
+  });
+
+  test('only touches the lines of the product', async () => {
+    const product = buildProduct();
+    const other = buildProduct();
+    const invoice = buildInvoice('INV-0001', [line(other, 2, 2), line(product, 4, 1)]);
+    withStock({ sellable: 10, orders: [invoice] });
+
+    const allocations = await allocateBackorders(product, { user });
+
+    expect(allocations).toEqual([{ order: invoice._id, orderNumber: 'INV-0001', quantity: 1 }]);
+    expect(invoice.items[0].backorderedQuantity).toBe(2);
+    expect(invoice.items[1].backorderedQuantity).toBe(0);
+  });
+
+  test('only allocates sellable stock, not the product total', async () => {
+    const product = buildProduct(50);
+    const invoice = buildInvoice('INV-0001', [line(product, 8, 8)]);
+    withStock({ sellable: 2, orders: [invoice] });
+
+    const allocations = await allocateBackorders(product, { user });
+
+    expect(allocations[0].quantity).toBe(2);
+    expect(invoice.items[0].backorderedQuantity).toBe(6);
+  });
+
+  test('picks invoices without a location from the default location', async () => {
+    const product = buildProduct();
+    withStock({ sellable: 5 });
+
+    await allocateBackorders(product, { user });
+
+    expect(Order.find).toHaveBeenCalledWith(expect.objectContaining({
+      'customer.company': companyId,
+      orderType: 'invoice',
+      status: { $nin: ['cancelled', 'returned'] },
+      location: { $in: [defaultLocation._id, null] }
+    }));
+  });
+
+  test('picks only the invoices of a named non-default location', async () => {
+    const product = buildProduct();
+    withStock({ sellable: 5 });
+
+    await allocateBackorders(product, { location: branch._id, user });
+
+    expect(Location.findOne).toHaveBeenCalledWith({ _id: branch._id, company: companyId });
+    expect(Order.find).toHaveBeenCalledWith(expect.objectContaining({ location: branch._id }));
+  });
+
+  test('allocates nothing without stock', async () => {
+    const product = buildProduct(0);
+    withStock({ sellable: 5 });
+
+    expect(await allocateBackorders(product, { user })).toEqual([]);
+    expect(Location.getDefault).not.toHaveBeenCalled();
+  });
+
+  test('allocates nothing when the location has no sellable stock', async () => {
+    const product = buildProduct();
+    withStock({ sellable: 0 });
+
+    expect(await allocateBackorders(product, { user })).toEqual([]);
+    expect(Order.find).not.toHaveBeenCalled();
+    expect(product.updateStock).not.toHaveBeenCalled();
+  });
+
+  test('allocates nothing when the location is not found', async () => {
+    const product = buildProduct();
+    withStock({ sellable: 5 });
+    Location.findOne.mockReturnValue({ session: jest.fn().mockResolvedValue(null) });
+
+    expect(await allocateBackorders(product, { location: branch._id, user })).toEqual([]);
+    expect(StockLot.sellable).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Delivery Pricing Tests
+ *
+ * Covers services/deliveryPricingService rule evaluation:
+ * - Weight parsing from free-text product weights
+ * - The legacy charge when a company has no rules
+ * - Base fee vs. city and area fees (most specific wins)
+ * - Weight tiers, free delivery thresholds and urgency surcharges
+ *
+ * DeliveryRule.find is stubbed with jest.spyOn, so no database records are needed.
+ */
+
+const mongoose = require('mongoose');
+const DeliveryRule = require('../models/DeliveryRule');
+const { parseWeightKg, calculateDelivery } = require('../services/deliveryPricingService');
+
+const companyId = new mongoose.Types.ObjectId();
+
+const rule = (type, fields) => ({ _id: new mongoose.Types.ObjectId(), name: `${type} rule`, type, ...fields });
+
+const RULES = [
+  rule('base_fee', { amount: 2 }),
+  rule('area_fee', { city: 'Manama', amount: 1.5 }),
+  rule('area_fee', { city: 'Manama', area: 'Seef', amount: 1 }),
+  rule('area_fee', { city: 'Muharraq', amount: 3 }),
+  rule('weight_tier', { minWeight: 0, maxWeight: 5, amount: 0 }),
+  rule('weight_tier', { minWeight: 5, maxWeight: 20, amount: 2.5 }),
+  rule('weight_tier', { minWeight: 20, maxWeight: null, amount: 6 }),
+  rule('free_threshold', { threshold: 100 }),
+  rule('free_threshold', { threshold: 250 }),
+  rule('urgency_surcharge', { orderStatus: 'Urgent', amount: 3 }),
+  rule('urgency_surcharge', { orderStatus: 'Emergency', amount: 10 })
+];
+
+const withRules = (rules) => {
+  jest.spyOn(DeliveryRule, 'find').mockReturnValue({ session: jest.fn().mockResolvedValue(rules) });
+};
+
+const items = (weight, quantity = 1) => [{ product: { specifications: { weight } }, quantity }];
+
+const types = (result) => result.breakdown.map(line => line.type);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('parseWeightKg', () => {
+  test.each([
+    ['1.5 kg', 1.5],
+    ['250g', 0.25],
+    ['2 lbs', 0.907184],
+    ['16oz', 0.453592],
+    ['3', 3],
+    ['', 0],
+    [undefined, 0],
+    ['heavy', 0],
+    ['5 stone', 0]
+  ])('%p is %p kg', (weight, kg) => {
+    expect(parseWeightKg(weight)).toBeCloseTo(kg, 6);
+  });
+});
+
+describe('calculateDelivery', () => {
+  test('without rules charges the legacy fee below the free threshold', async () => {
+    withRules([]);
+
+    const below = await calculateDelivery({ companyId, subtotal: 49.999 });
+    const above = await calculateDelivery({ companyId, subtotal: 50 });
+
+    expect(below.deliveryCost).toBe(2);
+    expect(above.deliveryCost).toBe(0);
+    expect(below.breakdown).toEqual([{ rule: null, name: 'Standard delivery', type: 'base_fee', amount: 2 }]);
+  });
+
+  test('only reads the active rules of the company', async () => {
+    withRules([]);
+    await calculateDelivery({ companyId, subtotal: 10 });
+    expect(DeliveryRule.find).toHaveBeenCalledWith({ company: companyId, isActive: true });
+  });
+
+  test('uses the company base fee outside any configured city', async () => {
+    withRules(RULES);
+    const result = await calculateDelivery({ companyId, subtotal: 10, city: 'Riffa', items: items('1kg') });
+
+    expect(result.deliveryCost).toBe(2);
+    expect(types(result)).toEqual(['base_fee', 'weight_tier']);
+  });
+
+  test('prefers the area fee, then the city fee, over the base fee', async () => {
+    withRules(RULES);
+
+    const area = await calculateDelivery({ companyId, subtotal: 10, city: 'manama ', area: 'SEEF' });
+    const city = await calculateDelivery({ companyId, subtotal: 10, city: 'Manama', area: 'Juffair' });
+
+    expect(area.deliveryCost).toBe(1);
+    expect(city.deliveryCost).toBe(1.5);
+  });
+
+  test('adds the weight tier the total weight falls in', async () => {
+    withRules(RULES);
+
+    const light = await calculateDelivery({ companyId, subtotal: 10, city: 'Muharraq', items: items('500g', 4) });
+    const medium = await calculateDelivery({ companyId, subtotal: 10, city: 'Muharraq', items: items('2.5kg', 2) });
+    const heavy = await calculateDelivery({ companyId, subtotal: 10, city: 'Muharraq', items: items('10 kg', 3) });
+
+    expect(light.totalWeight).toBeCloseTo(2);
+    expect(light.deliveryCost).toBe(3);
+    expect(medium.deliveryCost).toBe(5.5);
+    expect(heavy.deliveryCost).toBe(9);
+  });
+
+  test('free delivery waives the base and weight fees once, at the lowest threshold reached', async () => {
+    withRules(RULES);
+    const result = await calculateDelivery({ companyId, subtotal: 300, city: 'Muharraq', items: items('10kg') });
+
+    expect(result.deliveryCost).toBe(0);
+    expect(result.breakdown.filter(line => line.type === 'free_threshold')).toEqual([
+      expect.objectContaining({ amount: -5.5, rule: RULES[7]._id })
+    ]);
+  });
+
+  test('urgency surcharges are added on top and are not waived', async () => {
+    withRules(RULES);
+
+    const urgent = await calculateDelivery({ companyId, subtotal: 10, city: 'Manama', orderStatus: 'Urgent' });
+    const freeEmergency = await calculateDelivery({ companyId, subtotal: 500, city: 'Manama', orderStatus: 'Emergency' });
+    const normal = await calculateDelivery({ companyId, subtotal: 10, city: 'Manama', orderStatus: 'Normal' });
+
+    expect(urgent.deliveryCost).toBe(4.5);
+    expect(freeEmergency.deliveryCost).toBe(10);
+    expect(types(freeEmergency)).toEqual(['area_fee', 'weight_tier', 'free_threshold', 'urgency_surcharge']);
+    expect(normal.deliveryCost).toBe(1.5);
+  });
+
+  test('the delivery cost is never negative', async () => {
+    withRules([rule('free_threshold', { threshold: 0 }), rule('base_fee', { amount: 2 })]);
+    const result = await calculateDelivery({ companyId, subtotal: 10 });
+    expect(result.deliveryCost).toBe(0);
+  });
+});
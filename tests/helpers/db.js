@@ -0,0 +1,32 @@
+/**
+ * Test database helpers for the integration suites
+ *
+ * Each suite works in its own `oneplace-test-<name>` database on TEST_MONGO_URI and drops
+ * it when done. Suites are declared with describeWithDb so they are skipped, not failed,
+ * when globalSetup could not provide a database.
+ */
+
+const mongoose = require('mongoose');
+
+const describeWithDb = process.env.TEST_MONGO_URI ? describe : describe.skip;
+
+/**
+ * Connect to the suite's database and build every model's collection and indexes, so
+ * unique indexes hold and transactions never have to create a collection
+ * @param {string} name - Suite name, used in the database name
+ */
+const connectTestDb = async (name) => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.TEST_MONGO_URI, { dbName: `oneplace-test-${name}` });
+  }
+  await Promise.all(mongoose.modelNames().map(modelName => mongoose.model(modelName).init()));
+};
+
+const disconnectTestDb = async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+  }
+  await mongoose.connection.close();
+};
+
+module.exports = { describeWithDb, connectTestDb, disconnectTestDb };
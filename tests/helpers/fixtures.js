@@ -0,0 +1,102 @@
+/**
+ * Test data builders for the integration suites
+ */
+
+const jwt = require('jsonwebtoken');
+const Company = require('../../models/Company');
+const User = require('../../models/User');
+const Brand = require('../../models/Brand');
+const Category = require('../../models/Category');
+const Product = require('../../models/Product');
+
+/**
+ * Create a company with an owner, a brand and a category
+ * @param {string} label - Distinguishes the company's names, emails and numbers
+ * @returns {Promise<Object>} { company, user, token, brand, category }
+ */
+const seedCompany = async (label) => {
+  const slug = label.toLowerCase();
+  const company = await Company.create({
+    name: `Test Company ${label}`,
+    email: `company-${slug}@test.com`,
+    phone: '1234567890',
+    ibanNumber: `BH00TEST${label}`,
+    bankName: 'Test Bank',
+    vatNumber: `VAT-${label}`,
+    crNumber: `CR-${label}`,
+    companyType: 'wll',
+    dueDate: new Date(),
+    companySize: 'small',
+    businessTarget: 'medical-items',
+    numberOfUsers: 5,
+    address: '1 Test St',
+    city: 'Manama',
+    country: 'Bahrain',
+    postalCode: '100',
+    ownerName: `Owner ${label}`,
+    ownerEmail: `owner-${slug}@test.com`,
+    ownerUsername: `owner-${slug}`,
+    ownerPassword: 'password123'
+  });
+
+  const user = await User.create({
+    name: `Owner ${label}`,
+    email: `owner-${slug}@test.com`,
+    username: `owner-${slug}`,
+    password: 'password123',
+    role: 'owner',
+    company: company._id,
+    isActive: true
+  });
+  const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+  const brand = await Brand.create({ name: `Test Brand ${label}`, mainCategory: 'medical', company: company._id });
+  const category = await Category.create({
+    name: `Test Category ${label}`,
+    mainCategory: 'medical',
+    company: company._id,
+    brand: brand._id,
+    brands: [brand._id]
+  });
+
+  return { company, user, token, brand, category };
+};
+
+/**
+ * Create a product of a seeded company
+ * @param {Object} tenant - Result of seedCompany
+ * @param {Object} fields - { sku, price, stock }
+ */
+const createProduct = (tenant, { sku, price = 10, stock = 0 }) => Product.create({
+  name: `Test Product ${sku}`,
+  sku,
+  company: tenant.company._id,
+  brand: tenant.brand._id,
+  category: tenant.category._id,
+  mainCategory: 'medical',
+  price,
+  pricing: { cost: price / 2 },
+  stock: { current: stock }
+});
+
+/**
+ * Body for POST /api/orders selling the given quantities
+ * @param {Object} tenant - Result of seedCompany
+ * @param {Array} lines - [{ product, quantity }]
+ * @param {Object} overrides - Top-level fields to override, e.g. orderType or payment
+ */
+const orderBody = (tenant, lines, overrides = {}) => ({
+  orderType: 'invoice',
+  customer: {
+    company: tenant.company._id,
+    companyName: 'Test Clinic',
+    employee: 'Test Employee',
+    contactInfo: { name: 'Test Contact', email: 'contact@test.com', address: '1 Clinic Rd', city: 'Manama' }
+  },
+  items: lines.map(({ product, quantity }) => ({ product: product._id, quantity })),
+  shipping: { address: '1 Clinic Rd', city: 'Manama' },
+  payment: { method: 'cash' },
+  ...overrides
+});
+
+module.exports = { seedCompany, createProduct, orderBody };
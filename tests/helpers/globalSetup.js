@@ -0,0 +1,25 @@
+/**
+ * Jest global setup: provides the MongoDB used by the integration suites
+ *
+ * TEST_MONGO_URI, when set, is used as is. It must be a replica set, because orders and
+ * stock are written in transactions. Otherwise a single-node in-memory replica set is
+ * started with mongodb-memory-server. MONGO_URI is deliberately never used, so tests cannot
+ * run against a database loaded from .env.
+ *
+ * When no database can be provided the integration suites are skipped with a warning, or
+ * the run fails when TEST_DB=required.
+ */
+
+module.exports = async () => {
+  if (process.env.TEST_MONGO_URI) return;
+
+  try {
+    const { MongoMemoryReplSet } = require('mongodb-memory-server');
+    const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    globalThis.__MONGO_REPLSET__ = replSet;
+    process.env.TEST_MONGO_URI = replSet.getUri();
+  } catch (error) {
+    if (process.env.TEST_DB === 'required') throw error;
+    console.warn(`\n⚠️  No test database (${error.message}). Integration suites are skipped; set TEST_MONGO_URI to run them.\n`);
+  }
+};
@@ -0,0 +1,9 @@
+/**
+ * Jest global teardown: stops the in-memory replica set started by globalSetup
+ */
+
+module.exports = async () => {
+  if (globalThis.__MONGO_REPLSET__) {
+    await globalThis.__MONGO_REPLSET__.stop();
+  }
+};
@@ -0,0 +1,263 @@
+/**
+ * Idempotency-Key Middleware Tests
+ *
+ * Covers middleware/idempotency:
+ * - A retry with the same key and body replays the stored response
+ * - The same key with a different body, or while the first request runs, returns 409
+ * - A client disconnect does not release the key, so the handler never runs twice
+ * - Server errors release the key; expired keys are not replayed
+ *
+ * IdempotencyKey reads and writes are stubbed with jest.spyOn over an in-memory store,
+ * so no database records are needed.
+ */
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotent } = require('../middleware/idempotency');
+
+const user = { _id: new mongoose.Types.ObjectId(), company: new mongoose.Types.ObjectId(), role: 'owner' };
+
+// In-memory IdempotencyKey collection with the unique (company, user, key) index
+let keys;
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  const value = doc[field];
+  if (condition && condition.$gt !== undefined) return value > condition.$gt;
+  if (condition && condition.$lte !== undefined) return value <= condition.$lte;
+  return String(value) === String(condition);
+});
+
+const stubKeyStore = () => {
+  keys = [];
+  jest.spyOn(IdempotencyKey, 'create').mockImplementation(async (doc) => {
+    if (keys.some(stored => matches(stored, { company: doc.company, user: doc.user, key: doc.key }))) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const stored = { state: 'processing', expiresAt: new Date(Date.now() + 60 * 60 * 1000), ...doc };
+    keys.push(stored);
+    return stored;
+  });
+  jest.spyOn(IdempotencyKey, 'findOne').mockImplementation(async (filter) => keys.find(doc => matches(doc, filter)) || null);
+  jest.spyOn(IdempotencyKey, 'updateOne').mockImplementation(async (filter, update) => {
+    const doc = keys.find(stored => matches(stored, filter));
+    if (doc) Object.assign(doc, update.$set);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  jest.spyOn(IdempotencyKey, 'deleteOne').mockImplementation(async (filter) => {
+    const before = keys.length;
+    keys = keys.filter(doc => !matches(doc, filter));
+    return { deletedCount: before - keys.length };
+  });
+};
+
+// App with one idempotent route; the handler is replaced per test
+const buildApp = (handler) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.post('/api/orders', idempotent, handler);
+  return app;
+};
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+const waitFor = async (condition) => {
+  for (let attempt = 0; attempt < 100 && !condition(); attempt++) {
+    await new Promise(done => setTimeout(done, 10));
+  }
+  expect(condition()).toBe(true);
+};
+
+beforeEach(() => {
+  stubKeyStore();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Idempotency-Key middleware', () => {
+  test('requests without the header run every time', async () => {
+    const handler = jest.fn((req, res) => res.status(201).json({ success: true }));
+    const app = buildApp(handler);
+
+    await request(app).post('/api/orders').send({ items: [1] }).expect(201);
+    await request(app).post('/api/orders').send({ items: [1] }).expect(201);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  test('a retry with the same key and body replays the stored response', async () => {
+    let created = 0;
+    const handler = jest.fn((req, res) => res.status(201).json({ success: true, data: { orderNumber: `INV-${++created}` } }));
+    const app = buildApp(handler);
+
+    const first = await request(app).post('/api/orders').set('Idempotency-Key', 'order-1').send({ items: [1], note: 'a' });
+    // Key order of the body does not matter
+    const retry = await request(app).post('/api/orders').set('Idempotency-Key', 'order-1').send({ note: 'a', items: [1] });
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('client errors are stored and replayed too', async () => {
+    const handler = jest.fn((req, res) => res.status(400).json({ success: false, message: 'Not enough stock' }));
+    const app = buildApp(handler);
+
+    await request(app).post('/api/orders').set('Idempotency-Key', 'order-1').send({}).expect(400);
+    const retry = await request(app).post('/api/orders').set('Idempotency-Key', 'order-1').send({}).expect(400);
+
+    expect(retry.body.message).toBe('Not enough stock');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('the same key with a different body returns 409', async () => {
+    const handler = jest.fn((req, res) => res.status(201).json({ success: true }));
+    const app = buildApp(handler);
+
+    await request(app).post('/api/orders').set('Idempotency-Key', 'order-1').send({ items: [1] }).expect(201);
+    const other = await request(app).post('/api/orders').set('Idempotency-Key', 'order-1').send({ items: [2] });
+
+    expect(other.status).toBe(409);
+    expect(other.body.message).toMatch(/different request/);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('the same key while the first request is running returns 409', async () => {
+    const started = deferred();
+    const release = deferred();
+    const handler = jest.fn(async (req, res) => {
+      started.resolve();
+      await release.promise;
+      res.status(201).json({ success: true });
+    });
+    const app = buildApp(handler);
+
+    const first = request(app).post('/api/orders').set('Idempotency-Key', 'order-1').send({ items: [1] }).then(res => res);
+    await started.promise;
+
+    const concurrent = await request(app).post('/api/orders').set('Idempotency-Key', 'order-1').send({ items: [1] });
+    expect(concurrent.status).toBe(409);
+    expect(concurrent.body.message).toMatch(/still being processed/);
+
+    release.resolve();
+    expect((await first).status).toBe(201);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('a client disconnect keeps the key, so the retry never runs the handler again', async () => {
+    const started = deferred();
+    const release = deferred();
+    const handler = jest.fn(async (req, res) => {
+      started.resolve();
+      await release.promise;
+      res.status(201).json({ success: true, data: { orderNumber: 'INV-1' } });
+    });
+    const app = buildApp(handler);
+    const server = app.listen(0);
+
+    try {
+      const body = JSON.stringify({ items: [1] });
+      const client = http.request({
+        port: server.address().port,
+        method: 'POST',
+        path: '/api/orders',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'order-1', 'Content-Length': Buffer.byteLength(body) }
+      });
+      client.on('error', () => {});
+      client.end(body);
+
+      // The client gives up while the order is being created
+      await started.promise;
+      client.destroy();
+      await new Promise(done => setTimeout(done, 50));
+
+      expect(keys).toHaveLength(1);
+      expect(keys[0].state).toBe('processing');
+
+      const early = await request(server).post('/api/orders').set('Idempotency-Key', 'order-1').send({ items: [1] });
+      expect(early.status).toBe(409);
+
+      release.resolve();
+      await waitFor(() => keys[0]?.state === 'completed');
+
+      const retry = await request(server).post('/api/orders').set('Idempotency-Key', 'order-1').send({ items: [1] });
+      expect(retry.status).toBe(201);
+      expect(retry.body.data.orderNumber).toBe('INV-1');
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(handler).toHaveBeenCalledTimes(1);
+    } finally {
+      await new Promise(done => server.close(done));
+    }
+  });
+
+  test('a server error releases the key so the request can be retried', async () => {
+    const handler = jest.fn()
+      .mockImplementationOnce((req, res) => res.status(500).json({ success: false }))
+      .mockImplementationOnce((req, res) => res.status(201).json({ success: true }));
+    const app = buildApp(handler);
+
+    await request(app).post('/api/orders').set('Idempotency-Key', 'order-1').send({}).expect(500);
+    expect(keys).toHaveLength(0);
+
+    await request(app).post('/api/orders').set('Idempotency-Key', 'order-1').send({}).expect(201);
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('a response sent without res.json releases the key', async () => {
+    const handler = jest.fn((req, res) => res.status(204).end());
+    const app = buildApp(handler);
+
+    await request(app).post('/api/orders').set('Idempotency-Key', 'order-1').send({}).expect(204);
+    await waitFor(() => keys.length === 0);
+  });
+
+  test('an expired key the TTL monitor has not removed yet is not replayed', async () => {
+    const handler = jest.fn((req, res) => res.status(201).json({ success: true, fresh: true }));
+    const app = buildApp(handler);
+
+    await request(app).post('/api/orders').set('Idempotency-Key', 'order-1').send({}).expect(201);
+    keys[0].expiresAt = new Date(Date.now() - 1000);
+
+    const retry = await request(app).post('/api/orders').set('Idempotency-Key', 'order-1').send({}).expect(201);
+
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(keys).toHaveLength(1);
+    expect(keys[0].expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('keys are scoped to the user', async () => {
+    const handler = jest.fn((req, res) => res.status(201).json({ success: true }));
+    const app = buildApp(handler);
+
+    await request(app).post('/api/orders').set('Idempotency-Key', 'order-1').send({}).expect(201);
+    keys[0].user = new mongoose.Types.ObjectId();
+    await request(app).post('/api/orders').set('Idempotency-Key', 'order-1').send({}).expect(201);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('rejects an empty or oversized key', async () => {
+    const handler = jest.fn((req, res) => res.status(201).json({ success: true }));
+    const app = buildApp(handler);
+
+    await request(app).post('/api/orders').set('Idempotency-Key', ' ').send({}).expect(400);
+    await request(app).post('/api/orders').set('Idempotency-Key', 'k'.repeat(256)).send({}).expect(400);
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Money Rounding Tests
+ *
+ * Covers utils/money fils arithmetic:
+ * - Half-up rounding that binary float noise cannot flip
+ * - Conversion between decimal amounts and integer fils
+ * - Exact sums of rounded amounts and percentages of fils amounts
+ * - moneyField paths stored in fils and read back as decimal amounts
+ *
+ * Documents are built in memory, so no database records are needed.
+ */
+
+const mongoose = require('mongoose');
+const {
+  MINOR_UNITS,
+  roundHalfUp,
+  toMinor,
+  fromMinor,
+  roundMoney,
+  sumMoney,
+  percentOfMinor,
+  moneyField,
+  moneyUnitsField,
+  MONEY_SCHEMA_OPTIONS
+} = require('../utils/money');
+
+describe('roundHalfUp', () => {
+  test.each([
+    [1.4, 1],
+    [1.5, 2],
+    [2.5, 3],
+    [-1.5, -2],
+    [-2.5, -3],
+    [0, 0]
+  ])('%p rounds to %p', (value, rounded) => {
+    expect(roundHalfUp(value)).toBe(rounded);
+  });
+
+  test('float noise does not flip a half', () => {
+    expect(1.005 * 1000).toBeLessThan(1005);
+    expect(roundHalfUp(1.005 * 1000)).toBe(1005);
+    expect(toMinor(1.0045)).toBe(1005);
+    expect(toMinor(-1.0045)).toBe(-1005);
+  });
+});
+
+describe('toMinor and fromMinor', () => {
+  test('a dinar is a thousand fils', () => {
+    expect(MINOR_UNITS).toBe(1000);
+    expect(toMinor(1)).toBe(1000);
+    expect(fromMinor(1000)).toBe(1);
+  });
+
+  test('amounts are rounded half-up to the fils', () => {
+    expect(toMinor(12.3454)).toBe(12345);
+    expect(toMinor(12.3455)).toBe(12346);
+    expect(toMinor(0.1 + 0.2)).toBe(300);
+    expect(toMinor(-0.0005)).toBe(-1);
+  });
+
+  test('numeric strings are converted', () => {
+    expect(toMinor('7.125')).toBe(7125);
+  });
+
+  test('missing amounts are passed through', () => {
+    expect(toMinor(null)).toBeNull();
+    expect(toMinor(undefined)).toBeUndefined();
+    expect(toMinor('')).toBe('');
+    expect(fromMinor(null)).toBeNull();
+    expect(fromMinor(undefined)).toBeUndefined();
+  });
+
+  test('round trips keep three decimals', () => {
+    [0, 0.001, 0.999, 12.5, 1234.567].forEach(amount => {
+      expect(fromMinor(toMinor(amount))).toBe(amount);
+    });
+  });
+});
+
+describe('roundMoney', () => {
+  test('rounds a decimal amount half-up to the fils', () => {
+    expect(roundMoney(2.0005)).toBe(2.001);
+    expect(roundMoney(2.0004)).toBe(2);
+    expect(roundMoney(1 / 3)).toBe(0.333);
+  });
+
+  test('treats a missing amount as zero', () => {
+    expect(roundMoney(undefined)).toBe(0);
+    expect(roundMoney(null)).toBe(0);
+  });
+});
+
+describe('sumMoney', () => {
+  test('sums exactly where float addition drifts', () => {
+    expect(0.1 + 0.2).not.toBe(0.3);
+    expect(sumMoney([0.1, 0.2])).toBe(0.3);
+    expect(sumMoney(Array(10).fill(0.1))).toBe(1);
+  });
+
+  test('rounds each amount before summing', () => {
+    expect(sumMoney([0.0005, 0.0005])).toBe(0.002);
+  });
+
+  test('skips missing amounts and sums an empty list to zero', () => {
+    expect(sumMoney([1.5, undefined, null, 2.25])).toBe(3.75);
+    expect(sumMoney([])).toBe(0);
+  });
+});
+
+describe('percentOfMinor', () => {
+  test('VAT on a line is rounded half-up to the fils', () => {
+    expect(percentOfMinor(12345, 10)).toBe(1235);
+    expect(percentOfMinor(12344, 10)).toBe(1234);
+    expect(percentOfMinor(1005, 5)).toBe(50);
+  });
+
+  test('a zero rate gives no VAT', () => {
+    expect(percentOfMinor(12345, 0)).toBe(0);
+  });
+});
+
+describe('moneyField', () => {
+  const Priced = mongoose.model('MoneyTestPriced', new mongoose.Schema({
+    price: moneyField({ min: 0 }),
+    discount: moneyField({ default: 0 }),
+    moneyUnits: moneyUnitsField
+  }, MONEY_SCHEMA_OPTIONS));
+
+  test('stores fils and reads decimal amounts', () => {
+    const doc = new Priced({ price: 12.3455 });
+
+    expect(doc.price).toBe(12.346);
+    expect(doc.get('price', null, { getters: false })).toBe(12346);
+    expect(doc.discount).toBe(0);
+  });
+
+  test('serializes decimal amounts without the units marker', () => {
+    const json = new Priced({ price: 5.5 }).toJSON();
+
+    expect(json.price).toBe(5.5);
+    expect(json).not.toHaveProperty('moneyUnits');
+    expect(new Priced({ price: 5.5 }).toObject().moneyUnits).toBe('fils');
+  });
+
+  test('validators run against the stored fils value', () => {
+    expect(new Priced({ price: -0.001 }).validateSync().errors.price).toBeDefined();
+    expect(new Priced({ price: 0 }).validateSync()).toBeUndefined();
+  });
+
+  test('passes extra schema options through', () => {
+    expect(moneyField({ required: true })).toMatchObject({ type: Number, required: true, get: fromMinor, set: toMinor });
+  });
+});
@@ -3,6 +3,7 @@
  * 
  * Tests IDOR prevention across all modules:
  * - Brands, Categories, Products, Accounts, Orders, Calendar, Reports, Users
+ * - Price lists, Exchange rates, Order drafts, Stock transfers, Recalls
  * 
  * Requirements:
  * - Two companies (A, B) and two users (UserA in A, UserB in B)
@@ -11,7 +12,6 @@
  * - Ensures 404 (not 403) for cross-tenant access
  */
 
-const mongoose = require('mongoose');
 const request = require('supertest');
 const jwt = require('jsonwebtoken');
 require('dotenv').config();
@@ -26,11 +26,16 @@ const Account = require('../models/Account');
 const Order = require('../models/Order');
 const Calendar = require('../models/Calendar');
 const Report = require('../models/Report');
+const PriceList = require('../models/PriceList');
+const ExchangeRate = require('../models/ExchangeRate');
+const OrderDraft = require('../models/OrderDraft');
+const Location = require('../models/Location');
+const StockTransfer = require('../models/StockTransfer');
+const Recall = require('../models/Recall');
 
-// Set test environment before importing server
-process.env.NODE_ENV = 'test';
+const { describeWithDb, connectTestDb, disconnectTestDb } = require('./helpers/db');
 
-// Import app (server won't start in test mode)
+// Import app (server won't start in test mode; tests/setup.js sets NODE_ENV)
 const app = require('../server');
 
 // Test data storage
@@ -80,6 +85,20 @@ async function setupTestData() {
     ibanNumber: 'BH123456789',
     bankName: 'Test Bank A',
     vatNumber: 'VAT123A',
+    crNumber: 'CR-TEST-A',
+    companyType: 'wll',
+    dueDate: new Date(),
+    companySize: 'small',
+    businessTarget: 'medical-items',
+    numberOfUsers: 5,
+    address: '123 Test St',
+    city: 'Test City A',
+    country: 'Bahrain',
+    postalCode: '100',
+    ownerName: 'Owner A',
+    ownerEmail: 'ownera@test.com',
+    ownerUsername: 'ownera',
+    ownerPassword: 'password123',
     location: {
       address: '123 Test St',
       city: 'Test City A',
@@ -95,6 +114,20 @@ async function setupTestData() {
     ibanNumber: 'BH987654321',
     bankName: 'Test Bank B',
     vatNumber: 'VAT456B',
+    crNumber: 'CR-TEST-B',
+    companyType: 'wll',
+    dueDate: new Date(),
+    companySize: 'small',
+    businessTarget: 'medical-items',
+    numberOfUsers: 5,
+    address: '456 Test St',
+    city: 'Test City B',
+    country: 'Bahrain',
+    postalCode: '200',
+    ownerName: 'Owner B',
+    ownerEmail: 'ownerb@test.com',
+    ownerUsername: 'ownerb',
+    ownerPassword: 'password123',
     location: {
       address: '456 Test St',
       city: 'Test City B',
@@ -133,12 +166,14 @@ async function setupTestData() {
   // Seed data for Company A
   brandA = await Brand.create({
     name: 'Test Brand A',
+    mainCategory: 'medical',
     company: companyA._id,
     isActive: true
   });
 
   categoryA = await Category.create({
     name: 'Test Category A',
+    mainCategory: 'medical',
     company: companyA._id,
     brand: brandA._id,
     brands: [brandA._id],
@@ -151,7 +186,9 @@ async function setupTestData() {
     company: companyA._id,
     brand: brandA._id,
     category: categoryA._id,
+    mainCategory: 'medical',
     price: 100,
+    pricing: { cost: 50 },
     status: 'active'
   });
 
@@ -160,6 +197,8 @@ async function setupTestData() {
     company: companyA._id,
     phone: '1234567890',
     email: 'accounta@test.com',
+    vat: 'VAT-ACC-A',
+    crNumber: 'CR-ACC-A',
     address: {
       area: 'Test Area A',
       city: 'Test City A'
@@ -182,10 +221,18 @@ async function setupTestData() {
     },
     items: [{
       product: productA._id,
+      productName: 'Test Product A',
+      brand: 'Test Brand A',
+      category: 'Test Category A',
       quantity: 1,
       unitPrice: 100,
+      totalPrice: 100,
       vatRate: 5
     }],
+    shipping: {
+      address: '123 Test St',
+      city: 'Test City'
+    },
     pricing: {
       subtotal: 100,
       total: 105
@@ -203,6 +250,7 @@ async function setupTestData() {
     date: new Date(),
     company: companyA._id,
     account: accountA._id,
+    accountName: 'Test Account A',
     createdBy: userA._id
   });
 
@@ -211,18 +259,24 @@ async function setupTestData() {
     description: 'Test report description',
     company: companyA._id,
     salesman: userA._id,
-    fileUrl: 'https://test.com/report-a.pdf'
+    salesmanName: 'User A',
+    reportType: 'file',
+    fileUrl: 'https://test.com/report-a.pdf',
+    fileName: 'report-a.pdf',
+    fileSize: 1024
   });
 
   // Seed data for Company B
   brandB = await Brand.create({
     name: 'Test Brand B',
+    mainCategory: 'medical',
     company: companyB._id,
     isActive: true
   });
 
   categoryB = await Category.create({
     name: 'Test Category B',
+    mainCategory: 'medical',
     company: companyB._id,
     brand: brandB._id,
     brands: [brandB._id],
@@ -235,7 +289,9 @@ async function setupTestData() {
     company: companyB._id,
     brand: brandB._id,
     category: categoryB._id,
+    mainCategory: 'medical',
     price: 200,
+    pricing: { cost: 100 },
     status: 'active'
   });
 
@@ -244,6 +300,8 @@ async function setupTestData() {
     company: companyB._id,
     phone: '0987654321',
     email: 'accountb@test.com',
+    vat: 'VAT-ACC-B',
+    crNumber: 'CR-ACC-B',
     address: {
       area: 'Test Area B',
       city: 'Test City B'
@@ -266,10 +324,18 @@ async function setupTestData() {
     },
     items: [{
       product: productB._id,
+      productName: 'Test Product B',
+      brand: 'Test Brand B',
+      category: 'Test Category B',
       quantity: 1,
       unitPrice: 200,
+      totalPrice: 200,
       vatRate: 5
     }],
+    shipping: {
+      address: '456 Test St',
+      city: 'Test City'
+    },
     pricing: {
       subtotal: 200,
       total: 210
@@ -287,6 +353,7 @@ async function setupTestData() {
     date: new Date(),
     company: companyB._id,
     account: accountB._id,
+    accountName: 'Test Account B',
     createdBy: userB._id
   });
 
@@ -295,7 +362,11 @@ async function setupTestData() {
     description: 'Test report description',
     company: companyB._id,
     salesman: userB._id,
-    fileUrl: 'https://test.com/report-b.pdf'
+    salesmanName: 'User B',
+    reportType: 'file',
+    fileUrl: 'https://test.com/report-b.pdf',
+    fileName: 'report-b.pdf',
+    fileSize: 1024
   });
 }
 
@@ -408,27 +479,15 @@ async function testUpdateRejectsCompanyChange(endpoint, token, updateData, corre
   return res.status === 403 || res.status === 404;
 }
 
-describe('Multi-Tenant Isolation Tests', () => {
+describeWithDb('Multi-Tenant Isolation Tests', () => {
   beforeAll(async () => {
-    // Connect to test database if not already connected
-    const mongoUri = process.env.MONGO_URI || 'mongodb://localhost:27017/oneplace-test';
-    
-    if (mongoose.connection.readyState === 0) {
-      await mongoose.connect(mongoUri, {
-        useNewUrlParser: true,
-        useUnifiedTopology: true
-      });
-    } else if (mongoose.connection.readyState === 1) {
-      // Already connected, use existing connection
-      console.log('Using existing MongoDB connection');
-    }
-    
+    await connectTestDb('isolation');
     await setupTestData();
   }, 60000); // 60 second timeout for setup
 
   afterAll(async () => {
     await cleanupTestData();
-    await mongoose.connection.close();
+    await disconnectTestDb();
   });
 
   describe('Brands Module', () => {
@@ -881,6 +940,505 @@ describe('Multi-Tenant Isolation Tests', () => {
     });
   });
 
+  describe('Price Lists Module', () => {
+    let priceListA, priceListB;
+
+    beforeAll(async () => {
+      priceListA = await PriceList.create({
+        name: 'Test Price List A',
+        company: companyA._id,
+        entries: [{ product: productA._id, price: 90 }]
+      });
+      priceListB = await PriceList.create({
+        name: 'Test Price List B',
+        company: companyB._id,
+        entries: [{ product: productB._id, price: 180 }]
+      });
+    });
+
+    afterAll(async () => {
+      await Account.updateMany({ _id: { $in: [accountA._id, accountB._id] } }, { $unset: { priceList: 1 } });
+      await PriceList.deleteMany({ company: { $in: [companyA._id, companyB._id] } });
+    });
+
+    test('List returns only tenant data', async () => {
+      const result = await testListIsolation('priceLists', '/api/price-lists', tokenA, 1);
+      expect(result).toBe(true);
+    });
+
+    test('Cross-tenant GET returns 404', async () => {
+      expect(await testCrossTenantGet(`/api/price-lists/${priceListB._id}`, tokenA)).toBe(true);
+    });
+
+    test('CREATE ignores company field', async () => {
+      const res = await request(app)
+        .post('/api/price-lists')
+        .set('Authorization', `Bearer ${tokenA}`)
+        .send({
+          name: 'New Price List A',
+          company: companyB._id, // Wrong company
+          entries: [{ brand: brandA._id, discount: 10 }]
+        });
+
+      expect(res.status).toBe(201);
+      const created = await PriceList.findById(res.body.data._id);
+      expect(created.company.toString()).toBe(companyA._id.toString());
+    });
+
+    test('CREATE rejects entries for another tenant product or brand', async () => {
+      const product = await request(app)
+        .post('/api/price-lists')
+        .set('Authorization', `Bearer ${tokenA}`)
+        .send({ name: 'Foreign Product List', entries: [{ product: productB._id, price: 1 }] });
+      const brand = await request(app)
+        .post('/api/price-lists')
+        .set('Authorization', `Bearer ${tokenA}`)
+        .send({ name: 'Foreign Brand List', entries: [{ brand: brandB._id, discount: 50 }] });
+
+      expect(product.status).toBe(400);
+      expect(brand.status).toBe(400);
+    });
+
+    test('UPDATE rejects company change', async () => {
+      const result = await testUpdateRejectsCompanyChange(
+        `/api/price-lists/${priceListA._id}`,
+        tokenA,
+        { description: 'Updated price list A' },
+        companyB._id
+      );
+      expect(result).toBe(true);
+
+      const unchanged = await PriceList.findById(priceListA._id);
+      expect(unchanged.company.toString()).toBe(companyA._id.toString());
+    });
+
+    test('Cross-tenant UPDATE returns 404', async () => {
+      const result = await testCrossTenantUpdate(`/api/price-lists/${priceListB._id}`, tokenA, { description: 'Hijacked' });
+      expect(result).toBe(true);
+    });
+
+    test('Account cannot be assigned another tenant price list', async () => {
+      const res = await request(app)
+        .put(`/api/accounts/${accountA._id}`)
+        .set('Authorization', `Bearer ${tokenA}`)
+        .send({ priceList: priceListB._id });
+
+      expect(res.status).toBe(400);
+      const unchanged = await Account.findById(accountA._id);
+      expect(unchanged.priceList).toBeFalsy();
+    });
+
+    test('Cross-tenant DELETE returns 404', async () => {
+      expect(await testCrossTenantDelete(`/api/price-lists/${priceListB._id}`, tokenA)).toBe(true);
+      expect(await PriceList.exists({ _id: priceListB._id })).toBeTruthy();
+    });
+  });
+
+  describe('Exchange Rates Module', () => {
+    let rateA, rateB;
+
+    beforeAll(async () => {
+      rateA = await ExchangeRate.create({
+        company: companyA._id,
+        currency: 'USD',
+        rate: 0.377,
+        effectiveFrom: new Date('2026-01-01')
+      });
+      rateB = await ExchangeRate.create({
+        company: companyB._id,
+        currency: 'USD',
+        rate: 0.5,
+        effectiveFrom: new Date('2026-01-01')
+      });
+      await ExchangeRate.create({
+        company: companyB._id,
+        currency: 'EUR',
+        rate: 0.41,
+        effectiveFrom: new Date('2026-01-01')
+      });
+    });
+
+    afterAll(async () => {
+      await ExchangeRate.deleteMany({ company: { $in: [companyA._id, companyB._id] } });
+    });
+
+    test('List returns only tenant data', async () => {
+      const result = await testListIsolation('exchangeRates', '/api/exchange-rates', tokenA, 1);
+      expect(result).toBe(true);
+    });
+
+    test('Current rates only use tenant rates', async () => {
+      const res = await request(app)
+        .get('/api/exchange-rates/current')
+        .set('Authorization', `Bearer ${tokenA}`)
+        .expect(200);
+
+      expect(res.body.data.rates.USD._id).toBe(rateA._id.toString());
+      expect(res.body.data.rates.USD.rate).toBe(0.377);
+      expect(res.body.data.rates.EUR).toBeNull();
+    });
+
+    test('CREATE ignores company field', async () => {
+      const res = await request(app)
+        .post('/api/exchange-rates')
+        .set('Authorization', `Bearer ${tokenA}`)
+        .send({
+          currency: 'EUR',
+          rate: 0.41,
+          effectiveFrom: '2026-02-01',
+          company: companyB._id // Wrong company
+        });
+
+      expect(res.status).toBe(201);
+      const created = await ExchangeRate.findById(res.body.data._id);
+      expect(created.company.toString()).toBe(companyA._id.toString());
+    });
+
+    test('UPDATE rejects company change', async () => {
+      const result = await testUpdateRejectsCompanyChange(
+        `/api/exchange-rates/${rateA._id}`,
+        tokenA,
+        { notes: 'Updated rate A' },
+        companyB._id
+      );
+      expect(result).toBe(true);
+
+      const unchanged = await ExchangeRate.findById(rateA._id);
+      expect(unchanged.company.toString()).toBe(companyA._id.toString());
+    });
+
+    test('Cross-tenant UPDATE returns 404', async () => {
+      const result = await testCrossTenantUpdate(`/api/exchange-rates/${rateB._id}`, tokenA, { rate: 1 });
+      expect(result).toBe(true);
+
+      const unchanged = await ExchangeRate.findById(rateB._id);
+      expect(unchanged.rate).toBe(0.5);
+    });
+
+    test('Cross-tenant DELETE returns 404', async () => {
+      expect(await testCrossTenantDelete(`/api/exchange-rates/${rateB._id}`, tokenA)).toBe(true);
+      expect(await ExchangeRate.exists({ _id: rateB._id })).toBeTruthy();
+    });
+  });
+
+  describe('Order Drafts Module', () => {
+    let draftA, draftB;
+
+    beforeAll(async () => {
+      draftA = await OrderDraft.create({
+        name: 'Test Draft A',
+        company: companyA._id,
+        createdBy: userA._id,
+        customer: { account: accountA._id },
+        items: [{ product: productA._id, quantity: 1 }]
+      });
+      draftB = await OrderDraft.create({
+        name: 'Test Draft B',
+        company: companyB._id,
+        createdBy: userB._id,
+        customer: { account: accountB._id },
+        items: [{ product: productB._id, quantity: 1 }]
+      });
+    });
+
+    afterAll(async () => {
+      await OrderDraft.deleteMany({ company: { $in: [companyA._id, companyB._id] } });
+    });
+
+    test('List returns only tenant data', async () => {
+      const result = await testListIsolation('drafts', '/api/drafts', tokenA, 1);
+      expect(result).toBe(true);
+    });
+
+    test('List filtered by another tenant account is empty', async () => {
+      const res = await request(app)
+        .get(`/api/drafts?account=${accountB._id}`)
+        .set('Authorization', `Bearer ${tokenA}`)
+        .expect(200);
+
+      expect(res.body.count).toBe(0);
+    });
+
+    test('Cross-tenant GET returns 404', async () => {
+      expect(await testCrossTenantGet(`/api/drafts/${draftB._id}`, tokenA)).toBe(true);
+      expect(await testCrossTenantGet(`/api/drafts/${draftB._id}/quote`, tokenA)).toBe(true);
+    });
+
+    test('CREATE ignores company field', async () => {
+      const res = await request(app)
+        .post('/api/drafts')
+        .set('Authorization', `Bearer ${tokenA}`)
+        .send({
+          name: 'New Draft A',
+          company: companyB._id, // Wrong company
+          customer: { account: accountA._id },
+          items: [{ product: productA._id, quantity: 2 }]
+        });
+
+      expect(res.status).toBe(201);
+      const created = await OrderDraft.findById(res.body.data._id);
+      expect(created.company.toString()).toBe(companyA._id.toString());
+      expect(created.createdBy.toString()).toBe(userA._id.toString());
+    });
+
+    test('CREATE rejects another tenant account', async () => {
+      const res = await request(app)
+        .post('/api/drafts')
+        .set('Authorization', `Bearer ${tokenA}`)
+        .send({ name: 'New Draft A', customer: { account: accountB._id } });
+
+      expect(res.status).toBe(400);
+    });
+
+    test('Cross-tenant UPDATE returns 404', async () => {
+      const result = await testCrossTenantUpdate(`/api/drafts/${draftB._id}`, tokenA, { name: 'Hijacked Draft' });
+      expect(result).toBe(true);
+
+      const unchanged = await OrderDraft.findById(draftB._id);
+      expect(unchanged.name).toBe('Test Draft B');
+    });
+
+    test('SHARE with a user of another tenant returns 404', async () => {
+      const res = await request(app)
+        .post(`/api/drafts/${draftA._id}/share`)
+        .set('Authorization', `Bearer ${tokenA}`)
+        .send({ user: userB._id });
+
+      expect(res.status).toBe(404);
+      const unchanged = await OrderDraft.findById(draftA._id);
+      expect(unchanged.sharedWith).toHaveLength(0);
+    });
+
+    test('Cross-tenant SUBMIT returns 404', async () => {
+      const res = await request(app)
+        .post(`/api/drafts/${draftB._id}/submit`)
+        .set('Authorization', `Bearer ${tokenA}`);
+
+      expect(res.status).toBe(404);
+    });
+
+    test('Cross-tenant DELETE returns 404', async () => {
+      expect(await testCrossTenantDelete(`/api/drafts/${draftB._id}`, tokenA)).toBe(true);
+      expect(await OrderDraft.exists({ _id: draftB._id })).toBeTruthy();
+    });
+  });
+
+  describe('Stock Transfers Module', () => {
+    let warehouseA, vanA, warehouseB, vanB;
+    let transferA, transferB;
+
+    const createTransfer = (company, from, to, product, user, transferNumber) => StockTransfer.create({
+      company,
+      transferNumber,
+      from: from._id,
+      to: to._id,
+      items: [{ product, productName: 'Test Product', quantity: 1 }],
+      dispatchedBy: user
+    });
+
+    beforeAll(async () => {
+      warehouseA = await Location.create({ company: companyA._id, name: 'Test Warehouse A', code: 'TEST-WH-A' });
+      vanA = await Location.create({ company: companyA._id, name: 'Test Van A', code: 'TEST-VAN-A', type: 'van' });
+      warehouseB = await Location.create({ company: companyB._id, name: 'Test Warehouse B', code: 'TEST-WH-B' });
+      vanB = await Location.create({ company: companyB._id, name: 'Test Van B', code: 'TEST-VAN-B', type: 'van' });
+
+      transferA = await createTransfer(companyA._id, warehouseA, vanA, productA._id, userA._id, 'TEST-TRF-A');
+      transferB = await createTransfer(companyB._id, warehouseB, vanB, productB._id, userB._id, 'TEST-TRF-B');
+    });
+
+    afterAll(async () => {
+      await StockTransfer.deleteMany({ company: { $in: [companyA._id, companyB._id] } });
+      await Location.deleteMany({ company: { $in: [companyA._id, companyB._id] } });
+    });
+
+    test('List returns only tenant data', async () => {
+      const res = await request(app)
+        .get('/api/stock-transfers')
+        .set('Authorization', `Bearer ${tokenA}`)
+        .expect(200);
+
+      expect(res.body.data.map(transfer => transfer._id)).toEqual([transferA._id.toString()]);
+    });
+
+    test('List filtered by another tenant location is empty', async () => {
+      const res = await request(app)
+        .get(`/api/stock-transfers?location=${warehouseB._id}`)
+        .set('Authorization', `Bearer ${tokenA}`)
+        .expect(200);
+
+      expect(res.body.count).toBe(0);
+    });
+
+    test('Cross-tenant GET returns 404', async () => {
+      expect(await testCrossTenantGet(`/api/stock-transfers/${transferB._id}`, tokenA)).toBe(true);
+    });
+
+    test('CREATE rejects another tenant location', async () => {
+      const res = await request(app)
+        .post('/api/stock-transfers')
+        .set('Authorization', `Bearer ${tokenA}`)
+        .send({ from: warehouseA._id, to: vanB._id, items: [{ product: productA._id, quantity: 1 }] });
+
+      expect(res.status).toBe(400);
+      expect(await StockTransfer.countDocuments({ company: companyA._id })).toBe(1);
+    });
+
+    test('CREATE rejects another tenant product', async () => {
+      const res = await request(app)
+        .post('/api/stock-transfers')
+        .set('Authorization', `Bearer ${tokenA}`)
+        .send({ from: warehouseA._id, to: vanA._id, items: [{ product: productB._id, quantity: 1 }] });
+
+      expect(res.status).toBe(400);
+      expect(await StockTransfer.countDocuments({ company: companyA._id })).toBe(1);
+    });
+
+    test('Cross-tenant RECEIVE returns 404', async () => {
+      const res = await request(app)
+        .post(`/api/stock-transfers/${transferB._id}/receive`)
+        .set('Authorization', `Bearer ${tokenA}`);
+
+      expect(res.status).toBe(404);
+      const unchanged = await StockTransfer.findById(transferB._id);
+      expect(unchanged.status).toBe('in_transit');
+    });
+
+    test('Cross-tenant CANCEL returns 404', async () => {
+      const res = await request(app)
+        .post(`/api/stock-transfers/${transferB._id}/cancel`)
+        .set('Authorization', `Bearer ${tokenA}`);
+
+      expect(res.status).toBe(404);
+      const unchanged = await StockTransfer.findById(transferB._id);
+      expect(unchanged.status).toBe('in_transit');
+    });
+  });
+
+  describe('Recalls Module', () => {
+    let recallA, recallB, shippedB;
+
+    const createRecall = (company, product, account, user, recallNumber) => Recall.create({
+      company,
+      recallNumber,
+      product,
+      productName: 'Test Product',
+      lotNumbers: ['TEST-LOT-1'],
+      reason: 'Test recall',
+      recipients: [{ account: account._id, accountName: account.name, quantity: 1 }],
+      createdBy: user
+    });
+
+    beforeAll(async () => {
+      recallA = await createRecall(companyA._id, productA._id, accountA, userA._id, 'TEST-RCL-A');
+      recallB = await createRecall(companyB._id, productB._id, accountB, userB._id, 'TEST-RCL-B');
+
+      // An invoice of company B that shipped the same lot number of product A
+      shippedB = await Order.create({
+        orderNumber: 'TEST-RCL-B',
+        orderType: 'invoice',
+        customer: {
+          company: companyB._id,
+          account: accountB._id,
+          companyName: 'Test Account B'
+        },
+        items: [{
+          product: productA._id,
+          productName: 'Test Product A',
+          brand: 'Test Brand A',
+          category: 'Test Category A',
+          quantity: 1,
+          unitPrice: 100,
+          totalPrice: 100,
+          lots: [{ lotNumber: 'TEST-LOT-1', quantity: 1 }]
+        }],
+        pricing: { subtotal: 100, total: 100 },
+        payment: { method: 'cash', status: 'pending' },
+        createdBy: userB._id
+      });
+    });
+
+    afterAll(async () => {
+      await Recall.deleteMany({ company: { $in: [companyA._id, companyB._id] } });
+      await Order.deleteOne({ _id: shippedB._id });
+    });
+
+    test('List returns only tenant data', async () => {
+      const res = await request(app)
+        .get('/api/recalls')
+        .set('Authorization', `Bearer ${tokenA}`)
+        .expect(200);
+
+      expect(res.body.data.map(recall => recall._id)).toEqual([recallA._id.toString()]);
+    });
+
+    test('List filtered by another tenant product is empty', async () => {
+      const res = await request(app)
+        .get(`/api/recalls?product=${productB._id}`)
+        .set('Authorization', `Bearer ${tokenA}`)
+        .expect(200);
+
+      expect(res.body.count).toBe(0);
+    });
+
+    test('Cross-tenant GET returns 404', async () => {
+      expect(await testCrossTenantGet(`/api/recalls/${recallB._id}`, tokenA)).toBe(true);
+      expect(await testCrossTenantGet(`/api/recalls/${recallB._id}/pdf`, tokenA)).toBe(true);
+      expect(await testCrossTenantGet(`/api/recalls/${recallB._id}/mailing-list`, tokenA)).toBe(true);
+    });
+
+    test('CREATE rejects another tenant product', async () => {
+      const res = await request(app)
+        .post('/api/recalls')
+        .set('Authorization', `Bearer ${tokenA}`)
+        .send({ product: productB._id, lotNumbers: ['TEST-LOT-1'], reason: 'Test recall' });
+
+      expect(res.status).toBe(404);
+    });
+
+    test('CREATE ignores company field and only traces tenant invoices', async () => {
+      const res = await request(app)
+        .post('/api/recalls')
+        .set('Authorization', `Bearer ${tokenA}`)
+        .send({
+          product: productA._id,
+          lotNumbers: ['test-lot-1'],
+          reason: 'Test recall',
+          company: companyB._id // Wrong company
+        });
+
+      expect(res.status).toBe(201);
+      const created = await Recall.findById(res.body.data._id);
+      expect(created.company.toString()).toBe(companyA._id.toString());
+      expect(created.recipients).toHaveLength(0);
+    });
+
+    test('Cross-tenant recipient UPDATE returns 404', async () => {
+      const result = await testCrossTenantUpdate(
+        `/api/recalls/${recallB._id}/recipients/${recallB.recipients[0]._id}`,
+        tokenA,
+        { status: 'resolved', recoveredQuantity: 1 }
+      );
+      expect(result).toBe(true);
+
+      const unchanged = await Recall.findById(recallB._id);
+      expect(unchanged.recipients[0].status).toBe('pending');
+    });
+
+    test('Cross-tenant NOTIFY and CLOSE return 404', async () => {
+      const notify = await request(app)
+        .post(`/api/recalls/${recallB._id}/notify`)
+        .set('Authorization', `Bearer ${tokenA}`);
+      const close = await request(app)
+        .post(`/api/recalls/${recallB._id}/close`)
+        .set('Authorization', `Bearer ${tokenA}`);
+
+      expect(notify.status).toBe(404);
+      expect(close.status).toBe(404);
+      const unchanged = await Recall.findById(recallB._id);
+      expect(unchanged.status).toBe('open');
+    });
+  });
+
   // Print test summary
   afterAll(() => {
     console.log('\n========================================');
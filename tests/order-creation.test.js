@@ -0,0 +1,72 @@
+/**
+ * Order Creation Atomicity Integration Tests
+ *
+ * Covers POST /api/orders:
+ * - An invoice deducts stock and is saved with its order number
+ * - A failure after stock was deducted rolls the whole order back: no order is left and
+ *   every line's stock is restored
+ *
+ * Needs a test database, see tests/helpers/globalSetup.js.
+ */
+
+const request = require('supertest');
+const Company = require('../models/Company');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const app = require('../server');
+const { describeWithDb, connectTestDb, disconnectTestDb } = require('./helpers/db');
+const { seedCompany, createProduct, orderBody } = require('./helpers/fixtures');
+
+let tenant;
+
+const stockOf = async (product) => (await Product.findById(product._id)).stock.current;
+
+describeWithDb('Order creation', () => {
+  beforeAll(async () => {
+    await connectTestDb('order-creation');
+    tenant = await seedCompany('Atomic');
+  });
+
+  afterAll(async () => {
+    await disconnectTestDb();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('an invoice deducts the stock of every line', async () => {
+    const first = await createProduct(tenant, { sku: 'ATOM-1', stock: 10 });
+    const second = await createProduct(tenant, { sku: 'ATOM-2', stock: 5 });
+
+    const res = await request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${tenant.token}`)
+      .send(orderBody(tenant, [{ product: first, quantity: 3 }, { product: second, quantity: 2 }]));
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.orderNumber).toBeTruthy();
+    expect(await stockOf(first)).toBe(7);
+    expect(await stockOf(second)).toBe(3);
+  });
+
+  test('a failure after stock was deducted leaves no order and no stock change', async () => {
+    const first = await createProduct(tenant, { sku: 'ROLL-1', stock: 10 });
+    const second = await createProduct(tenant, { sku: 'ROLL-2', stock: 5 });
+    const ordersBefore = await Order.countDocuments({ 'customer.company': tenant.company._id });
+
+    // Sales history is written after every line's stock has been deducted
+    jest.spyOn(Company.prototype, 'save').mockRejectedValueOnce(new Error('Sales history write failed'));
+
+    const res = await request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${tenant.token}`)
+      .send(orderBody(tenant, [{ product: first, quantity: 4 }, { product: second, quantity: 5 }]));
+
+    expect(res.status).toBe(500);
+    expect(Company.prototype.save).toHaveBeenCalled();
+    expect(await Order.countDocuments({ 'customer.company': tenant.company._id })).toBe(ordersBefore);
+    expect(await stockOf(first)).toBe(10);
+    expect(await stockOf(second)).toBe(5);
+  });
+});
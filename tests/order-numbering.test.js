@@ -0,0 +1,98 @@
+/**
+ * Order Numbering Integration Tests
+ *
+ * Covers Counter.nextSequence and the Order number hook:
+ * - Concurrent requests for the next number never get the same one
+ * - Each company and document type has its own sequence
+ * - Orders created concurrently get unique, gapless numbers
+ *
+ * Needs a test database, see tests/helpers/globalSetup.js.
+ */
+
+const Counter = require('../models/Counter');
+const Order = require('../models/Order');
+const { describeWithDb, connectTestDb, disconnectTestDb } = require('./helpers/db');
+const { seedCompany, createProduct } = require('./helpers/fixtures');
+
+const CONCURRENCY = 25;
+
+let first;
+let second;
+let product;
+
+const range = (count) => Array.from({ length: count }, (_, index) => index + 1);
+
+const buildOrder = (tenant, orderType = 'invoice') => ({
+  orderType,
+  customer: {
+    company: tenant.company._id,
+    companyName: 'Test Clinic',
+    employee: 'Test Employee',
+    contactInfo: { name: 'Test Contact', email: 'contact@test.com', address: '1 Clinic Rd', city: 'Manama' }
+  },
+  items: [{
+    product: product._id,
+    productName: product.name,
+    brand: 'Test Brand',
+    category: 'Test Category',
+    quantity: 1,
+    unitPrice: 10,
+    totalPrice: 10
+  }],
+  shipping: { address: '1 Clinic Rd', city: 'Manama' },
+  pricing: { subtotal: 10, total: 10 },
+  payment: { method: 'cash' },
+  createdBy: tenant.user._id
+});
+
+describeWithDb('Order numbering', () => {
+  beforeAll(async () => {
+    await connectTestDb('order-numbering');
+    first = await seedCompany('First');
+    second = await seedCompany('Second');
+    product = await createProduct(first, { sku: 'NUM-1' });
+  });
+
+  afterAll(async () => {
+    await disconnectTestDb();
+  });
+
+  test('concurrent calls get every number exactly once', async () => {
+    const period = Counter.periodKey('yearly');
+
+    const numbers = await Promise.all(range(CONCURRENCY).map(() =>
+      Counter.nextSequence(first.company._id, 'quotation', period)
+    ));
+
+    expect([...numbers].sort((a, b) => a - b)).toEqual(range(CONCURRENCY));
+  });
+
+  test('each company and document type counts separately', async () => {
+    const period = Counter.periodKey('monthly');
+
+    const [firstInvoice, secondInvoice, firstProforma] = await Promise.all([
+      Counter.nextSequence(first.company._id, 'invoice', period),
+      Counter.nextSequence(second.company._id, 'invoice', period),
+      Counter.nextSequence(first.company._id, 'proforma', period)
+    ]);
+
+    expect([firstInvoice, secondInvoice, firstProforma]).toEqual([1, 1, 1]);
+  });
+
+  test('orders created concurrently get unique numbers per company', async () => {
+    const created = await Promise.all([
+      ...range(CONCURRENCY).map(() => Order.create(buildOrder(first))),
+      ...range(CONCURRENCY).map(() => Order.create(buildOrder(second)))
+    ]);
+
+    [first, second].forEach(tenant => {
+      const numbers = created
+        .filter(order => order.customer.company.toString() === tenant.company._id.toString())
+        .map(order => order.orderNumber);
+      const sequences = numbers.map(number => Number(number.split('-').pop()));
+
+      expect(new Set(numbers).size).toBe(CONCURRENCY);
+      expect(sequences.sort((a, b) => a - b)).toEqual(range(CONCURRENCY));
+    });
+  });
+});
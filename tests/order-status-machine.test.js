@@ -0,0 +1,215 @@
+/**
+ * Order Status State Machine Tests
+ *
+ * Covers utils/orderStatusMachine and the Order status methods built on it:
+ * - The transition graph and the subset each role may use
+ * - Guard conditions (cancel reason and returns, shipping address, credit flag, back-orders)
+ * - 'returned' is never a requested transition; only Order.markReturned sets it
+ * - Every change is appended to the status history
+ *
+ * Orders are built in memory, so no database records are needed.
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const HttpError = require('../utils/httpError');
+const {
+  STATUS_TRANSITIONS,
+  ROLE_TRANSITIONS,
+  checkTransition,
+  getAllowedTransitions
+} = require('../utils/orderStatusMachine');
+
+const user = (role) => ({ _id: new mongoose.Types.ObjectId(), role });
+
+const buildOrder = (overrides = {}) => new Order({
+  orderType: 'invoice',
+  status: 'pending',
+  customer: {
+    company: new mongoose.Types.ObjectId(),
+    companyName: 'Test Clinic'
+  },
+  items: [{
+    product: new mongoose.Types.ObjectId(),
+    productName: 'Test Product',
+    brand: 'Test Brand',
+    category: 'Test Category',
+    quantity: 2,
+    unitPrice: 10,
+    totalPrice: 20
+  }],
+  shipping: { address: '1 Test Road', city: 'Manama' },
+  ...overrides
+});
+
+describe('Order status transition graph', () => {
+  test('every target status is itself a known status', () => {
+    Object.values(STATUS_TRANSITIONS).flat().forEach(toStatus => {
+      expect(STATUS_TRANSITIONS).toHaveProperty(toStatus);
+    });
+  });
+
+  test('role graphs are subsets of the full graph', () => {
+    Object.values(ROLE_TRANSITIONS).forEach(graph => {
+      Object.entries(graph).forEach(([fromStatus, targets]) => {
+        targets.forEach(toStatus => expect(STATUS_TRANSITIONS[fromStatus]).toContain(toStatus));
+      });
+    });
+  });
+
+  test('no role can request the returned status', () => {
+    Object.values(STATUS_TRANSITIONS).forEach(targets => expect(targets).not.toContain('returned'));
+    Object.values(ROLE_TRANSITIONS).forEach(graph => {
+      Object.values(graph).forEach(targets => expect(targets).not.toContain('returned'));
+    });
+  });
+
+  test('cancelled and returned are final', () => {
+    expect(STATUS_TRANSITIONS.cancelled).toEqual([]);
+    expect(STATUS_TRANSITIONS.returned).toEqual([]);
+  });
+});
+
+describe('checkTransition', () => {
+  test('rejects an unknown status', () => {
+    expect(checkTransition(buildOrder(), 'archived', 'owner')).toEqual({
+      status: 400,
+      message: 'Invalid order status "archived"'
+    });
+  });
+
+  test('rejects a transition missing from the graph', () => {
+    const refusal = checkTransition(buildOrder(), 'delivered', 'owner');
+    expect(refusal.status).toBe(400);
+  });
+
+  test('refuses returned for every role, even on a delivered invoice', () => {
+    const order = buildOrder({ status: 'delivered' });
+    ['owner', 'admin', 'accountant', 'salesman'].forEach(role => {
+      const refusal = checkTransition(order, 'returned', role);
+      expect(refusal.status).toBe(400);
+      expect(refusal.message).toMatch(/recording a return/);
+    });
+  });
+
+  test('returns 403 when the role may not make an allowed transition', () => {
+    const refusal = checkTransition(buildOrder({ status: 'confirmed' }), 'shipped', 'accountant');
+    expect(refusal.status).toBe(403);
+  });
+
+  test('salesmen may only cancel pending orders and deliver shipped ones', () => {
+    expect(checkTransition(buildOrder(), 'cancelled', 'salesman', 'Customer changed mind')).toBeNull();
+    expect(checkTransition(buildOrder(), 'confirmed', 'salesman').status).toBe(403);
+    expect(checkTransition(buildOrder({ status: 'shipped' }), 'delivered', 'salesman')).toBeNull();
+  });
+
+  test('cancelling needs a reason', () => {
+    expect(checkTransition(buildOrder(), 'cancelled', 'owner').status).toBe(400);
+    expect(checkTransition(buildOrder(), 'cancelled', 'owner', '   ').status).toBe(400);
+    expect(checkTransition(buildOrder(), 'cancelled', 'owner', 'Duplicate order')).toBeNull();
+  });
+
+  test('invoices with recorded returns cannot be cancelled', () => {
+    const returned = buildOrder({ status: 'confirmed' });
+    returned.items[0].returnedQuantity = 1;
+
+    expect(checkTransition(returned, 'cancelled', 'owner', 'Wrong customer').message).toMatch(/recorded returns/);
+    expect(getAllowedTransitions(returned, 'owner')).not.toContain('cancelled');
+  });
+
+  test('only invoices with a shipping address can ship', () => {
+    expect(checkTransition(buildOrder({ status: 'confirmed' }), 'shipped', 'owner')).toBeNull();
+    expect(checkTransition(buildOrder({ status: 'confirmed', orderType: 'proforma' }), 'shipped', 'owner').status).toBe(400);
+
+    const noAddress = buildOrder({ status: 'confirmed' });
+    noAddress.shipping.address = undefined;
+    expect(checkTransition(noAddress, 'shipped', 'owner').message).toMatch(/shipping address/);
+  });
+
+  test('invoices over the credit limit or with back-orders cannot ship', () => {
+    const flagged = buildOrder({ status: 'confirmed', creditCheck: { status: 'flagged' } });
+    expect(checkTransition(flagged, 'shipped', 'owner').message).toMatch(/credit limit/);
+
+    const backordered = buildOrder({ status: 'confirmed' });
+    backordered.items[0].backorderedQuantity = 1;
+    expect(checkTransition(backordered, 'shipped', 'owner').message).toMatch(/back-ordered/);
+  });
+});
+
+describe('getAllowedTransitions', () => {
+  test('lists the role targets that pass their guards', () => {
+    expect(getAllowedTransitions(buildOrder({ status: 'confirmed' }), 'owner')).toEqual(['processing', 'shipped', 'cancelled']);
+    expect(getAllowedTransitions(buildOrder({ status: 'confirmed' }), 'accountant')).toEqual(['processing', 'cancelled']);
+    expect(getAllowedTransitions(buildOrder({ status: 'delivered' }), 'owner')).toEqual([]);
+  });
+
+  test('leaves out targets whose guard fails', () => {
+    const order = buildOrder({ status: 'confirmed', creditCheck: { status: 'flagged' } });
+    expect(getAllowedTransitions(order, 'owner')).not.toContain('shipped');
+  });
+});
+
+describe('Order status methods', () => {
+  test('transitionStatus records the change in the history', () => {
+    const order = buildOrder();
+    const owner = user('owner');
+
+    order.transitionStatus('confirmed', owner, 'Approved by phone');
+
+    expect(order.status).toBe('confirmed');
+    expect(order.statusHistory).toHaveLength(1);
+    expect(order.statusHistory[0]).toMatchObject({
+      from: 'pending',
+      to: 'confirmed',
+      role: 'owner',
+      reason: 'Approved by phone'
+    });
+    expect(order.statusHistory[0].changedBy.toString()).toBe(owner._id.toString());
+  });
+
+  test('transitionStatus throws an HttpError and leaves the order unchanged when refused', () => {
+    const order = buildOrder({ status: 'shipped' });
+
+    expect(() => order.transitionStatus('returned', user('owner'))).toThrow(HttpError);
+    expect(order.status).toBe('shipped');
+    expect(order.statusHistory).toHaveLength(0);
+  });
+
+  test('transitionStatus stamps the delivery date', () => {
+    const order = buildOrder({ status: 'shipped' });
+    order.transitionStatus('delivered', user('salesman'));
+    expect(order.shipping.deliveredAt).toBeInstanceOf(Date);
+  });
+
+  test('applyReviewStatus moves the order to the matching status', () => {
+    const order = buildOrder();
+    order.applyReviewStatus('APPROVED', user('accountant'));
+    expect(order.status).toBe('confirmed');
+    expect(order.accountantReviewStatus).toBe('APPROVED');
+
+    expect(() => order.applyReviewStatus('ON_HOLD', user('accountant'))).toThrow(HttpError);
+  });
+
+  test('markReturned sets returned only once every line of a shipped or delivered invoice is returned', () => {
+    const order = buildOrder({ status: 'delivered' });
+
+    order.items[0].returnedQuantity = 1;
+    order.markReturned(user('accountant'));
+    expect(order.status).toBe('delivered');
+
+    order.items[0].returnedQuantity = 2;
+    order.markReturned(user('accountant'));
+    expect(order.status).toBe('returned');
+    expect(order.statusHistory[0]).toMatchObject({ from: 'delivered', to: 'returned', reason: 'All items returned' });
+  });
+
+  test('markReturned leaves invoices that have not shipped at their status', () => {
+    const order = buildOrder({ status: 'confirmed' });
+    order.items[0].returnedQuantity = 2;
+
+    order.markReturned(user('owner'));
+
+    expect(order.status).toBe('confirmed');
+    expect(order.statusHistory).toHaveLength(0);
+  });
+});
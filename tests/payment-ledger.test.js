@@ -0,0 +1,153 @@
+/**
+ * Payment Ledger Tests
+ *
+ * Covers services/paymentService.recordPayment and Order.applyPaymentSummary:
+ * - Payments only against invoices and proformas, never cancelled orders
+ * - A payment cannot exceed the balance due, a refund cannot exceed the net amount paid
+ * - Refused entries write nothing to the ledger
+ * - The order payment status is derived from the ledger totals
+ *
+ * Ledger reads and writes are stubbed with jest.spyOn, so no database records are needed.
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const HttpError = require('../utils/httpError');
+const { recordPayment } = require('../services/paymentService');
+
+const user = { _id: new mongoose.Types.ObjectId(), role: 'accountant' };
+
+const buildOrder = (overrides = {}) => {
+  const order = new Order({
+    orderType: 'invoice',
+    status: 'confirmed',
+    customer: {
+      company: new mongoose.Types.ObjectId(),
+      companyName: 'Test Clinic'
+    },
+    items: [],
+    pricing: { subtotal: 100, total: 110 },
+    payment: { method: 'cash', amountPaid: 0 },
+    ...overrides
+  });
+  order.save = jest.fn().mockResolvedValue(order);
+  return order;
+};
+
+// Ledger totals after the entries recorded so far in a test
+const ledger = (entries) => {
+  const paid = entries.filter(entry => entry.type === 'payment').reduce((sum, entry) => sum + entry.amount, 0);
+  const refunded = entries.filter(entry => entry.type === 'refund').reduce((sum, entry) => sum + entry.amount, 0);
+  return { paid, refunded, net: paid - refunded, lastPaidAt: entries.length ? new Date() : null };
+};
+
+describe('recordPayment', () => {
+  let entries;
+
+  beforeEach(() => {
+    entries = [];
+    jest.spyOn(Payment, 'create').mockImplementation(async ([data]) => {
+      entries.push(data);
+      return [{ _id: new mongoose.Types.ObjectId(), ...data }];
+    });
+    jest.spyOn(Payment, 'summarizeOrder').mockImplementation(async () => ledger(entries));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const expectRefused = async (promise, status, message) => {
+    await expect(promise).rejects.toThrow(HttpError);
+    await expect(promise).rejects.toMatchObject({ status, message: expect.stringMatching(message) });
+    expect(Payment.create).not.toHaveBeenCalled();
+  };
+
+  test('only invoices and proformas take payments', async () => {
+    const quotation = buildOrder({ orderType: 'quotation' });
+    await expectRefused(recordPayment(quotation, { method: 'cash', amount: 10 }, user), 400, /invoices and proformas/);
+  });
+
+  test('the amount must be positive', async () => {
+    await expectRefused(recordPayment(buildOrder(), { method: 'cash', amount: 0 }, user), 400, /greater than zero/);
+    await expectRefused(recordPayment(buildOrder(), { method: 'cash', amount: -5 }, user), 400, /greater than zero/);
+  });
+
+  test('cancelled orders take no payments', async () => {
+    const order = buildOrder({ status: 'cancelled' });
+    await expectRefused(recordPayment(order, { method: 'cash', amount: 10 }, user), 400, /cancelled/);
+  });
+
+  test('a payment cannot exceed the balance due', async () => {
+    const order = buildOrder({ payment: { method: 'cash', amountPaid: 100 } });
+    const promise = recordPayment(order, { method: 'cash', amount: 10.001 }, user);
+
+    await expectRefused(promise, 400, /exceeds the balance due of 10\.000/);
+    await expect(promise).rejects.toMatchObject({ details: { balanceDue: 10 } });
+  });
+
+  test('a refund cannot exceed the net amount paid', async () => {
+    const order = buildOrder({ payment: { method: 'cash', amountPaid: 40 } });
+    await expectRefused(
+      recordPayment(order, { type: 'refund', method: 'cash', amount: 40.5 }, user),
+      400,
+      /exceeds the net amount paid of 40\.000/
+    );
+  });
+
+  test('partial payments, a full payment and a refund move the payment status', async () => {
+    const order = buildOrder();
+
+    await recordPayment(order, { method: 'cash', amount: 60 }, user);
+    expect(order.payment.status).toBe('partially_paid');
+    expect(order.payment.amountPaid).toBe(60);
+    expect(order.balanceDue).toBe(50);
+
+    await recordPayment(order, { method: 'visa', amount: 50 }, user);
+    expect(order.payment.status).toBe('paid');
+    expect(order.balanceDue).toBe(0);
+
+    await recordPayment(order, { type: 'refund', method: 'visa', amount: 110 }, user);
+    expect(order.payment.status).toBe('refunded');
+    expect(order.payment.amountPaid).toBe(0);
+    expect(order.payment.amountRefunded).toBe(110);
+
+    expect(entries.map(entry => entry.type)).toEqual(['payment', 'payment', 'refund']);
+    expect(entries.every(entry => entry.company.toString() === order.customer.company.toString())).toBe(true);
+    expect(order.save).toHaveBeenCalledTimes(3);
+  });
+
+  test('a payment equal to the balance due is accepted', async () => {
+    const order = buildOrder({ payment: { method: 'cash', amountPaid: 109.999 } });
+    await recordPayment(order, { method: 'cash', amount: 0.001 }, user);
+    expect(entries).toHaveLength(1);
+  });
+});
+
+describe('Order.applyPaymentSummary', () => {
+  test('derives the payment status from the ledger totals', () => {
+    const order = buildOrder();
+    const paidAt = new Date('2026-01-15');
+
+    order.applyPaymentSummary({ paid: 0, refunded: 0, net: 0, lastPaidAt: null });
+    expect(order.payment.status).toBe('pending');
+
+    order.applyPaymentSummary({ paid: 30, refunded: 0, net: 30, lastPaidAt: paidAt });
+    expect(order.payment.status).toBe('partially_paid');
+    expect(order.payment.paidAt).toBeNull();
+
+    order.applyPaymentSummary({ paid: 110, refunded: 0, net: 110, lastPaidAt: paidAt });
+    expect(order.payment.status).toBe('paid');
+    expect(order.payment.paidAt).toEqual(paidAt);
+
+    order.applyPaymentSummary({ paid: 110, refunded: 110, net: 0, lastPaidAt: paidAt });
+    expect(order.payment.status).toBe('refunded');
+  });
+
+  test('a zero-total order is never marked paid', () => {
+    const order = buildOrder({ pricing: { subtotal: 0, total: 0 } });
+    order.applyPaymentSummary({ paid: 0, refunded: 0, net: 0, lastPaidAt: null });
+    expect(order.payment.status).toBe('pending');
+  });
+});
@@ -1,36 +1,14 @@
 /**
- * Jest setup file for integration tests
- * Handles database connection and test environment setup
+ * Jest setup file
+ * Sets the test environment before each suite loads; suites that need MongoDB connect
+ * through tests/helpers/db
  */
 
-const mongoose = require('mongoose');
-require('dotenv').config();
+process.env.NODE_ENV = 'test';
+// server.js exits without a JWT secret, and the upload client needs a Supabase URL to load;
+// no test uploads files
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE || 'test-service-role';
 
-// Set test timeout
 jest.setTimeout(30000);
-
-// Suppress console errors during tests (optional)
-// global.console = {
-//   ...console,
-//   error: jest.fn(),
-//   warn: jest.fn(),
-// };
-
-beforeAll(async () => {
-  // Ensure we're using test database
-  const mongoUri = process.env.MONGO_URI || 'mongodb://localhost:27017/oneplace-test';
-  
-  if (mongoose.connection.readyState === 0) {
-    await mongoose.connect(mongoUri, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true
-    });
-  }
-});
-
-afterAll(async () => {
-  // Clean up: close database connection
-  if (mongoose.connection.readyState !== 0) {
-    await mongoose.connection.close();
-  }
-});
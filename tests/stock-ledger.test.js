@@ -0,0 +1,143 @@
+/**
+ * Stock Ledger Integration Tests
+ *
+ * Covers the StockMovement ledger behind every stock change:
+ * - Opening stock, receipts into lots, adjustments, product edits, sales, deletion and
+ *   concurrent changes all leave the ledger, the stock levels and stock.current in step
+ * - A refused change writes nothing
+ * - GET /api/reports/stock-reconciliation reports no mismatches afterwards
+ *
+ * Needs a test database, see tests/helpers/globalSetup.js.
+ */
+
+const request = require('supertest');
+const Product = require('../models/Product');
+const StockLevel = require('../models/StockLevel');
+const StockLot = require('../models/StockLot');
+const StockMovement = require('../models/StockMovement');
+const app = require('../server');
+const { describeWithDb, connectTestDb, disconnectTestDb } = require('./helpers/db');
+const { seedCompany, orderBody } = require('./helpers/fixtures');
+
+let tenant;
+
+const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${tenant.token}`);
+
+const createProduct = async (sku, current) => {
+  const res = await api('post', '/api/products').send({
+    name: `Ledger Product ${sku}`,
+    sku,
+    brand: tenant.brand._id,
+    category: tenant.category._id,
+    price: 10,
+    pricing: { cost: 5 },
+    stock: { current }
+  });
+  expect(res.status).toBe(201);
+  return res.body.data;
+};
+
+const changeStock = (product, body) => api('patch', `/api/products/${product._id}/stock`).send(body);
+
+// Ledger sum, last balance, level total and lot total of a product
+const ledgerOf = async (productId) => {
+  const movements = await StockMovement.find({ product: productId }).sort({ createdAt: 1, _id: 1 });
+  const levels = await StockLevel.find({ product: productId });
+  const lots = await StockLot.find({ product: productId });
+  return {
+    ledgerBalance: movements.reduce((sum, movement) => sum + movement.change, 0),
+    lastBalance: movements.length > 0 ? movements[movements.length - 1].balanceAfter : 0,
+    levels: levels.reduce((sum, level) => sum + level.quantity, 0),
+    lots: lots.reduce((sum, lot) => sum + lot.quantity, 0),
+    movements: movements.length
+  };
+};
+
+const expectReconciled = async (productId, expected) => {
+  const product = await Product.findById(productId);
+  const ledger = await ledgerOf(productId);
+
+  expect(product.stock.current).toBe(expected);
+  expect(ledger.ledgerBalance).toBe(expected);
+  expect(ledger.lastBalance).toBe(expected);
+  expect(ledger.levels).toBe(expected);
+  return ledger;
+};
+
+describeWithDb('Stock ledger', () => {
+  beforeAll(async () => {
+    await connectTestDb('stock-ledger');
+    tenant = await seedCompany('Ledger');
+  });
+
+  afterAll(async () => {
+    await disconnectTestDb();
+  });
+
+  test('opening stock is the first movement', async () => {
+    const product = await createProduct('LEDGER-OPEN', 10);
+
+    const ledger = await expectReconciled(product._id, 10);
+    expect(ledger.movements).toBe(1);
+  });
+
+  test('receipts, adjustments, edits and sales keep ledger and stock in step', async () => {
+    const product = await createProduct('LEDGER-FLOW', 10);
+
+    expect((await changeStock(product, { quantity: 6, operation: 'add', lotNumber: 'L1', expiryDate: '2030-01-31' })).status).toBe(200);
+    expect((await changeStock(product, { quantity: 4, operation: 'subtract' })).status).toBe(200);
+    expect((await api('put', `/api/products/${product._id}`).send({ stock: { current: 20, minimum: 2 } })).status).toBe(200);
+    expect((await api('put', `/api/products/${product._id}`).send({ stock: { current: 15 } })).status).toBe(200);
+
+    const sale = await api('post', '/api/orders').send(orderBody(tenant, [{ product, quantity: 3 }]));
+    expect(sale.status).toBe(201);
+
+    const ledger = await expectReconciled(product._id, 12);
+    expect(ledger.lots).toBeLessThanOrEqual(12);
+    expect((await Product.findById(product._id)).stock.minimum).toBe(2);
+  });
+
+  test('concurrent changes are all applied and all recorded', async () => {
+    const product = await createProduct('LEDGER-RACE', 50);
+
+    const responses = await Promise.all([
+      ...Array.from({ length: 5 }, () => changeStock(product, { quantity: 2, operation: 'subtract' })),
+      ...Array.from({ length: 5 }, () => changeStock(product, { quantity: 1, operation: 'add' }))
+    ]);
+
+    expect(responses.map(res => res.status)).toEqual(Array(10).fill(200));
+    const ledger = await expectReconciled(product._id, 45);
+    expect(ledger.movements).toBe(11);
+  });
+
+  test('a refused change writes nothing', async () => {
+    const product = await createProduct('LEDGER-REFUSE', 3);
+
+    const res = await changeStock(product, { quantity: 5, operation: 'subtract' });
+
+    expect(res.status).toBe(400);
+    const ledger = await expectReconciled(product._id, 3);
+    expect(ledger.movements).toBe(1);
+  });
+
+  test('deleting a product closes its ledger before its levels and lots go', async () => {
+    const product = await createProduct('LEDGER-DELETE', 7);
+    await changeStock(product, { quantity: 2, operation: 'add', lotNumber: 'D1' });
+
+    expect((await api('delete', `/api/products/${product._id}`)).status).toBe(200);
+
+    const ledger = await ledgerOf(product._id);
+    expect(ledger.ledgerBalance).toBe(0);
+    expect(ledger.lastBalance).toBe(0);
+    expect(ledger.levels).toBe(0);
+    expect(ledger.lots).toBe(0);
+  });
+
+  test('the reconciliation report finds no mismatches', async () => {
+    const res = await api('get', '/api/reports/stock-reconciliation');
+
+    expect(res.status).toBe(200);
+    expect(res.body.totals.mismatched).toBe(0);
+    expect(res.body.totals.products).toBe(4);
+  });
+});
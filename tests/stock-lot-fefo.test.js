@@ -0,0 +1,194 @@
+/**
+ * Stock Lot FEFO Tests
+ *
+ * Covers StockLot.take and StockLot.sellable:
+ * - Lots are taken first-expired-first-out, lots without expiry last, then unlotted stock
+ * - Expired lots are never sold unless explicitly included
+ * - A named lot is taken from that lot only
+ * - A take beyond the available quantity is refused before any lot is changed
+ *
+ * StockLot.find and StockLot.updateOne are stubbed with jest.spyOn and lots are built in memory,
+ * so no database records are needed.
+ */
+
+const mongoose = require('mongoose');
+const StockLot = require('../models/StockLot');
+const HttpError = require('../utils/httpError');
+
+const level = {
+  company: new mongoose.Types.ObjectId(),
+  product: new mongoose.Types.ObjectId(),
+  location: new mongoose.Types.ObjectId(),
+  quantity: 0
+};
+
+const daysFromToday = (days) => {
+  const date = StockLot.expiryCutoff();
+  date.setDate(date.getDate() + days);
+  return date;
+};
+
+const buildLot = (lotNumber, quantity, expiryDate, receivedDate = daysFromToday(-100)) => {
+  return new StockLot({ ...level, lotNumber, quantity, expiryDate, receivedDate });
+};
+
+// Level quantity is the lots plus the given unlotted stock
+const withLots = (lots, unlotted = 0) => {
+  jest.spyOn(StockLot, 'find').mockReturnValue({ session: jest.fn().mockResolvedValue(lots) });
+  jest.spyOn(StockLot, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  return { ...level, quantity: lots.reduce((sum, lot) => sum + lot.quantity, 0) + unlotted };
+};
+
+const picked = (result) => result.lots.map(entry => [entry.lotNumber, entry.quantity]);
+const updatedLots = () => StockLot.updateOne.mock.calls.map(([filter]) => filter._id);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('StockLot.take', () => {
+  test('takes the earliest expiring lots first', async () => {
+    const late = buildLot('LATE', 5, daysFromToday(90));
+    const soon = buildLot('SOON', 3, daysFromToday(10));
+    const never = buildLot('NEVER', 5, null);
+    const stock = withLots([late, never, soon]);
+
+    const result = await StockLot.take(stock, 6);
+
+    expect(result.quantity).toBe(6);
+    expect(picked(result)).toEqual([['SOON', 3], ['LATE', 3]]);
+    expect(soon.quantity).toBe(0);
+    expect(late.quantity).toBe(2);
+    expect(updatedLots()).toEqual([soon._id, late._id]);
+  });
+
+  test('takes lots without expiry after dated lots, oldest receipt first', async () => {
+    const dated = buildLot('DATED', 1, daysFromToday(30));
+    const newer = buildLot('NEWER', 2, null, daysFromToday(-1));
+    const older = buildLot('OLDER', 2, null, daysFromToday(-20));
+    const stock = withLots([newer, older, dated]);
+
+    const result = await StockLot.take(stock, 4);
+
+    expect(picked(result)).toEqual([['DATED', 1], ['OLDER', 2], ['NEWER', 1]]);
+  });
+
+  test('takes unlotted stock last', async () => {
+    const lot = buildLot('A1', 2, daysFromToday(30));
+    const stock = withLots([lot], 5);
+
+    const result = await StockLot.take(stock, 6);
+
+    expect(result.quantity).toBe(6);
+    expect(picked(result)).toEqual([['A1', 2]]);
+  });
+
+  test('skips expired lots', async () => {
+    const expired = buildLot('OLD', 4, daysFromToday(-1));
+    const fresh = buildLot('NEW', 4, daysFromToday(30));
+    const stock = withLots([expired, fresh]);
+
+    const result = await StockLot.take(stock, 3);
+
+    expect(picked(result)).toEqual([['NEW', 3]]);
+    expect(expired.quantity).toBe(4);
+  });
+
+  test('a lot expiring today can still be sold', async () => {
+    const today = buildLot('TODAY', 2, daysFromToday(0));
+    const stock = withLots([today]);
+
+    expect(picked(await StockLot.take(stock, 2))).toEqual([['TODAY', 2]]);
+  });
+
+  test('takes expired lots when they are included', async () => {
+    const expired = buildLot('OLD', 4, daysFromToday(-1));
+    const fresh = buildLot('NEW', 4, daysFromToday(30));
+    const stock = withLots([fresh, expired]);
+
+    const result = await StockLot.take(stock, 5, { includeExpired: true });
+
+    expect(picked(result)).toEqual([['OLD', 4], ['NEW', 1]]);
+  });
+
+  test('takes a named lot only, matching its number case-insensitively', async () => {
+    const soon = buildLot('SOON', 3, daysFromToday(10));
+    const named = buildLot('B7', 5, daysFromToday(90));
+    const stock = withLots([soon, named], 10);
+
+    const result = await StockLot.take(stock, 4, { lot: { lotNumber: ' b7 ' } });
+
+    expect(picked(result)).toEqual([['B7', 4]]);
+    expect(updatedLots()).toEqual([named._id]);
+  });
+
+  test('reports the shipped lot details', async () => {
+    const expiryDate = daysFromToday(10);
+    const lot = buildLot('A1', 3, expiryDate);
+    const stock = withLots([lot]);
+
+    const result = await StockLot.take(stock, 1);
+
+    expect(result.lots).toEqual([{ lot: lot._id, lotNumber: 'A1', expiryDate, quantity: 1 }]);
+    expect(StockLot.updateOne).toHaveBeenCalledWith({ _id: lot._id }, { $inc: { quantity: -1 } }, { session: null });
+  });
+
+  test('refuses a named lot without unexpired stock', async () => {
+    const expired = buildLot('OLD', 4, daysFromToday(-1));
+    const stock = withLots([expired]);
+
+    const promise = StockLot.take(stock, 1, { lot: { lotNumber: 'OLD' } });
+
+    await expect(promise).rejects.toThrow(HttpError);
+    await expect(promise).rejects.toMatchObject({ status: 400, message: 'Lot OLD has no unexpired stock at this location' });
+  });
+
+  test('refuses more than is available before changing any lot', async () => {
+    const first = buildLot('A1', 3, daysFromToday(10));
+    const second = buildLot('A2', 2, daysFromToday(20));
+    const expired = buildLot('OLD', 9, daysFromToday(-5));
+    const stock = withLots([first, second, expired], 1);
+
+    const promise = StockLot.take(stock, 7);
+
+    await expect(promise).rejects.toThrow(HttpError);
+    await expect(promise).rejects.toMatchObject({
+      status: 400,
+      message: 'Only 6 available at this location',
+      details: { available: 6 }
+    });
+    expect(StockLot.updateOne).not.toHaveBeenCalled();
+    expect(first.quantity).toBe(3);
+    expect(second.quantity).toBe(2);
+  });
+
+  test('refuses more than a named lot holds, without counting unlotted stock', async () => {
+    const lot = buildLot('B7', 2, daysFromToday(30));
+    const stock = withLots([lot], 10);
+
+    const promise = StockLot.take(stock, 3, { lot: { lotNumber: 'B7' } });
+
+    await expect(promise).rejects.toMatchObject({
+      status: 400,
+      message: 'Only 2 available in lot B7 at this location',
+      details: { available: 2 }
+    });
+    expect(StockLot.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('StockLot.sellable', () => {
+  test('is the level quantity less the stock in expired lots', async () => {
+    const expired = buildLot('OLD', 4, daysFromToday(-1));
+    jest.spyOn(StockLot, 'find').mockReturnValue({
+      select: jest.fn().mockReturnValue({ session: jest.fn().mockResolvedValue([expired]) })
+    });
+
+    expect(await StockLot.sellable({ ...level, quantity: 10 })).toBe(6);
+    expect(await StockLot.sellable({ ...level, quantity: 3 })).toBe(0);
+    expect(StockLot.find).toHaveBeenCalledWith(expect.objectContaining({
+      quantity: { $gt: 0 },
+      expiryDate: { $lt: StockLot.expiryCutoff() }
+    }));
+  });
+});
@@ -0,0 +1,422 @@
+/**
+ * UBL 2.1 Export Schema Tests
+ *
+ * Validates the documents built by services/ublInvoiceService against the UBL 2.1
+ * schema rules that the export relies on:
+ * - Root element and namespaces of Invoice-2 and CreditNote-2
+ * - Child elements appear only where the XSD allows them, in xsd:sequence order
+ * - Mandatory elements are present (ID, IssueDate, parties, TaxTotal, LegalMonetaryTotal, lines)
+ * - Amounts carry a currencyID and the monetary totals add up
+ * - The serialized XML is well formed and escapes text
+ *
+ * The documents are built from plain objects, so no database records are needed.
+ */
+
+const {
+  NAMESPACES,
+  buildUblDocument,
+  serializeXml,
+  renderUblXml
+} = require('../services/ublInvoiceService');
+
+// Child element sequences from the UBL 2.1 XSDs (maindoc and common aggregate
+// components), limited to the aggregates the export produces
+const SEQUENCES = {
+  Invoice: [
+    'cbc:UBLVersionID', 'cbc:CustomizationID', 'cbc:ProfileID', 'cbc:ID', 'cbc:UUID', 'cbc:IssueDate',
+    'cbc:IssueTime', 'cbc:DueDate', 'cbc:InvoiceTypeCode', 'cbc:Note', 'cbc:TaxPointDate',
+    'cbc:DocumentCurrencyCode', 'cbc:TaxCurrencyCode', 'cbc:BuyerReference', 'cac:InvoicePeriod',
+    'cac:OrderReference', 'cac:BillingReference', 'cac:AdditionalDocumentReference',
+    'cac:AccountingSupplierParty', 'cac:AccountingCustomerParty', 'cac:Delivery', 'cac:PaymentMeans',
+    'cac:PaymentTerms', 'cac:PrepaidPayment', 'cac:AllowanceCharge', 'cac:TaxExchangeRate', 'cac:TaxTotal',
+    'cac:WithholdingTaxTotal', 'cac:LegalMonetaryTotal', 'cac:InvoiceLine'
+  ],
+  CreditNote: [
+    'cbc:UBLVersionID', 'cbc:CustomizationID', 'cbc:ProfileID', 'cbc:ID', 'cbc:UUID', 'cbc:IssueDate',
+    'cbc:IssueTime', 'cbc:TaxPointDate', 'cbc:CreditNoteTypeCode', 'cbc:Note', 'cbc:DocumentCurrencyCode',
+    'cbc:TaxCurrencyCode', 'cbc:BuyerReference', 'cac:InvoicePeriod', 'cac:DiscrepancyResponse',
+    'cac:OrderReference', 'cac:BillingReference', 'cac:AdditionalDocumentReference',
+    'cac:AccountingSupplierParty', 'cac:AccountingCustomerParty', 'cac:Delivery', 'cac:PaymentMeans',
+    'cac:PaymentTerms', 'cac:TaxExchangeRate', 'cac:AllowanceCharge', 'cac:TaxTotal',
+    'cac:LegalMonetaryTotal', 'cac:CreditNoteLine'
+  ],
+  'cac:AccountingSupplierParty': ['cbc:CustomerAssignedAccountID', 'cac:Party'],
+  'cac:AccountingCustomerParty': ['cbc:CustomerAssignedAccountID', 'cac:Party'],
+  'cac:Party': [
+    'cbc:WebsiteURI', 'cbc:EndpointID', 'cac:PartyIdentification', 'cac:PartyName', 'cac:PostalAddress',
+    'cac:PartyTaxScheme', 'cac:PartyLegalEntity', 'cac:Contact'
+  ],
+  'cac:PartyIdentification': ['cbc:ID'],
+  'cac:PartyName': ['cbc:Name'],
+  'cac:PostalAddress': [
+    'cbc:ID', 'cbc:Postbox', 'cbc:StreetName', 'cbc:AdditionalStreetName', 'cbc:BlockName',
+    'cbc:BuildingName', 'cbc:BuildingNumber', 'cbc:CitySubdivisionName', 'cbc:CityName', 'cbc:PostalZone',
+    'cbc:CountrySubentity', 'cac:AddressLine', 'cac:Country'
+  ],
+  'cac:Country': ['cbc:IdentificationCode', 'cbc:Name'],
+  'cac:PartyTaxScheme': ['cbc:RegistrationName', 'cbc:CompanyID', 'cac:TaxScheme'],
+  'cac:PartyLegalEntity': ['cbc:RegistrationName', 'cbc:CompanyID'],
+  'cac:Contact': ['cbc:ID', 'cbc:Name', 'cbc:Telephone', 'cbc:Telefax', 'cbc:ElectronicMail'],
+  'cac:TaxScheme': ['cbc:ID', 'cbc:Name'],
+  'cac:DiscrepancyResponse': ['cbc:ReferenceID', 'cbc:ResponseCode', 'cbc:Description'],
+  'cac:BillingReference': ['cac:InvoiceDocumentReference'],
+  'cac:InvoiceDocumentReference': ['cbc:ID', 'cbc:CopyIndicator', 'cbc:UUID', 'cbc:IssueDate'],
+  'cac:PaymentMeans': [
+    'cbc:ID', 'cbc:PaymentMeansCode', 'cbc:PaymentDueDate', 'cbc:PaymentChannelCode', 'cbc:InstructionID',
+    'cbc:PaymentID', 'cac:PayeeFinancialAccount'
+  ],
+  'cac:PayeeFinancialAccount': ['cbc:ID', 'cbc:Name'],
+  'cac:PaymentTerms': ['cbc:ID', 'cbc:Note'],
+  'cac:AllowanceCharge': [
+    'cbc:ID', 'cbc:ChargeIndicator', 'cbc:AllowanceChargeReasonCode', 'cbc:AllowanceChargeReason',
+    'cbc:MultiplierFactorNumeric', 'cbc:Amount', 'cbc:BaseAmount', 'cac:TaxCategory'
+  ],
+  'cac:TaxExchangeRate': [
+    'cbc:SourceCurrencyCode', 'cbc:SourceCurrencyBaseRate', 'cbc:TargetCurrencyCode',
+    'cbc:TargetCurrencyBaseRate', 'cbc:CalculationRate', 'cbc:MathematicOperatorCode', 'cbc:Date'
+  ],
+  'cac:TaxTotal': ['cbc:TaxAmount', 'cbc:RoundingAmount', 'cac:TaxSubtotal'],
+  'cac:TaxSubtotal': ['cbc:TaxableAmount', 'cbc:TaxAmount', 'cbc:Percent', 'cac:TaxCategory'],
+  'cac:TaxCategory': ['cbc:ID', 'cbc:Name', 'cbc:Percent', 'cbc:TaxExemptionReasonCode', 'cbc:TaxExemptionReason', 'cac:TaxScheme'],
+  'cac:ClassifiedTaxCategory': ['cbc:ID', 'cbc:Name', 'cbc:Percent', 'cbc:TaxExemptionReasonCode', 'cbc:TaxExemptionReason', 'cac:TaxScheme'],
+  'cac:LegalMonetaryTotal': [
+    'cbc:LineExtensionAmount', 'cbc:TaxExclusiveAmount', 'cbc:TaxInclusiveAmount', 'cbc:AllowanceTotalAmount',
+    'cbc:ChargeTotalAmount', 'cbc:PrepaidAmount', 'cbc:PayableRoundingAmount', 'cbc:PayableAmount'
+  ],
+  'cac:InvoiceLine': [
+    'cbc:ID', 'cbc:UUID', 'cbc:Note', 'cbc:InvoicedQuantity', 'cbc:LineExtensionAmount', 'cac:AllowanceCharge',
+    'cac:TaxTotal', 'cac:Item', 'cac:Price'
+  ],
+  'cac:CreditNoteLine': [
+    'cbc:ID', 'cbc:UUID', 'cbc:Note', 'cbc:CreditedQuantity', 'cbc:LineExtensionAmount', 'cac:TaxTotal',
+    'cac:Item', 'cac:Price'
+  ],
+  'cac:Item': [
+    'cbc:Description', 'cbc:Name', 'cbc:BrandName', 'cbc:ModelName', 'cac:BuyersItemIdentification',
+    'cac:SellersItemIdentification', 'cac:ClassifiedTaxCategory'
+  ],
+  'cac:SellersItemIdentification': ['cbc:ID'],
+  'cac:Price': ['cbc:PriceAmount', 'cbc:BaseQuantity']
+};
+
+// Elements whose cardinality is 1..1 or 1..n in the UBL 2.1 XSDs
+const REQUIRED = {
+  Invoice: ['cbc:ID', 'cbc:IssueDate', 'cac:AccountingSupplierParty', 'cac:AccountingCustomerParty', 'cac:LegalMonetaryTotal', 'cac:InvoiceLine'],
+  CreditNote: ['cbc:ID', 'cbc:IssueDate', 'cac:AccountingSupplierParty', 'cac:AccountingCustomerParty', 'cac:LegalMonetaryTotal', 'cac:CreditNoteLine'],
+  'cac:PartyTaxScheme': ['cac:TaxScheme'],
+  'cac:TaxSubtotal': ['cbc:TaxAmount', 'cac:TaxCategory'],
+  'cac:TaxCategory': ['cac:TaxScheme'],
+  'cac:ClassifiedTaxCategory': ['cac:TaxScheme'],
+  'cac:TaxTotal': ['cbc:TaxAmount'],
+  'cac:LegalMonetaryTotal': ['cbc:PayableAmount'],
+  'cac:InvoiceLine': ['cbc:ID', 'cbc:LineExtensionAmount', 'cac:Item'],
+  'cac:CreditNoteLine': ['cbc:ID', 'cac:Item'],
+  'cac:AllowanceCharge': ['cbc:ChargeIndicator', 'cbc:Amount'],
+  'cac:PaymentMeans': ['cbc:PaymentMeansCode'],
+  'cac:TaxExchangeRate': ['cbc:SourceCurrencyCode', 'cbc:TargetCurrencyCode'],
+  'cac:Price': ['cbc:PriceAmount']
+};
+
+const AMOUNT_ELEMENTS = [
+  'cbc:LineExtensionAmount', 'cbc:TaxExclusiveAmount', 'cbc:TaxInclusiveAmount', 'cbc:ChargeTotalAmount',
+  'cbc:PrepaidAmount', 'cbc:PayableAmount', 'cbc:TaxAmount', 'cbc:TaxableAmount', 'cbc:Amount', 'cbc:PriceAmount'
+];
+
+/**
+ * Validate an element tree against SEQUENCES and REQUIRED
+ * @returns {Array<String>} Error messages (empty when valid)
+ */
+const validate = (node, path = node.name) => {
+  const errors = [];
+
+  if (!node.children) {
+    if (node.text === '') errors.push(`${path} is empty`);
+    if (AMOUNT_ELEMENTS.includes(node.name)) {
+      if (!node.attributes.currencyID) errors.push(`${path} has no currencyID`);
+      if (!/^-?\d+(\.\d{1,3})?$/.test(node.text)) errors.push(`${path} is not a decimal amount: ${node.text}`);
+    }
+    return errors;
+  }
+
+  const sequence = SEQUENCES[node.name];
+  if (!sequence) return [`${path} is not an aggregate the schema allows here`];
+
+  let position = 0;
+  node.children.forEach(child => {
+    const index = sequence.indexOf(child.name);
+    if (index === -1) {
+      errors.push(`${child.name} is not allowed in ${path}`);
+    } else if (index < position) {
+      errors.push(`${child.name} is out of sequence in ${path}`);
+    } else {
+      position = index;
+    }
+    errors.push(...validate(child, `${path}/${child.name}`));
+  });
+
+  (REQUIRED[node.name] || []).forEach(name => {
+    if (!node.children.some(child => child.name === name)) errors.push(`${path} is missing ${name}`);
+  });
+
+  return errors;
+};
+
+const find = (node, name) => node.children.find(child => child.name === name);
+const findAll = (node, name) => node.children.filter(child => child.name === name);
+const amountOf = (node, name) => Number(find(node, name).text);
+
+/**
+ * Check XML well-formedness: balanced tags and a single root
+ */
+const isWellFormed = (xml) => {
+  const stack = [];
+  const body = xml.replace(/^<\?xml[^>]*\?>\s*/, '');
+  const tags = body.match(/<\/?[^>]+>/g) || [];
+  let roots = 0;
+
+  for (const tag of tags) {
+    if (tag.startsWith('</')) {
+      if (stack.pop() !== tag.slice(2, -1)) return false;
+    } else if (!tag.endsWith('/>')) {
+      if (stack.length === 0) roots += 1;
+      stack.push(tag.slice(1, -1).split(/\s/)[0]);
+    }
+  }
+  return stack.length === 0 && roots === 1 && !/&(?!(amp|lt|gt|quot|apos);)/.test(body);
+};
+
+const company = {
+  name: 'Gulf Dental Supplies W.L.L.',
+  address: 'Building 123, Road 45',
+  city: 'Manama',
+  country: 'Bahrain',
+  postalCode: '317',
+  phone: '+973 1700 0000',
+  email: 'accounts@gulfdental.example',
+  vatNumber: '200000000000003',
+  crNumber: '12345-1',
+  ibanNumber: 'BH67BMAG00001299123456',
+  bankName: 'Bank of Bahrain'
+};
+
+const account = {
+  name: 'Salmaniya Hospital & Clinics',
+  email: 'procurement@hospital.example',
+  vat: '200000000000011',
+  crNumber: '54321-1',
+  paymentTerms: 'credit_60',
+  address: { building: '10', road: '2904', block: '329', area: 'Salmaniya' }
+};
+
+const customer = {
+  companyName: 'Salmaniya Hospital & Clinics',
+  employee: 'Dr. Sara',
+  contactInfo: {
+    name: 'Dr. Sara',
+    email: 'sara@hospital.example',
+    phone: 'N/A',
+    address: 'Road 2904',
+    city: 'Manama',
+    country: 'Bahrain'
+  }
+};
+
+const invoice = {
+  _id: '665f1a2b3c4d5e6f7a8b9c0d',
+  orderNumber: 'INV-2024-0042',
+  orderType: 'invoice',
+  createdAt: new Date('2024-06-03T09:30:00Z'),
+  customer,
+  items: [
+    { product: { sku: 'GLV-100' }, productName: 'Nitrile Gloves <Box of 100>', brand: 'SafeHands', quantity: 3, unitPrice: 1.115, vatRate: 10, vatExempt: false, vatAmount: 0.335, totalPrice: 3.68 },
+    { product: { sku: 'IMP-7' }, productName: 'Dental Implant Kit', brand: 'Unknown', quantity: 1, unitPrice: 120, vatRate: 0, vatExempt: false, vatAmount: 0, totalPrice: 120 },
+    { product: { sku: 'MED-3' }, productName: 'Prescription Anaesthetic', brand: 'Pharma', quantity: 2, unitPrice: 4.5, vatRate: 0, vatExempt: true, vatAmount: 0, totalPrice: 9 }
+  ],
+  pricing: {
+    subtotal: 132.345,
+    deliveryCost: 2,
+    totalVat: 0.335,
+    total: 134.68,
+    currency: 'BD',
+    baseCurrency: 'BD',
+    exchangeRate: 1
+  },
+  payment: { method: 'credit', amountPaid: 50 },
+  notes: { customer: 'Deliver to stores & receiving' }
+};
+
+const creditNote = {
+  _id: '665f1a2b3c4d5e6f7a8b9c0e',
+  orderNumber: 'CN-2024-0007',
+  orderType: 'credit',
+  createdAt: new Date('2024-06-10T11:00:00Z'),
+  customer,
+  items: [
+    { product: '665f1a2b3c4d5e6f7a8b9c01', productName: 'Nitrile Gloves <Box of 100>', brand: 'SafeHands', quantity: 1, unitPrice: 1.115, vatRate: 10, vatExempt: false, vatAmount: 0.112, totalPrice: 1.227 }
+  ],
+  pricing: {
+    subtotal: 1.115,
+    deliveryCost: 0,
+    totalVat: 0.112,
+    total: 1.227,
+    currency: 'USD',
+    baseCurrency: 'BD',
+    exchangeRate: 0.376
+  },
+  payment: { method: 'credit', amountPaid: 0 },
+  sourceDocument: { orderNumber: 'INV-2024-0042', createdAt: new Date('2024-06-03T09:30:00Z') }
+};
+
+describe('UBL 2.1 invoice export', () => {
+  const document = buildUblDocument(invoice, company, account);
+
+  test('uses the Invoice-2 root and UBL namespaces', () => {
+    expect(document.name).toBe('Invoice');
+    expect(document.attributes.xmlns).toBe(NAMESPACES.Invoice);
+    expect(document.attributes['xmlns:cac']).toBe(NAMESPACES.cac);
+    expect(document.attributes['xmlns:cbc']).toBe(NAMESPACES.cbc);
+    expect(find(document, 'cbc:UBLVersionID').text).toBe('2.1');
+  });
+
+  test('validates against the UBL 2.1 element sequences', () => {
+    expect(validate(document)).toEqual([]);
+  });
+
+  test('maps header fields', () => {
+    expect(find(document, 'cbc:ID').text).toBe('INV-2024-0042');
+    expect(find(document, 'cbc:IssueDate').text).toBe('2024-06-03');
+    expect(find(document, 'cbc:DueDate').text).toBe('2024-08-02');
+    expect(find(document, 'cbc:InvoiceTypeCode').text).toBe('380');
+    expect(find(document, 'cbc:DocumentCurrencyCode').text).toBe('BHD');
+    expect(find(document, 'cbc:TaxCurrencyCode')).toBeUndefined();
+  });
+
+  test('takes the supplier party from the company', () => {
+    const party = find(find(document, 'cac:AccountingSupplierParty'), 'cac:Party');
+    expect(find(find(party, 'cac:PartyTaxScheme'), 'cbc:CompanyID').text).toBe(company.vatNumber);
+    expect(find(find(party, 'cac:PartyLegalEntity'), 'cbc:CompanyID').text).toBe(company.crNumber);
+    expect(find(find(find(party, 'cac:PostalAddress'), 'cac:Country'), 'cbc:IdentificationCode').text).toBe('BH');
+
+    const payee = find(find(document, 'cac:PaymentMeans'), 'cac:PayeeFinancialAccount');
+    expect(find(payee, 'cbc:ID').text).toBe(company.ibanNumber);
+    expect(find(payee, 'cbc:ID').attributes.schemeID).toBe('IBAN');
+  });
+
+  test('takes the customer party from the account', () => {
+    const party = find(find(document, 'cac:AccountingCustomerParty'), 'cac:Party');
+    expect(find(find(party, 'cac:PartyName'), 'cbc:Name').text).toBe(account.name);
+    expect(find(find(party, 'cac:PartyTaxScheme'), 'cbc:CompanyID').text).toBe(account.vat);
+    expect(find(find(party, 'cac:PostalAddress'), 'cbc:CitySubdivisionName').text).toBe('Salmaniya');
+    // Placeholder phone numbers are left out
+    expect(find(find(party, 'cac:Contact'), 'cbc:Telephone')).toBeUndefined();
+  });
+
+  test('splits VAT into standard, zero rated, exempt and out of scope subtotals', () => {
+    const taxTotal = find(document, 'cac:TaxTotal');
+    const categories = findAll(taxTotal, 'cac:TaxSubtotal').map(subtotal => ({
+      id: find(find(subtotal, 'cac:TaxCategory'), 'cbc:ID').text,
+      taxable: amountOf(subtotal, 'cbc:TaxableAmount'),
+      tax: amountOf(subtotal, 'cbc:TaxAmount')
+    }));
+
+    expect(categories).toEqual([
+      { id: 'S', taxable: 3.345, tax: 0.335 },
+      { id: 'Z', taxable: 120, tax: 0 },
+      { id: 'E', taxable: 9, tax: 0 },
+      { id: 'O', taxable: 2, tax: 0 }
+    ]);
+    expect(amountOf(taxTotal, 'cbc:TaxAmount')).toBe(0.335);
+  });
+
+  test('monetary totals add up to the order total', () => {
+    const totals = find(document, 'cac:LegalMonetaryTotal');
+    const lines = findAll(document, 'cac:InvoiceLine');
+    const lineSum = lines.reduce((sum, line) => sum + Math.round(amountOf(line, 'cbc:LineExtensionAmount') * 1000), 0) / 1000;
+
+    expect(lines).toHaveLength(3);
+    expect(amountOf(totals, 'cbc:LineExtensionAmount')).toBe(lineSum);
+    expect(amountOf(totals, 'cbc:TaxExclusiveAmount')).toBe(134.345);
+    expect(amountOf(totals, 'cbc:ChargeTotalAmount')).toBe(2);
+    expect(amountOf(totals, 'cbc:TaxInclusiveAmount')).toBe(invoice.pricing.total);
+    expect(amountOf(totals, 'cbc:PrepaidAmount')).toBe(50);
+    expect(amountOf(totals, 'cbc:PayableAmount')).toBe(84.68);
+  });
+
+  test('serializes to well formed, escaped XML', () => {
+    const xml = renderUblXml(invoice, company, account);
+    expect(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>')).toBe(true);
+    expect(isWellFormed(xml)).toBe(true);
+    expect(xml).toContain('Nitrile Gloves &lt;Box of 100&gt;');
+    expect(xml).toContain('Salmaniya Hospital &amp; Clinics');
+    expect(xml).toContain('<cbc:PayableAmount currencyID="BHD">84.680</cbc:PayableAmount>');
+  });
+
+  test('falls back to the order contact details without an account', () => {
+    const withoutAccount = buildUblDocument(invoice, company, null);
+    const party = find(find(withoutAccount, 'cac:AccountingCustomerParty'), 'cac:Party');
+
+    expect(validate(withoutAccount)).toEqual([]);
+    expect(find(find(party, 'cac:PartyName'), 'cbc:Name').text).toBe(customer.companyName);
+    expect(find(find(party, 'cac:PostalAddress'), 'cbc:StreetName').text).toBe('Road 2904');
+  });
+});
+
+describe('UBL 2.1 credit note export', () => {
+  const document = buildUblDocument(creditNote, company, account);
+
+  test('uses the CreditNote-2 root', () => {
+    expect(document.name).toBe('CreditNote');
+    expect(document.attributes.xmlns).toBe(NAMESPACES.CreditNote);
+    expect(find(document, 'cbc:CreditNoteTypeCode').text).toBe('381');
+    expect(find(document, 'cbc:InvoiceTypeCode')).toBeUndefined();
+    expect(find(document, 'cbc:DueDate')).toBeUndefined();
+  });
+
+  test('validates against the UBL 2.1 element sequences', () => {
+    expect(validate(document)).toEqual([]);
+  });
+
+  test('references the credited invoice', () => {
+    const reference = find(find(document, 'cac:BillingReference'), 'cac:InvoiceDocumentReference');
+    expect(find(reference, 'cbc:ID').text).toBe('INV-2024-0042');
+    expect(find(reference, 'cbc:IssueDate').text).toBe('2024-06-03');
+    expect(find(find(document, 'cac:DiscrepancyResponse'), 'cbc:ReferenceID').text).toBe('INV-2024-0042');
+  });
+
+  test('states the currency and the rate to the base currency', () => {
+    expect(find(document, 'cbc:DocumentCurrencyCode').text).toBe('USD');
+    expect(find(document, 'cbc:TaxCurrencyCode').text).toBe('BHD');
+
+    const rate = find(document, 'cac:TaxExchangeRate');
+    expect(find(rate, 'cbc:SourceCurrencyCode').text).toBe('USD');
+    expect(find(rate, 'cbc:TargetCurrencyCode').text).toBe('BHD');
+    expect(find(rate, 'cbc:CalculationRate').text).toBe('0.376');
+  });
+
+  test('credits the full amount with nothing prepaid', () => {
+    const totals = find(document, 'cac:LegalMonetaryTotal');
+    expect(find(totals, 'cbc:PrepaidAmount')).toBeUndefined();
+    expect(amountOf(totals, 'cbc:PayableAmount')).toBe(creditNote.pricing.total);
+    expect(find(findAll(document, 'cac:CreditNoteLine')[0], 'cbc:CreditedQuantity').attributes.unitCode).toBe('C62');
+  });
+
+  test('serializes to well formed XML', () => {
+    expect(isWellFormed(serializeXml(document))).toBe(true);
+  });
+});
+
+describe('UBL schema validator', () => {
+  test('rejects elements out of sequence', () => {
+    const document = buildUblDocument(invoice, company, account);
+    const children = [...document.children];
+    const [supplier] = children.splice(children.findIndex(child => child.name === 'cac:AccountingSupplierParty'), 1);
+    children.push(supplier);
+
+    expect(validate({ ...document, children })).toContain('cac:AccountingSupplierParty is out of sequence in Invoice');
+  });
+
+  test('rejects documents without lines', () => {
+    const document = buildUblDocument({ ...invoice, items: [] }, company, account);
+    expect(validate(document)).toContain('Invoice is missing cac:InvoiceLine');
+  });
+});
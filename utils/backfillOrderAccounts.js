@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const path = require('path');
+
+// Load environment variables from .env file in the backend directory
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const Account = require('../models/Account');
+const Order = require('../models/Order');
+const { recalculateAccountBalance } = require('../services/paymentService');
+
+/**
+ * Script to link existing orders to their Account documents
+ * Orders used to be matched to accounts by customer.companyName. This sets
+ * customer.account on every unlinked order whose name matches exactly one account
+ * of the same company (trimmed, case-insensitive), then recalculates the balances
+ * of the linked accounts. Pass --dry-run to only report what would change.
+ */
+
+const normalizeName = (name) => (name || '').trim().toLowerCase();
+
+async function backfillOrderAccounts() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    // Check if MONGO_URI or MONGODB_URI is set
+    const mongoUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+    if (!mongoUri) {
+      console.error('❌ Error: MONGO_URI or MONGODB_URI environment variable is not set.');
+      console.error('   Please make sure you have a .env file with MONGO_URI or MONGODB_URI defined.');
+      process.exit(1);
+    }
+
+    // Connect to MongoDB
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) console.log('ℹ️  Dry run - no changes will be written');
+
+    const unlinked = { $or: [{ 'customer.account': null }, { 'customer.account': { $exists: false } }] };
+    const companyIds = await Order.distinct('customer.company', unlinked);
+    console.log(`\n📋 ${companyIds.length} companies have orders without an account`);
+
+    let linked = 0;
+    let unmatched = 0;
+    let ambiguous = 0;
+
+    for (const companyId of companyIds) {
+      const accounts = await Account.find({ company: companyId }).select('name');
+
+      // Name -> account ids; more than one id means the name is ambiguous
+      const accountsByName = new Map();
+      accounts.forEach(account => {
+        const key = normalizeName(account.name);
+        accountsByName.set(key, [...(accountsByName.get(key) || []), account._id]);
+      });
+
+      const orders = await Order.find({ 'customer.company': companyId, ...unlinked })
+        .select('orderNumber customer.companyName')
+        .lean();
+
+      const operations = [];
+      const touchedAccounts = new Set();
+
+      orders.forEach(order => {
+        const matches = accountsByName.get(normalizeName(order.customer?.companyName)) || [];
+
+        if (matches.length === 1) {
+          operations.push({
+            updateOne: {
+              filter: { _id: order._id },
+              update: { $set: { 'customer.account': matches[0] } }
+            }
+          });
+          touchedAccounts.add(matches[0].toString());
+        } else if (matches.length > 1) {
+          ambiguous++;
+          console.log(`   ⚠️  ${order.orderNumber}: "${order.customer?.companyName}" matches ${matches.length} accounts - skipped`);
+        } else {
+          unmatched++;
+        }
+      });
+
+      console.log(`\n🏢 Company ${companyId}: ${operations.length} of ${orders.length} orders matched`);
+
+      if (!dryRun && operations.length > 0) {
+        await Order.bulkWrite(operations);
+
+        for (const accountId of touchedAccounts) {
+          await recalculateAccountBalance(companyId, accountId);
+        }
+        console.log(`   ✅ Linked ${operations.length} orders and recalculated ${touchedAccounts.size} account balances`);
+      }
+
+      linked += operations.length;
+    }
+
+    console.log(`\n📊 ${dryRun ? 'Would link' : 'Linked'}: ${linked}, no matching account: ${unmatched}, ambiguous name: ${ambiguous}`);
+    console.log('\n✅ Backfill completed!');
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run the script
+backfillOrderAccounts();
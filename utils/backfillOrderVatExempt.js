@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const path = require('path');
+
+// Load environment variables from .env file in the backend directory
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+
+/**
+ * Script to backfill the vatExempt snapshot on existing order lines
+ * Lines priced before the snapshot existed have no vatExempt field and read as not
+ * exempt, so an exempt line with a 0% rate is reported as zero-rated on the VAT return.
+ * This sets vatExempt from the product's current Product.vat.isExempt on every line
+ * without it; lines of deleted products are set to false. Pass --dry-run to only
+ * report what would change.
+ */
+
+const missing = { $exists: false };
+
+async function backfillOrderVatExempt() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    // Check if MONGO_URI or MONGODB_URI is set
+    const mongoUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+    if (!mongoUri) {
+      console.error('❌ Error: MONGO_URI or MONGODB_URI environment variable is not set.');
+      console.error('   Please make sure you have a .env file with MONGO_URI or MONGODB_URI defined.');
+      process.exit(1);
+    }
+
+    // Connect to MongoDB
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) console.log('ℹ️  Dry run - no changes will be written');
+
+    // Lines of exempt products first, then every other line without a snapshot is not exempt
+    const exemptProducts = await Product.find({ 'vat.isExempt': true }).select('name company').lean();
+    console.log(`\n📋 ${exemptProducts.length} products are VAT exempt`);
+
+    let exemptOrders = 0;
+
+    for (const product of exemptProducts) {
+      const filter = {
+        'customer.company': product.company,
+        items: { $elemMatch: { product: product._id, vatExempt: missing } }
+      };
+      const count = await Order.countDocuments(filter);
+      if (count === 0) continue;
+
+      console.log(`   📦 ${product.name}: ${count} orders`);
+      if (!dryRun) {
+        await Order.updateMany(
+          filter,
+          { $set: { 'items.$[line].vatExempt': true } },
+          { arrayFilters: [{ 'line.product': product._id, 'line.vatExempt': missing }] }
+        );
+      }
+      exemptOrders += count;
+    }
+
+    const remainingFilter = { items: { $elemMatch: { vatExempt: missing } } };
+    const remainingOrders = await Order.countDocuments(remainingFilter);
+    if (!dryRun && remainingOrders > 0) {
+      await Order.updateMany(
+        remainingFilter,
+        { $set: { 'items.$[line].vatExempt': false } },
+        { arrayFilters: [{ 'line.vatExempt': missing }] }
+      );
+    }
+
+    console.log(`\n📊 ${dryRun ? 'Would mark' : 'Marked'} exempt lines on ${exemptOrders} orders; ${remainingOrders} orders ${dryRun ? 'would get' : 'got'} their other lines marked not exempt`);
+    console.log('\n✅ Backfill completed!');
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run the script
+backfillOrderVatExempt();
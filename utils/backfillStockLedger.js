@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const path = require('path');
+
+// Load environment variables from .env file in the backend directory
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+
+/**
+ * Script to open the stock ledger for existing products
+ * Products created before the StockMovement ledger have stock but no movements, so the
+ * stock reconciliation report would flag all of them. This records one adjustment per
+ * product without movements, for its current stock ("Opening balance"). Run once after
+ * upgrading; pass --dry-run to only report what would be recorded.
+ */
+
+async function backfillStockLedger() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    // Check if MONGO_URI or MONGODB_URI is set
+    const mongoUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+    if (!mongoUri) {
+      console.error('❌ Error: MONGO_URI or MONGODB_URI environment variable is not set.');
+      console.error('   Please make sure you have a .env file with MONGO_URI or MONGODB_URI defined.');
+      process.exit(1);
+    }
+
+    // Connect to MongoDB
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) console.log('ℹ️  Dry run - no changes will be written');
+
+    const withHistory = new Set((await StockMovement.distinct('product')).map(id => id.toString()));
+    const products = await Product.find({ 'stock.current': { $gt: 0 } })
+      .select('company sku stock.current')
+      .lean();
+
+    const opening = products.filter(product => !withHistory.has(product._id.toString()));
+    console.log(`\n📋 ${opening.length} of ${products.length} products in stock have no stock movements`);
+
+    if (!dryRun) {
+      for (const product of opening) {
+        await StockMovement.record(product, product.stock.current, {
+          reason: 'adjustment',
+          note: 'Opening balance'
+        });
+      }
+    }
+
+    console.log(`\n📊 ${dryRun ? 'Would record' : 'Recorded'}: ${opening.length} opening balances`);
+    console.log('\n✅ Backfill completed!');
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run the script
+backfillStockLedger();
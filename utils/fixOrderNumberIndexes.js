@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const path = require('path');
+
+// Load environment variables from .env file in the backend directory
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+/**
+ * Script to fix order number indexes in MongoDB
+ * Order numbers are now generated per company, so the old global unique index on
+ * orderNumber must be replaced by a compound unique index (customer.company + orderNumber)
+ */
+
+async function fixOrderNumberIndexes() {
+  try {
+    // Check if MONGO_URI or MONGODB_URI is set
+    const mongoUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+    if (!mongoUri) {
+      console.error('❌ Error: MONGO_URI or MONGODB_URI environment variable is not set.');
+      console.error('   Please make sure you have a .env file with MONGO_URI or MONGODB_URI defined.');
+      process.exit(1);
+    }
+
+    // Connect to MongoDB
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const db = mongoose.connection.db;
+    const collection = db.collection('orders');
+
+    // Get all indexes
+    const indexes = await collection.indexes();
+    console.log('\n📋 Current indexes on orders collection:');
+    indexes.forEach((index, i) => {
+      console.log(`${i + 1}. ${JSON.stringify(index.key)} - unique: ${index.unique || false}`);
+    });
+
+    // Check for old unique index on just 'orderNumber'
+    const oldOrderNumberIndex = indexes.find(
+      index => index.key && index.key.orderNumber === 1 && Object.keys(index.key).length === 1 && index.unique
+    );
+
+    if (oldOrderNumberIndex) {
+      console.log('\n⚠️  Found old unique index on "orderNumber" field only!');
+      console.log('   This prevents different companies from using the same document number.');
+      console.log('   Dropping old index...');
+
+      try {
+        await collection.dropIndex(oldOrderNumberIndex.name);
+        console.log(`✅ Dropped old index: ${oldOrderNumberIndex.name}`);
+      } catch (error) {
+        console.error('❌ Error dropping index:', error.message);
+      }
+    } else {
+      console.log('\n✅ No old unique index on "orderNumber" field found.');
+    }
+
+    // Check for compound unique index
+    const compoundIndex = indexes.find(
+      index => index.key && index.key['customer.company'] === 1 && index.key.orderNumber === 1 && index.unique
+    );
+
+    if (!compoundIndex) {
+      console.log('\n⚠️  Compound unique index (customer.company + orderNumber) not found!');
+      console.log('   Creating compound unique index...');
+
+      try {
+        await collection.createIndex(
+          { 'customer.company': 1, orderNumber: 1 },
+          { unique: true, name: 'customer.company_1_orderNumber_1' }
+        );
+        console.log('✅ Created compound unique index: customer.company_1_orderNumber_1');
+      } catch (error) {
+        console.error('❌ Error creating compound index:', error.message);
+      }
+    } else {
+      console.log('\n✅ Compound unique index (customer.company + orderNumber) exists.');
+    }
+
+    // Final index list
+    console.log('\n📋 Final indexes:');
+    const finalIndexes = await collection.indexes();
+    finalIndexes.forEach((index, i) => {
+      console.log(`${i + 1}. ${JSON.stringify(index.key)} - unique: ${index.unique || false}`);
+    });
+
+    console.log('\n✅ Index fix completed!');
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run the script
+fixOrderNumberIndexes();
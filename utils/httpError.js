@@ -0,0 +1,20 @@
+/**
+ * Error carrying an HTTP status code.
+ * Thrown from inside transactions and services so the caller can abort the
+ * unit of work and still answer with the right status and message.
+ */
+class HttpError extends Error {
+  /**
+   * @param {Number} status - HTTP status code
+   * @param {String} message - Message returned to the client
+   * @param {Object} details - Optional extra fields merged into the response body
+   */
+  constructor(status, message, details = undefined) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = HttpError;
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const path = require('path');
+
+// Load environment variables from .env file in the backend directory
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const Account = require('../models/Account');
+const Company = require('../models/Company');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Product = require('../models/Product');
+const { MINOR_UNITS } = require('./money');
+
+/**
+ * Script to convert stored money amounts from decimal dinars to integer fils
+ * Money paths are now stored as integer minor units (see utils/money.js). Every document
+ * without the moneyUnits marker still holds decimal amounts: its money paths are multiplied
+ * by 1000, rounded half-up to the fils, and the document is marked. Documents created by the
+ * new code are marked already, so the script is safe to run more than once.
+ * Run it with the API stopped, before the new version serves traffic.
+ * Pass --dry-run to only count the documents that would be converted.
+ */
+
+// Collections and their money paths; arrays of subdocuments list their own paths
+const MONEY_PATHS = [
+  {
+    model: Order,
+    paths: [
+      'pricing.subtotal', 'pricing.discountTotal', 'pricing.deliveryCost', 'pricing.totalVat',
+      'pricing.total', 'pricing.baseTotal', 'payment.amountPaid', 'payment.amountRefunded',
+      'creditCheck.amount', 'creditCheck.availableCredit', 'creditCheck.creditLimit'
+    ],
+    arrays: { items: ['unitPrice', 'listPrice', 'vatAmount', 'totalPrice'] }
+  },
+  { model: Product, paths: ['price', 'pricing.cost'] },
+  { model: Account, paths: ['creditLimit', 'currentBalance'] },
+  {
+    model: Company,
+    paths: ['paymentInfo.creditLimit', 'paymentInfo.currentBalance'],
+    arrays: { salesHistory: ['unitPrice', 'totalPrice'] }
+  },
+  { model: Payment, paths: ['amount'] }
+];
+
+// Decimal -> fils, half-up (away from zero); a small epsilon absorbs float noise such as
+// 1.0005 * 1000 = 1000.4999... Non-numbers (missing, null) are left as they are.
+const toFils = (field) => ({
+  $cond: [
+    { $isNumber: field },
+    {
+      $multiply: [
+        { $cond: [{ $lt: [field, 0] }, -1, 1] },
+        { $floor: { $add: [{ $abs: { $multiply: [field, MINOR_UNITS] } }, 0.5000001] } }
+      ]
+    },
+    field
+  ]
+});
+
+const buildUpdate = ({ paths, arrays = {} }) => {
+  const set = {};
+
+  paths.forEach(field => {
+    set[field] = toFils(`$${field}`);
+  });
+
+  Object.entries(arrays).forEach(([arrayPath, itemPaths]) => {
+    set[arrayPath] = {
+      $cond: [
+        { $isArray: `$${arrayPath}` },
+        {
+          $map: {
+            input: `$${arrayPath}`,
+            as: 'entry',
+            in: {
+              $mergeObjects: [
+                '$$entry',
+                Object.fromEntries(itemPaths.map(field => [field, toFils(`$$entry.${field}`)]))
+              ]
+            }
+          }
+        },
+        `$${arrayPath}`
+      ]
+    };
+  });
+
+  return [{ $set: set }, { $set: { moneyUnits: 'fils' } }];
+};
+
+async function migrateMoneyToFils() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    // Check if MONGO_URI or MONGODB_URI is set
+    const mongoUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+    if (!mongoUri) {
+      console.error('❌ Error: MONGO_URI or MONGODB_URI environment variable is not set.');
+      console.error('   Please make sure you have a .env file with MONGO_URI or MONGODB_URI defined.');
+      process.exit(1);
+    }
+
+    // Connect to MongoDB
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) console.log('ℹ️  Dry run - no changes will be written');
+
+    const unconverted = { moneyUnits: { $exists: false } };
+
+    for (const entry of MONEY_PATHS) {
+      // The native collection is used so schema setters do not convert the values again
+      const collection = entry.model.collection;
+      const pending = await collection.countDocuments(unconverted);
+
+      if (dryRun || pending === 0) {
+        console.log(`\n📋 ${collection.collectionName}: ${pending} documents to convert`);
+        continue;
+      }
+
+      const result = await collection.updateMany(unconverted, buildUpdate(entry));
+      console.log(`\n✅ ${collection.collectionName}: converted ${result.modifiedCount} of ${pending} documents`);
+    }
+
+    console.log('\n✅ Money migration completed!');
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run the script
+migrateMoneyToFils();
@@ -0,0 +1,114 @@
+// Money is stored as integer minor units: fils, 1/1000 of a Bahraini dinar. The same
+// three-decimal unit is used for USD and EUR amounts so every currency shares one scale.
+//
+// Schemas declare money paths with moneyField(): the database holds integers while
+// documents, JSON and API payloads keep using decimal amounts. Aggregations and .lean()
+// queries bypass the getters and must convert results with fromMinor().
+//
+// Rounding rules:
+// - Unit prices (after discounts or currency conversion) are rounded half-up to the fils
+// - A line's subtotal is unit price x quantity, exact in fils; its VAT is rounded
+//   half-up to the fils on the line
+// - Document subtotal, VAT and total are exact sums of the rounded lines plus the
+//   delivery charge; documents are never rounded again as a whole
+
+const MINOR_UNITS = 1000;
+
+/**
+ * Round to the nearest integer, halves away from zero. Values are first trimmed to
+ * 6 decimals so binary float noise (e.g. 1.0005 * 1000 = 1000.4999...) cannot flip a half.
+ * @param {Number} value
+ * @returns {Number} Integer
+ */
+const roundHalfUp = (value) => Math.sign(value) * Math.round(Math.abs(Number(value.toFixed(6))));
+
+/**
+ * Decimal amount -> integer fils (half-up). null and undefined are passed through.
+ * @param {Number|String} amount - Decimal amount
+ * @returns {Number} Integer minor units
+ */
+const toMinor = (amount) => {
+  if (amount === null || amount === undefined || amount === '') return amount;
+  return roundHalfUp(Number(amount) * MINOR_UNITS);
+};
+
+/**
+ * Integer fils -> decimal amount. null and undefined are passed through.
+ * @param {Number} minor - Integer minor units
+ * @returns {Number} Decimal amount
+ */
+const fromMinor = (minor) => {
+  if (minor === null || minor === undefined) return minor;
+  return minor / MINOR_UNITS;
+};
+
+/**
+ * Round a decimal amount half-up to the fils
+ * @param {Number} amount - Decimal amount
+ * @returns {Number} Decimal amount with at most 3 decimals
+ */
+const roundMoney = (amount) => fromMinor(toMinor(amount || 0));
+
+/**
+ * Exact sum of decimal amounts, each rounded to the fils first
+ * @param {Array<Number>} amounts - Decimal amounts
+ * @returns {Number} Decimal amount
+ */
+const sumMoney = (amounts) => fromMinor(amounts.reduce((sum, amount) => sum + toMinor(amount || 0), 0));
+
+/**
+ * Percentage of an amount in fils, rounded half-up to the fils (e.g. VAT on a line)
+ * @param {Number} minor - Integer minor units
+ * @param {Number} rate - Percentage
+ * @returns {Number} Integer minor units
+ */
+const percentOfMinor = (minor, rate) => roundHalfUp(minor * rate / 100);
+
+/**
+ * Schema type for a money path: stored in fils, read and written as a decimal amount.
+ * Validators such as min run against the stored fils value.
+ * @param {Object} options - Extra schema options (required, default, min, ...)
+ * @returns {Object} Schema type definition
+ */
+const moneyField = (options = {}) => ({
+  type: Number,
+  get: fromMinor,
+  set: toMinor,
+  ...options
+});
+
+// Marks documents whose money paths are in fils. New documents get it by default;
+// utils/migrateMoneyToFils.js converts and marks documents saved before the change.
+const moneyUnitsField = {
+  type: String,
+  enum: ['fils'],
+  default: 'fils',
+  select: false
+};
+
+// Schema options so documents serialize with decimal amounts (and no extra virtuals);
+// the moneyUnits marker is internal and left out of API responses
+const MONEY_SCHEMA_OPTIONS = {
+  toJSON: {
+    getters: true,
+    virtuals: false,
+    transform: (doc, ret) => {
+      delete ret.moneyUnits;
+      return ret;
+    }
+  },
+  toObject: { getters: true, virtuals: false }
+};
+
+module.exports = {
+  MINOR_UNITS,
+  roundHalfUp,
+  toMinor,
+  fromMinor,
+  roundMoney,
+  sumMoney,
+  percentOfMinor,
+  moneyField,
+  moneyUnitsField,
+  MONEY_SCHEMA_OPTIONS
+};
@@ -0,0 +1,125 @@
+/**
+ * ORDER STATUS STATE MACHINE
+ *
+ * Defines which order status changes are allowed, which roles may make them
+ * and the guard conditions that must hold. Order.transitionStatus() is the only
+ * place that changes Order.status, so every change lands in the status history.
+ */
+
+// Full transition graph: current status -> statuses it may move to.
+// 'returned' is never requested: recording a return that credits every line sets it
+const STATUS_TRANSITIONS = {
+  pending: ['processing', 'confirmed', 'cancelled'],
+  processing: ['confirmed', 'shipped', 'cancelled'],
+  confirmed: ['processing', 'shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: [],
+  returned: []
+};
+
+// Statuses a fully returned invoice moves to 'returned' from
+const RETURNABLE_STATUSES = ['shipped', 'delivered'];
+
+// Subset of the graph each role may use
+const ROLE_TRANSITIONS = {
+  owner: STATUS_TRANSITIONS,
+  admin: STATUS_TRANSITIONS,
+  accountant: {
+    pending: ['processing', 'confirmed', 'cancelled'],
+    processing: ['confirmed', 'cancelled'],
+    confirmed: ['processing', 'cancelled']
+  },
+  salesman: {
+    pending: ['cancelled'],
+    shipped: ['delivered']
+  }
+};
+
+// Accountant review status -> order status it implies
+const REVIEW_STATUS_MAP = {
+  PENDING_REVIEW: 'pending',
+  UNDER_REVIEW: 'processing',
+  APPROVED: 'confirmed',
+  REJECTED: 'cancelled',
+  CANCELLED: 'cancelled'
+};
+
+// Guard conditions keyed by target status. Each returns an error message or null.
+const GUARDS = {
+  cancelled: (order, reason) => {
+    if (!reason || !reason.trim()) return 'A reason is required to cancel an order';
+    // A credit note already reverses part of the invoice; cancelling it too would reverse that part twice
+    if (order.items?.some(item => item.returnedQuantity > 0)) return 'Invoices with recorded returns cannot be cancelled';
+    return null;
+  },
+  shipped: (order) => {
+    if (order.orderType !== 'invoice') return 'Only invoices can be shipped';
+    if (!order.shipping?.address) return 'A shipping address is required before shipping';
+    if (order.creditCheck?.status === 'flagged') return 'This order is over the credit limit and needs an approved override before shipping';
+    if (order.items?.some(item => item.backorderedQuantity > 0)) return 'This invoice has back-ordered items still waiting for stock';
+    return null;
+  },
+  delivered: (order) => (
+    order.orderType === 'invoice' ? null : 'Only invoices can be delivered'
+  )
+};
+
+/**
+ * Check whether a status change is allowed
+ * @param {Object} order - Order document
+ * @param {String} toStatus - Requested status
+ * @param {String} role - Role of the user making the change
+ * @param {String} reason - Optional reason for the change
+ * @returns {Object|null} { status, message } describing why it is refused, or null if allowed
+ */
+const checkTransition = (order, toStatus, role, reason) => {
+  const fromStatus = order.status;
+
+  if (!Object.prototype.hasOwnProperty.call(STATUS_TRANSITIONS, toStatus)) {
+    return { status: 400, message: `Invalid order status "${toStatus}"` };
+  }
+
+  if (toStatus === 'returned') {
+    return { status: 400, message: 'An invoice is marked returned by recording a return that credits every line' };
+  }
+
+  if (!STATUS_TRANSITIONS[fromStatus]?.includes(toStatus)) {
+    return { status: 400, message: `Cannot change order status from "${fromStatus}" to "${toStatus}"` };
+  }
+
+  const allowedForRole = ROLE_TRANSITIONS[role]?.[fromStatus] || [];
+  if (!allowedForRole.includes(toStatus)) {
+    return {
+      status: 403,
+      message: `Access denied. Role '${role}' cannot change order status from "${fromStatus}" to "${toStatus}"`
+    };
+  }
+
+  const guardError = GUARDS[toStatus]?.(order, reason);
+  if (guardError) {
+    return { status: 400, message: guardError };
+  }
+
+  return null;
+};
+
+/**
+ * Statuses a role may move an order to from its current status, after guards
+ * @param {Object} order - Order document
+ * @param {String} role - Role of the user
+ * @returns {Array<String>} Allowed target statuses (guards that need a reason are assumed satisfied)
+ */
+const getAllowedTransitions = (order, role) => {
+  const candidates = ROLE_TRANSITIONS[role]?.[order.status] || [];
+  return candidates.filter(toStatus => !checkTransition(order, toStatus, role, 'n/a'));
+};
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  ROLE_TRANSITIONS,
+  RETURNABLE_STATUSES,
+  REVIEW_STATUS_MAP,
+  checkTransition,
+  getAllowedTransitions
+};
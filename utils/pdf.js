@@ -0,0 +1,65 @@
+// Import jsPDF - try different import methods for v3 and v4 compatibility
+let jsPDF;
+try {
+  // Try default export first
+  jsPDF = require('jspdf');
+  // Handle different export formats (v3 vs v4)
+  if (jsPDF.jsPDF) {
+    // v3 format: { jsPDF: class }
+    jsPDF = jsPDF.jsPDF;
+  } else if (jsPDF.default) {
+    // v4 format: { default: class }
+    jsPDF = jsPDF.default;
+  }
+  // If jsPDF is already the class (direct export), use it as is
+} catch (error) {
+  console.error('Failed to import jsPDF:', error);
+  throw new Error('jsPDF library is not properly installed. Please run: npm install jspdf');
+}
+
+/**
+ * Convert a jsPDF document to a Node Buffer
+ * @param {jsPDF} doc - Rendered document
+ * @returns {Buffer} PDF bytes
+ */
+const pdfToBuffer = (doc) => {
+  try {
+    return Buffer.from(doc.output('arraybuffer'));
+  } catch (error) {
+    // Fall back to 'uint8array' output if arraybuffer output fails
+    return Buffer.from(doc.output('uint8array'));
+  }
+};
+
+/**
+ * Download an image and return it in a form jsPDF.addImage() accepts
+ * @param {String} url - Public image URL (e.g. a company logo)
+ * @param {Number} timeoutMs - Give up after this many milliseconds
+ * @returns {Promise<Object|null>} { data, format } or null when the image cannot be loaded
+ */
+const loadImage = async (url, timeoutMs = 5000) => {
+  if (!url) return null;
+
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) return null;
+
+    const contentType = response.headers.get('content-type') || '';
+    const format = contentType.includes('png') ? 'PNG'
+      : (contentType.includes('jpeg') || contentType.includes('jpg')) ? 'JPEG'
+      : null;
+    if (!format) return null;
+
+    const data = new Uint8Array(await response.arrayBuffer());
+    return { data, format };
+  } catch (error) {
+    console.warn(`Could not load image for PDF (${url}):`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  jsPDF,
+  pdfToBuffer,
+  loadImage
+};
@@ -0,0 +1,20 @@
+// Zip archives for bulk downloads. xlsx already ships a zip writer (its CFB container
+// module), so archives are built with it rather than another dependency.
+const { CFB } = require('xlsx');
+
+/**
+ * Build a zip archive from in-memory files
+ * @param {Array<Object>} files - [{ name, content }] where content is a String or Buffer
+ * @returns {Buffer} Zip bytes
+ */
+const createZip = (files) => {
+  const archive = CFB.utils.cfb_new();
+  files.forEach(({ name, content }) => {
+    CFB.utils.cfb_add(archive, name, Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8'));
+  });
+  return CFB.write(archive, { fileType: 'zip', type: 'buffer', compression: true });
+};
+
+module.exports = {
+  createZip
+};